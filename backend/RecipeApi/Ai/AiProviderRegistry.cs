@@ -0,0 +1,31 @@
+namespace RecipeApi.Ai;
+
+// The providers configured for this deployment, in the order the UI lists them. There is no default when
+// nothing was chosen: the fixture only answers when it is asked for by name.
+public sealed class AiProviderRegistry
+{
+    public AiProviderRegistry(IReadOnlyList<IAiChatProvider> providers, string? defaultId)
+    {
+        if (providers.Count == 0)
+        {
+            throw new InvalidOperationException("At least one AI provider must be configured.");
+        }
+
+        All = providers;
+        Default = string.IsNullOrWhiteSpace(defaultId)
+            ? null
+            : providers.FirstOrDefault(p => string.Equals(p.Id, defaultId, StringComparison.OrdinalIgnoreCase))
+            ?? throw new InvalidOperationException(
+                $"AI_PROVIDER '{defaultId}' is not configured. Available: {string.Join(", ", providers.Select(p => p.Id))}.");
+    }
+
+    public IReadOnlyList<IAiChatProvider> All { get; }
+
+    public IAiChatProvider? Default { get; }
+
+    // Null or empty means the default provider, which may not exist.
+    public IAiChatProvider? Find(string? id) =>
+        string.IsNullOrWhiteSpace(id)
+            ? Default
+            : All.FirstOrDefault(p => string.Equals(p.Id, id, StringComparison.OrdinalIgnoreCase));
+}
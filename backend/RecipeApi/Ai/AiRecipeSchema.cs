@@ -0,0 +1,298 @@
+using System.Diagnostics.CodeAnalysis;
+using System.Text;
+using System.Text.Json;
+using RecipeApi.Contracts;
+
+namespace RecipeApi.Ai;
+
+public static class AiRecipeSchema
+{
+    public const int MaxAttempts = 3;
+
+    private static readonly JsonSerializerOptions JsonOptions = new(JsonSerializerDefaults.Web);
+
+    private static readonly object RecipeItemSchema = new
+    {
+        type = "object",
+        properties = new
+        {
+            title = new { type = "string" },
+            ingredients = new
+            {
+                type = "array",
+                items = new
+                {
+                    type = "object",
+                    properties = new
+                    {
+                        name = new { type = "string" },
+                        quantity = new { type = new[] { "number", "null" } },
+                        unit = new { type = new[] { "string", "null" } },
+                    },
+                    required = new[] { "name" },
+                },
+            },
+            steps = new { type = "array", items = new { type = "string" } },
+            totalMinutes = new { type = new[] { "integer", "null" } },
+            servings = new { type = new[] { "integer", "null" } },
+        },
+        required = new[] { "title", "ingredients", "steps" },
+    };
+
+    // Passed as Ollama's "format" so the model is constrained to this shape; the output is
+    // still validated below because not every model honours the schema.
+    public static readonly object Format = new
+    {
+        type = "object",
+        properties = new
+        {
+            recipes = new { type = "array", items = RecipeItemSchema },
+        },
+        required = new[] { "recipes" },
+    };
+
+    public static readonly object ChatFormat = new
+    {
+        type = "object",
+        properties = new
+        {
+            reply = new { type = "string" },
+            recipe = new { anyOf = new[] { RecipeItemSchema, new { type = "null" } } },
+        },
+        required = new[] { "reply" },
+    };
+
+    public const string FormatInstructions =
+        "Respond with JSON only, shaped as {\"recipes\": [{\"title\": string, " +
+        "\"ingredients\": [{\"name\": string, \"quantity\": number|null, \"unit\": string|null}], " +
+        "\"steps\": [string], \"totalMinutes\": integer|null, \"servings\": integer|null}]}. " +
+        "Ingredient names must be the plain ingredient (\"Garlic\", not \"2 cloves garlic, minced\"); " +
+        "put amounts in quantity and unit.";
+
+    public const string ChatFormatInstructions =
+        "Respond with JSON only, shaped as {\"reply\": string, \"recipe\": recipe|null}, where recipe is " +
+        "{\"title\": string, \"ingredients\": [{\"name\": string, \"quantity\": number|null, \"unit\": string|null}], " +
+        "\"steps\": [string], \"totalMinutes\": integer|null, \"servings\": integer|null}.";
+
+    public static string RetryPrompt(string error) =>
+        $"That response was not valid: {error} Reply again with JSON only, matching the required shape exactly.";
+
+    public static bool TryParseRecipes(string content, out IReadOnlyList<AiRecipeDto> recipes, out string error)
+    {
+        recipes = [];
+
+        RawRecipeList? parsed;
+        try
+        {
+            parsed = JsonSerializer.Deserialize<RawRecipeList>(StripCodeFence(content), JsonOptions);
+        }
+        catch (JsonException ex)
+        {
+            error = $"Invalid JSON ({ex.Message}).";
+            return false;
+        }
+
+        if (parsed?.Recipes is null || parsed.Recipes.Count == 0)
+        {
+            error = "Expected a non-empty \"recipes\" array.";
+            return false;
+        }
+
+        var valid = new List<AiRecipeDto>();
+        var problems = new List<string>();
+        for (var i = 0; i < parsed.Recipes.Count; i++)
+        {
+            if (TryNormalize(parsed.Recipes[i], out var recipe, out var recipeError))
+            {
+                valid.Add(recipe);
+            }
+            else
+            {
+                problems.Add($"recipe {i + 1}: {recipeError}");
+            }
+        }
+
+        recipes = valid;
+        error = string.Join(" ", problems);
+        return valid.Count > 0;
+    }
+
+    public static bool TryParseRecipe(string json, [NotNullWhen(true)] out AiRecipeDto? recipe, out string error)
+    {
+        recipe = null;
+
+        RawRecipe? parsed;
+        try
+        {
+            parsed = JsonSerializer.Deserialize<RawRecipe>(json, JsonOptions);
+        }
+        catch (JsonException ex)
+        {
+            error = $"Invalid JSON ({ex.Message}).";
+            return false;
+        }
+
+        if (parsed is null)
+        {
+            error = "Expected a recipe object.";
+            return false;
+        }
+
+        return TryNormalize(parsed, out recipe, out error);
+    }
+
+    public static bool TryParseChatReply(string content, out string reply, out AiRecipeDto? recipe, out string error)
+    {
+        reply = string.Empty;
+        recipe = null;
+
+        RawChatReply? parsed;
+        try
+        {
+            parsed = JsonSerializer.Deserialize<RawChatReply>(StripCodeFence(content), JsonOptions);
+        }
+        catch (JsonException ex)
+        {
+            error = $"Invalid JSON ({ex.Message}).";
+            return false;
+        }
+
+        if (string.IsNullOrWhiteSpace(parsed?.Reply))
+        {
+            error = "reply is required.";
+            return false;
+        }
+
+        if (parsed.Recipe is not null && !TryNormalize(parsed.Recipe, out recipe, out var recipeError))
+        {
+            error = $"recipe: {recipeError}";
+            return false;
+        }
+
+        reply = parsed.Reply.Trim();
+        error = string.Empty;
+        return true;
+    }
+
+    private static bool TryNormalize(RawRecipe raw, [NotNullWhen(true)] out AiRecipeDto? recipe, out string error)
+    {
+        recipe = null;
+
+        var title = raw.Title?.Trim();
+        if (string.IsNullOrWhiteSpace(title) || title.Length > 200)
+        {
+            error = "title is required (max 200 characters).";
+            return false;
+        }
+
+        var ingredients = (raw.Ingredients ?? [])
+            .Where(i => !string.IsNullOrWhiteSpace(i?.Name))
+            .Select(i => new AiRecipeIngredientDto(
+                i!.Name!.Trim(),
+                i.Quantity is > 0 and < 100_000_000 ? decimal.Round(i.Quantity.Value, 2) : null,
+                string.IsNullOrWhiteSpace(i.Unit) || i.Unit.Trim().Length > 32 ? null : i.Unit.Trim()))
+            .ToList();
+        if (ingredients.Count == 0)
+        {
+            error = "ingredients must list at least one named ingredient.";
+            return false;
+        }
+
+        var steps = (raw.Steps ?? [])
+            .Where(s => !string.IsNullOrWhiteSpace(s))
+            .Select(s => s!.Trim())
+            .ToList();
+        if (steps.Count == 0)
+        {
+            error = "steps must contain at least one step.";
+            return false;
+        }
+
+        recipe = new AiRecipeDto(
+            title,
+            ingredients,
+            steps,
+            raw.TotalMinutes is >= 1 and <= 24 * 60 ? raw.TotalMinutes : null,
+            raw.Servings is >= 1 and <= 100 ? raw.Servings : null);
+        error = string.Empty;
+        return true;
+    }
+
+    internal static string StripCodeFence(string content)
+    {
+        var trimmed = content.Trim();
+        if (!trimmed.StartsWith("```", StringComparison.Ordinal)) return trimmed;
+
+        var firstLineEnd = trimmed.IndexOf('\n');
+        var closing = trimmed.LastIndexOf("```", StringComparison.Ordinal);
+        return firstLineEnd < 0 || closing <= firstLineEnd ? trimmed : trimmed[(firstLineEnd + 1)..closing].Trim();
+    }
+
+    private sealed record RawRecipeList(List<RawRecipe>? Recipes);
+
+    private sealed record RawChatReply(string? Reply, RawRecipe? Recipe);
+
+    private sealed record RawRecipe(
+        string? Title,
+        List<RawIngredient?>? Ingredients,
+        List<string?>? Steps,
+        int? TotalMinutes,
+        int? Servings);
+
+    private sealed record RawIngredient(string? Name, decimal? Quantity, string? Unit);
+}
+
+// Picks complete recipe objects out of a partially streamed {"recipes": [...]} document so they
+// can be validated and forwarded before the whole response has arrived.
+public sealed class AiRecipeJsonScanner
+{
+    private readonly StringBuilder text = new();
+    private readonly Stack<char> containers = new();
+    private bool inString;
+    private bool escaped;
+    private int elementStart = -1;
+
+    public string Text => text.ToString();
+
+    public IReadOnlyList<string> Append(string chunk)
+    {
+        var completed = new List<string>();
+        foreach (var c in chunk)
+        {
+            text.Append(c);
+
+            if (inString)
+            {
+                if (escaped) escaped = false;
+                else if (c == '\\') escaped = true;
+                else if (c == '"') inString = false;
+                continue;
+            }
+
+            switch (c)
+            {
+                case '"':
+                    inString = true;
+                    break;
+                case '{' or '[':
+                    // Root object, then the recipes array: an object opened at that depth is a recipe.
+                    if (c == '{' && containers.Count == 2 && containers.Peek() == '[')
+                    {
+                        elementStart = text.Length - 1;
+                    }
+                    containers.Push(c);
+                    break;
+                case '}' or ']':
+                    if (containers.Count > 0) containers.Pop();
+                    if (c == '}' && containers.Count == 2 && elementStart >= 0)
+                    {
+                        completed.Add(text.ToString(elementStart, text.Length - elementStart));
+                        elementStart = -1;
+                    }
+                    break;
+            }
+        }
+
+        return completed;
+    }
+}
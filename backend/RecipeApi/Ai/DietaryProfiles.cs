@@ -0,0 +1,138 @@
+using System.Text.RegularExpressions;
+using RecipeApi.Contracts;
+
+namespace RecipeApi.Ai;
+
+// A diet or allergy the AI has to respect. Constraint goes into the system prompt; Forbidden words are
+// matched against ingredient names afterwards, ignoring the Allowed phrases first ("coconut milk" is
+// fine for dairy-free, "rice flour" for gluten-free).
+public sealed record DietaryProfile(
+    string Id,
+    string Label,
+    string Constraint,
+    IReadOnlyList<string> Forbidden,
+    IReadOnlyList<string> Allowed);
+
+public static class DietaryProfiles
+{
+    private static readonly string[] Meat =
+    [
+        "meat", "beef", "steak", "veal", "pork", "bacon", "ham", "prosciutto", "pancetta", "salami", "chorizo",
+        "sausage", "lamb", "mutton", "chicken", "turkey", "duck", "goose", "venison", "mince", "gelatin", "gelatine",
+        "lard",
+    ];
+
+    private static readonly string[] Seafood =
+    [
+        "fish", "salmon", "tuna", "cod", "haddock", "trout", "sardine", "anchovy", "anchovies", "mackerel",
+        "shrimp", "prawn", "crab", "lobster", "mussel", "clam", "oyster", "scallop", "squid", "octopus",
+        "fish sauce", "worcestershire sauce",
+    ];
+
+    private static readonly string[] Dairy =
+    [
+        "milk", "butter", "cheese", "cream", "yogurt", "yoghurt", "ghee", "buttermilk", "parmesan", "mozzarella",
+        "cheddar", "feta", "ricotta", "mascarpone", "whey", "custard",
+    ];
+
+    private static readonly string[] PlantMilks =
+    [
+        "coconut milk", "coconut cream", "almond milk", "oat milk", "soy milk", "soya milk", "rice milk",
+        "peanut butter", "almond butter", "nut butter", "cocoa butter", "vegan cheese", "vegan butter",
+        "dairy-free", "dairy free", "plant-based", "cream of tartar",
+    ];
+
+    public static readonly IReadOnlyList<DietaryProfile> All =
+    [
+        new(
+            "vegetarian",
+            "Vegetarian",
+            "Vegetarian: no meat, poultry, fish or seafood, and no gelatin or animal stock.",
+            [.. Meat, .. Seafood],
+            ["vegetable stock", "veggie sausage", "vegetarian sausage", "plant-based"]),
+        new(
+            "vegan",
+            "Vegan",
+            "Vegan: no animal products at all, including meat, fish, dairy, eggs and honey.",
+            [.. Meat, .. Seafood, .. Dairy, "egg", "honey", "mayonnaise"],
+            [.. PlantMilks, "vegetable stock", "vegan mayonnaise"]),
+        new(
+            "gluten-free",
+            "Gluten-free",
+            "Gluten-free: no wheat, barley, rye or spelt, so no regular flour, bread, pasta, couscous, " +
+            "breadcrumbs, beer or soy sauce (tamari is fine).",
+            [
+                "wheat", "flour", "bread", "breadcrumbs", "panko", "pasta", "spaghetti", "noodle", "macaroni",
+                "lasagna", "couscous", "bulgur", "barley", "rye", "spelt", "semolina", "farro", "seitan",
+                "soy sauce", "beer", "tortilla", "pita", "cracker", "biscuit", "malt",
+            ],
+            [
+                "gluten-free", "gluten free", "rice flour", "almond flour", "coconut flour", "corn flour",
+                "cornflour", "chickpea flour", "buckwheat flour", "rice noodle", "corn tortilla", "tamari",
+            ]),
+        new(
+            "dairy-free",
+            "Dairy-free",
+            "Dairy-free: no milk, butter, cheese, cream, yogurt or anything made from them.",
+            Dairy,
+            PlantMilks),
+        new(
+            "nut-allergy",
+            "Nut allergy",
+            "Nut allergy: no peanuts or tree nuts of any kind (almonds, cashews, walnuts, pecans, hazelnuts, " +
+            "pistachios, macadamias, pine nuts), and nothing made from them such as nut butters, nut milks or pesto.",
+            [
+                "nut", "peanut", "almond", "cashew", "walnut", "pecan", "hazelnut", "pistachio", "macadamia",
+                "pine nut", "brazil nut", "praline", "marzipan", "nutella", "pesto", "satay",
+            ],
+            ["nut-free", "nut free"]),
+        new(
+            "low-sodium",
+            "Low-sodium",
+            "Low-sodium: little or no added salt, and no salty ingredients such as soy sauce, fish sauce, " +
+            "stock cubes, cured meats, olives or capers.",
+            [
+                "soy sauce", "fish sauce", "stock cube", "bouillon", "bacon", "ham", "salami", "prosciutto",
+                "chorizo", "anchovy", "anchovies", "olive", "caper", "pickle", "miso", "feta", "parmesan",
+            ],
+            ["low-sodium", "low sodium", "reduced-sodium", "unsalted", "olive oil"]),
+    ];
+
+    public static DietaryProfile? Find(string id) =>
+        All.FirstOrDefault(p => string.Equals(p.Id, id, StringComparison.OrdinalIgnoreCase));
+
+    public static string PromptConstraints(IReadOnlyList<DietaryProfile> profiles) =>
+        "Every recipe MUST follow these dietary requirements, including for ingredients treated as pantry staples:\n- " +
+        string.Join("\n- ", profiles.Select(p => p.Constraint)) +
+        "\nLeave out any available ingredient that would break them. ";
+
+    // The profile labels an ingredient name breaks, e.g. ["Vegetarian", "Low-sodium"] for "Bacon".
+    public static IReadOnlyList<string> Violations(string ingredientName, IReadOnlyList<DietaryProfile> profiles)
+    {
+        var name = ingredientName.ToLowerInvariant();
+        var broken = new List<string>();
+        foreach (var profile in profiles)
+        {
+            var remaining = profile.Allowed.Aggregate(name, (text, allowed) => text.Replace(allowed, " "));
+            if (profile.Forbidden.Any(word => ContainsWord(remaining, word)))
+            {
+                broken.Add(profile.Label);
+            }
+        }
+
+        return broken;
+    }
+
+    // One warning per offending ingredient, e.g. "Bacon (Vegetarian, Low-sodium)"; empty when the recipe
+    // is fine.
+    public static IReadOnlyList<string> Check(AiRecipeDto recipe, IReadOnlyList<DietaryProfile> profiles) =>
+        recipe.Ingredients
+            .Select(i => (i.Name, Broken: Violations(i.Name, profiles)))
+            .Where(v => v.Broken.Count > 0)
+            .Select(v => $"{v.Name} ({string.Join(", ", v.Broken)})")
+            .ToList();
+
+    // Whole words only, with an optional plural, so "nut" matches "nuts" but not "nutmeg" or "coconut".
+    private static bool ContainsWord(string text, string word) =>
+        Regex.IsMatch(text, $@"(?<![a-z]){Regex.Escape(word)}(?:e?s)?(?![a-z])");
+}
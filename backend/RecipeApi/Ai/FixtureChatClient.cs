@@ -0,0 +1,164 @@
+using System.Runtime.CompilerServices;
+using System.Text;
+using System.Text.Json;
+
+namespace RecipeApi.Ai;
+
+// Canned, deterministic answers for development and CI: no network, no key, same input gives the same
+// output. It reads the ingredient list out of the recipe prompt so the results still look related to
+// what was selected, and answers in whichever shape the caller's format asks for.
+public sealed class FixtureChatClient : IAiChatProvider
+{
+    public const string ProviderId = "fixture";
+    private const string Model = "fixture";
+
+    private static readonly JsonSerializerOptions JsonOptions = new(JsonSerializerDefaults.Web);
+
+    private static readonly string[] DetectedIngredients = ["Eggs", "Milk", "Tomatoes"];
+
+    public string Id => ProviderId;
+
+    public string Label => "Offline fixture";
+
+    public string DefaultModel => Model;
+
+    public string? VisionModel => null;
+
+    public Task<AiChatResult> ChatAsync(
+        IReadOnlyList<AiChatMessage> messages,
+        CancellationToken cancellationToken,
+        object? format = null,
+        string? model = null) =>
+        Task.FromResult(new AiChatResult(model ?? Model, Respond(messages, format)));
+
+    public async IAsyncEnumerable<AiChatChunk> ChatStreamAsync(
+        IReadOnlyList<AiChatMessage> messages,
+        [EnumeratorCancellation] CancellationToken cancellationToken,
+        object? format = null,
+        string? model = null)
+    {
+        // Small pieces, so the UI's incremental rendering gets exercised the way a real model would.
+        var content = Respond(messages, format);
+        for (var i = 0; i < content.Length; i += 40)
+        {
+            cancellationToken.ThrowIfCancellationRequested();
+            yield return new AiChatChunk(model ?? Model, content.Substring(i, Math.Min(40, content.Length - i)), false);
+            await Task.Yield();
+        }
+
+        yield return new AiChatChunk(model ?? Model, string.Empty, true);
+    }
+
+    public Task<IReadOnlyList<string>> ListModelsAsync(CancellationToken cancellationToken) =>
+        Task.FromResult<IReadOnlyList<string>>([Model]);
+
+    private static string Respond(IReadOnlyList<AiChatMessage> messages, object? format)
+    {
+        if (ReferenceEquals(format, IngredientDetectionSchema.Format))
+        {
+            return JsonSerializer.Serialize(new { ingredients = DetectedIngredients }, JsonOptions);
+        }
+
+        var prompt = messages.LastOrDefault(m => m.Role == "user")?.Content ?? string.Empty;
+        if (ReferenceEquals(format, AiRecipeSchema.ChatFormat))
+        {
+            return JsonSerializer.Serialize(
+                new { reply = $"(Offline fixture) You said: {prompt.Trim()}", recipe = (object?)null },
+                JsonOptions);
+        }
+
+        var recipes = BuildRecipes(prompt);
+        if (format is not null)
+        {
+            return JsonSerializer.Serialize(new { recipes }, JsonOptions);
+        }
+
+        var text = new StringBuilder();
+        foreach (var recipe in recipes)
+        {
+            text.Append($"Recipe: {recipe.Title}\nINGREDIENTS\n");
+            foreach (var ingredient in recipe.Ingredients)
+            {
+                text.Append($"- {ingredient.Name}\n");
+            }
+
+            text.Append("PROCEDURE\n");
+            for (var i = 0; i < recipe.Steps.Length; i++)
+            {
+                text.Append($"{i + 1}. {recipe.Steps[i]}\n");
+            }
+
+            text.Append('\n');
+        }
+
+        return text.ToString().TrimEnd() + "\n";
+    }
+
+    // One recipe per pair of ingredients from the "Ingredients I have" list, minus anything the prompt
+    // says not to use, capped at the "Suggest up to N" count.
+    private static IReadOnlyList<FixtureRecipe> BuildRecipes(string prompt)
+    {
+        var available = ListAfter(prompt, "Ingredients I have:");
+        var excluded = ListAfter(prompt, "Do not use these").ToHashSet(StringComparer.OrdinalIgnoreCase);
+        var usable = available.Where(name => !excluded.Contains(name)).ToList();
+        if (usable.Count == 0)
+        {
+            usable = ["Rice"];
+        }
+
+        var max = 3;
+        var marker = prompt.IndexOf("Suggest up to ", StringComparison.Ordinal);
+        if (marker >= 0)
+        {
+            var digits = new string(prompt[(marker + "Suggest up to ".Length)..].TakeWhile(char.IsDigit).ToArray());
+            if (int.TryParse(digits, out var parsed))
+            {
+                max = Math.Min(max, parsed);
+            }
+        }
+
+        return usable
+            .Chunk(2)
+            .Take(max)
+            .Select(pair => new FixtureRecipe(
+                $"Simple {string.Join(" and ", pair)}",
+                pair.Select(name => new FixtureIngredient(name, 1, null))
+                    .Append(new FixtureIngredient("Salt", null, null))
+                    .ToArray(),
+                [
+                    $"Prepare the {string.Join(" and ", pair).ToLowerInvariant()}.",
+                    "Cook gently for 10 minutes, stirring now and then.",
+                    "Season with salt and serve.",
+                ],
+                15,
+                2))
+            .ToList();
+    }
+
+    // The "- item" lines following a heading line, up to the first line that isn't one.
+    private static List<string> ListAfter(string prompt, string heading)
+    {
+        var start = prompt.IndexOf(heading, StringComparison.Ordinal);
+        if (start < 0)
+        {
+            return [];
+        }
+
+        return prompt[start..]
+            .Split('\n')
+            .Skip(1)
+            .TakeWhile(line => line.StartsWith("- ", StringComparison.Ordinal))
+            .Select(line => line[2..].Trim())
+            .Where(name => name.Length > 0)
+            .ToList();
+    }
+
+    private sealed record FixtureRecipe(
+        string Title,
+        FixtureIngredient[] Ingredients,
+        string[] Steps,
+        int TotalMinutes,
+        int Servings);
+
+    private sealed record FixtureIngredient(string Name, decimal? Quantity, string? Unit);
+}
@@ -0,0 +1,35 @@
+namespace RecipeApi.Ai;
+
+// One place recipes can be generated: Ollama Cloud, a local Ollama, an OpenAI-compatible server or the
+// offline fixture. `format` is a JSON schema the model should follow; providers that can't enforce it
+// still get the schema described in the prompt, and every caller validates the output anyway.
+public interface IAiChatProvider
+{
+    string Id { get; }
+    string Label { get; }
+    string DefaultModel { get; }
+
+    // Used for photo detection when set; otherwise detection uses DefaultModel.
+    string? VisionModel { get; }
+
+    Task<AiChatResult> ChatAsync(
+        IReadOnlyList<AiChatMessage> messages,
+        CancellationToken cancellationToken,
+        object? format = null,
+        string? model = null);
+
+    IAsyncEnumerable<AiChatChunk> ChatStreamAsync(
+        IReadOnlyList<AiChatMessage> messages,
+        CancellationToken cancellationToken,
+        object? format = null,
+        string? model = null);
+
+    Task<IReadOnlyList<string>> ListModelsAsync(CancellationToken cancellationToken);
+}
+
+// Images are base64-encoded and only understood by vision-capable models.
+public sealed record AiChatMessage(string Role, string Content, IReadOnlyList<string>? Images = null);
+
+public sealed record AiChatResult(string Model, string Content);
+
+public sealed record AiChatChunk(string Model, string Content, bool Done);
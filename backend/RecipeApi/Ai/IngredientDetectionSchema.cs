@@ -0,0 +1,72 @@
+using System.Text.Json;
+
+namespace RecipeApi.Ai;
+
+public static class IngredientDetectionSchema
+{
+    public const int MaxAttempts = 3;
+    public const int MaxImages = 6;
+
+    // Base64 inflates by 4/3, so this allows roughly 1.5 MB of image data per photo. The browser downscales
+    // photos before upload, and MaxImages of these must fit under client_max_body_size in frontend/nginx.conf.
+    public const int MaxImageBase64Length = 2_000_000;
+
+    private static readonly JsonSerializerOptions JsonOptions = new(JsonSerializerDefaults.Web);
+
+    public static readonly object Format = new
+    {
+        type = "object",
+        properties = new
+        {
+            ingredients = new
+            {
+                type = "array",
+                items = new { type = "string" },
+            },
+        },
+        required = new[] { "ingredients" },
+    };
+
+    public static string SystemPrompt(string location) =>
+        $"You identify food ingredients in photos of a home {location.ToLowerInvariant()}. " +
+        "List each distinct ingredient you can clearly see, using short generic grocery names " +
+        "(\"Cheddar Cheese\", \"Eggs\", \"Spinach\"), not brands or containers. " +
+        "Skip anything you are unsure about and anything that is not food. " +
+        "Respond with JSON only, shaped as {\"ingredients\": [string]}.";
+
+    public static string RetryPrompt(string error) =>
+        $"That response was not valid: {error} Reply again with JSON only, shaped as {{\"ingredients\": [string]}}.";
+
+    public static bool TryParse(string content, out IReadOnlyList<string> names, out string error)
+    {
+        names = [];
+
+        RawDetection? parsed;
+        try
+        {
+            parsed = JsonSerializer.Deserialize<RawDetection>(AiRecipeSchema.StripCodeFence(content), JsonOptions);
+        }
+        catch (JsonException ex)
+        {
+            error = $"Invalid JSON ({ex.Message}).";
+            return false;
+        }
+
+        if (parsed?.Ingredients is null)
+        {
+            error = "Expected an \"ingredients\" array.";
+            return false;
+        }
+
+        names = parsed.Ingredients
+            .Where(n => !string.IsNullOrWhiteSpace(n))
+            .Select(n => n!.Trim())
+            .Where(n => n.Length <= 200)
+            .DistinctBy(n => n.ToLowerInvariant())
+            .ToList();
+        error = string.Empty;
+        return true;
+    }
+
+    private sealed record RawDetection(List<string?>? Ingredients);
+}
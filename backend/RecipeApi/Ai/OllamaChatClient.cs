@@ -1,33 +1,97 @@
 using System.Net.Http.Headers;
 using System.Net.Http.Json;
+using System.Runtime.CompilerServices;
 using System.Text.Json;
+using System.Text.Json.Serialization;
 
 namespace RecipeApi.Ai;
 
-public sealed class OllamaChatClient(HttpClient http, OllamaConfig config)
+// Ollama's /api/chat, for both Ollama Cloud (Bearer key) and a local server (no auth). The named
+// HttpClient (the provider id) carries the base address.
+public sealed class OllamaChatClient(IHttpClientFactory httpClients, OllamaConfig config) : IAiChatProvider
 {
     private static readonly JsonSerializerOptions JsonOptions = new()
     {
         PropertyNameCaseInsensitive = true,
     };
 
-    public async Task<OllamaChatResult> ChatAsync(IReadOnlyList<OllamaChatMessage> messages, CancellationToken cancellationToken)
+    private static readonly JsonSerializerOptions RequestJsonOptions = new(JsonSerializerDefaults.Web)
     {
-        if (string.IsNullOrWhiteSpace(config.ApiKey))
+        DefaultIgnoreCondition = JsonIgnoreCondition.WhenWritingNull,
+    };
+
+    public string Id => config.Id;
+
+    public string Label => config.Label;
+
+    public string DefaultModel => config.Model;
+
+    public string? VisionModel => config.VisionModel;
+
+    public async Task<AiChatResult> ChatAsync(
+        IReadOnlyList<AiChatMessage> messages,
+        CancellationToken cancellationToken,
+        object? format = null,
+        string? model = null)
+    {
+        using var request = CreateChatRequest(messages, stream: false, format, model);
+        using var response = await httpClients.CreateClient(config.Id).SendAsync(request, cancellationToken);
+        var body = await response.Content.ReadAsStringAsync(cancellationToken);
+
+        if (!response.IsSuccessStatusCode)
         {
-            throw new InvalidOperationException("Missing OLLAMA_API_KEY (or Ollama:ApiKey).");
+            throw new HttpRequestException($"Ollama request failed ({(int)response.StatusCode}): {body}");
         }
 
-        using var request = new HttpRequestMessage(HttpMethod.Post, "/api/chat");
-        request.Headers.Authorization = new AuthenticationHeaderValue("Bearer", config.ApiKey);
-        request.Content = JsonContent.Create(new
+        var parsed = JsonSerializer.Deserialize<OllamaChatResponse>(body, JsonOptions)
+            ?? throw new InvalidOperationException("Could not parse Ollama response.");
+
+        return new AiChatResult(parsed.Model ?? model ?? config.Model, parsed.Message?.Content ?? string.Empty);
+    }
+
+    public async IAsyncEnumerable<AiChatChunk> ChatStreamAsync(
+        IReadOnlyList<AiChatMessage> messages,
+        [EnumeratorCancellation] CancellationToken cancellationToken,
+        object? format = null,
+        string? model = null)
+    {
+        using var request = CreateChatRequest(messages, stream: true, format, model);
+        using var response = await httpClients.CreateClient(config.Id)
+            .SendAsync(request, HttpCompletionOption.ResponseHeadersRead, cancellationToken);
+
+        if (!response.IsSuccessStatusCode)
         {
-            model = config.Model,
-            messages = messages.Select(m => new { role = m.Role, content = m.Content }),
-            stream = false,
-        });
+            var body = await response.Content.ReadAsStringAsync(cancellationToken);
+            throw new HttpRequestException($"Ollama request failed ({(int)response.StatusCode}): {body}");
+        }
+
+        await using var stream = await response.Content.ReadAsStreamAsync(cancellationToken);
+        using var reader = new StreamReader(stream);
 
-        using var response = await http.SendAsync(request, cancellationToken);
+        // Ollama streams one JSON object per line; the last one has "done": true.
+        while (await reader.ReadLineAsync(cancellationToken) is { } line)
+        {
+            if (string.IsNullOrWhiteSpace(line)) continue;
+
+            var parsed = JsonSerializer.Deserialize<OllamaChatResponse>(line, JsonOptions)
+                ?? throw new InvalidOperationException("Could not parse Ollama stream chunk.");
+
+            if (!string.IsNullOrWhiteSpace(parsed.Error))
+            {
+                throw new HttpRequestException($"Ollama stream failed: {parsed.Error}");
+            }
+
+            yield return new AiChatChunk(parsed.Model ?? model ?? config.Model, parsed.Message?.Content ?? string.Empty, parsed.Done);
+
+            if (parsed.Done) yield break;
+        }
+    }
+
+    public async Task<IReadOnlyList<string>> ListModelsAsync(CancellationToken cancellationToken)
+    {
+        using var request = new HttpRequestMessage(HttpMethod.Get, "/api/tags");
+        Authorize(request);
+        using var response = await httpClients.CreateClient(config.Id).SendAsync(request, cancellationToken);
         var body = await response.Content.ReadAsStringAsync(cancellationToken);
 
         if (!response.IsSuccessStatusCode)
@@ -35,18 +99,54 @@ public sealed class OllamaChatClient(HttpClient http, OllamaConfig config)
             throw new HttpRequestException($"Ollama request failed ({(int)response.StatusCode}): {body}");
         }
 
-        var parsed = JsonSerializer.Deserialize<OllamaChatResponse>(body, JsonOptions)
-            ?? throw new InvalidOperationException("Could not parse Ollama response.");
+        var parsed = JsonSerializer.Deserialize<OllamaTagsResponse>(body, JsonOptions);
+        return (parsed?.Models ?? [])
+            .Select(m => m.Name)
+            .OfType<string>()
+            .Order(StringComparer.OrdinalIgnoreCase)
+            .ToList();
+    }
+
+    private HttpRequestMessage CreateChatRequest(
+        IReadOnlyList<AiChatMessage> messages,
+        bool stream,
+        object? format,
+        string? model)
+    {
+        var request = new HttpRequestMessage(HttpMethod.Post, "/api/chat");
+        Authorize(request);
+        request.Content = JsonContent.Create(
+            new
+            {
+                model = model ?? config.Model,
+                messages = messages.Select(m => new { role = m.Role, content = m.Content, images = m.Images }),
+                stream,
+                format,
+            },
+            options: RequestJsonOptions);
+
+        return request;
+    }
 
-        return new OllamaChatResult(parsed.Model ?? config.Model, parsed.Message?.Content ?? string.Empty);
+    // A local Ollama needs no key; Ollama Cloud is only registered when one is configured.
+    private void Authorize(HttpRequestMessage request)
+    {
+        if (!string.IsNullOrWhiteSpace(config.ApiKey))
+        {
+            request.Headers.Authorization = new AuthenticationHeaderValue("Bearer", config.ApiKey);
+        }
     }
 
-    private sealed record OllamaChatResponse(string? Model, OllamaChatResponseMessage? Message);
+    private sealed record OllamaChatResponse(string? Model, OllamaChatResponseMessage? Message, bool Done, string? Error);
     private sealed record OllamaChatResponseMessage(string? Role, string? Content);
+    private sealed record OllamaTagsResponse(List<OllamaModelTag>? Models);
+    private sealed record OllamaModelTag(string? Name);
 }
 
-public sealed record OllamaConfig(Uri BaseUri, string Model, string? ApiKey);
-
-public sealed record OllamaChatMessage(string Role, string Content);
-
-public sealed record OllamaChatResult(string Model, string Content);
+public sealed record OllamaConfig(
+    string Id,
+    string Label,
+    Uri BaseUri,
+    string Model,
+    string? ApiKey,
+    string? VisionModel = null);
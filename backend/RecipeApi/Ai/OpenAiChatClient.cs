@@ -0,0 +1,182 @@
+using System.Net.Http.Headers;
+using System.Net.Http.Json;
+using System.Runtime.CompilerServices;
+using System.Text.Json;
+using System.Text.Json.Serialization;
+
+namespace RecipeApi.Ai;
+
+// Any server speaking the OpenAI chat completions API (OpenAI itself, LM Studio, vLLM, llama.cpp's
+// server, ...). BaseUri should end with the version segment and a slash, e.g. https://api.openai.com/v1/.
+public sealed class OpenAiChatClient(IHttpClientFactory httpClients, OpenAiConfig config) : IAiChatProvider
+{
+    private static readonly JsonSerializerOptions JsonOptions = new()
+    {
+        PropertyNameCaseInsensitive = true,
+    };
+
+    private static readonly JsonSerializerOptions RequestJsonOptions = new(JsonSerializerDefaults.Web)
+    {
+        DefaultIgnoreCondition = JsonIgnoreCondition.WhenWritingNull,
+    };
+
+    public string Id => config.Id;
+
+    public string Label => config.Label;
+
+    public string DefaultModel => config.Model;
+
+    public string? VisionModel => config.VisionModel;
+
+    public async Task<AiChatResult> ChatAsync(
+        IReadOnlyList<AiChatMessage> messages,
+        CancellationToken cancellationToken,
+        object? format = null,
+        string? model = null)
+    {
+        using var request = CreateChatRequest(messages, stream: false, format, model);
+        using var response = await httpClients.CreateClient(config.Id).SendAsync(request, cancellationToken);
+        var body = await response.Content.ReadAsStringAsync(cancellationToken);
+
+        if (!response.IsSuccessStatusCode)
+        {
+            throw new HttpRequestException($"{config.Label} request failed ({(int)response.StatusCode}): {body}");
+        }
+
+        var parsed = JsonSerializer.Deserialize<CompletionResponse>(body, JsonOptions)
+            ?? throw new InvalidOperationException($"Could not parse {config.Label} response.");
+
+        var content = parsed.Choices?.FirstOrDefault()?.Message?.Content ?? string.Empty;
+        return new AiChatResult(parsed.Model ?? model ?? config.Model, content);
+    }
+
+    public async IAsyncEnumerable<AiChatChunk> ChatStreamAsync(
+        IReadOnlyList<AiChatMessage> messages,
+        [EnumeratorCancellation] CancellationToken cancellationToken,
+        object? format = null,
+        string? model = null)
+    {
+        using var request = CreateChatRequest(messages, stream: true, format, model);
+        using var response = await httpClients.CreateClient(config.Id)
+            .SendAsync(request, HttpCompletionOption.ResponseHeadersRead, cancellationToken);
+
+        if (!response.IsSuccessStatusCode)
+        {
+            var body = await response.Content.ReadAsStringAsync(cancellationToken);
+            throw new HttpRequestException($"{config.Label} request failed ({(int)response.StatusCode}): {body}");
+        }
+
+        await using var stream = await response.Content.ReadAsStreamAsync(cancellationToken);
+        using var reader = new StreamReader(stream);
+
+        // Server-sent events: "data: {json}" lines, finished by "data: [DONE]".
+        var streamModel = model ?? config.Model;
+        while (await reader.ReadLineAsync(cancellationToken) is { } line)
+        {
+            if (!line.StartsWith("data:", StringComparison.Ordinal)) continue;
+
+            var data = line["data:".Length..].Trim();
+            if (data == "[DONE]") break;
+
+            var parsed = JsonSerializer.Deserialize<CompletionResponse>(data, JsonOptions)
+                ?? throw new InvalidOperationException($"Could not parse {config.Label} stream chunk.");
+
+            if (parsed.Error?.Message is { } error)
+            {
+                throw new HttpRequestException($"{config.Label} stream failed: {error}");
+            }
+
+            streamModel = parsed.Model ?? streamModel;
+            var content = parsed.Choices?.FirstOrDefault()?.Delta?.Content ?? string.Empty;
+            if (content.Length > 0)
+            {
+                yield return new AiChatChunk(streamModel, content, false);
+            }
+        }
+
+        yield return new AiChatChunk(streamModel, string.Empty, true);
+    }
+
+    public async Task<IReadOnlyList<string>> ListModelsAsync(CancellationToken cancellationToken)
+    {
+        using var request = new HttpRequestMessage(HttpMethod.Get, "models");
+        Authorize(request);
+        using var response = await httpClients.CreateClient(config.Id).SendAsync(request, cancellationToken);
+        var body = await response.Content.ReadAsStringAsync(cancellationToken);
+
+        if (!response.IsSuccessStatusCode)
+        {
+            throw new HttpRequestException($"{config.Label} request failed ({(int)response.StatusCode}): {body}");
+        }
+
+        var parsed = JsonSerializer.Deserialize<ModelList>(body, JsonOptions);
+        return (parsed?.Data ?? [])
+            .Select(m => m.Id)
+            .OfType<string>()
+            .Order(StringComparer.OrdinalIgnoreCase)
+            .ToList();
+    }
+
+    private HttpRequestMessage CreateChatRequest(
+        IReadOnlyList<AiChatMessage> messages,
+        bool stream,
+        object? format,
+        string? model)
+    {
+        // Only JSON mode is portable across OpenAI-compatible servers, so the schema itself stays in the
+        // prompt and the caller's validation catches anything that doesn't fit.
+        var request = new HttpRequestMessage(HttpMethod.Post, "chat/completions");
+        Authorize(request);
+        request.Content = JsonContent.Create(
+            new
+            {
+                model = model ?? config.Model,
+                messages = messages.Select(ToRequestMessage),
+                stream,
+                response_format = format is null ? null : new { type = "json_object" },
+            },
+            options: RequestJsonOptions);
+
+        return request;
+    }
+
+    // Images become image_url parts with data URLs; plain messages keep a string content.
+    private static object ToRequestMessage(AiChatMessage message)
+    {
+        if (message.Images is not { Count: > 0 } images)
+        {
+            return new { role = message.Role, content = message.Content };
+        }
+
+        var parts = new List<object> { new { type = "text", text = message.Content } };
+        parts.AddRange(images.Select(image => new
+        {
+            type = "image_url",
+            image_url = new { url = $"data:image/jpeg;base64,{image}" },
+        }));
+        return new { role = message.Role, content = parts };
+    }
+
+    private void Authorize(HttpRequestMessage request)
+    {
+        if (!string.IsNullOrWhiteSpace(config.ApiKey))
+        {
+            request.Headers.Authorization = new AuthenticationHeaderValue("Bearer", config.ApiKey);
+        }
+    }
+
+    private sealed record CompletionResponse(string? Model, List<CompletionChoice>? Choices, CompletionError? Error);
+    private sealed record CompletionChoice(CompletionMessage? Message, CompletionMessage? Delta);
+    private sealed record CompletionMessage(string? Role, string? Content);
+    private sealed record CompletionError(string? Message);
+    private sealed record ModelList(List<ModelEntry>? Data);
+    private sealed record ModelEntry(string? Id);
+}
+
+public sealed record OpenAiConfig(
+    string Id,
+    string Label,
+    Uri BaseUri,
+    string Model,
+    string? ApiKey,
+    string? VisionModel = null);
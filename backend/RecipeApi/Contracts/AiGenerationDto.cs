@@ -0,0 +1,31 @@
+namespace RecipeApi.Contracts;
+
+public sealed record AiGenerationRecipeLinkDto(int Id, string Name);
+
+// A history row: enough to list and label a run without its full output.
+public sealed record AiGenerationSummaryDto(
+    int Id,
+    DateTime CreatedAt,
+    string Format,
+    string Provider,
+    string Model,
+    IReadOnlyList<string> IngredientNames,
+    string? Notes,
+    IReadOnlyList<string> RecipeTitles,
+    int SavedRecipeCount);
+
+public sealed record AiGenerationDto(
+    int Id,
+    DateTime CreatedAt,
+    string Format,
+    string Provider,
+    string Model,
+    IReadOnlyList<int> IngredientIds,
+    IReadOnlyList<string> IngredientNames,
+    IReadOnlyList<int> PriorityIngredientIds,
+    IReadOnlyList<string> DietaryProfiles,
+    string? Notes,
+    int? MaxRecipes,
+    string Content,
+    IReadOnlyList<AiRecipeDto>? Recipes,
+    IReadOnlyList<AiGenerationRecipeLinkDto> SavedRecipes);
@@ -0,0 +1,11 @@
+namespace RecipeApi.Contracts;
+
+// Error is set when the provider's model list couldn't be fetched (server down, bad key); the provider
+// is still listed so its default model can be picked.
+public sealed record AiProviderDto(
+    string Id,
+    string Label,
+    bool IsDefault,
+    string DefaultModel,
+    IReadOnlyList<string> Models,
+    string? Error = null);
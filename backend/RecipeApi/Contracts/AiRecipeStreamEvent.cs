@@ -0,0 +1,9 @@
+namespace RecipeApi.Contracts;
+
+public sealed record AiRecipeStreamEvent(
+    string Type,
+    string? Content = null,
+    string? Model = null,
+    string? Message = null,
+    AiRecipeDto? Recipe = null,
+    int? GenerationId = null);
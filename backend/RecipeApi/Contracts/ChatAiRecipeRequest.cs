@@ -0,0 +1,9 @@
+namespace RecipeApi.Contracts;
+
+public sealed record AiChatTurnDto(string Role, string Content);
+
+public sealed record ChatAiRecipeRequest(
+    AiRecipeDto? Recipe,
+    IReadOnlyList<AiChatTurnDto>? Messages,
+    string? Provider = null,
+    string? Model = null);
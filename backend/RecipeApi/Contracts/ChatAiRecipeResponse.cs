@@ -0,0 +1,3 @@
+namespace RecipeApi.Contracts;
+
+public sealed record ChatAiRecipeResponse(string Model, string Reply, AiRecipeDto? Recipe);
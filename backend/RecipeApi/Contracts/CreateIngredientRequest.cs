@@ -1,3 +1,19 @@
 namespace RecipeApi.Contracts;
 
-public sealed record CreateIngredientRequest(string Name, string? Location);
+public sealed record CreateIngredientRequest(
+    string Name,
+    string? Location,
+    decimal? Quantity = null,
+    string? Unit = null,
+    DateOnly? PurchasedOn = null,
+    DateOnly? BestBefore = null);
+
+public sealed record UpdateIngredientInventoryRequest(
+    decimal? Quantity,
+    string? Unit,
+    DateOnly? PurchasedOn,
+    DateOnly? BestBefore);
+
+public sealed record UpdateIngredientRequest(string? Name, string? Location);
+
+public sealed record RestoreIngredientsRequest(Guid UndoToken);
@@ -0,0 +1,7 @@
+namespace RecipeApi.Contracts;
+
+public sealed record CreateMealPlanRequest(DateOnly WeekStart);
+
+public sealed record SetMealPlanEntryRequest(DateOnly Date, string Meal, int RecipeId);
+
+public sealed record CreateMealPlanShoppingListRequest(string? Name, IReadOnlyList<int>? ExcludeIngredientIds);
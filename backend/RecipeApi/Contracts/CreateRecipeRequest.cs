@@ -5,4 +5,7 @@ public sealed record CreateRecipeIngredientRequest(int IngredientId, decimal? Qu
 public sealed record CreateRecipeRequest(
     string Name,
     string? Instructions,
-    IReadOnlyList<CreateRecipeIngredientRequest>? Ingredients);
+    IReadOnlyList<CreateRecipeIngredientRequest>? Ingredients,
+    int? Servings = null,
+    int? AiGenerationId = null,
+    IReadOnlyList<string>? Tags = null);
@@ -0,0 +1,10 @@
+namespace RecipeApi.Contracts;
+
+// Stock recorded on the ingredients is taken off automatically. ExcludeIngredientIds is an optional
+// override: those ingredients are left off whatever their stock.
+public sealed record CreateShoppingListRequest(
+    string? Name,
+    IReadOnlyList<int>? RecipeIds,
+    IReadOnlyList<int>? ExcludeIngredientIds);
+
+public sealed record UpdateShoppingListItemRequest(bool Checked);
@@ -0,0 +1,7 @@
+namespace RecipeApi.Contracts;
+
+public sealed record DetectIngredientsRequest(
+    IReadOnlyList<string>? Images,
+    string? Location,
+    string? Provider = null,
+    string? Model = null);
@@ -0,0 +1,5 @@
+namespace RecipeApi.Contracts;
+
+public sealed record DetectedIngredientDto(string Name, int? ExistingIngredientId, string? ExistingLocation);
+
+public sealed record DetectIngredientsResponse(string Model, string Location, IReadOnlyList<DetectedIngredientDto> Ingredients);
@@ -1,3 +1,11 @@
 namespace RecipeApi.Contracts;
 
-public sealed record GenerateAiRecipesRequest(IReadOnlyList<int> IngredientIds, int? MaxRecipes, string? Notes);
+public sealed record GenerateAiRecipesRequest(
+    IReadOnlyList<int> IngredientIds,
+    int? MaxRecipes,
+    string? Notes,
+    string? Format = null,
+    IReadOnlyList<int>? PriorityIngredientIds = null,
+    IReadOnlyList<string>? DietaryProfiles = null,
+    string? Provider = null,
+    string? Model = null);
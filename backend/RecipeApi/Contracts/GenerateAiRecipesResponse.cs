@@ -1,3 +1,19 @@
 namespace RecipeApi.Contracts;
 
-public sealed record GenerateAiRecipesResponse(string Model, string Content);
+public sealed record AiRecipeIngredientDto(string Name, decimal? Quantity, string? Unit);
+
+public sealed record AiRecipeDto(
+    string Title,
+    IReadOnlyList<AiRecipeIngredientDto> Ingredients,
+    IReadOnlyList<string> Steps,
+    int? TotalMinutes,
+    int? Servings,
+    IReadOnlyList<string>? Warnings = null);
+
+public sealed record GenerateAiRecipesResponse(
+    string Model,
+    string Content,
+    IReadOnlyList<AiRecipeDto>? Recipes = null,
+    int? GenerationId = null);
+
+public sealed record DietaryProfileDto(string Id, string Label, string Constraint);
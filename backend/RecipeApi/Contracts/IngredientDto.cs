@@ -1,3 +1,10 @@
 namespace RecipeApi.Contracts;
 
-public sealed record IngredientDto(int Id, string Name, string Location);
+public sealed record IngredientDto(
+    int Id,
+    string Name,
+    string Location,
+    decimal? Quantity,
+    string? Unit,
+    DateOnly? PurchasedOn,
+    DateOnly? BestBefore);
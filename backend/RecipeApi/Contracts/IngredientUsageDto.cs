@@ -0,0 +1,23 @@
+namespace RecipeApi.Contracts;
+
+public sealed record RecipeReferenceDto(int Id, string Name);
+
+public sealed record IngredientUsageDto(int IngredientId, string Name, IReadOnlyList<RecipeReferenceDto> Recipes);
+
+public sealed record DeletedRecipeLinkDto(int RecipeId, decimal? Quantity, string? Unit);
+
+// Everything needed to undo a delete: the ingredient as it was, the recipe links the cascade removed and
+// the shopping list items that lost their link to it.
+public sealed record DeletedIngredientDto(
+    int Id,
+    string Name,
+    string Location,
+    decimal? Quantity,
+    string? Unit,
+    DateOnly? PurchasedOn,
+    DateOnly? BestBefore,
+    IReadOnlyList<DeletedRecipeLinkDto> RecipeLinks,
+    IReadOnlyList<int> ShoppingListItemIds);
+
+// UndoToken can be posted to /ingredients/restore until IngredientUndoStore.UndoWindow runs out.
+public sealed record DeletedIngredientsDto(Guid UndoToken, IReadOnlyList<DeletedIngredientDto> Ingredients);
@@ -0,0 +1,5 @@
+namespace RecipeApi.Contracts;
+
+public sealed record MealPlanEntryDto(int Id, DateOnly Date, string Meal, int RecipeId, string RecipeName);
+
+public sealed record MealPlanDto(int Id, DateOnly WeekStart, IReadOnlyList<MealPlanEntryDto> Entries);
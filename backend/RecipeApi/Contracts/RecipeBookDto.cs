@@ -0,0 +1,46 @@
+namespace RecipeApi.Contracts;
+
+// The backup format. Ingredients, recipe links, tags and collections are matched by name so a file
+// restores into any database; bump Version whenever a field changes meaning. Version 1 files have no
+// tags or collections.
+public sealed record RecipeBookDto(
+    int Version,
+    DateTimeOffset ExportedAt,
+    IReadOnlyList<RecipeBookIngredientDto> Ingredients,
+    IReadOnlyList<RecipeBookRecipeDto> Recipes,
+    IReadOnlyList<RecipeBookGroupDto>? Tags = null,
+    IReadOnlyList<RecipeBookGroupDto>? Collections = null);
+
+public sealed record RecipeBookIngredientDto(
+    string Name,
+    string Location,
+    decimal? Quantity = null,
+    string? Unit = null,
+    DateOnly? PurchasedOn = null,
+    DateOnly? BestBefore = null);
+
+public sealed record RecipeBookRecipeIngredientDto(string Name, decimal? Quantity = null, string? Unit = null);
+
+public sealed record RecipeBookRecipeDto(
+    string Name,
+    string? Instructions,
+    int? Servings,
+    IReadOnlyList<RecipeBookRecipeIngredientDto> Ingredients);
+
+// A tag or a collection with the names of the recipes in it.
+public sealed record RecipeBookGroupDto(string Name, IReadOnlyList<string> Recipes);
+
+// Duplicates are names that were already saved (merge mode) or appeared twice in the file; they are skipped,
+// except that a duplicate tag still labels the recipes this import adds. PhotosDeleted counts the photo
+// files a replace removed, since backups don't carry them.
+public sealed record ImportRecipeBookResultDto(
+    string Mode,
+    int IngredientsAdded,
+    int RecipesAdded,
+    int TagsAdded,
+    int CollectionsAdded,
+    IReadOnlyList<string> DuplicateIngredients,
+    IReadOnlyList<string> DuplicateRecipes,
+    IReadOnlyList<string> DuplicateTags,
+    IReadOnlyList<string> DuplicateCollections,
+    int PhotosDeleted);
@@ -0,0 +1,5 @@
+namespace RecipeApi.Contracts;
+
+public sealed record RecipeCollectionDto(int Id, string Name, DateTime CreatedAt, IReadOnlyList<int> RecipeIds);
+
+public sealed record CreateRecipeCollectionRequest(string Name);
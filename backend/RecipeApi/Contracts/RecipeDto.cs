@@ -2,6 +2,24 @@ namespace RecipeApi.Contracts;
 
 public sealed record RecipeIngredientDto(int IngredientId, string Name, decimal? Quantity, string? Unit);
 
-public sealed record RecipeDto(int Id, string Name, string? Instructions, IReadOnlyList<RecipeIngredientDto> Ingredients);
+public sealed record RecipeDto(
+    int Id,
+    string Name,
+    string? Instructions,
+    int? Servings,
+    IReadOnlyList<RecipeIngredientDto> Ingredients,
+    IReadOnlyList<string> Tags,
+    IReadOnlyList<int> ImageIds,
+    int? AiGenerationId = null,
+    int? CoverImageId = null);
 
-public sealed record RecipeSummaryDto(int Id, string Name);
+public sealed record RecipeMatchDto(
+    int Id,
+    string Name,
+    int MatchedCount,
+    int RequiredCount,
+    double Coverage,
+    IReadOnlyList<RecipeIngredientDto> Missing,
+    IReadOnlyList<RecipeIngredientDto> MissingStaples);
+
+public sealed record RecipeSearchResultDto(IReadOnlyList<RecipeDto> Items, int Total, int Page, int PageSize);
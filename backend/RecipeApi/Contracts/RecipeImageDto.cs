@@ -0,0 +1,9 @@
+namespace RecipeApi.Contracts;
+
+public sealed record RecipeImageDto(int Id, string Url, string ContentType, int SizeBytes, bool IsCover, DateTime CreatedAt);
+
+// `Image` is base64, with or without a "data:image/...;base64," prefix.
+public sealed record UploadRecipeImageRequest(string? Image, bool IsCover = false);
+
+// A null ImageId clears the cover.
+public sealed record SetRecipeCoverRequest(int? ImageId);
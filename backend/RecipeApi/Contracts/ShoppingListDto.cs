@@ -0,0 +1,14 @@
+namespace RecipeApi.Contracts;
+
+public sealed record ShoppingListItemDto(
+    int Id,
+    int? IngredientId,
+    string Name,
+    decimal? Quantity,
+    string? Unit,
+    string Location,
+    bool Checked);
+
+public sealed record ShoppingListDto(int Id, string Name, DateTime CreatedAt, IReadOnlyList<ShoppingListItemDto> Items);
+
+public sealed record ShoppingListSummaryDto(int Id, string Name, DateTime CreatedAt, int ItemCount, int CheckedCount);
@@ -0,0 +1,5 @@
+namespace RecipeApi.Contracts;
+
+public sealed record TagDto(string Name, int RecipeCount);
+
+public sealed record SetRecipeTagsRequest(IReadOnlyList<string>? Tags);
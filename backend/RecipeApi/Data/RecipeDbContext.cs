@@ -8,6 +8,16 @@ public sealed class RecipeDbContext(DbContextOptions<RecipeDbContext> options) :
     public DbSet<Ingredient> Ingredients => Set<Ingredient>();
     public DbSet<Recipe> Recipes => Set<Recipe>();
     public DbSet<RecipeIngredient> RecipeIngredients => Set<RecipeIngredient>();
+    public DbSet<ShoppingList> ShoppingLists => Set<ShoppingList>();
+    public DbSet<ShoppingListItem> ShoppingListItems => Set<ShoppingListItem>();
+    public DbSet<MealPlan> MealPlans => Set<MealPlan>();
+    public DbSet<MealPlanEntry> MealPlanEntries => Set<MealPlanEntry>();
+    public DbSet<AiGeneration> AiGenerations => Set<AiGeneration>();
+    public DbSet<Tag> Tags => Set<Tag>();
+    public DbSet<RecipeTag> RecipeTags => Set<RecipeTag>();
+    public DbSet<RecipeCollection> RecipeCollections => Set<RecipeCollection>();
+    public DbSet<RecipeCollectionEntry> RecipeCollectionEntries => Set<RecipeCollectionEntry>();
+    public DbSet<RecipeImage> RecipeImages => Set<RecipeImage>();
 
     protected override void OnModelCreating(ModelBuilder modelBuilder)
     {
@@ -18,6 +28,8 @@ public sealed class RecipeDbContext(DbContextOptions<RecipeDbContext> options) :
                 .HasConversion<string>()
                 .HasMaxLength(16)
                 .HasDefaultValue(StorageLocation.Pantry);
+            entity.Property(i => i.Quantity).HasColumnType("numeric(10,2)");
+            entity.Property(i => i.Unit).HasMaxLength(32);
             entity.HasIndex(i => i.Name).IsUnique();
         });
 
@@ -25,6 +37,11 @@ public sealed class RecipeDbContext(DbContextOptions<RecipeDbContext> options) :
         {
             entity.Property(r => r.Name).HasMaxLength(200);
             entity.HasIndex(r => r.Name).IsUnique();
+
+            entity.HasOne(r => r.AiGeneration)
+                .WithMany(g => g.SavedRecipes)
+                .HasForeignKey(r => r.AiGenerationId)
+                .OnDelete(DeleteBehavior.SetNull);
         });
 
         modelBuilder.Entity<RecipeIngredient>(entity =>
@@ -41,5 +58,108 @@ public sealed class RecipeDbContext(DbContextOptions<RecipeDbContext> options) :
                 .WithMany(i => i.RecipeIngredients)
                 .HasForeignKey(ri => ri.IngredientId);
         });
+
+        modelBuilder.Entity<ShoppingList>(entity =>
+        {
+            entity.Property(l => l.Name).HasMaxLength(200);
+        });
+
+        modelBuilder.Entity<ShoppingListItem>(entity =>
+        {
+            entity.Property(i => i.Name).HasMaxLength(200);
+            entity.Property(i => i.Quantity).HasColumnType("numeric(10,2)");
+            entity.Property(i => i.Unit).HasMaxLength(32);
+            entity.Property(i => i.Location)
+                .HasConversion<string>()
+                .HasMaxLength(16)
+                .HasDefaultValue(StorageLocation.Pantry);
+
+            entity.HasOne(i => i.ShoppingList)
+                .WithMany(l => l.Items)
+                .HasForeignKey(i => i.ShoppingListId);
+
+            entity.HasOne(i => i.Ingredient)
+                .WithMany()
+                .HasForeignKey(i => i.IngredientId)
+                .OnDelete(DeleteBehavior.SetNull);
+        });
+
+        modelBuilder.Entity<MealPlan>(entity =>
+        {
+            entity.HasIndex(p => p.WeekStart).IsUnique();
+        });
+
+        modelBuilder.Entity<MealPlanEntry>(entity =>
+        {
+            entity.Property(e => e.Meal)
+                .HasConversion<string>()
+                .HasMaxLength(16);
+            entity.HasIndex(e => new { e.MealPlanId, e.Date, e.Meal }).IsUnique();
+
+            entity.HasOne(e => e.MealPlan)
+                .WithMany(p => p.Entries)
+                .HasForeignKey(e => e.MealPlanId);
+
+            entity.HasOne(e => e.Recipe)
+                .WithMany()
+                .HasForeignKey(e => e.RecipeId);
+        });
+
+        modelBuilder.Entity<AiGeneration>(entity =>
+        {
+            entity.Property(g => g.Format).HasMaxLength(8);
+            entity.Property(g => g.Provider).HasMaxLength(64);
+            entity.Property(g => g.Model).HasMaxLength(200);
+            entity.Property(g => g.Recipes).HasColumnType("jsonb");
+            entity.HasIndex(g => g.CreatedAt);
+        });
+
+        modelBuilder.Entity<Tag>(entity =>
+        {
+            entity.Property(t => t.Name).HasMaxLength(40);
+            entity.HasIndex(t => t.Name).IsUnique();
+        });
+
+        modelBuilder.Entity<RecipeTag>(entity =>
+        {
+            entity.HasKey(rt => new { rt.RecipeId, rt.TagId });
+
+            entity.HasOne(rt => rt.Recipe)
+                .WithMany(r => r.RecipeTags)
+                .HasForeignKey(rt => rt.RecipeId);
+
+            entity.HasOne(rt => rt.Tag)
+                .WithMany(t => t.RecipeTags)
+                .HasForeignKey(rt => rt.TagId);
+        });
+
+        modelBuilder.Entity<RecipeImage>(entity =>
+        {
+            entity.Property(i => i.FileName).HasMaxLength(200);
+            entity.Property(i => i.ContentType).HasMaxLength(32);
+
+            entity.HasOne(i => i.Recipe)
+                .WithMany(r => r.Images)
+                .HasForeignKey(i => i.RecipeId);
+        });
+
+        modelBuilder.Entity<RecipeCollection>(entity =>
+        {
+            entity.Property(c => c.Name).HasMaxLength(200);
+            entity.HasIndex(c => c.Name).IsUnique();
+        });
+
+        modelBuilder.Entity<RecipeCollectionEntry>(entity =>
+        {
+            entity.HasKey(e => new { e.RecipeCollectionId, e.RecipeId });
+
+            entity.HasOne(e => e.RecipeCollection)
+                .WithMany(c => c.Entries)
+                .HasForeignKey(e => e.RecipeCollectionId);
+
+            entity.HasOne(e => e.Recipe)
+                .WithMany()
+                .HasForeignKey(e => e.RecipeId);
+        });
     }
 }
@@ -0,0 +1,62 @@
+using System.Globalization;
+using System.Text;
+using RecipeApi.Contracts;
+
+namespace RecipeApi.Export;
+
+public static class RecipeBookExporter
+{
+    // Version of the JSON backup served by GET /api/export and accepted by POST /api/import.
+    public const int FormatVersion = 2;
+
+    // Headings and "200 g Flour" lines match what the frontend's text import reads, so an exported file
+    // can be imported again.
+    public static string ToMarkdown(IReadOnlyList<RecipeDto> recipes)
+    {
+        var sb = new StringBuilder();
+        foreach (var recipe in recipes)
+        {
+            if (sb.Length > 0)
+            {
+                sb.AppendLine();
+                sb.AppendLine("---");
+                sb.AppendLine();
+            }
+
+            sb.AppendLine($"# {recipe.Name}");
+            if (recipe.Servings is not null)
+            {
+                sb.AppendLine();
+                sb.AppendLine($"Serves {recipe.Servings}");
+            }
+
+            sb.AppendLine();
+            sb.AppendLine("## Ingredients");
+            sb.AppendLine();
+            foreach (var ingredient in recipe.Ingredients)
+            {
+                sb.AppendLine($"- {FormatIngredient(ingredient)}");
+            }
+
+            if (!string.IsNullOrWhiteSpace(recipe.Instructions))
+            {
+                sb.AppendLine();
+                sb.AppendLine("## Instructions");
+                sb.AppendLine();
+                sb.AppendLine(recipe.Instructions.Trim());
+            }
+        }
+
+        return sb.ToString();
+    }
+
+    private static string FormatIngredient(RecipeIngredientDto ingredient)
+    {
+        if (ingredient.Quantity is null) return ingredient.Name;
+
+        var quantity = ingredient.Quantity.Value.ToString("0.##", CultureInfo.InvariantCulture);
+        return string.IsNullOrEmpty(ingredient.Unit)
+            ? $"{quantity} {ingredient.Name}"
+            : $"{quantity} {ingredient.Unit} {ingredient.Name}";
+    }
+}
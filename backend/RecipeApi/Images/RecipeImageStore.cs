@@ -0,0 +1,77 @@
+using System.Globalization;
+
+namespace RecipeApi.Images;
+
+// Recipe photos on local disk, one folder per recipe under the configured root (RECIPE_IMAGES_PATH, a
+// volume in docker-compose). The database only records the relative file name.
+public sealed class RecipeImageStore(string rootPath)
+{
+    public const int MaxImagesPerRecipe = 12;
+
+    // The browser downsizes photos before uploading, so this only stops oversized originals.
+    public const int MaxImageBytes = 5 * 1024 * 1024;
+
+    public string RootPath { get; } = Path.GetFullPath(rootPath);
+
+    // Sniffed from the first bytes rather than trusted from the upload; null for anything that isn't a
+    // JPEG, PNG, WebP or GIF.
+    public static string? DetectContentType(ReadOnlySpan<byte> data)
+    {
+        if (data.StartsWith((ReadOnlySpan<byte>)[0xFF, 0xD8, 0xFF]))
+        {
+            return "image/jpeg";
+        }
+
+        if (data.StartsWith((ReadOnlySpan<byte>)[0x89, 0x50, 0x4E, 0x47]))
+        {
+            return "image/png";
+        }
+
+        if (data.Length >= 12 && data[..4].SequenceEqual("RIFF"u8) && data[8..12].SequenceEqual("WEBP"u8))
+        {
+            return "image/webp";
+        }
+
+        return data.StartsWith("GIF8"u8) ? "image/gif" : null;
+    }
+
+    public async Task<string> SaveAsync(int recipeId, byte[] data, string contentType, CancellationToken cancellationToken)
+    {
+        var extension = contentType switch
+        {
+            "image/png" => ".png",
+            "image/webp" => ".webp",
+            "image/gif" => ".gif",
+            _ => ".jpg",
+        };
+        var fileName = $"{recipeId.ToString(CultureInfo.InvariantCulture)}/{Guid.NewGuid():N}{extension}";
+
+        Directory.CreateDirectory(RecipeDirectory(recipeId));
+        await File.WriteAllBytesAsync(PathFor(fileName), data, cancellationToken);
+        return fileName;
+    }
+
+    public string PathFor(string fileName) => Path.Combine(RootPath, fileName);
+
+    public void Delete(string fileName)
+    {
+        var path = PathFor(fileName);
+        if (File.Exists(path))
+        {
+            File.Delete(path);
+        }
+    }
+
+    // Called once the recipe itself is gone; its rows went with it through the cascade.
+    public void DeleteRecipe(int recipeId)
+    {
+        var directory = RecipeDirectory(recipeId);
+        if (Directory.Exists(directory))
+        {
+            Directory.Delete(directory, recursive: true);
+        }
+    }
+
+    private string RecipeDirectory(int recipeId) =>
+        Path.Combine(RootPath, recipeId.ToString(CultureInfo.InvariantCulture));
+}
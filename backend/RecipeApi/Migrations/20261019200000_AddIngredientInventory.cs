@@ -0,0 +1,60 @@
+﻿using System;
+using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace RecipeApi.Migrations
+{
+    /// <inheritdoc />
+    public partial class AddIngredientInventory : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.AddColumn<DateOnly>(
+                name: "BestBefore",
+                table: "Ingredients",
+                type: "date",
+                nullable: true);
+
+            migrationBuilder.AddColumn<DateOnly>(
+                name: "PurchasedOn",
+                table: "Ingredients",
+                type: "date",
+                nullable: true);
+
+            migrationBuilder.AddColumn<decimal>(
+                name: "Quantity",
+                table: "Ingredients",
+                type: "numeric(10,2)",
+                nullable: true);
+
+            migrationBuilder.AddColumn<string>(
+                name: "Unit",
+                table: "Ingredients",
+                type: "character varying(32)",
+                maxLength: 32,
+                nullable: true);
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropColumn(
+                name: "BestBefore",
+                table: "Ingredients");
+
+            migrationBuilder.DropColumn(
+                name: "PurchasedOn",
+                table: "Ingredients");
+
+            migrationBuilder.DropColumn(
+                name: "Quantity",
+                table: "Ingredients");
+
+            migrationBuilder.DropColumn(
+                name: "Unit",
+                table: "Ingredients");
+        }
+    }
+}
@@ -0,0 +1,84 @@
+﻿using System;
+using System.Collections.Generic;
+using Microsoft.EntityFrameworkCore.Migrations;
+using Npgsql.EntityFrameworkCore.PostgreSQL.Metadata;
+
+#nullable disable
+
+namespace RecipeApi.Migrations
+{
+    /// <inheritdoc />
+    public partial class AddAiGenerations : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.CreateTable(
+                name: "AiGenerations",
+                columns: table => new
+                {
+                    Id = table.Column<int>(type: "integer", nullable: false)
+                        .Annotation("Npgsql:ValueGenerationStrategy", NpgsqlValueGenerationStrategy.IdentityByDefaultColumn),
+                    CreatedAt = table.Column<DateTime>(type: "timestamp with time zone", nullable: false),
+                    IngredientIds = table.Column<List<int>>(type: "integer[]", nullable: false),
+                    IngredientNames = table.Column<List<string>>(type: "text[]", nullable: false),
+                    PriorityIngredientIds = table.Column<List<int>>(type: "integer[]", nullable: false),
+                    DietaryProfiles = table.Column<List<string>>(type: "text[]", nullable: false),
+                    Notes = table.Column<string>(type: "text", nullable: true),
+                    MaxRecipes = table.Column<int>(type: "integer", nullable: true),
+                    Format = table.Column<string>(type: "character varying(8)", maxLength: 8, nullable: false),
+                    Provider = table.Column<string>(type: "character varying(64)", maxLength: 64, nullable: false),
+                    Model = table.Column<string>(type: "character varying(200)", maxLength: 200, nullable: false),
+                    Content = table.Column<string>(type: "text", nullable: false),
+                    Recipes = table.Column<string>(type: "jsonb", nullable: true)
+                },
+                constraints: table =>
+                {
+                    table.PrimaryKey("PK_AiGenerations", x => x.Id);
+                });
+
+            migrationBuilder.AddColumn<int>(
+                name: "AiGenerationId",
+                table: "Recipes",
+                type: "integer",
+                nullable: true);
+
+            migrationBuilder.CreateIndex(
+                name: "IX_Recipes_AiGenerationId",
+                table: "Recipes",
+                column: "AiGenerationId");
+
+            migrationBuilder.CreateIndex(
+                name: "IX_AiGenerations_CreatedAt",
+                table: "AiGenerations",
+                column: "CreatedAt");
+
+            migrationBuilder.AddForeignKey(
+                name: "FK_Recipes_AiGenerations_AiGenerationId",
+                table: "Recipes",
+                column: "AiGenerationId",
+                principalTable: "AiGenerations",
+                principalColumn: "Id",
+                onDelete: ReferentialAction.SetNull);
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropForeignKey(
+                name: "FK_Recipes_AiGenerations_AiGenerationId",
+                table: "Recipes");
+
+            migrationBuilder.DropTable(
+                name: "AiGenerations");
+
+            migrationBuilder.DropIndex(
+                name: "IX_Recipes_AiGenerationId",
+                table: "Recipes");
+
+            migrationBuilder.DropColumn(
+                name: "AiGenerationId",
+                table: "Recipes");
+        }
+    }
+}
@@ -0,0 +1,26 @@
+namespace RecipeApi.Models;
+
+// One run of the Ask AI generator: the inputs it was given, so it can be run again, and what came back.
+// Ingredient names are kept alongside the ids because ingredients can be renamed or deleted later.
+public sealed class AiGeneration
+{
+    public int Id { get; set; }
+    public DateTime CreatedAt { get; set; }
+    public List<int> IngredientIds { get; set; } = [];
+    public List<string> IngredientNames { get; set; } = [];
+    public List<int> PriorityIngredientIds { get; set; } = [];
+    public List<string> DietaryProfiles { get; set; } = [];
+    public string? Notes { get; set; }
+    public int? MaxRecipes { get; set; }
+
+    // "text" or "json", as requested.
+    public required string Format { get; set; }
+    public required string Provider { get; set; }
+    public required string Model { get; set; }
+
+    // The raw model output; for JSON runs also the validated recipes, serialized as returned to the client.
+    public required string Content { get; set; }
+    public string? Recipes { get; set; }
+
+    public ICollection<Recipe> SavedRecipes { get; set; } = [];
+}
@@ -5,5 +5,9 @@ public sealed class Ingredient
     public int Id { get; set; }
     public required string Name { get; set; }
     public StorageLocation Location { get; set; } = StorageLocation.Pantry;
+    public decimal? Quantity { get; set; }
+    public string? Unit { get; set; }
+    public DateOnly? PurchasedOn { get; set; }
+    public DateOnly? BestBefore { get; set; }
     public ICollection<RecipeIngredient> RecipeIngredients { get; set; } = [];
 }
@@ -0,0 +1,10 @@
+namespace RecipeApi.Models;
+
+public sealed class MealPlan
+{
+    public int Id { get; set; }
+
+    // Always a Monday; one plan per week.
+    public DateOnly WeekStart { get; set; }
+    public ICollection<MealPlanEntry> Entries { get; set; } = [];
+}
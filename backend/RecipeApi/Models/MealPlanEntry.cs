@@ -0,0 +1,15 @@
+namespace RecipeApi.Models;
+
+public sealed class MealPlanEntry
+{
+    public int Id { get; set; }
+
+    public int MealPlanId { get; set; }
+    public MealPlan MealPlan { get; set; } = default!;
+
+    public DateOnly Date { get; set; }
+    public MealSlot Meal { get; set; }
+
+    public int RecipeId { get; set; }
+    public Recipe Recipe { get; set; } = default!;
+}
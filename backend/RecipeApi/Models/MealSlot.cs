@@ -0,0 +1,8 @@
+namespace RecipeApi.Models;
+
+public enum MealSlot
+{
+    Breakfast = 0,
+    Lunch = 1,
+    Dinner = 2,
+}
@@ -5,5 +5,12 @@ public sealed class Recipe
     public int Id { get; set; }
     public required string Name { get; set; }
     public string? Instructions { get; set; }
+    public int? Servings { get; set; }
+
+    // The AI generation this recipe was saved from, if any.
+    public int? AiGenerationId { get; set; }
+    public AiGeneration? AiGeneration { get; set; }
     public ICollection<RecipeIngredient> RecipeIngredients { get; set; } = [];
+    public ICollection<RecipeTag> RecipeTags { get; set; } = [];
+    public ICollection<RecipeImage> Images { get; set; } = [];
 }
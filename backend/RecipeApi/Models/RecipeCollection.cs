@@ -0,0 +1,10 @@
+namespace RecipeApi.Models;
+
+// A named, hand-picked group of recipes ("Christmas", "Batch cooking"); a recipe can be in several.
+public sealed class RecipeCollection
+{
+    public int Id { get; set; }
+    public required string Name { get; set; }
+    public DateTime CreatedAt { get; set; }
+    public ICollection<RecipeCollectionEntry> Entries { get; set; } = [];
+}
@@ -0,0 +1,12 @@
+namespace RecipeApi.Models;
+
+public sealed class RecipeCollectionEntry
+{
+    public int RecipeCollectionId { get; set; }
+    public RecipeCollection RecipeCollection { get; set; } = default!;
+
+    public int RecipeId { get; set; }
+    public Recipe Recipe { get; set; } = default!;
+
+    public DateTime AddedAt { get; set; }
+}
@@ -0,0 +1,17 @@
+namespace RecipeApi.Models;
+
+// A photo attached to a recipe. The bytes live on disk (see RecipeImageStore); FileName is the path
+// under the storage root. At most one image per recipe is its cover.
+public sealed class RecipeImage
+{
+    public int Id { get; set; }
+
+    public int RecipeId { get; set; }
+    public Recipe Recipe { get; set; } = default!;
+
+    public required string FileName { get; set; }
+    public required string ContentType { get; set; }
+    public int SizeBytes { get; set; }
+    public bool IsCover { get; set; }
+    public DateTime CreatedAt { get; set; }
+}
@@ -0,0 +1,10 @@
+namespace RecipeApi.Models;
+
+public sealed class RecipeTag
+{
+    public int RecipeId { get; set; }
+    public Recipe Recipe { get; set; } = default!;
+
+    public int TagId { get; set; }
+    public Tag Tag { get; set; } = default!;
+}
@@ -0,0 +1,9 @@
+namespace RecipeApi.Models;
+
+public sealed class ShoppingList
+{
+    public int Id { get; set; }
+    public required string Name { get; set; }
+    public DateTime CreatedAt { get; set; }
+    public ICollection<ShoppingListItem> Items { get; set; } = [];
+}
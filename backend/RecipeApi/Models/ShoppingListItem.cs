@@ -0,0 +1,19 @@
+namespace RecipeApi.Models;
+
+public sealed class ShoppingListItem
+{
+    public int Id { get; set; }
+
+    public int ShoppingListId { get; set; }
+    public ShoppingList ShoppingList { get; set; } = default!;
+
+    // Kept when the ingredient is deleted later; the item still has its own name.
+    public int? IngredientId { get; set; }
+    public Ingredient? Ingredient { get; set; }
+
+    public required string Name { get; set; }
+    public decimal? Quantity { get; set; }
+    public string? Unit { get; set; }
+    public StorageLocation Location { get; set; } = StorageLocation.Pantry;
+    public bool Checked { get; set; }
+}
@@ -0,0 +1,10 @@
+namespace RecipeApi.Models;
+
+// A user-defined label such as "weeknight" or "kid-friendly". Names are stored normalized (lowercase,
+// single spaces), so "Weeknight " and "weeknight" are the same tag.
+public sealed class Tag
+{
+    public int Id { get; set; }
+    public required string Name { get; set; }
+    public ICollection<RecipeTag> RecipeTags { get; set; } = [];
+}
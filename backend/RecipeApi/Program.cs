@@ -1,9 +1,18 @@
+using Microsoft.AspNetCore.Http.Json;
 using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Options;
+using System.Buffers.Text;
 using System.Globalization;
+using System.Text;
+using System.Text.Json;
 using RecipeApi.Ai;
 using RecipeApi.Contracts;
 using RecipeApi.Data;
+using RecipeApi.Export;
+using RecipeApi.Images;
 using RecipeApi.Models;
+using RecipeApi.Shopping;
+using RecipeApi.Undo;
 
 var builder = WebApplication.CreateBuilder(args);
 
@@ -23,6 +32,9 @@ if (string.IsNullOrWhiteSpace(connectionString))
 
 builder.Services.AddDbContext<RecipeDbContext>(options => options.UseNpgsql(connectionString));
 
+// AI providers. Ollama Cloud needs a key; a local Ollama and the offline fixture are always available,
+// and an OpenAI-compatible server is added when it is configured. Requests can pick any of them, the
+// default comes from AI_PROVIDER.
 var ollamaBaseUrl = builder.Configuration["Ollama:BaseUrl"]
     ?? builder.Configuration["OLLAMA_BASE_URL"]
     ?? "https://ollama.com";
@@ -34,14 +46,95 @@ var ollamaModel = builder.Configuration["Ollama:Model"]
 var ollamaApiKey = builder.Configuration["Ollama:ApiKey"]
     ?? builder.Configuration["OLLAMA_API_KEY"];
 
-builder.Services.AddSingleton(new OllamaConfig(new Uri(ollamaBaseUrl), ollamaModel, ollamaApiKey));
-builder.Services.AddHttpClient<OllamaChatClient>((sp, client) =>
+var ollamaVisionModel = builder.Configuration["Ollama:VisionModel"]
+    ?? builder.Configuration["OLLAMA_VISION_MODEL"];
+
+var ollamaLocalUrl = builder.Configuration["Ollama:LocalUrl"]
+    ?? builder.Configuration["OLLAMA_LOCAL_URL"]
+    ?? "http://localhost:11434";
+
+var ollamaLocalModel = builder.Configuration["Ollama:LocalModel"]
+    ?? builder.Configuration["OLLAMA_LOCAL_MODEL"]
+    ?? "llama3.2";
+
+var openAiBaseUrl = builder.Configuration["OpenAi:BaseUrl"]
+    ?? builder.Configuration["OPENAI_BASE_URL"];
+
+var openAiApiKey = builder.Configuration["OpenAi:ApiKey"]
+    ?? builder.Configuration["OPENAI_API_KEY"];
+
+var openAiModel = builder.Configuration["OpenAi:Model"]
+    ?? builder.Configuration["OPENAI_MODEL"]
+    ?? "gpt-4o-mini";
+
+var openAiVisionModel = builder.Configuration["OpenAi:VisionModel"]
+    ?? builder.Configuration["OPENAI_VISION_MODEL"];
+
+var aiProviderId = builder.Configuration["Ai:Provider"]
+    ?? builder.Configuration["AI_PROVIDER"];
+
+var ollamaConfigs = new List<OllamaConfig>();
+if (!string.IsNullOrWhiteSpace(ollamaApiKey))
+{
+    ollamaConfigs.Add(new OllamaConfig(
+        "ollama-cloud", "Ollama Cloud", new Uri(ollamaBaseUrl), ollamaModel, ollamaApiKey, ollamaVisionModel));
+}
+
+ollamaConfigs.Add(new OllamaConfig("ollama", "Local Ollama", new Uri(ollamaLocalUrl), ollamaLocalModel, null));
+
+OpenAiConfig? openAiConfig = null;
+if (!string.IsNullOrWhiteSpace(openAiBaseUrl) || !string.IsNullOrWhiteSpace(openAiApiKey))
+{
+    // HttpClient resolves relative paths against the last slash, so "/v1" must become "/v1/".
+    var baseUrl = (openAiBaseUrl ?? "https://api.openai.com/v1").TrimEnd('/') + "/";
+    openAiConfig = new OpenAiConfig(
+        "openai", "OpenAI-compatible", new Uri(baseUrl), openAiModel, openAiApiKey, openAiVisionModel);
+}
+
+foreach (var config in ollamaConfigs)
+{
+    builder.Services.AddHttpClient(config.Id, client =>
+    {
+        client.BaseAddress = config.BaseUri;
+        client.Timeout = TimeSpan.FromSeconds(120);
+    });
+}
+
+if (openAiConfig is not null)
+{
+    builder.Services.AddHttpClient(openAiConfig.Id, client =>
+    {
+        client.BaseAddress = openAiConfig.BaseUri;
+        client.Timeout = TimeSpan.FromSeconds(120);
+    });
+}
+
+builder.Services.AddSingleton(sp =>
 {
-    var config = sp.GetRequiredService<OllamaConfig>();
-    client.BaseAddress = config.BaseUri;
-    client.Timeout = TimeSpan.FromSeconds(120);
+    var httpClients = sp.GetRequiredService<IHttpClientFactory>();
+    var providers = new List<IAiChatProvider>();
+    providers.AddRange(ollamaConfigs.Select(config => new OllamaChatClient(httpClients, config)));
+    if (openAiConfig is not null)
+    {
+        providers.Add(new OpenAiChatClient(httpClients, openAiConfig));
+    }
+
+    providers.Add(new FixtureChatClient());
+
+    // Without AI_PROVIDER the cloud is the default when it has a key. Otherwise there is none, and a request
+    // that doesn't name a provider gets the missing key error rather than canned fixture recipes.
+    var defaultId = aiProviderId ?? (string.IsNullOrWhiteSpace(ollamaApiKey) ? null : "ollama-cloud");
+    return new AiProviderRegistry(providers, defaultId);
 });
 
+// Recipe photos are files on disk; in Docker the folder is a volume so they survive rebuilds.
+var recipeImagesPath = builder.Configuration["RecipeImages:Path"]
+    ?? builder.Configuration["RECIPE_IMAGES_PATH"]
+    ?? Path.Combine(builder.Environment.ContentRootPath, "recipe-images");
+
+builder.Services.AddSingleton(new RecipeImageStore(recipeImagesPath));
+builder.Services.AddSingleton<IngredientUndoStore>();
+
 var app = builder.Build();
 
 if (app.Environment.IsDevelopment())
@@ -78,7 +171,14 @@ api.MapGet("/ingredients", async (RecipeDbContext db) =>
     var ingredients = await db.Ingredients
         .AsNoTracking()
         .OrderBy(i => i.Name)
-        .Select(i => new IngredientDto(i.Id, i.Name, i.Location.ToString()))
+        .Select(i => new IngredientDto(
+            i.Id,
+            i.Name,
+            i.Location.ToString(),
+            i.Quantity,
+            i.Unit,
+            i.PurchasedOn,
+            i.BestBefore))
         .ToListAsync();
 
     return Results.Ok(ingredients);
@@ -102,7 +202,21 @@ api.MapPost("/ingredients", async (RecipeDbContext db, CreateIngredientRequest r
         return Results.BadRequest(new { message = ex.Message });
     }
 
-    var ingredient = new Ingredient { Name = name, Location = location };
+    var inventory = ValidateInventory(request.Quantity, request.Unit, request.PurchasedOn, request.BestBefore);
+    if (inventory.Error is not null)
+    {
+        return inventory.Error;
+    }
+
+    var ingredient = new Ingredient
+    {
+        Name = name,
+        Location = location,
+        Quantity = request.Quantity,
+        Unit = inventory.Unit,
+        PurchasedOn = request.PurchasedOn,
+        BestBefore = request.BestBefore,
+    };
     db.Ingredients.Add(ingredient);
 
     try
@@ -114,10 +228,225 @@ api.MapPost("/ingredients", async (RecipeDbContext db, CreateIngredientRequest r
         return Results.Conflict(new { message = "Ingredient already exists." });
     }
 
-    return Results.Created($"/api/ingredients/{ingredient.Id}", new IngredientDto(
-        ingredient.Id,
-        ingredient.Name,
-        ingredient.Location.ToString()));
+    return Results.Created($"/api/ingredients/{ingredient.Id}", ToIngredientDto(ingredient));
+});
+
+// Renames an ingredient or moves it to another location; omitted fields stay as they are. Recipe
+// links point at the ingredient's id, so they survive both.
+api.MapPatch("/ingredients/{id:int}", async (RecipeDbContext db, int id, UpdateIngredientRequest request) =>
+{
+    var ingredient = await db.Ingredients.FindAsync(id);
+    if (ingredient is null)
+    {
+        return Results.NotFound();
+    }
+
+    if (request.Name is not null)
+    {
+        var name = NormalizeIngredientName(request.Name);
+        if (string.IsNullOrWhiteSpace(name))
+        {
+            return Results.BadRequest(new { message = "Name is required." });
+        }
+
+        ingredient.Name = name;
+    }
+
+    if (request.Location is not null)
+    {
+        try
+        {
+            ingredient.Location = ParseLocation(request.Location);
+        }
+        catch (ArgumentException ex)
+        {
+            return Results.BadRequest(new { message = ex.Message });
+        }
+    }
+
+    try
+    {
+        await db.SaveChangesAsync();
+    }
+    catch (DbUpdateException)
+    {
+        return Results.Conflict(new { message = "Ingredient already exists." });
+    }
+
+    return Results.Ok(ToIngredientDto(ingredient));
+});
+
+// Replaces the on-hand amount and dates; null clears a field.
+api.MapPut("/ingredients/{id:int}/inventory", async (RecipeDbContext db, int id, UpdateIngredientInventoryRequest request) =>
+{
+    var ingredient = await db.Ingredients.FindAsync(id);
+    if (ingredient is null)
+    {
+        return Results.NotFound();
+    }
+
+    var inventory = ValidateInventory(request.Quantity, request.Unit, request.PurchasedOn, request.BestBefore);
+    if (inventory.Error is not null)
+    {
+        return inventory.Error;
+    }
+
+    ingredient.Quantity = request.Quantity;
+    ingredient.Unit = inventory.Unit;
+    ingredient.PurchasedOn = request.PurchasedOn;
+    ingredient.BestBefore = request.BestBefore;
+    await db.SaveChangesAsync();
+
+    return Results.Ok(ToIngredientDto(ingredient));
+});
+
+// Which saved recipes use each ingredient, so a delete can warn before the links are removed.
+api.MapGet("/ingredients/usage", async (RecipeDbContext db, int[] ids) =>
+{
+    var usage = await db.Ingredients
+        .AsNoTracking()
+        .Where(i => ids.Contains(i.Id))
+        .OrderBy(i => i.Name)
+        .Select(i => new IngredientUsageDto(
+            i.Id,
+            i.Name,
+            i.RecipeIngredients
+                .OrderBy(ri => ri.Recipe.Name)
+                .Select(ri => new RecipeReferenceDto(ri.RecipeId, ri.Recipe.Name))
+                .ToList()))
+        .ToListAsync();
+
+    return Results.Ok(usage);
+});
+
+// Deletes several ingredients in one SaveChanges, so either all of them go or none do. The response
+// describes what was removed, recipe links included, with a token that /ingredients/restore takes to undo it.
+api.MapDelete("/ingredients", async (RecipeDbContext db, IngredientUndoStore undo, int[] ids) =>
+{
+    if (ids.Length == 0)
+    {
+        return Results.BadRequest(new { message = "Provide at least one id." });
+    }
+
+    var distinctIds = ids.Distinct().ToArray();
+    var ingredients = await db.Ingredients
+        .Include(i => i.RecipeIngredients)
+        .Where(i => distinctIds.Contains(i.Id))
+        .OrderBy(i => i.Name)
+        .ToListAsync();
+
+    var missingIngredientIds = distinctIds.Except(ingredients.Select(i => i.Id)).ToArray();
+    if (missingIngredientIds.Length > 0)
+    {
+        return Results.NotFound(new { message = "Unknown ingredient IDs.", missingIngredientIds });
+    }
+
+    // The foreign key sets these to null rather than deleting the items, so note them for the undo.
+    var shoppingListItems = (await db.ShoppingListItems
+        .AsNoTracking()
+        .Where(i => i.IngredientId != null && distinctIds.Contains(i.IngredientId.Value))
+        .Select(i => new { i.Id, IngredientId = i.IngredientId!.Value })
+        .ToListAsync())
+        .ToLookup(i => i.IngredientId, i => i.Id);
+
+    var deleted = ingredients
+        .Select(i => new DeletedIngredientDto(
+            i.Id,
+            i.Name,
+            i.Location.ToString(),
+            i.Quantity,
+            i.Unit,
+            i.PurchasedOn,
+            i.BestBefore,
+            i.RecipeIngredients
+                .OrderBy(ri => ri.RecipeId)
+                .Select(ri => new DeletedRecipeLinkDto(ri.RecipeId, ri.Quantity, ri.Unit))
+                .ToList(),
+            shoppingListItems[i.Id].Order().ToList()))
+        .ToList();
+
+    db.Ingredients.RemoveRange(ingredients);
+    await db.SaveChangesAsync();
+
+    return Results.Ok(new DeletedIngredientsDto(undo.Add(deleted), deleted));
+});
+
+// Undoes a bulk delete from the server's own record of it, so only what that delete removed comes back.
+// Ingredients keep their old ids so selections line up again, and recipe links and shopping list items
+// are relinked; recipes and items deleted in the meantime are skipped.
+api.MapPost("/ingredients/restore", async (RecipeDbContext db, IngredientUndoStore undo, RestoreIngredientsRequest request) =>
+{
+    var deletedIngredients = undo.Find(request.UndoToken);
+    if (deletedIngredients is null)
+    {
+        return Results.NotFound(new { message = "That delete can no longer be undone." });
+    }
+
+    var recipeIds = deletedIngredients
+        .SelectMany(i => i.RecipeLinks)
+        .Select(l => l.RecipeId)
+        .Distinct()
+        .ToArray();
+    var existingRecipeIds = (await db.Recipes
+        .Where(r => recipeIds.Contains(r.Id))
+        .Select(r => r.Id)
+        .ToListAsync())
+        .ToHashSet();
+
+    // Items that were linked to something else since (or deleted) are left alone.
+    var itemIds = deletedIngredients.SelectMany(i => i.ShoppingListItemIds).ToArray();
+    var shoppingListItems = await db.ShoppingListItems
+        .Where(i => itemIds.Contains(i.Id) && i.IngredientId == null)
+        .ToDictionaryAsync(i => i.Id);
+
+    var ingredients = new List<Ingredient>();
+    foreach (var deleted in deletedIngredients)
+    {
+        var ingredient = new Ingredient
+        {
+            Id = deleted.Id,
+            Name = deleted.Name,
+            Location = ParseLocation(deleted.Location),
+            Quantity = deleted.Quantity,
+            Unit = deleted.Unit,
+            PurchasedOn = deleted.PurchasedOn,
+            BestBefore = deleted.BestBefore,
+        };
+
+        foreach (var link in deleted.RecipeLinks.Where(l => existingRecipeIds.Contains(l.RecipeId)))
+        {
+            ingredient.RecipeIngredients.Add(new RecipeIngredient
+            {
+                RecipeId = link.RecipeId,
+                Quantity = link.Quantity,
+                Unit = link.Unit,
+            });
+        }
+
+        foreach (var itemId in deleted.ShoppingListItemIds)
+        {
+            if (shoppingListItems.TryGetValue(itemId, out var item))
+            {
+                item.Ingredient = ingredient;
+            }
+        }
+
+        ingredients.Add(ingredient);
+    }
+
+    db.Ingredients.AddRange(ingredients);
+
+    try
+    {
+        await db.SaveChangesAsync();
+    }
+    catch (DbUpdateException)
+    {
+        return Results.Conflict(new { message = "An ingredient with that name or id exists again, so the delete can't be undone." });
+    }
+
+    undo.Remove(request.UndoToken);
+    return Results.Ok(ingredients.OrderBy(i => i.Name).Select(ToIngredientDto).ToList());
 });
 
 api.MapDelete("/ingredients/{id:int}", async (RecipeDbContext db, int id) =>
@@ -136,35 +465,118 @@ api.MapDelete("/ingredients/{id:int}", async (RecipeDbContext db, int id) =>
 
 api.MapGet("/recipes", async (RecipeDbContext db) =>
 {
-    var recipes = await db.Recipes
-        .AsNoTracking()
-        .OrderBy(r => r.Name)
-        .Select(r => new RecipeDto(
-            r.Id,
-            r.Name,
-            r.Instructions,
-            r.RecipeIngredients
-                .OrderBy(ri => ri.Ingredient.Name)
-                .Select(ri => new RecipeIngredientDto(ri.IngredientId, ri.Ingredient.Name, ri.Quantity, ri.Unit))
-                .ToList()))
+    var recipes = await SelectRecipeDtos(db.Recipes
+            .AsNoTracking()
+            .OrderBy(r => r.Name))
         .ToListAsync();
 
     return Results.Ok(recipes);
 });
 
+api.MapGet("/recipes/search", async (
+    RecipeDbContext db,
+    string? q,
+    int[] ingredientIds,
+    string? onlyLocation,
+    int? fewerIngredientsThan,
+    string[] tags,
+    int? collectionId,
+    string? sort,
+    int? page,
+    int? pageSize) =>
+{
+    var pageNumber = page ?? 1;
+    var size = pageSize ?? 20;
+    if (pageNumber < 1)
+    {
+        return Results.BadRequest(new { message = "page must be 1 or more." });
+    }
+
+    if (size is < 1 or > 100)
+    {
+        return Results.BadRequest(new { message = "pageSize must be between 1 and 100." });
+    }
+
+    if (fewerIngredientsThan is < 2)
+    {
+        return Results.BadRequest(new { message = "fewerIngredientsThan must be 2 or more." });
+    }
+
+    var recipes = db.Recipes.AsNoTracking();
+
+    // Every word has to appear somewhere in the recipe: its name, its instructions or an ingredient name.
+    foreach (var term in (q ?? string.Empty).Split(' ', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries))
+    {
+        var pattern = $"%{EscapeLikePattern(term)}%";
+        recipes = recipes.Where(r => EF.Functions.ILike(r.Name, pattern)
+            || (r.Instructions != null && EF.Functions.ILike(r.Instructions, pattern))
+            || r.RecipeIngredients.Any(ri => EF.Functions.ILike(ri.Ingredient.Name, pattern)));
+    }
+
+    foreach (var ingredientId in ingredientIds.Distinct())
+    {
+        recipes = recipes.Where(r => r.RecipeIngredients.Any(ri => ri.IngredientId == ingredientId));
+    }
+
+    if (!string.IsNullOrWhiteSpace(onlyLocation))
+    {
+        StorageLocation location;
+        try
+        {
+            location = ParseLocation(onlyLocation);
+        }
+        catch (ArgumentException ex)
+        {
+            return Results.BadRequest(new { message = ex.Message });
+        }
+
+        recipes = recipes.Where(r => r.RecipeIngredients.All(ri => ri.Ingredient.Location == location));
+    }
+
+    if (fewerIngredientsThan is not null)
+    {
+        recipes = recipes.Where(r => r.RecipeIngredients.Count < fewerIngredientsThan);
+    }
+
+    // Like ingredients, every requested tag has to be on the recipe.
+    foreach (var tag in tags.Select(NormalizeTagName).Where(t => t.Length > 0).Distinct())
+    {
+        recipes = recipes.Where(r => r.RecipeTags.Any(rt => rt.Tag.Name == tag));
+    }
+
+    if (collectionId is not null)
+    {
+        recipes = recipes.Where(r => db.RecipeCollectionEntries
+            .Any(e => e.RecipeCollectionId == collectionId && e.RecipeId == r.Id));
+    }
+
+    IOrderedQueryable<Recipe>? ordered = (sort ?? "name").ToLowerInvariant() switch
+    {
+        "name" => recipes.OrderBy(r => r.Name),
+        "-name" => recipes.OrderByDescending(r => r.Name),
+        "newest" => recipes.OrderByDescending(r => r.Id),
+        "ingredients" => recipes.OrderBy(r => r.RecipeIngredients.Count).ThenBy(r => r.Name),
+        _ => null,
+    };
+    if (ordered is null)
+    {
+        return Results.BadRequest(new { message = "Sort must be name, -name, newest or ingredients." });
+    }
+
+    var total = await recipes.CountAsync();
+    var items = await SelectRecipeDtos(ordered
+            .Skip((pageNumber - 1) * size)
+            .Take(size))
+        .ToListAsync();
+
+    return Results.Ok(new RecipeSearchResultDto(items, total, pageNumber, size));
+});
+
 api.MapGet("/recipes/{id:int}", async (RecipeDbContext db, int id) =>
 {
-    var recipe = await db.Recipes
-        .AsNoTracking()
-        .Where(r => r.Id == id)
-        .Select(r => new RecipeDto(
-            r.Id,
-            r.Name,
-            r.Instructions,
-            r.RecipeIngredients
-                .OrderBy(ri => ri.Ingredient.Name)
-                .Select(ri => new RecipeIngredientDto(ri.IngredientId, ri.Ingredient.Name, ri.Quantity, ri.Unit))
-                .ToList()))
+    var recipe = await SelectRecipeDtos(db.Recipes
+            .AsNoTracking()
+            .Where(r => r.Id == id))
         .FirstOrDefaultAsync();
 
     return recipe is null ? Results.NotFound() : Results.Ok(recipe);
@@ -172,35 +584,29 @@ api.MapGet("/recipes/{id:int}", async (RecipeDbContext db, int id) =>
 
 api.MapPost("/recipes", async (RecipeDbContext db, CreateRecipeRequest request) =>
 {
-    var name = request.Name.Trim();
-    if (string.IsNullOrWhiteSpace(name))
+    var (name, instructions, requestedIngredients, error) = await ValidateRecipeRequestAsync(db, request);
+    if (error is not null)
     {
-        return Results.BadRequest(new { message = "Name is required." });
+        return error;
     }
 
-    var requestedIngredients = request.Ingredients?.Where(i => i.IngredientId > 0).ToList() ?? [];
-    if (requestedIngredients.Count == 0)
+    if (request.AiGenerationId is { } generationId && !await db.AiGenerations.AnyAsync(g => g.Id == generationId))
     {
-        return Results.BadRequest(new { message = "At least one ingredient is required." });
+        return Results.BadRequest(new { message = "aiGenerationId is invalid." });
     }
 
-    var ingredientIds = requestedIngredients.Select(i => i.IngredientId).Distinct().ToArray();
-    var existingIngredientIds = await db.Ingredients
-        .AsNoTracking()
-        .Where(i => ingredientIds.Contains(i.Id))
-        .Select(i => i.Id)
-        .ToListAsync();
-
-    var missingIngredientIds = ingredientIds.Except(existingIngredientIds).ToArray();
-    if (missingIngredientIds.Length > 0)
+    var (tags, tagsError) = ValidateTags(request.Tags);
+    if (tagsError is not null)
     {
-        return Results.BadRequest(new { message = "Unknown ingredient IDs.", missingIngredientIds });
+        return tagsError;
     }
 
     var recipe = new Recipe
     {
         Name = name,
-        Instructions = string.IsNullOrWhiteSpace(request.Instructions) ? null : request.Instructions.Trim(),
+        Instructions = instructions,
+        Servings = request.Servings,
+        AiGenerationId = request.AiGenerationId,
     };
 
     foreach (var ingredient in requestedIngredients)
@@ -209,10 +615,11 @@ api.MapPost("/recipes", async (RecipeDbContext db, CreateRecipeRequest request)
         {
             IngredientId = ingredient.IngredientId,
             Quantity = ingredient.Quantity,
-            Unit = string.IsNullOrWhiteSpace(ingredient.Unit) ? null : ingredient.Unit.Trim(),
+            Unit = ingredient.Unit,
         });
     }
 
+    await SetRecipeTagsAsync(db, recipe, tags);
     db.Recipes.Add(recipe);
 
     try
@@ -224,118 +631,1812 @@ api.MapPost("/recipes", async (RecipeDbContext db, CreateRecipeRequest request)
         return Results.Conflict(new { message = "Recipe already exists." });
     }
 
-    var created = await db.Recipes
-        .AsNoTracking()
-        .Where(r => r.Id == recipe.Id)
-        .Select(r => new RecipeDto(
-            r.Id,
-            r.Name,
-            r.Instructions,
-            r.RecipeIngredients
-                .OrderBy(ri => ri.Ingredient.Name)
-                .Select(ri => new RecipeIngredientDto(ri.IngredientId, ri.Ingredient.Name, ri.Quantity, ri.Unit))
-                .ToList()))
+    var created = await SelectRecipeDtos(db.Recipes
+            .AsNoTracking()
+            .Where(r => r.Id == recipe.Id))
         .FirstAsync();
 
     return Results.Created($"/api/recipes/{created.Id}", created);
 });
 
-api.MapGet("/recipes/can-make", async (RecipeDbContext db, int[] ingredientIds) =>
+api.MapPut("/recipes/{id:int}", async (RecipeDbContext db, int id, CreateRecipeRequest request) =>
 {
-    var have = ingredientIds.Distinct().ToArray();
-    if (have.Length == 0)
+    var recipe = await db.Recipes
+        .Include(r => r.RecipeIngredients)
+        .Include(r => r.RecipeTags)
+        .ThenInclude(rt => rt.Tag)
+        .FirstOrDefaultAsync(r => r.Id == id);
+    if (recipe is null)
     {
-        return Results.Ok(Array.Empty<RecipeSummaryDto>());
+        return Results.NotFound();
     }
 
-    var recipes = await db.Recipes
-        .AsNoTracking()
-        .Where(r => !r.RecipeIngredients.Any(ri => !have.Contains(ri.IngredientId)))
-        .OrderBy(r => r.Name)
-        .Select(r => new RecipeSummaryDto(r.Id, r.Name))
-        .ToListAsync();
-
-    return Results.Ok(recipes);
-});
-
-api.MapPost("/ai/recipes", async (
-    RecipeDbContext db,
-    OllamaChatClient ollama,
-    GenerateAiRecipesRequest request,
-    CancellationToken cancellationToken) =>
-{
-    if (request.IngredientIds is null || request.IngredientIds.Count == 0)
+    var (name, instructions, requestedIngredients, error) = await ValidateRecipeRequestAsync(db, request);
+    if (error is not null)
     {
-        return Results.BadRequest(new { message = "Provide at least one ingredientId." });
+        return error;
     }
 
-    var ingredientIds = request.IngredientIds.Distinct().ToArray();
-    var ingredientNames = await db.Ingredients
-        .AsNoTracking()
-        .Where(i => ingredientIds.Contains(i.Id))
-        .OrderBy(i => i.Name)
-        .Select(i => i.Name)
-        .ToListAsync(cancellationToken);
-
-    if (ingredientNames.Count != ingredientIds.Length)
+    var (tags, tagsError) = ValidateTags(request.Tags);
+    if (tagsError is not null)
     {
-        return Results.BadRequest(new { message = "One or more ingredientIds are invalid." });
+        return tagsError;
     }
 
-    var maxRecipes = request.MaxRecipes is >= 1 and <= 10 ? request.MaxRecipes.Value : 5;
-
-    var systemPrompt =
-        "You are a practical cooking assistant. " +
-        "Only suggest recipes that can be made using ONLY the provided ingredients plus common pantry staples " +
-        "(salt, pepper, water, and neutral cooking oil). " +
-        "Keep steps short and clear. " +
-        "Return plain text only (no code blocks, no markdown fences, no ASCII art).";
-
-    var userPrompt =
-        $"Ingredients I have:\n- {string.Join("\n- ", ingredientNames)}\n\n" +
-        $"Suggest up to {maxRecipes} recipes.\n" +
-        "Return each recipe in this exact format:\n" +
-        "Recipe: <Name>\n" +
-        "INGREDIENTS\n" +
-        "- item\n" +
-        "- item\n" +
-        "PROCEDURE\n" +
-        "1. step\n" +
-        "2. step\n" +
-        "\n" +
-        "Separate recipes with a blank line.\n";
+    recipe.Name = name;
+    recipe.Instructions = instructions;
+    recipe.Servings = request.Servings;
 
-    if (!string.IsNullOrWhiteSpace(request.Notes))
+    // Update links in place rather than clearing the collection: the link table is keyed on
+    // (RecipeId, IngredientId), so delete + re-insert of the same pair would collide in one save.
+    var requestedById = requestedIngredients.ToDictionary(i => i.IngredientId);
+    foreach (var existing in recipe.RecipeIngredients.ToList())
     {
-        userPrompt += $"\nNotes/preferences:\n{request.Notes.Trim()}\n";
+        if (requestedById.Remove(existing.IngredientId, out var requested))
+        {
+            existing.Quantity = requested.Quantity;
+            existing.Unit = requested.Unit;
+        }
+        else
+        {
+            recipe.RecipeIngredients.Remove(existing);
+        }
     }
 
-    try
+    foreach (var ingredient in requestedById.Values)
     {
-        var result = await ollama.ChatAsync(
-            [
-                new OllamaChatMessage("system", systemPrompt),
-                new OllamaChatMessage("user", userPrompt),
-            ],
-            cancellationToken);
+        recipe.RecipeIngredients.Add(new RecipeIngredient
+        {
+            IngredientId = ingredient.IngredientId,
+            Quantity = ingredient.Quantity,
+            Unit = ingredient.Unit,
+        });
+    }
 
-        return Results.Ok(new GenerateAiRecipesResponse(result.Model, result.Content));
+    // Leaving tags out of the request keeps the ones the recipe already has.
+    if (request.Tags is not null)
+    {
+        await SetRecipeTagsAsync(db, recipe, tags);
     }
-    catch (InvalidOperationException ex)
+
+    try
     {
-        return Results.Problem(ex.Message, statusCode: StatusCodes.Status503ServiceUnavailable);
+        await db.SaveChangesAsync();
     }
-    catch (HttpRequestException ex)
+    catch (DbUpdateException)
     {
-        return Results.Problem(ex.Message, statusCode: StatusCodes.Status502BadGateway);
+        return Results.Conflict(new { message = "Recipe already exists." });
     }
-})
-.WithOpenApi();
 
-app.Run();
+    var updated = await SelectRecipeDtos(db.Recipes
+            .AsNoTracking()
+            .Where(r => r.Id == recipe.Id))
+        .FirstAsync();
 
-static string NormalizeIngredientName(string raw)
-{
+    return Results.Ok(updated);
+});
+
+api.MapDelete("/recipes/{id:int}", async (RecipeDbContext db, RecipeImageStore images, int id) =>
+{
+    var recipe = await db.Recipes.FindAsync(id);
+    if (recipe is null)
+    {
+        return Results.NotFound();
+    }
+
+    db.Recipes.Remove(recipe);
+    await db.SaveChangesAsync();
+    images.DeleteRecipe(id);
+
+    return Results.NoContent();
+});
+
+api.MapPut("/recipes/{id:int}/tags", async (RecipeDbContext db, int id, SetRecipeTagsRequest request) =>
+{
+    var recipe = await db.Recipes
+        .Include(r => r.RecipeTags)
+        .ThenInclude(rt => rt.Tag)
+        .FirstOrDefaultAsync(r => r.Id == id);
+    if (recipe is null)
+    {
+        return Results.NotFound();
+    }
+
+    var (tags, error) = ValidateTags(request.Tags);
+    if (error is not null)
+    {
+        return error;
+    }
+
+    await SetRecipeTagsAsync(db, recipe, tags);
+    await db.SaveChangesAsync();
+
+    var updated = await SelectRecipeDtos(db.Recipes
+            .AsNoTracking()
+            .Where(r => r.Id == recipe.Id))
+        .FirstAsync();
+
+    return Results.Ok(updated);
+});
+
+api.MapGet("/recipes/{id:int}/images", async (RecipeDbContext db, int id) =>
+{
+    if (!await db.Recipes.AnyAsync(r => r.Id == id))
+    {
+        return Results.NotFound();
+    }
+
+    var images = await db.RecipeImages
+        .AsNoTracking()
+        .Where(i => i.RecipeId == id)
+        .OrderBy(i => i.Id)
+        .ToListAsync();
+
+    return Results.Ok(images.Select(ToRecipeImageDto).ToList());
+});
+
+api.MapPost("/recipes/{id:int}/images", async (
+    RecipeDbContext db,
+    RecipeImageStore images,
+    int id,
+    UploadRecipeImageRequest request,
+    CancellationToken cancellationToken) =>
+{
+    if (!await db.Recipes.AnyAsync(r => r.Id == id, cancellationToken))
+    {
+        return Results.NotFound();
+    }
+
+    var payload = StripDataUrlPrefix(request.Image);
+    if (payload.Length > Base64.GetMaxEncodedToUtf8Length(RecipeImageStore.MaxImageBytes))
+    {
+        return Results.BadRequest(new { message = "Images must be smaller than 5 MB." });
+    }
+
+    var data = new byte[Base64.GetMaxDecodedFromUtf8Length(payload.Length)];
+    if (payload.Length == 0 || !Convert.TryFromBase64String(payload, data, out var length))
+    {
+        return Results.BadRequest(new { message = "Image must be base64-encoded." });
+    }
+
+    data = data[..length];
+    var contentType = RecipeImageStore.DetectContentType(data);
+    if (contentType is null)
+    {
+        return Results.BadRequest(new { message = "Image must be a JPEG, PNG, WebP or GIF." });
+    }
+
+    if (await db.RecipeImages.CountAsync(i => i.RecipeId == id, cancellationToken) >= RecipeImageStore.MaxImagesPerRecipe)
+    {
+        return Results.BadRequest(new { message = $"A recipe can have at most {RecipeImageStore.MaxImagesPerRecipe} photos." });
+    }
+
+    if (request.IsCover)
+    {
+        foreach (var cover in await db.RecipeImages.Where(i => i.RecipeId == id && i.IsCover).ToListAsync(cancellationToken))
+        {
+            cover.IsCover = false;
+        }
+    }
+
+    var image = new RecipeImage
+    {
+        RecipeId = id,
+        FileName = await images.SaveAsync(id, data, contentType, cancellationToken),
+        ContentType = contentType,
+        SizeBytes = length,
+        IsCover = request.IsCover,
+        CreatedAt = DateTime.UtcNow,
+    };
+    db.RecipeImages.Add(image);
+
+    try
+    {
+        await db.SaveChangesAsync(cancellationToken);
+    }
+    catch (DbUpdateException)
+    {
+        // The recipe was deleted while the file was being written.
+        images.Delete(image.FileName);
+        return Results.NotFound();
+    }
+
+    var dto = ToRecipeImageDto(image);
+    return Results.Created(dto.Url, dto);
+});
+
+// Image ids are never reused, so the bytes behind a URL never change and browsers can keep them.
+api.MapGet("/recipes/{id:int}/images/{imageId:int}", async (
+    RecipeDbContext db,
+    RecipeImageStore images,
+    HttpResponse response,
+    int id,
+    int imageId) =>
+{
+    var image = await db.RecipeImages
+        .AsNoTracking()
+        .FirstOrDefaultAsync(i => i.Id == imageId && i.RecipeId == id);
+    var path = image is null ? null : images.PathFor(image.FileName);
+    if (image is null || !File.Exists(path))
+    {
+        return Results.NotFound();
+    }
+
+    response.Headers.CacheControl = "public, max-age=31536000, immutable";
+    return Results.File(path, image.ContentType);
+});
+
+api.MapPut("/recipes/{id:int}/images/cover", async (RecipeDbContext db, int id, SetRecipeCoverRequest request) =>
+{
+    if (!await db.Recipes.AnyAsync(r => r.Id == id))
+    {
+        return Results.NotFound();
+    }
+
+    var recipeImages = await db.RecipeImages.Where(i => i.RecipeId == id).ToListAsync();
+
+    if (request.ImageId is { } imageId && recipeImages.All(i => i.Id != imageId))
+    {
+        return Results.BadRequest(new { message = "imageId is not one of this recipe's photos." });
+    }
+
+    foreach (var image in recipeImages)
+    {
+        image.IsCover = image.Id == request.ImageId;
+    }
+
+    await db.SaveChangesAsync();
+
+    return Results.Ok(recipeImages.OrderBy(i => i.Id).Select(ToRecipeImageDto).ToList());
+});
+
+api.MapDelete("/recipes/{id:int}/images/{imageId:int}", async (
+    RecipeDbContext db,
+    RecipeImageStore images,
+    int id,
+    int imageId) =>
+{
+    var image = await db.RecipeImages.FirstOrDefaultAsync(i => i.Id == imageId && i.RecipeId == id);
+    if (image is null)
+    {
+        return Results.NotFound();
+    }
+
+    db.RecipeImages.Remove(image);
+    await db.SaveChangesAsync();
+    images.Delete(image.FileName);
+
+    return Results.NoContent();
+});
+
+api.MapGet("/recipes/can-make", async (RecipeDbContext db, int[] ingredientIds, int? maxMissing) =>
+{
+    var allowedMissing = maxMissing ?? 0;
+    if (allowedMissing < 0)
+    {
+        return Results.BadRequest(new { message = "maxMissing must be zero or more." });
+    }
+
+    var have = ingredientIds.ToHashSet();
+
+    var recipes = await SelectRecipeDtos(db.Recipes
+            .AsNoTracking()
+            .OrderBy(r => r.Name))
+        .ToListAsync();
+
+    // Staples (salt, pepper, water and oil, the same ones the AI prompt allows) are assumed to be on hand: they are
+    // reported but never count against a recipe, so a missing pinch of salt does not push it down the list.
+    var matches = recipes
+        .Select(r =>
+        {
+            var required = r.Ingredients.Where(i => !IsPantryStaple(i.Name)).ToList();
+            var missing = required.Where(i => !have.Contains(i.IngredientId)).ToList();
+            var missingStaples = r.Ingredients
+                .Where(i => IsPantryStaple(i.Name) && !have.Contains(i.IngredientId))
+                .ToList();
+            var matched = required.Count - missing.Count;
+            var coverage = required.Count == 0 ? 1 : Math.Round((double)matched / required.Count, 3);
+            return new RecipeMatchDto(r.Id, r.Name, matched, required.Count, coverage, missing, missingStaples);
+        })
+        .Where(m => m.Missing.Count <= allowedMissing)
+        .OrderBy(m => m.Missing.Count)
+        .ThenByDescending(m => m.Coverage)
+        .ThenBy(m => m.Name)
+        .ToList();
+
+    return Results.Ok(matches);
+});
+
+// Only tags that are on at least one recipe; unused ones are left behind when recipes change.
+api.MapGet("/tags", async (RecipeDbContext db) =>
+{
+    var tags = await db.Tags
+        .AsNoTracking()
+        .Where(t => t.RecipeTags.Any())
+        .OrderBy(t => t.Name)
+        .Select(t => new TagDto(t.Name, t.RecipeTags.Count))
+        .ToListAsync();
+
+    return Results.Ok(tags);
+});
+
+api.MapGet("/collections", async (RecipeDbContext db) =>
+{
+    var collections = await SelectRecipeCollectionDtos(db.RecipeCollections
+            .AsNoTracking()
+            .OrderBy(c => c.Name))
+        .ToListAsync();
+
+    return Results.Ok(collections);
+});
+
+api.MapPost("/collections", async (RecipeDbContext db, CreateRecipeCollectionRequest request) =>
+{
+    var (name, error) = ValidateCollectionName(request.Name);
+    if (error is not null)
+    {
+        return error;
+    }
+
+    var collection = new RecipeCollection { Name = name, CreatedAt = DateTime.UtcNow };
+    db.RecipeCollections.Add(collection);
+
+    try
+    {
+        await db.SaveChangesAsync();
+    }
+    catch (DbUpdateException)
+    {
+        return Results.Conflict(new { message = "A collection with that name already exists." });
+    }
+
+    return Results.Created(
+        $"/api/collections/{collection.Id}",
+        new RecipeCollectionDto(collection.Id, collection.Name, collection.CreatedAt, []));
+});
+
+api.MapPut("/collections/{id:int}", async (RecipeDbContext db, int id, CreateRecipeCollectionRequest request) =>
+{
+    var collection = await db.RecipeCollections.FindAsync(id);
+    if (collection is null)
+    {
+        return Results.NotFound();
+    }
+
+    var (name, error) = ValidateCollectionName(request.Name);
+    if (error is not null)
+    {
+        return error;
+    }
+
+    collection.Name = name;
+
+    try
+    {
+        await db.SaveChangesAsync();
+    }
+    catch (DbUpdateException)
+    {
+        return Results.Conflict(new { message = "A collection with that name already exists." });
+    }
+
+    var updated = await SelectRecipeCollectionDtos(db.RecipeCollections
+            .AsNoTracking()
+            .Where(c => c.Id == id))
+        .FirstAsync();
+
+    return Results.Ok(updated);
+});
+
+api.MapDelete("/collections/{id:int}", async (RecipeDbContext db, int id) =>
+{
+    var collection = await db.RecipeCollections.FindAsync(id);
+    if (collection is null)
+    {
+        return Results.NotFound();
+    }
+
+    db.RecipeCollections.Remove(collection);
+    await db.SaveChangesAsync();
+
+    return Results.NoContent();
+});
+
+// Adding a recipe that is already in the collection is a no-op, so the call is safe to repeat.
+api.MapPut("/collections/{id:int}/recipes/{recipeId:int}", async (RecipeDbContext db, int id, int recipeId) =>
+{
+    if (!await db.RecipeCollections.AnyAsync(c => c.Id == id) || !await db.Recipes.AnyAsync(r => r.Id == recipeId))
+    {
+        return Results.NotFound();
+    }
+
+    if (!await db.RecipeCollectionEntries.AnyAsync(e => e.RecipeCollectionId == id && e.RecipeId == recipeId))
+    {
+        db.RecipeCollectionEntries.Add(new RecipeCollectionEntry
+        {
+            RecipeCollectionId = id,
+            RecipeId = recipeId,
+            AddedAt = DateTime.UtcNow,
+        });
+        await db.SaveChangesAsync();
+    }
+
+    var updated = await SelectRecipeCollectionDtos(db.RecipeCollections
+            .AsNoTracking()
+            .Where(c => c.Id == id))
+        .FirstAsync();
+
+    return Results.Ok(updated);
+});
+
+api.MapDelete("/collections/{id:int}/recipes/{recipeId:int}", async (RecipeDbContext db, int id, int recipeId) =>
+{
+    var entry = await db.RecipeCollectionEntries
+        .FirstOrDefaultAsync(e => e.RecipeCollectionId == id && e.RecipeId == recipeId);
+    if (entry is null)
+    {
+        return Results.NotFound();
+    }
+
+    db.RecipeCollectionEntries.Remove(entry);
+    await db.SaveChangesAsync();
+
+    return Results.NoContent();
+});
+
+api.MapGet("/shopping-lists", async (RecipeDbContext db) =>
+{
+    var lists = await db.ShoppingLists
+        .AsNoTracking()
+        .OrderByDescending(l => l.CreatedAt)
+        .Select(l => new ShoppingListSummaryDto(
+            l.Id,
+            l.Name,
+            l.CreatedAt,
+            l.Items.Count,
+            l.Items.Count(i => i.Checked)))
+        .ToListAsync();
+
+    return Results.Ok(lists);
+});
+
+api.MapGet("/shopping-lists/{id:int}", async (RecipeDbContext db, int id) =>
+{
+    var list = await SelectShoppingListDtos(db.ShoppingLists
+            .AsNoTracking()
+            .Where(l => l.Id == id))
+        .FirstOrDefaultAsync();
+
+    return list is null ? Results.NotFound() : Results.Ok(list);
+});
+
+api.MapGet("/shopping-lists/{id:int}/export", async (RecipeDbContext db, int id, string? format) =>
+{
+    var markdown = string.Equals(format, "markdown", StringComparison.OrdinalIgnoreCase)
+        || string.Equals(format, "md", StringComparison.OrdinalIgnoreCase);
+    if (!markdown && !string.IsNullOrWhiteSpace(format) && !string.Equals(format, "text", StringComparison.OrdinalIgnoreCase))
+    {
+        return Results.BadRequest(new { message = "Format must be 'text' or 'markdown'." });
+    }
+
+    var list = await SelectShoppingListDtos(db.ShoppingLists
+            .AsNoTracking()
+            .Where(l => l.Id == id))
+        .FirstOrDefaultAsync();
+    if (list is null)
+    {
+        return Results.NotFound();
+    }
+
+    return markdown
+        ? Results.Text(ShoppingListExporter.ToMarkdown(list), "text/markdown; charset=utf-8")
+        : Results.Text(ShoppingListExporter.ToText(list), "text/plain; charset=utf-8");
+});
+
+api.MapPost("/shopping-lists", async (RecipeDbContext db, CreateShoppingListRequest request) =>
+{
+    var recipeIds = request.RecipeIds?.Where(id => id > 0).Distinct().ToArray() ?? [];
+    if (recipeIds.Length == 0)
+    {
+        return Results.BadRequest(new { message = "Select at least one recipe." });
+    }
+
+    var recipeNames = await db.Recipes
+        .AsNoTracking()
+        .Where(r => recipeIds.Contains(r.Id))
+        .OrderBy(r => r.Name)
+        .Select(r => r.Name)
+        .ToListAsync();
+    if (recipeNames.Count != recipeIds.Length)
+    {
+        return Results.BadRequest(new { message = "Unknown recipe IDs." });
+    }
+
+    var name = string.IsNullOrWhiteSpace(request.Name)
+        ? $"Shopping for {string.Join(", ", recipeNames)}"
+        : request.Name.Trim();
+
+    var created = await CreateShoppingListAsync(db, name, recipeIds, request.ExcludeIngredientIds ?? []);
+    return Results.Created($"/api/shopping-lists/{created.Id}", created);
+});
+
+api.MapPatch("/shopping-lists/{id:int}/items/{itemId:int}", async (
+    RecipeDbContext db,
+    int id,
+    int itemId,
+    UpdateShoppingListItemRequest request) =>
+{
+    var item = await db.ShoppingListItems.FirstOrDefaultAsync(i => i.Id == itemId && i.ShoppingListId == id);
+    if (item is null)
+    {
+        return Results.NotFound();
+    }
+
+    item.Checked = request.Checked;
+    await db.SaveChangesAsync();
+
+    return Results.Ok(new ShoppingListItemDto(
+        item.Id,
+        item.IngredientId,
+        item.Name,
+        item.Quantity,
+        item.Unit,
+        item.Location.ToString(),
+        item.Checked));
+});
+
+api.MapDelete("/shopping-lists/{id:int}", async (RecipeDbContext db, int id) =>
+{
+    var list = await db.ShoppingLists.FindAsync(id);
+    if (list is null)
+    {
+        return Results.NotFound();
+    }
+
+    db.ShoppingLists.Remove(list);
+    await db.SaveChangesAsync();
+
+    return Results.NoContent();
+});
+
+api.MapGet("/meal-plans", async (RecipeDbContext db, DateOnly? weekStart) =>
+{
+    var query = db.MealPlans.AsNoTracking();
+    if (weekStart is not null)
+    {
+        var monday = StartOfWeek(weekStart.Value);
+        query = query.Where(p => p.WeekStart == monday);
+    }
+
+    var plans = await SelectMealPlanDtos(query.OrderByDescending(p => p.WeekStart)).ToListAsync();
+    return Results.Ok(plans);
+});
+
+api.MapGet("/meal-plans/{id:int}", async (RecipeDbContext db, int id) =>
+{
+    var plan = await SelectMealPlanDtos(db.MealPlans
+            .AsNoTracking()
+            .Where(p => p.Id == id))
+        .FirstOrDefaultAsync();
+
+    return plan is null ? Results.NotFound() : Results.Ok(plan);
+});
+
+api.MapPost("/meal-plans", async (RecipeDbContext db, CreateMealPlanRequest request) =>
+{
+    var plan = new MealPlan { WeekStart = StartOfWeek(request.WeekStart) };
+    db.MealPlans.Add(plan);
+
+    try
+    {
+        await db.SaveChangesAsync();
+    }
+    catch (DbUpdateException)
+    {
+        return Results.Conflict(new { message = "A meal plan for that week already exists." });
+    }
+
+    return Results.Created($"/api/meal-plans/{plan.Id}", new MealPlanDto(plan.Id, plan.WeekStart, []));
+});
+
+api.MapDelete("/meal-plans/{id:int}", async (RecipeDbContext db, int id) =>
+{
+    var plan = await db.MealPlans.FindAsync(id);
+    if (plan is null)
+    {
+        return Results.NotFound();
+    }
+
+    db.MealPlans.Remove(plan);
+    await db.SaveChangesAsync();
+
+    return Results.NoContent();
+});
+
+// Puts a recipe into one day/meal slot, replacing whatever was there.
+api.MapPut("/meal-plans/{id:int}/entries", async (RecipeDbContext db, int id, SetMealPlanEntryRequest request) =>
+{
+    var plan = await db.MealPlans.FindAsync(id);
+    if (plan is null)
+    {
+        return Results.NotFound();
+    }
+
+    if (request.Date < plan.WeekStart || request.Date > plan.WeekStart.AddDays(6))
+    {
+        return Results.BadRequest(new { message = "Date must fall within the plan's week." });
+    }
+
+    if (!Enum.TryParse<MealSlot>(request.Meal, true, out var meal) || !Enum.IsDefined(meal))
+    {
+        return Results.BadRequest(new { message = "Meal must be Breakfast, Lunch, or Dinner." });
+    }
+
+    if (!await db.Recipes.AnyAsync(r => r.Id == request.RecipeId))
+    {
+        return Results.BadRequest(new { message = "Unknown recipe ID." });
+    }
+
+    var entry = await db.MealPlanEntries
+        .FirstOrDefaultAsync(e => e.MealPlanId == id && e.Date == request.Date && e.Meal == meal);
+    if (entry is null)
+    {
+        db.MealPlanEntries.Add(new MealPlanEntry
+        {
+            MealPlanId = id,
+            Date = request.Date,
+            Meal = meal,
+            RecipeId = request.RecipeId,
+        });
+    }
+    else
+    {
+        entry.RecipeId = request.RecipeId;
+    }
+
+    try
+    {
+        await db.SaveChangesAsync();
+    }
+    catch (DbUpdateException)
+    {
+        return Results.Conflict(new { message = "That slot was just changed. Reload and try again." });
+    }
+
+    var updated = await SelectMealPlanDtos(db.MealPlans
+            .AsNoTracking()
+            .Where(p => p.Id == id))
+        .FirstAsync();
+
+    return Results.Ok(updated);
+});
+
+api.MapDelete("/meal-plans/{id:int}/entries/{entryId:int}", async (RecipeDbContext db, int id, int entryId) =>
+{
+    var entry = await db.MealPlanEntries.FirstOrDefaultAsync(e => e.Id == entryId && e.MealPlanId == id);
+    if (entry is null)
+    {
+        return Results.NotFound();
+    }
+
+    db.MealPlanEntries.Remove(entry);
+    await db.SaveChangesAsync();
+
+    return Results.NoContent();
+});
+
+api.MapPost("/meal-plans/{id:int}/shopping-list", async (
+    RecipeDbContext db,
+    int id,
+    CreateMealPlanShoppingListRequest request) =>
+{
+    var plan = await db.MealPlans
+        .AsNoTracking()
+        .Where(p => p.Id == id)
+        .Select(p => new { p.WeekStart, RecipeIds = p.Entries.Select(e => e.RecipeId).ToList() })
+        .FirstOrDefaultAsync();
+    if (plan is null)
+    {
+        return Results.NotFound();
+    }
+
+    if (plan.RecipeIds.Count == 0)
+    {
+        return Results.BadRequest(new { message = "Plan at least one meal first." });
+    }
+
+    var name = string.IsNullOrWhiteSpace(request.Name)
+        ? $"Week of {plan.WeekStart.ToString("MMM d", CultureInfo.InvariantCulture)}"
+        : request.Name.Trim();
+
+    var created = await CreateShoppingListAsync(db, name, plan.RecipeIds, request.ExcludeIngredientIds ?? []);
+    return Results.Created($"/api/shopping-lists/{created.Id}", created);
+});
+
+api.MapGet("/export", async (RecipeDbContext db) =>
+{
+    var ingredients = await db.Ingredients
+        .AsNoTracking()
+        .OrderBy(i => i.Name)
+        .ToListAsync();
+    var recipes = await SelectRecipeDtos(db.Recipes
+            .AsNoTracking()
+            .OrderBy(r => r.Name))
+        .ToListAsync();
+    var tags = await db.Tags
+        .AsNoTracking()
+        .OrderBy(t => t.Name)
+        .Select(t => new RecipeBookGroupDto(
+            t.Name,
+            t.RecipeTags.Select(rt => rt.Recipe.Name).OrderBy(n => n).ToList()))
+        .ToListAsync();
+    var collections = await db.RecipeCollections
+        .AsNoTracking()
+        .OrderBy(c => c.Name)
+        .Select(c => new RecipeBookGroupDto(
+            c.Name,
+            c.Entries.OrderBy(e => e.AddedAt).Select(e => e.Recipe.Name).ToList()))
+        .ToListAsync();
+
+    var book = new RecipeBookDto(
+        RecipeBookExporter.FormatVersion,
+        DateTimeOffset.UtcNow,
+        ingredients
+            .Select(i => new RecipeBookIngredientDto(i.Name, i.Location.ToString(), i.Quantity, i.Unit, i.PurchasedOn, i.BestBefore))
+            .ToList(),
+        recipes
+            .Select(r => new RecipeBookRecipeDto(
+                r.Name,
+                r.Instructions,
+                r.Servings,
+                r.Ingredients.Select(i => new RecipeBookRecipeIngredientDto(i.Name, i.Quantity, i.Unit)).ToList()))
+            .ToList(),
+        tags,
+        collections);
+
+    return Results.Ok(book);
+});
+
+api.MapGet("/export/markdown", async (RecipeDbContext db, int[] recipeIds) =>
+{
+    var ids = recipeIds.Distinct().ToArray();
+    var query = db.Recipes.AsNoTracking();
+    if (ids.Length > 0)
+    {
+        query = query.Where(r => ids.Contains(r.Id));
+    }
+
+    var recipes = await SelectRecipeDtos(query.OrderBy(r => r.Name)).ToListAsync();
+
+    var missingRecipeIds = ids.Except(recipes.Select(r => r.Id)).ToArray();
+    if (missingRecipeIds.Length > 0)
+    {
+        return Results.NotFound(new { message = "Some recipes no longer exist.", missingRecipeIds });
+    }
+
+    return Results.Text(RecipeBookExporter.ToMarkdown(recipes), "text/markdown; charset=utf-8");
+});
+
+api.MapPost("/import", async (RecipeDbContext db, RecipeImageStore images, RecipeBookDto book, string? mode, bool? deletePhotos) =>
+{
+    var replace = string.Equals(mode, "replace", StringComparison.OrdinalIgnoreCase);
+    if (!replace && !string.IsNullOrWhiteSpace(mode) && !string.Equals(mode, "merge", StringComparison.OrdinalIgnoreCase))
+    {
+        return Results.BadRequest(new { message = "Mode must be 'merge' or 'replace'." });
+    }
+
+    // Version 1 only lacks tags and collections, so it still imports.
+    if (book.Version is < 1 or > RecipeBookExporter.FormatVersion)
+    {
+        return Results.BadRequest(new { message = $"Unsupported backup version {book.Version}; expected {RecipeBookExporter.FormatVersion} or older." });
+    }
+
+    var ingredients = new List<Ingredient>();
+    foreach (var entry in book.Ingredients ?? [])
+    {
+        var name = NormalizeIngredientName(entry.Name);
+        if (string.IsNullOrWhiteSpace(name))
+        {
+            return Results.BadRequest(new { message = "Every ingredient needs a name." });
+        }
+
+        if (name.Length > 200)
+        {
+            return ImportNameTooLong("Ingredient", name);
+        }
+
+        StorageLocation location;
+        try
+        {
+            location = ParseLocation(entry.Location);
+        }
+        catch (ArgumentException ex)
+        {
+            return Results.BadRequest(new { message = $"{name}: {ex.Message}" });
+        }
+
+        var inventory = ValidateInventory(entry.Quantity, entry.Unit, entry.PurchasedOn, entry.BestBefore);
+        if (inventory.Error is not null)
+        {
+            return inventory.Error;
+        }
+
+        ingredients.Add(new Ingredient
+        {
+            Name = name,
+            Location = location,
+            Quantity = entry.Quantity,
+            Unit = inventory.Unit,
+            PurchasedOn = entry.PurchasedOn,
+            BestBefore = entry.BestBefore,
+        });
+    }
+
+    var recipes = new List<(Recipe Recipe, List<RecipeBookRecipeIngredientDto> Ingredients)>();
+    foreach (var entry in book.Recipes ?? [])
+    {
+        var name = (entry.Name ?? string.Empty).Trim();
+        if (string.IsNullOrWhiteSpace(name))
+        {
+            return Results.BadRequest(new { message = "Every recipe needs a name." });
+        }
+
+        if (name.Length > 200)
+        {
+            return ImportNameTooLong("Recipe", name);
+        }
+
+        if (entry.Servings is < 1 or > 100)
+        {
+            return Results.BadRequest(new { message = $"{name}: servings must be between 1 and 100." });
+        }
+
+        // As with saving a recipe, the same ingredient twice keeps the last entry.
+        var links = (entry.Ingredients ?? [])
+            .Select(i => i with
+            {
+                Name = NormalizeIngredientName(i.Name),
+                Unit = string.IsNullOrWhiteSpace(i.Unit) ? null : i.Unit.Trim(),
+            })
+            .Where(i => i.Name.Length > 0)
+            .GroupBy(i => i.Name)
+            .Select(g => g.Last())
+            .ToList();
+        if (links.Count == 0)
+        {
+            return Results.BadRequest(new { message = $"{name}: at least one ingredient is required." });
+        }
+
+        if (links.FirstOrDefault(i => i.Name.Length > 200) is { } longLink)
+        {
+            return ImportNameTooLong($"{name}: ingredient", longLink.Name);
+        }
+
+        if (links.Any(i => i.Unit is { Length: > 32 }))
+        {
+            return Results.BadRequest(new { message = $"{name}: units must be 32 characters or fewer." });
+        }
+
+        var recipe = new Recipe
+        {
+            Name = name,
+            Instructions = string.IsNullOrWhiteSpace(entry.Instructions) ? null : entry.Instructions.Trim(),
+            Servings = entry.Servings,
+        };
+        recipes.Add((recipe, links));
+    }
+
+    // Tags and collections may only name recipes from the same file.
+    var fileRecipeNames = recipes.Select(r => r.Recipe.Name).ToHashSet(StringComparer.OrdinalIgnoreCase);
+
+    var tags = new List<(string Name, List<string> Recipes)>();
+    foreach (var entry in book.Tags ?? [])
+    {
+        var name = NormalizeTagName(entry.Name);
+        if (name.Length == 0)
+        {
+            return Results.BadRequest(new { message = "Every tag needs a name." });
+        }
+
+        if (name.Length > 40)
+        {
+            return ImportNameTooLong("Tag", name, 40);
+        }
+
+        var members = (entry.Recipes ?? []).Select(n => (n ?? string.Empty).Trim()).ToList();
+        if (members.FirstOrDefault(n => !fileRecipeNames.Contains(n)) is { } unknown)
+        {
+            return Results.BadRequest(new { message = $"Tag {name}: the backup has no recipe named \"{unknown}\"." });
+        }
+
+        tags.Add((name, members));
+    }
+
+    var collections = new List<(string Name, List<string> Recipes)>();
+    foreach (var entry in book.Collections ?? [])
+    {
+        var name = (entry.Name ?? string.Empty).Trim();
+        if (name.Length == 0)
+        {
+            return Results.BadRequest(new { message = "Every collection needs a name." });
+        }
+
+        if (name.Length > 200)
+        {
+            return ImportNameTooLong("Collection", name);
+        }
+
+        var members = (entry.Recipes ?? []).Select(n => (n ?? string.Empty).Trim()).ToList();
+        if (members.FirstOrDefault(n => !fileRecipeNames.Contains(n)) is { } unknown)
+        {
+            return Results.BadRequest(new { message = $"Collection {name}: the backup has no recipe named \"{unknown}\"." });
+        }
+
+        collections.Add((name, members));
+    }
+
+    // Backups don't carry photos, so a replace would lose them for good; it only goes ahead once the
+    // caller has said so with deletePhotos=true.
+    if (replace && deletePhotos != true)
+    {
+        var photoCount = await db.RecipeImages.CountAsync();
+        if (photoCount > 0)
+        {
+            return Results.Conflict(new
+            {
+                message = $"Replacing would delete {photoCount} recipe photo{(photoCount == 1 ? "" : "s")}, which backups don't include. Pass deletePhotos=true to replace anyway.",
+                photoCount,
+            });
+        }
+    }
+
+    // Replace wipes recipes (and with them meal plan entries), ingredients, tags and collections first;
+    // shopping lists keep their items by name. Either way the import is all or nothing.
+    await using var transaction = await db.Database.BeginTransactionAsync();
+    var replacedRecipeIds = replace ? await db.Recipes.Select(r => r.Id).ToListAsync() : [];
+    var photosDeleted = replace ? await db.RecipeImages.CountAsync() : 0;
+    if (replace)
+    {
+        await db.Recipes.ExecuteDeleteAsync();
+        await db.Ingredients.ExecuteDeleteAsync();
+        await db.Tags.ExecuteDeleteAsync();
+        await db.RecipeCollections.ExecuteDeleteAsync();
+    }
+
+    var ingredientsByName = await db.Ingredients.ToDictionaryAsync(i => i.Name);
+    var recipeNames = (await db.Recipes.Select(r => r.Name).ToListAsync())
+        .ToHashSet(StringComparer.OrdinalIgnoreCase);
+
+    var ingredientsAdded = 0;
+    var duplicateIngredients = new List<string>();
+    foreach (var ingredient in ingredients)
+    {
+        if (!ingredientsByName.TryAdd(ingredient.Name, ingredient))
+        {
+            duplicateIngredients.Add(ingredient.Name);
+            continue;
+        }
+
+        db.Ingredients.Add(ingredient);
+        ingredientsAdded++;
+    }
+
+    var addedRecipes = new Dictionary<string, Recipe>(StringComparer.OrdinalIgnoreCase);
+    var duplicateRecipes = new List<string>();
+    foreach (var (recipe, links) in recipes)
+    {
+        if (!recipeNames.Add(recipe.Name))
+        {
+            duplicateRecipes.Add(recipe.Name);
+            continue;
+        }
+
+        foreach (var link in links)
+        {
+            // Recipes may use ingredients the file doesn't list on their own; those land in the pantry.
+            if (!ingredientsByName.TryGetValue(link.Name, out var ingredient))
+            {
+                ingredient = new Ingredient { Name = link.Name, Location = StorageLocation.Pantry };
+                ingredientsByName.Add(ingredient.Name, ingredient);
+                db.Ingredients.Add(ingredient);
+                ingredientsAdded++;
+            }
+
+            recipe.RecipeIngredients.Add(new RecipeIngredient
+            {
+                Ingredient = ingredient,
+                Quantity = link.Quantity,
+                Unit = link.Unit,
+            });
+        }
+
+        db.Recipes.Add(recipe);
+        addedRecipes.Add(recipe.Name, recipe);
+    }
+
+    // Tags and collections only pick up the recipes this import adds; a skipped duplicate recipe is
+    // left as it is saved.
+    var tagsByName = await db.Tags.ToDictionaryAsync(t => t.Name);
+    var tagsAdded = 0;
+    var duplicateTags = new List<string>();
+    foreach (var (name, members) in tags)
+    {
+        if (tagsByName.TryGetValue(name, out var tag))
+        {
+            duplicateTags.Add(name);
+        }
+        else
+        {
+            tag = new Tag { Name = name };
+            tagsByName.Add(name, tag);
+            db.Tags.Add(tag);
+            tagsAdded++;
+        }
+
+        foreach (var recipeName in members)
+        {
+            if (addedRecipes.TryGetValue(recipeName, out var recipe) && !recipe.RecipeTags.Any(rt => rt.Tag == tag))
+            {
+                recipe.RecipeTags.Add(new RecipeTag { Tag = tag });
+            }
+        }
+    }
+
+    var collectionNames = (await db.RecipeCollections.Select(c => c.Name).ToListAsync())
+        .ToHashSet(StringComparer.OrdinalIgnoreCase);
+    var duplicateCollections = new List<string>();
+    var now = DateTime.UtcNow;
+    foreach (var (name, members) in collections)
+    {
+        if (!collectionNames.Add(name))
+        {
+            duplicateCollections.Add(name);
+            continue;
+        }
+
+        var collection = new RecipeCollection { Name = name, CreatedAt = now };
+        foreach (var recipeName in members.Distinct(StringComparer.OrdinalIgnoreCase))
+        {
+            if (addedRecipes.TryGetValue(recipeName, out var recipe))
+            {
+                collection.Entries.Add(new RecipeCollectionEntry { Recipe = recipe, AddedAt = now });
+            }
+        }
+
+        db.RecipeCollections.Add(collection);
+    }
+
+    try
+    {
+        await db.SaveChangesAsync();
+        await transaction.CommitAsync();
+    }
+    catch (DbUpdateException)
+    {
+        return Results.Conflict(new { message = "The import clashed with changes saved at the same time; nothing was imported." });
+    }
+
+    // Backups don't carry photos, so the replaced recipes' files go once the import has committed.
+    foreach (var recipeId in replacedRecipeIds)
+    {
+        images.DeleteRecipe(recipeId);
+    }
+
+    return Results.Ok(new ImportRecipeBookResultDto(
+        replace ? "replace" : "merge",
+        ingredientsAdded,
+        addedRecipes.Count,
+        tagsAdded,
+        collections.Count - duplicateCollections.Count,
+        duplicateIngredients,
+        duplicateRecipes,
+        duplicateTags,
+        duplicateCollections,
+        photosDeleted));
+});
+
+api.MapGet("/ai/generations", async (RecipeDbContext db, int? limit) =>
+{
+    var take = limit is >= 1 and <= 100 ? limit.Value : 30;
+    var generations = await db.AiGenerations
+        .AsNoTracking()
+        .OrderByDescending(g => g.CreatedAt)
+        .ThenByDescending(g => g.Id)
+        .Take(take)
+        .Select(g => new
+        {
+            g.Id,
+            g.CreatedAt,
+            g.Format,
+            g.Provider,
+            g.Model,
+            g.IngredientNames,
+            g.Notes,
+            g.Content,
+            g.Recipes,
+            SavedRecipeCount = g.SavedRecipes.Count,
+        })
+        .ToListAsync();
+
+    return Results.Ok(generations.Select(g => new AiGenerationSummaryDto(
+        g.Id,
+        g.CreatedAt,
+        g.Format,
+        g.Provider,
+        g.Model,
+        g.IngredientNames,
+        g.Notes,
+        g.Recipes is null ? TextRecipeTitles(g.Content) : ReadAiGenerationRecipes(g.Recipes).Select(r => r.Title).ToList(),
+        g.SavedRecipeCount)).ToList());
+});
+
+api.MapGet("/ai/generations/{id:int}", async (RecipeDbContext db, int id) =>
+{
+    var generation = await db.AiGenerations
+        .AsNoTracking()
+        .Include(g => g.SavedRecipes)
+        .FirstOrDefaultAsync(g => g.Id == id);
+    if (generation is null)
+    {
+        return Results.NotFound();
+    }
+
+    return Results.Ok(new AiGenerationDto(
+        generation.Id,
+        generation.CreatedAt,
+        generation.Format,
+        generation.Provider,
+        generation.Model,
+        generation.IngredientIds,
+        generation.IngredientNames,
+        generation.PriorityIngredientIds,
+        generation.DietaryProfiles,
+        generation.Notes,
+        generation.MaxRecipes,
+        generation.Content,
+        generation.Recipes is null ? null : ReadAiGenerationRecipes(generation.Recipes),
+        generation.SavedRecipes
+            .OrderBy(r => r.Name)
+            .Select(r => new AiGenerationRecipeLinkDto(r.Id, r.Name))
+            .ToList()));
+});
+
+// Saved recipes stay; they just lose the link back.
+api.MapDelete("/ai/generations/{id:int}", async (RecipeDbContext db, int id) =>
+{
+    var generation = await db.AiGenerations.FindAsync(id);
+    if (generation is null)
+    {
+        return Results.NotFound();
+    }
+
+    db.AiGenerations.Remove(generation);
+    await db.SaveChangesAsync();
+    return Results.NoContent();
+});
+
+// Every configured provider with the models it offers. Providers are asked in parallel with a short
+// timeout; one that is down is still listed, with its error, so the others stay usable.
+api.MapGet("/ai/models", async (AiProviderRegistry providers, CancellationToken cancellationToken) =>
+{
+    var results = await Task.WhenAll(providers.All.Select(async provider =>
+    {
+        using var timeout = CancellationTokenSource.CreateLinkedTokenSource(cancellationToken);
+        timeout.CancelAfter(TimeSpan.FromSeconds(5));
+        try
+        {
+            var models = await provider.ListModelsAsync(timeout.Token);
+            return new AiProviderDto(
+                provider.Id,
+                provider.Label,
+                provider == providers.Default,
+                provider.DefaultModel,
+                models);
+        }
+        catch (Exception ex) when (ex is HttpRequestException or InvalidOperationException or JsonException
+            || (ex is OperationCanceledException && !cancellationToken.IsCancellationRequested))
+        {
+            var message = ex is OperationCanceledException ? "Timed out listing models." : ex.Message;
+            return new AiProviderDto(provider.Id, provider.Label, provider == providers.Default, provider.DefaultModel, [], message);
+        }
+    }));
+
+    return Results.Ok(results);
+})
+.WithOpenApi();
+
+api.MapGet("/ai/dietary-profiles", () =>
+    Results.Ok(DietaryProfiles.All.Select(p => new DietaryProfileDto(p.Id, p.Label, p.Constraint)).ToList()));
+
+api.MapPost("/ai/recipes", async (
+    RecipeDbContext db,
+    AiProviderRegistry providers,
+    GenerateAiRecipesRequest request,
+    CancellationToken cancellationToken) =>
+{
+    var (messages, profiles, error) = await BuildAiRecipeMessagesAsync(db, request, cancellationToken);
+    if (error is not null)
+    {
+        return error;
+    }
+
+    var ai = providers.Find(request.Provider);
+    if (ai is null)
+    {
+        return UnknownAiProvider(request.Provider);
+    }
+
+    try
+    {
+        if (!IsStructuredAiRequest(request))
+        {
+            var result = await ai.ChatAsync(messages, cancellationToken, model: request.Model);
+            var textGeneration = await SaveAiGenerationAsync(db, request, ai, result.Model, result.Content, null, cancellationToken);
+
+            return Results.Ok(new GenerateAiRecipesResponse(result.Model, result.Content, GenerationId: textGeneration.Id));
+        }
+
+        var conversation = messages.ToList();
+        var lastError = string.Empty;
+        for (var attempt = 1; attempt <= AiRecipeSchema.MaxAttempts; attempt++)
+        {
+            var result = await ai.ChatAsync(conversation, cancellationToken, AiRecipeSchema.Format, request.Model);
+            if (AiRecipeSchema.TryParseRecipes(result.Content, out var recipes, out lastError))
+            {
+                var checkedRecipes = recipes.Select(r => WithDietaryWarnings(r, profiles)).ToList();
+                var generation = await SaveAiGenerationAsync(
+                    db, request, ai, result.Model, result.Content, checkedRecipes, cancellationToken);
+                return Results.Ok(new GenerateAiRecipesResponse(result.Model, result.Content, checkedRecipes, generation.Id));
+            }
+
+            conversation.Add(new AiChatMessage("assistant", result.Content));
+            conversation.Add(new AiChatMessage("user", AiRecipeSchema.RetryPrompt(lastError)));
+        }
+
+        return Results.Problem(
+            $"The model did not return valid recipes after {AiRecipeSchema.MaxAttempts} attempts: {lastError}",
+            statusCode: StatusCodes.Status502BadGateway);
+    }
+    catch (InvalidOperationException ex)
+    {
+        return Results.Problem(ex.Message, statusCode: StatusCodes.Status503ServiceUnavailable);
+    }
+    catch (HttpRequestException ex)
+    {
+        return Results.Problem(ex.Message, statusCode: StatusCodes.Status502BadGateway);
+    }
+})
+.WithOpenApi();
+
+api.MapPost("/ai/recipes/stream", async (
+    HttpContext http,
+    RecipeDbContext db,
+    AiProviderRegistry providers,
+    GenerateAiRecipesRequest request,
+    CancellationToken cancellationToken) =>
+{
+    var (messages, profiles, error) = await BuildAiRecipeMessagesAsync(db, request, cancellationToken);
+    if (error is not null)
+    {
+        return error;
+    }
+
+    var ai = providers.Find(request.Provider);
+    if (ai is null)
+    {
+        return UnknownAiProvider(request.Provider);
+    }
+
+    // The response only starts with the first event, so setup failures (missing key, upstream
+    // rejecting the request) can still be reported as a regular problem response.
+    var model = string.Empty;
+    try
+    {
+        if (!IsStructuredAiRequest(request))
+        {
+            var text = new StringBuilder();
+            await foreach (var chunk in ai.ChatStreamAsync(messages, cancellationToken, model: request.Model))
+            {
+                model = chunk.Model;
+                if (chunk.Content.Length == 0) continue;
+
+                text.Append(chunk.Content);
+                await WriteStreamEventAsync(http.Response, new AiRecipeStreamEvent("delta", Content: chunk.Content), cancellationToken);
+            }
+
+            var textGeneration = await SaveAiGenerationAsync(db, request, ai, model, text.ToString(), null, cancellationToken);
+            await WriteStreamEventAsync(
+                http.Response,
+                new AiRecipeStreamEvent("done", Model: model, GenerationId: textGeneration.Id),
+                cancellationToken);
+            return Results.Empty;
+        }
+
+        // Structured mode forwards each recipe as soon as its JSON object closes. A retry only
+        // happens when an attempt produced nothing usable, so recipes are never sent twice.
+        var conversation = messages.ToList();
+        var emitted = new List<AiRecipeDto>();
+        var content = string.Empty;
+        for (var attempt = 1; attempt <= AiRecipeSchema.MaxAttempts && emitted.Count == 0; attempt++)
+        {
+            var scanner = new AiRecipeJsonScanner();
+            await foreach (var chunk in ai.ChatStreamAsync(conversation, cancellationToken, AiRecipeSchema.Format, request.Model))
+            {
+                model = chunk.Model;
+                foreach (var json in scanner.Append(chunk.Content))
+                {
+                    if (!AiRecipeSchema.TryParseRecipe(json, out var recipe, out _)) continue;
+
+                    var checkedRecipe = WithDietaryWarnings(recipe, profiles);
+                    emitted.Add(checkedRecipe);
+                    await WriteStreamEventAsync(
+                        http.Response,
+                        new AiRecipeStreamEvent("recipe", Recipe: checkedRecipe),
+                        cancellationToken);
+                }
+            }
+
+            content = scanner.Text;
+            if (emitted.Count > 0) break;
+
+            AiRecipeSchema.TryParseRecipes(scanner.Text, out _, out var lastError);
+            if (attempt == AiRecipeSchema.MaxAttempts)
+            {
+                throw new HttpRequestException(
+                    $"The model did not return valid recipes after {AiRecipeSchema.MaxAttempts} attempts: {lastError}");
+            }
+
+            conversation.Add(new AiChatMessage("assistant", scanner.Text));
+            conversation.Add(new AiChatMessage("user", AiRecipeSchema.RetryPrompt(lastError)));
+            await WriteStreamEventAsync(http.Response, new AiRecipeStreamEvent("retry", Message: lastError), cancellationToken);
+        }
+
+        // Only finished runs are kept; a stopped one has nothing worth reopening or regenerating from.
+        var generation = await SaveAiGenerationAsync(db, request, ai, model, content, emitted, cancellationToken);
+        await WriteStreamEventAsync(
+            http.Response,
+            new AiRecipeStreamEvent("done", Model: model, GenerationId: generation.Id),
+            cancellationToken);
+    }
+    catch (OperationCanceledException) when (cancellationToken.IsCancellationRequested)
+    {
+        // Client pressed Stop or went away; disposing the upstream request cancels generation.
+    }
+    catch (Exception ex) when (ex is InvalidOperationException or HttpRequestException)
+    {
+        if (!http.Response.HasStarted)
+        {
+            var status = ex is InvalidOperationException
+                ? StatusCodes.Status503ServiceUnavailable
+                : StatusCodes.Status502BadGateway;
+            return Results.Problem(ex.Message, statusCode: status);
+        }
+
+        await WriteStreamEventAsync(http.Response, new AiRecipeStreamEvent("error", Message: ex.Message), CancellationToken.None);
+    }
+
+    return Results.Empty;
+})
+.WithOpenApi();
+
+api.MapPost("/ai/recipes/chat", async (
+    AiProviderRegistry providers,
+    ChatAiRecipeRequest request,
+    CancellationToken cancellationToken) =>
+{
+    if (string.IsNullOrWhiteSpace(request.Recipe?.Title))
+    {
+        return Results.BadRequest(new { message = "Recipe with a title is required." });
+    }
+
+    var turns = request.Messages ?? [];
+    if (turns.Count == 0 || turns.Count > 40)
+    {
+        return Results.BadRequest(new { message = "Provide between 1 and 40 messages." });
+    }
+
+    if (turns.Any(t => t.Role is not ("user" or "assistant") || string.IsNullOrWhiteSpace(t.Content) || t.Content.Length > 4000))
+    {
+        return Results.BadRequest(new { message = "Messages need a user or assistant role and 1-4000 characters of content." });
+    }
+
+    if (turns[^1].Role != "user")
+    {
+        return Results.BadRequest(new { message = "The last message must come from the user." });
+    }
+
+    var ai = providers.Find(request.Provider);
+    if (ai is null)
+    {
+        return UnknownAiProvider(request.Provider);
+    }
+
+    var recipeJson = JsonSerializer.Serialize(request.Recipe, new JsonSerializerOptions(JsonSerializerDefaults.Web));
+    var systemPrompt =
+        "You are a practical cooking assistant helping the user refine one recipe. " +
+        "Answer questions about substitutions, scaling, techniques or variations concisely in reply. " +
+        "When the user asks to change the recipe, also return the complete updated recipe in recipe; " +
+        "when they only ask a question, set recipe to null. " +
+        AiRecipeSchema.ChatFormatInstructions +
+        $"\n\nCurrent recipe:\n{recipeJson}";
+
+    var conversation = new List<AiChatMessage> { new("system", systemPrompt) };
+    conversation.AddRange(turns.Select(t => new AiChatMessage(t.Role, t.Content.Trim())));
+
+    try
+    {
+        var lastError = string.Empty;
+        for (var attempt = 1; attempt <= AiRecipeSchema.MaxAttempts; attempt++)
+        {
+            var result = await ai.ChatAsync(conversation, cancellationToken, AiRecipeSchema.ChatFormat, request.Model);
+            if (AiRecipeSchema.TryParseChatReply(result.Content, out var reply, out var recipe, out lastError))
+            {
+                return Results.Ok(new ChatAiRecipeResponse(result.Model, reply, recipe));
+            }
+
+            conversation.Add(new AiChatMessage("assistant", result.Content));
+            conversation.Add(new AiChatMessage("user", AiRecipeSchema.RetryPrompt(lastError)));
+        }
+
+        return Results.Problem(
+            $"The model did not return a valid reply after {AiRecipeSchema.MaxAttempts} attempts: {lastError}",
+            statusCode: StatusCodes.Status502BadGateway);
+    }
+    catch (InvalidOperationException ex)
+    {
+        return Results.Problem(ex.Message, statusCode: StatusCodes.Status503ServiceUnavailable);
+    }
+    catch (HttpRequestException ex)
+    {
+        return Results.Problem(ex.Message, statusCode: StatusCodes.Status502BadGateway);
+    }
+})
+.WithOpenApi();
+
+api.MapPost("/ai/ingredients/detect", async (
+    RecipeDbContext db,
+    AiProviderRegistry providers,
+    DetectIngredientsRequest request,
+    CancellationToken cancellationToken) =>
+{
+    var images = (request.Images ?? [])
+        .Select(StripDataUrlPrefix)
+        .Where(i => i.Length > 0)
+        .ToList();
+
+    if (images.Count == 0)
+    {
+        return Results.BadRequest(new { message = "Provide at least one image." });
+    }
+
+    if (images.Count > IngredientDetectionSchema.MaxImages)
+    {
+        return Results.BadRequest(new { message = $"Upload at most {IngredientDetectionSchema.MaxImages} images at a time." });
+    }
+
+    if (images.Any(i => i.Length > IngredientDetectionSchema.MaxImageBase64Length || !Base64.IsValid(i)))
+    {
+        return Results.BadRequest(new { message = "Images must be base64-encoded and smaller than 1.5 MB each." });
+    }
+
+    StorageLocation location;
+    try
+    {
+        location = ParseLocation(request.Location);
+    }
+    catch (ArgumentException ex)
+    {
+        return Results.BadRequest(new { message = ex.Message });
+    }
+
+    var ai = providers.Find(request.Provider);
+    if (ai is null)
+    {
+        return UnknownAiProvider(request.Provider);
+    }
+
+    var conversation = new List<AiChatMessage>
+    {
+        new("system", IngredientDetectionSchema.SystemPrompt(location.ToString())),
+        new("user", "List the ingredients you can see in these photos.", images),
+    };
+
+    try
+    {
+        var visionModel = request.Model ?? ai.VisionModel ?? ai.DefaultModel;
+        var lastError = string.Empty;
+        for (var attempt = 1; attempt <= IngredientDetectionSchema.MaxAttempts; attempt++)
+        {
+            var result = await ai.ChatAsync(conversation, cancellationToken, IngredientDetectionSchema.Format, visionModel);
+            if (!IngredientDetectionSchema.TryParse(result.Content, out var names, out lastError))
+            {
+                conversation.Add(new AiChatMessage("assistant", result.Content));
+                conversation.Add(new AiChatMessage("user", IngredientDetectionSchema.RetryPrompt(lastError)));
+                continue;
+            }
+
+            var normalizedNames = names
+                .Select(NormalizeIngredientName)
+                .Distinct()
+                .ToList();
+            var existing = await db.Ingredients
+                .AsNoTracking()
+                .Where(i => normalizedNames.Contains(i.Name))
+                .ToDictionaryAsync(i => i.Name, cancellationToken);
+
+            var detected = normalizedNames
+                .Select(name => existing.TryGetValue(name, out var match)
+                    ? new DetectedIngredientDto(name, match.Id, match.Location.ToString())
+                    : new DetectedIngredientDto(name, null, null))
+                .ToList();
+
+            return Results.Ok(new DetectIngredientsResponse(result.Model, location.ToString(), detected));
+        }
+
+        return Results.Problem(
+            $"The model did not return a valid ingredient list after {IngredientDetectionSchema.MaxAttempts} attempts: {lastError}",
+            statusCode: StatusCodes.Status502BadGateway);
+    }
+    catch (InvalidOperationException ex)
+    {
+        return Results.Problem(ex.Message, statusCode: StatusCodes.Status503ServiceUnavailable);
+    }
+    catch (HttpRequestException ex)
+    {
+        return Results.Problem(ex.Message, statusCode: StatusCodes.Status502BadGateway);
+    }
+})
+.WithOpenApi();
+
+app.Run();
+
+static IQueryable<RecipeDto> SelectRecipeDtos(IQueryable<Recipe> recipes) =>
+    recipes.Select(r => new RecipeDto(
+        r.Id,
+        r.Name,
+        r.Instructions,
+        r.Servings,
+        r.RecipeIngredients
+            .OrderBy(ri => ri.Ingredient.Name)
+            .Select(ri => new RecipeIngredientDto(ri.IngredientId, ri.Ingredient.Name, ri.Quantity, ri.Unit))
+            .ToList(),
+        r.RecipeTags
+            .Select(rt => rt.Tag.Name)
+            .OrderBy(n => n)
+            .ToList(),
+        r.Images
+            .OrderBy(i => i.Id)
+            .Select(i => i.Id)
+            .ToList(),
+        r.AiGenerationId,
+        r.Images
+            .Where(i => i.IsCover)
+            .Select(i => (int?)i.Id)
+            .FirstOrDefault()));
+
+static RecipeImageDto ToRecipeImageDto(RecipeImage image) => new(
+    image.Id,
+    $"/api/recipes/{image.RecipeId}/images/{image.Id}",
+    image.ContentType,
+    image.SizeBytes,
+    image.IsCover,
+    image.CreatedAt);
+
+static IQueryable<RecipeCollectionDto> SelectRecipeCollectionDtos(IQueryable<RecipeCollection> collections) =>
+    collections.Select(c => new RecipeCollectionDto(
+        c.Id,
+        c.Name,
+        c.CreatedAt,
+        c.Entries
+            .OrderBy(e => e.AddedAt)
+            .Select(e => e.RecipeId)
+            .ToList()));
+
+static IQueryable<ShoppingListDto> SelectShoppingListDtos(IQueryable<ShoppingList> lists) =>
+    lists.Select(l => new ShoppingListDto(
+        l.Id,
+        l.Name,
+        l.CreatedAt,
+        l.Items
+            .OrderBy(i => i.Name)
+            .ThenBy(i => i.Id)
+            .Select(i => new ShoppingListItemDto(
+                i.Id,
+                i.IngredientId,
+                i.Name,
+                i.Quantity,
+                i.Unit,
+                i.Location.ToString(),
+                i.Checked))
+            .ToList()));
+
+// Recipes listed more than once (the same dinner twice in a week) contribute their ingredients each time.
+// The stock recorded on each ingredient is taken off what is needed; `excludeIngredientIds` leaves
+// ingredients off entirely whatever their stock says.
+static async Task<ShoppingListDto> CreateShoppingListAsync(
+    RecipeDbContext db,
+    string name,
+    IReadOnlyList<int> recipeIds,
+    IReadOnlyList<int> excludeIngredientIds)
+{
+    var distinctIds = recipeIds.Distinct().ToArray();
+    var exclude = excludeIngredientIds.ToArray();
+    var rows = await db.RecipeIngredients
+        .AsNoTracking()
+        .Where(ri => distinctIds.Contains(ri.RecipeId) && !exclude.Contains(ri.IngredientId))
+        .Select(ri => new
+        {
+            ri.RecipeId,
+            Source = new ShoppingListSource(ri.IngredientId, ri.Ingredient.Name, ri.Ingredient.Location, ri.Quantity, ri.Unit),
+        })
+        .ToListAsync();
+    var sourcesByRecipe = rows.ToLookup(r => r.RecipeId, r => r.Source);
+
+    var ingredientIds = rows.Select(r => r.Source.IngredientId).Distinct().ToArray();
+    var stock = await db.Ingredients
+        .AsNoTracking()
+        .Where(i => ingredientIds.Contains(i.Id) && i.Quantity > 0)
+        .ToDictionaryAsync(i => i.Id, i => new ShoppingListStock(i.Quantity!.Value, i.Unit));
+
+    var list = new ShoppingList
+    {
+        Name = name.Length > 200 ? name[..197] + "..." : name,
+        CreatedAt = DateTime.UtcNow,
+        Items = ShoppingListAggregator.Aggregate(recipeIds.SelectMany(id => sourcesByRecipe[id]), stock),
+    };
+
+    db.ShoppingLists.Add(list);
+    await db.SaveChangesAsync();
+
+    return await SelectShoppingListDtos(db.ShoppingLists
+            .AsNoTracking()
+            .Where(l => l.Id == list.Id))
+        .FirstAsync();
+}
+
+static IQueryable<MealPlanDto> SelectMealPlanDtos(IQueryable<MealPlan> plans) =>
+    plans.Select(p => new MealPlanDto(
+        p.Id,
+        p.WeekStart,
+        p.Entries
+            .OrderBy(e => e.Date)
+            .ThenBy(e => e.Meal)
+            .Select(e => new MealPlanEntryDto(e.Id, e.Date, e.Meal.ToString(), e.RecipeId, e.Recipe.Name))
+            .ToList()));
+
+static DateOnly StartOfWeek(DateOnly date) => date.AddDays(-(((int)date.DayOfWeek + 6) % 7));
+
+// Shared by create and update so both enforce the same rules.
+static async Task<(string Name, string? Instructions, IReadOnlyList<CreateRecipeIngredientRequest> Ingredients, IResult? Error)>
+    ValidateRecipeRequestAsync(RecipeDbContext db, CreateRecipeRequest request)
+{
+    var name = (request.Name ?? string.Empty).Trim();
+    if (string.IsNullOrWhiteSpace(name))
+    {
+        return (name, null, [], Results.BadRequest(new { message = "Name is required." }));
+    }
+
+    if (request.Servings is < 1 or > 100)
+    {
+        return (name, null, [], Results.BadRequest(new { message = "Servings must be between 1 and 100." }));
+    }
+
+    // The same ingredient twice would collide on the link table's key; the last entry wins.
+    var requestedIngredients = (request.Ingredients ?? [])
+        .Where(i => i.IngredientId > 0)
+        .GroupBy(i => i.IngredientId)
+        .Select(g => g.Last())
+        .Select(i => i with { Unit = string.IsNullOrWhiteSpace(i.Unit) ? null : i.Unit.Trim() })
+        .ToList();
+    if (requestedIngredients.Count == 0)
+    {
+        return (name, null, [], Results.BadRequest(new { message = "At least one ingredient is required." }));
+    }
+
+    var ingredientIds = requestedIngredients.Select(i => i.IngredientId).ToArray();
+    var existingIngredientIds = await db.Ingredients
+        .AsNoTracking()
+        .Where(i => ingredientIds.Contains(i.Id))
+        .Select(i => i.Id)
+        .ToListAsync();
+
+    var missingIngredientIds = ingredientIds.Except(existingIngredientIds).ToArray();
+    if (missingIngredientIds.Length > 0)
+    {
+        return (name, null, [], Results.BadRequest(new { message = "Unknown ingredient IDs.", missingIngredientIds }));
+    }
+
+    var instructions = string.IsNullOrWhiteSpace(request.Instructions) ? null : request.Instructions.Trim();
+    return (name, instructions, requestedIngredients, null);
+}
+
+// Tags are compared by their normalized form: trimmed, lowercase, single spaces.
+static string NormalizeTagName(string? raw) =>
+    string.Join(' ', (raw ?? string.Empty).Split(' ', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries))
+        .ToLowerInvariant();
+
+static (IReadOnlyList<string> Tags, IResult? Error) ValidateTags(IReadOnlyList<string>? requested)
+{
+    var tags = (requested ?? [])
+        .Select(NormalizeTagName)
+        .Where(t => t.Length > 0)
+        .Distinct()
+        .ToList();
+    if (tags.Any(t => t.Length > 40))
+    {
+        return ([], Results.BadRequest(new { message = "Tags must be 40 characters or fewer." }));
+    }
+
+    if (tags.Count > 20)
+    {
+        return ([], Results.BadRequest(new { message = "A recipe can have at most 20 tags." }));
+    }
+
+    return (tags, null);
+}
+
+// Replaces the recipe's tags, creating any that don't exist yet. The recipe's links must be loaded
+// together with their tags.
+static async Task SetRecipeTagsAsync(RecipeDbContext db, Recipe recipe, IReadOnlyList<string> names)
+{
+    foreach (var link in recipe.RecipeTags.Where(rt => !names.Contains(rt.Tag.Name)).ToList())
+    {
+        recipe.RecipeTags.Remove(link);
+    }
+
+    var linked = recipe.RecipeTags.Select(rt => rt.Tag.Name).ToHashSet();
+    var wanted = names.Where(n => !linked.Contains(n)).ToList();
+    if (wanted.Count == 0)
+    {
+        return;
+    }
+
+    var existing = await db.Tags.Where(t => wanted.Contains(t.Name)).ToDictionaryAsync(t => t.Name);
+    foreach (var name in wanted)
+    {
+        var tag = existing.GetValueOrDefault(name) ?? new Tag { Name = name };
+        recipe.RecipeTags.Add(new RecipeTag { Tag = tag });
+    }
+}
+
+static (string Name, IResult? Error) ValidateCollectionName(string? raw)
+{
+    var name = (raw ?? string.Empty).Trim();
+    if (name.Length == 0)
+    {
+        return (name, Results.BadRequest(new { message = "Name is required." }));
+    }
+
+    if (name.Length > 200)
+    {
+        return (name, Results.BadRequest(new { message = "Name must be 200 characters or fewer." }));
+    }
+
+    return (name, null);
+}
+
+// Checked before saving so a bad backup gets a 400 naming the entry rather than a database error. The
+// name itself may be huge, so only its start goes in the message.
+static IResult ImportNameTooLong(string what, string name, int maxLength = 200) =>
+    Results.BadRequest(new
+    {
+        message = $"{what} \"{name[..40]}...\" has a {name.Length}-character name; names must be {maxLength} characters or fewer.",
+    });
+
+// ILIKE treats % and _ as wildcards and backslash as the escape character.
+static string EscapeLikePattern(string value) =>
+    value.Replace("\\", "\\\\").Replace("%", "\\%").Replace("_", "\\_");
+
+static bool IsPantryStaple(string name) =>
+    name.Trim().ToLowerInvariant() switch
+    {
+        "salt" or "kosher salt" or "sea salt" or "pepper" or "black pepper" or "water" or "ice" => true,
+        "oil" or "olive oil" or "vegetable oil" or "canola oil" or "cooking spray" => true,
+        _ => false,
+    };
+
+static string NormalizeIngredientName(string raw)
+{
     var cleaned = (raw ?? string.Empty).Trim();
     if (cleaned.Length == 0) return string.Empty;
 
@@ -344,6 +2445,218 @@ static string NormalizeIngredientName(string raw)
     return text.ToTitleCase(cleaned.ToLowerInvariant());
 }
 
+static async Task<(IReadOnlyList<AiChatMessage> Messages, IReadOnlyList<DietaryProfile> Profiles, IResult? Error)>
+    BuildAiRecipeMessagesAsync(
+    RecipeDbContext db,
+    GenerateAiRecipesRequest request,
+    CancellationToken cancellationToken)
+{
+    if (request.IngredientIds is null || request.IngredientIds.Count == 0)
+    {
+        return ([], [], Results.BadRequest(new { message = "Provide at least one ingredientId." }));
+    }
+
+    var ingredientIds = request.IngredientIds.Distinct().ToArray();
+    var ingredients = await db.Ingredients
+        .AsNoTracking()
+        .Where(i => ingredientIds.Contains(i.Id))
+        .OrderBy(i => i.Name)
+        .Select(i => new { i.Id, i.Name, i.BestBefore })
+        .ToListAsync(cancellationToken);
+
+    if (ingredients.Count != ingredientIds.Length)
+    {
+        return ([], [], Results.BadRequest(new { message = "One or more ingredientIds are invalid." }));
+    }
+
+    var priorityIds = (request.PriorityIngredientIds ?? []).ToHashSet();
+    if (!priorityIds.IsSubsetOf(ingredientIds))
+    {
+        return ([], [], Results.BadRequest(new { message = "priorityIngredientIds must also be listed in ingredientIds." }));
+    }
+
+    var ingredientNames = ingredients.Select(i => i.Name).ToList();
+    var priorityLines = ingredients
+        .Where(i => priorityIds.Contains(i.Id))
+        .OrderBy(i => i.BestBefore ?? DateOnly.MaxValue)
+        .Select(i => i.BestBefore is { } bestBefore
+            ? $"{i.Name} (best before {bestBefore.ToString("yyyy-MM-dd", CultureInfo.InvariantCulture)})"
+            : i.Name)
+        .ToList();
+
+    if (request.Format is not null && !IsStructuredAiRequest(request)
+        && !string.Equals(request.Format, "text", StringComparison.OrdinalIgnoreCase))
+    {
+        return ([], [], Results.BadRequest(new { message = "Format must be text or json." }));
+    }
+
+    var profiles = new List<DietaryProfile>();
+    foreach (var id in (request.DietaryProfiles ?? []).Distinct(StringComparer.OrdinalIgnoreCase))
+    {
+        var profile = DietaryProfiles.Find(id);
+        if (profile is null)
+        {
+            return ([], [], Results.BadRequest(new { message = $"Unknown dietary profile '{id}'." }));
+        }
+
+        profiles.Add(profile);
+    }
+
+    var maxRecipes = request.MaxRecipes is >= 1 and <= 10 ? request.MaxRecipes.Value : 5;
+
+    var systemPrompt =
+        "You are a practical cooking assistant. " +
+        "Only suggest recipes that can be made using ONLY the provided ingredients plus common pantry staples " +
+        "(salt, pepper, water, and neutral cooking oil). " +
+        "Keep steps short and clear. ";
+
+    var userPrompt =
+        $"Ingredients I have:\n- {string.Join("\n- ", ingredientNames)}\n\n" +
+        $"Suggest up to {maxRecipes} recipes.\n";
+
+    if (profiles.Count > 0)
+    {
+        systemPrompt += DietaryProfiles.PromptConstraints(profiles);
+
+        var excluded = ingredientNames.Where(name => DietaryProfiles.Violations(name, profiles).Count > 0).ToList();
+        if (excluded.Count > 0)
+        {
+            userPrompt += $"\nDo not use these, they break my dietary requirements:\n- {string.Join("\n- ", excluded)}\n";
+        }
+    }
+
+    if (priorityLines.Count > 0)
+    {
+        userPrompt +=
+            "\nThese need using up soon, so make them the main ingredients and use as many as you can:\n" +
+            $"- {string.Join("\n- ", priorityLines)}\n";
+    }
+
+    if (IsStructuredAiRequest(request))
+    {
+        systemPrompt += AiRecipeSchema.FormatInstructions;
+    }
+    else
+    {
+        systemPrompt += "Return plain text only (no code blocks, no markdown fences, no ASCII art).";
+        userPrompt +=
+            "Return each recipe in this exact format:\n" +
+            "Recipe: <Name>\n" +
+            "INGREDIENTS\n" +
+            "- item\n" +
+            "- item\n" +
+            "PROCEDURE\n" +
+            "1. step\n" +
+            "2. step\n" +
+            "\n" +
+            "Separate recipes with a blank line.\n";
+    }
+
+    if (!string.IsNullOrWhiteSpace(request.Notes))
+    {
+        userPrompt += $"\nNotes/preferences:\n{request.Notes.Trim()}\n";
+    }
+
+    return (
+        [
+            new AiChatMessage("system", systemPrompt),
+            new AiChatMessage("user", userPrompt),
+        ],
+        profiles,
+        null);
+}
+
+static async Task<AiGeneration> SaveAiGenerationAsync(
+    RecipeDbContext db,
+    GenerateAiRecipesRequest request,
+    IAiChatProvider ai,
+    string model,
+    string content,
+    IReadOnlyList<AiRecipeDto>? recipes,
+    CancellationToken cancellationToken)
+{
+    var ingredientIds = request.IngredientIds.Distinct().ToList();
+    var generation = new AiGeneration
+    {
+        CreatedAt = DateTime.UtcNow,
+        IngredientIds = ingredientIds,
+        IngredientNames = await db.Ingredients
+            .Where(i => ingredientIds.Contains(i.Id))
+            .OrderBy(i => i.Name)
+            .Select(i => i.Name)
+            .ToListAsync(cancellationToken),
+        PriorityIngredientIds = (request.PriorityIngredientIds ?? []).Distinct().ToList(),
+        DietaryProfiles = (request.DietaryProfiles ?? []).Distinct(StringComparer.OrdinalIgnoreCase).ToList(),
+        Notes = string.IsNullOrWhiteSpace(request.Notes) ? null : request.Notes.Trim(),
+        MaxRecipes = request.MaxRecipes,
+        Format = IsStructuredAiRequest(request) ? "json" : "text",
+        Provider = ai.Id,
+        Model = string.IsNullOrEmpty(model) ? request.Model ?? ai.DefaultModel : model,
+        Content = content,
+        Recipes = recipes is null
+            ? null
+            : JsonSerializer.Serialize(recipes, new JsonSerializerOptions(JsonSerializerDefaults.Web)),
+    };
+
+    db.AiGenerations.Add(generation);
+    await db.SaveChangesAsync(cancellationToken);
+    return generation;
+}
+
+static IReadOnlyList<AiRecipeDto> ReadAiGenerationRecipes(string json) =>
+    JsonSerializer.Deserialize<List<AiRecipeDto>>(json, new JsonSerializerOptions(JsonSerializerDefaults.Web)) ?? [];
+
+// Text runs have no parsed recipes; the "Recipe: <Name>" lines are enough to label them in the history.
+static IReadOnlyList<string> TextRecipeTitles(string content) =>
+    content.Split('\n')
+        .Select(line => line.Trim())
+        .Where(line => line.StartsWith("Recipe:", StringComparison.OrdinalIgnoreCase))
+        .Select(line => line["Recipe:".Length..].Trim())
+        .Where(title => title.Length > 0)
+        .ToList();
+
+// A blank id asked for the default provider, which only exists with AI_PROVIDER or an Ollama Cloud key.
+static IResult UnknownAiProvider(string? id) =>
+    string.IsNullOrWhiteSpace(id)
+        ? Results.Problem(
+            "Missing OLLAMA_API_KEY (or Ollama:ApiKey). Set it, set AI_PROVIDER, or pick a provider in the Ask AI card.",
+            statusCode: StatusCodes.Status503ServiceUnavailable)
+        : Results.BadRequest(new { message = $"Unknown AI provider '{id}'." });
+
+// Recipes that use an ingredient a selected profile rules out keep their place in the menu but carry
+// warnings, so the UI can flag them instead of silently hiding a suggestion.
+static AiRecipeDto WithDietaryWarnings(AiRecipeDto recipe, IReadOnlyList<DietaryProfile> profiles)
+{
+    var warnings = DietaryProfiles.Check(recipe, profiles);
+    return warnings.Count > 0 ? recipe with { Warnings = warnings } : recipe;
+}
+
+static bool IsStructuredAiRequest(GenerateAiRecipesRequest request) =>
+    string.Equals(request.Format, "json", StringComparison.OrdinalIgnoreCase);
+
+static async Task WriteStreamEventAsync(HttpResponse response, AiRecipeStreamEvent streamEvent, CancellationToken cancellationToken)
+{
+    if (!response.HasStarted)
+    {
+        response.ContentType = "application/x-ndjson";
+        response.Headers.CacheControl = "no-cache";
+        // Keeps nginx from buffering the whole stream before forwarding it.
+        response.Headers["X-Accel-Buffering"] = "no";
+    }
+
+    var jsonOptions = response.HttpContext.RequestServices.GetRequiredService<IOptions<JsonOptions>>().Value;
+    await response.WriteAsync(JsonSerializer.Serialize(streamEvent, jsonOptions.SerializerOptions) + "\n", cancellationToken);
+    await response.Body.FlushAsync(cancellationToken);
+}
+
+static string StripDataUrlPrefix(string? image)
+{
+    // Browsers hand us "data:image/jpeg;base64,..." from FileReader/canvas; Ollama wants the bare payload.
+    var value = (image ?? string.Empty).Trim();
+    var comma = value.IndexOf(',');
+    return value.StartsWith("data:", StringComparison.OrdinalIgnoreCase) && comma >= 0 ? value[(comma + 1)..] : value;
+}
+
 static StorageLocation ParseLocation(string? value)
 {
     if (string.IsNullOrWhiteSpace(value))
@@ -359,6 +2672,40 @@ static StorageLocation ParseLocation(string? value)
     throw new ArgumentException("Location must be Fridge, Pantry, or Freezer.");
 }
 
+static IngredientDto ToIngredientDto(Ingredient ingredient) => new(
+    ingredient.Id,
+    ingredient.Name,
+    ingredient.Location.ToString(),
+    ingredient.Quantity,
+    ingredient.Unit,
+    ingredient.PurchasedOn,
+    ingredient.BestBefore);
+
+static (string? Unit, IResult? Error) ValidateInventory(
+    decimal? quantity,
+    string? unit,
+    DateOnly? purchasedOn,
+    DateOnly? bestBefore)
+{
+    if (quantity is < 0 or >= 100_000_000)
+    {
+        return (null, Results.BadRequest(new { message = "Quantity must be between 0 and 99,999,999." }));
+    }
+
+    var trimmedUnit = string.IsNullOrWhiteSpace(unit) ? null : unit.Trim();
+    if (trimmedUnit is { Length: > 32 })
+    {
+        return (null, Results.BadRequest(new { message = "Unit must be 32 characters or fewer." }));
+    }
+
+    if (purchasedOn is not null && bestBefore is not null && bestBefore < purchasedOn)
+    {
+        return (null, Results.BadRequest(new { message = "Best-before date can't be before the purchase date." }));
+    }
+
+    return (trimmedUnit, null);
+}
+
 static async Task NormalizeExistingIngredientsAsync(IServiceProvider services)
 {
     using var scope = services.CreateScope();
@@ -0,0 +1,108 @@
+using RecipeApi.Models;
+using RecipeApi.Units;
+
+namespace RecipeApi.Shopping;
+
+public sealed record ShoppingListSource(int IngredientId, string Name, StorageLocation Location, decimal? Quantity, string? Unit);
+
+// What is already on hand of an ingredient (its stored Quantity and Unit).
+public sealed record ShoppingListStock(decimal Quantity, string? Unit);
+
+public static class ShoppingListAggregator
+{
+    // numeric(10,2) upper bound for ShoppingListItem.Quantity.
+    private const decimal MaxQuantity = 99_999_999.99m;
+
+    // Produces one item per ingredient and unit family: "1 cup + 2 tbsp" of milk becomes a single
+    // line, while "2 cups" and "100 g" of the same ingredient stay separate because they can't be added.
+    // Stock is taken off the line in its own unit family, and a line it covers is left off; an ingredient
+    // needed without an amount is left off as soon as any is on hand.
+    public static List<ShoppingListItem> Aggregate(
+        IEnumerable<ShoppingListSource> sources,
+        IReadOnlyDictionary<int, ShoppingListStock>? stock = null)
+    {
+        var items = new List<ShoppingListItem>();
+
+        foreach (var ingredient in sources.GroupBy(s => s.IngredientId))
+        {
+            var first = ingredient.First();
+            var quantified = ingredient.Where(s => s.Quantity is > 0).ToList();
+            var onHand = stock?.GetValueOrDefault(ingredient.Key);
+
+            if (quantified.Count == 0)
+            {
+                // "Salt, to taste" in every recipe still only needs buying once.
+                if (onHand is null)
+                {
+                    items.Add(NewItem(first, null, null));
+                }
+
+                continue;
+            }
+
+            var converted = new Dictionary<UnitFamily, decimal>();
+            var other = new Dictionary<string, (decimal Quantity, string? Unit)>(StringComparer.OrdinalIgnoreCase);
+            foreach (var source in quantified)
+            {
+                if (UnitConverter.TryToBase(source.Quantity!.Value, source.Unit, out var family, out var baseQuantity))
+                {
+                    converted[family] = converted.GetValueOrDefault(family) + baseQuantity;
+                }
+                else
+                {
+                    // Counts ("3 eggs") and unknown units ("2 cloves") only add up with the same unit.
+                    var unit = string.IsNullOrWhiteSpace(source.Unit) ? null : source.Unit.Trim();
+                    var key = unit ?? string.Empty;
+                    var current = other.GetValueOrDefault(key);
+                    other[key] = (current.Quantity + source.Quantity.Value, current.Unit ?? unit);
+                }
+            }
+
+            if (onHand is not null)
+            {
+                if (UnitConverter.TryToBase(onHand.Quantity, onHand.Unit, out var family, out var baseStock))
+                {
+                    if (converted.TryGetValue(family, out var needed))
+                    {
+                        converted[family] = needed - baseStock;
+                    }
+                }
+                else
+                {
+                    // Stock in an unrelated unit ("1 bag" of flour for "200 g") can't be compared, so
+                    // that line stays in full.
+                    var key = string.IsNullOrWhiteSpace(onHand.Unit) ? string.Empty : onHand.Unit.Trim();
+                    if (other.TryGetValue(key, out var needed))
+                    {
+                        other[key] = (needed.Quantity - onHand.Quantity, needed.Unit);
+                    }
+                }
+            }
+
+            foreach (var (family, baseQuantity) in converted.Where(c => c.Value > 0).OrderBy(c => c.Key))
+            {
+                var (quantity, unit) = UnitConverter.FromBase(family, baseQuantity);
+                items.Add(NewItem(first, quantity, unit));
+            }
+
+            foreach (var (quantity, unit) in other.Values.Where(o => o.Quantity > 0))
+            {
+                items.Add(NewItem(first, decimal.Round(quantity, 2), unit));
+            }
+        }
+
+        return items
+            .OrderBy(i => i.Location)
+            .ThenBy(i => i.Name)
+            .ToList();
+    }
+
+    private static ShoppingListItem NewItem(ShoppingListSource source, decimal? quantity, string? unit) => new()
+    {
+        IngredientId = source.IngredientId,
+        Name = source.Name,
+        Quantity = quantity is null ? null : Math.Min(quantity.Value, MaxQuantity),
+        Unit = unit,
+        Location = source.Location,
+    };
+}
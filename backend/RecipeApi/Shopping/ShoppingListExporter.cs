@@ -0,0 +1,65 @@
+using System.Globalization;
+using System.Text;
+using RecipeApi.Contracts;
+
+namespace RecipeApi.Shopping;
+
+public static class ShoppingListExporter
+{
+    // Same order as the ingredient columns in the UI.
+    private static readonly string[] LocationOrder = ["Fridge", "Pantry", "Freezer"];
+
+    public static string ToText(ShoppingListDto list)
+    {
+        var sb = new StringBuilder();
+        sb.AppendLine(list.Name);
+        sb.AppendLine($"Created {list.CreatedAt.ToString("yyyy-MM-dd", CultureInfo.InvariantCulture)}");
+
+        foreach (var (location, items) in GroupByLocation(list))
+        {
+            sb.AppendLine();
+            sb.AppendLine(location);
+            foreach (var item in items)
+            {
+                sb.AppendLine($"[{(item.Checked ? "x" : " ")}] {FormatItem(item)}");
+            }
+        }
+
+        return sb.ToString();
+    }
+
+    public static string ToMarkdown(ShoppingListDto list)
+    {
+        var sb = new StringBuilder();
+        sb.AppendLine($"# {list.Name}");
+        sb.AppendLine();
+        sb.AppendLine($"_Created {list.CreatedAt.ToString("yyyy-MM-dd", CultureInfo.InvariantCulture)}_");
+
+        foreach (var (location, items) in GroupByLocation(list))
+        {
+            sb.AppendLine();
+            sb.AppendLine($"## {location}");
+            sb.AppendLine();
+            foreach (var item in items)
+            {
+                sb.AppendLine($"- [{(item.Checked ? "x" : " ")}] {FormatItem(item)}");
+            }
+        }
+
+        return sb.ToString();
+    }
+
+    private static IEnumerable<(string Location, List<ShoppingListItemDto> Items)> GroupByLocation(ShoppingListDto list) =>
+        list.Items
+            .GroupBy(i => i.Location)
+            .OrderBy(g => Array.IndexOf(LocationOrder, g.Key) is var index and >= 0 ? index : LocationOrder.Length)
+            .Select(g => (g.Key, g.OrderBy(i => i.Name).ToList()));
+
+    private static string FormatItem(ShoppingListItemDto item)
+    {
+        if (item.Quantity is null) return item.Name;
+
+        var quantity = item.Quantity.Value.ToString("0.##", CultureInfo.InvariantCulture);
+        return string.IsNullOrEmpty(item.Unit) ? $"{item.Name} · {quantity}" : $"{item.Name} · {quantity} {item.Unit}";
+    }
+}
@@ -0,0 +1,44 @@
+using System.Collections.Concurrent;
+using RecipeApi.Contracts;
+
+namespace RecipeApi.Undo;
+
+// Bulk ingredient deletes, kept in memory for a short while under a random token. /ingredients/restore only
+// takes that token, so it can bring back exactly what a delete removed and nothing a client makes up. Lost
+// on restart, which is fine for an undo button.
+public sealed class IngredientUndoStore
+{
+    public static readonly TimeSpan UndoWindow = TimeSpan.FromMinutes(10);
+
+    private readonly ConcurrentDictionary<Guid, (DateTimeOffset Expires, IReadOnlyList<DeletedIngredientDto> Ingredients)> deletes = new();
+
+    public Guid Add(IReadOnlyList<DeletedIngredientDto> ingredients)
+    {
+        RemoveExpired();
+
+        var token = Guid.NewGuid();
+        deletes[token] = (DateTimeOffset.UtcNow + UndoWindow, ingredients);
+        return token;
+    }
+
+    public IReadOnlyList<DeletedIngredientDto>? Find(Guid token)
+    {
+        RemoveExpired();
+        return deletes.TryGetValue(token, out var delete) ? delete.Ingredients : null;
+    }
+
+    // Called once the restore is saved, so the same delete can't be undone twice.
+    public void Remove(Guid token) => deletes.TryRemove(token, out _);
+
+    private void RemoveExpired()
+    {
+        var now = DateTimeOffset.UtcNow;
+        foreach (var (token, delete) in deletes)
+        {
+            if (delete.Expires <= now)
+            {
+                deletes.TryRemove(token, out _);
+            }
+        }
+    }
+}
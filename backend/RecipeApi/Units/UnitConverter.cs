@@ -0,0 +1,76 @@
+namespace RecipeApi.Units;
+
+public enum UnitFamily
+{
+    Mass,
+    MetricVolume,
+    UsVolume,
+}
+
+// Converts between units that measure the same thing so amounts from different recipes can be
+// added up. Metric and US volumes are kept apart: "2 cups" next to "500 ml" reads better on a
+// shopping list than an exact but unfamiliar conversion.
+public static class UnitConverter
+{
+    private sealed record UnitInfo(UnitFamily Family, decimal ToBase);
+
+    private static readonly Dictionary<string, UnitInfo> KnownUnits = new(StringComparer.OrdinalIgnoreCase)
+    {
+        ["g"] = new(UnitFamily.Mass, 1m),
+        ["gram"] = new(UnitFamily.Mass, 1m),
+        ["grams"] = new(UnitFamily.Mass, 1m),
+        ["kg"] = new(UnitFamily.Mass, 1000m),
+        ["kilogram"] = new(UnitFamily.Mass, 1000m),
+        ["kilograms"] = new(UnitFamily.Mass, 1000m),
+        ["ml"] = new(UnitFamily.MetricVolume, 1m),
+        ["milliliter"] = new(UnitFamily.MetricVolume, 1m),
+        ["milliliters"] = new(UnitFamily.MetricVolume, 1m),
+        ["millilitre"] = new(UnitFamily.MetricVolume, 1m),
+        ["millilitres"] = new(UnitFamily.MetricVolume, 1m),
+        ["l"] = new(UnitFamily.MetricVolume, 1000m),
+        ["liter"] = new(UnitFamily.MetricVolume, 1000m),
+        ["liters"] = new(UnitFamily.MetricVolume, 1000m),
+        ["litre"] = new(UnitFamily.MetricVolume, 1000m),
+        ["litres"] = new(UnitFamily.MetricVolume, 1000m),
+        ["tsp"] = new(UnitFamily.UsVolume, 1m),
+        ["teaspoon"] = new(UnitFamily.UsVolume, 1m),
+        ["teaspoons"] = new(UnitFamily.UsVolume, 1m),
+        ["tbsp"] = new(UnitFamily.UsVolume, 3m),
+        ["tablespoon"] = new(UnitFamily.UsVolume, 3m),
+        ["tablespoons"] = new(UnitFamily.UsVolume, 3m),
+        ["cup"] = new(UnitFamily.UsVolume, 48m),
+        ["cups"] = new(UnitFamily.UsVolume, 48m),
+    };
+
+    // Quantities are summed in the family's smallest unit (g, ml, tsp).
+    public static bool TryToBase(decimal quantity, string? unit, out UnitFamily family, out decimal baseQuantity)
+    {
+        family = default;
+        baseQuantity = 0;
+
+        var key = unit?.Trim().TrimEnd('.');
+        if (string.IsNullOrEmpty(key) || !KnownUnits.TryGetValue(key, out var info))
+        {
+            return false;
+        }
+
+        family = info.Family;
+        baseQuantity = quantity * info.ToBase;
+        return true;
+    }
+
+    // Picks the largest unit that keeps the amount readable, e.g. 1500 g -> 1.5 kg, 6 tsp -> 2 tbsp.
+    public static (decimal Quantity, string Unit) FromBase(UnitFamily family, decimal baseQuantity) =>
+        family switch
+        {
+            UnitFamily.Mass when baseQuantity >= 1000m => (Round(baseQuantity / 1000m), "kg"),
+            UnitFamily.Mass => (Round(baseQuantity), "g"),
+            UnitFamily.MetricVolume when baseQuantity >= 1000m => (Round(baseQuantity / 1000m), "l"),
+            UnitFamily.MetricVolume => (Round(baseQuantity), "ml"),
+            UnitFamily.UsVolume when baseQuantity >= 12m => (Round(baseQuantity / 48m), "cup"),
+            UnitFamily.UsVolume when baseQuantity >= 3m => (Round(baseQuantity / 3m), "tbsp"),
+            _ => (Round(baseQuantity), "tsp"),
+        };
+
+    private static decimal Round(decimal value) => decimal.Round(value, 2, MidpointRounding.AwayFromZero);
+}
@@ -0,0 +1,83 @@
+// Service worker: keeps the app shell available offline. API data is not cached here; the app keeps
+// its own copy in IndexedDB (see src/offline.js) so it can tell fresh data from a saved copy.
+
+const shellCache = 'recipestack-shell-v1'
+const shellUrls = ['/index.html', '/manifest.webmanifest', '/icon.svg']
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    (async () => {
+      const cache = await caches.open(shellCache)
+      await cache.addAll(shellUrls)
+
+      // The page that registered us loaded its scripts before we existed, so fetch the hashed
+      // bundles index.html points at now instead of waiting for the next visit to cache them.
+      const html = await (await cache.match('/index.html')).text()
+      const assets = [...html.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g)].map((m) => m[1])
+      await cache.addAll(assets)
+
+      await self.skipWaiting()
+    })(),
+  )
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    (async () => {
+      const keys = await caches.keys()
+      await Promise.all(keys.filter((key) => key !== shellCache).map((key) => caches.delete(key)))
+
+      // Drop bundles from earlier deploys that the current index.html no longer references.
+      const cache = await caches.open(shellCache)
+      const html = await (await cache.match('/index.html'))?.text()
+      if (html) {
+        for (const cached of await cache.keys()) {
+          const { pathname } = new URL(cached.url)
+          if (pathname.startsWith('/assets/') && !html.includes(pathname)) await cache.delete(cached)
+        }
+      }
+
+      await self.clients.claim()
+    })(),
+  )
+})
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  const url = new URL(request.url)
+  if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) return
+
+  // Every route is the same index.html. Prefer the network so a new deploy shows up right away.
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      (async () => {
+        try {
+          const response = await fetch(request)
+          if (response.ok) {
+            const cache = await caches.open(shellCache)
+            await cache.put('/index.html', response.clone())
+          }
+          return response
+        } catch {
+          return (await caches.match('/index.html')) ?? Response.error()
+        }
+      })(),
+    )
+    return
+  }
+
+  // Bundles are content-hashed, so a cached copy never goes stale.
+  event.respondWith(
+    (async () => {
+      const cached = await caches.match(request)
+      if (cached) return cached
+
+      const response = await fetch(request)
+      if (response.ok) {
+        const cache = await caches.open(shellCache)
+        await cache.put(request, response.clone())
+      }
+      return response
+    })(),
+  )
+})
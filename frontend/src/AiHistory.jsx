@@ -0,0 +1,147 @@
+import { useEffect, useState } from 'react'
+import { apiDelete, apiGet } from './api.js'
+import { generationRecipes } from './recipeParsing.js'
+
+const timeFormat = new Intl.DateTimeFormat(undefined, { dateStyle: 'medium', timeStyle: 'short' })
+
+// Past Ask AI runs, newest first. `version` changes whenever a run finishes or a recipe is saved, so the
+// list (and its saved counts) reloads. Two runs can be ticked to compare them side by side.
+export default function AiHistory({ version, currentId, disabled, onOpen, onRegenerate }) {
+  const [generations, setGenerations] = useState([])
+  const [compareIds, setCompareIds] = useState([])
+  const [compared, setCompared] = useState([])
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    const controller = new AbortController()
+    apiGet('/api/ai/generations', { signal: controller.signal })
+      .then((result) => {
+        setGenerations(result)
+        setCompareIds((prev) => prev.filter((id) => result.some((g) => g.id === id)))
+      })
+      .catch((e) => {
+        if (e?.name !== 'AbortError') setError(e?.message ?? String(e))
+      })
+    return () => controller.abort()
+  }, [version])
+
+  useEffect(() => {
+    if (compareIds.length !== 2) {
+      setCompared([])
+      return
+    }
+    const controller = new AbortController()
+    Promise.all(compareIds.map((id) => apiGet(`/api/ai/generations/${id}`, { signal: controller.signal })))
+      .then(setCompared)
+      .catch((e) => {
+        if (e?.name !== 'AbortError') setError(e?.message ?? String(e))
+      })
+    return () => controller.abort()
+  }, [compareIds])
+
+  async function withGeneration(id, action) {
+    setError('')
+    try {
+      action(await apiGet(`/api/ai/generations/${id}`))
+    } catch (e) {
+      setError(e?.message ?? String(e))
+    }
+  }
+
+  async function onDelete(id) {
+    setError('')
+    try {
+      await apiDelete(`/api/ai/generations/${id}`)
+      setGenerations((prev) => prev.filter((g) => g.id !== id))
+      setCompareIds((prev) => prev.filter((other) => other !== id))
+    } catch (e) {
+      setError(e?.message ?? String(e))
+    }
+  }
+
+  function toggleCompare(id) {
+    setCompareIds((prev) => (prev.includes(id) ? prev.filter((other) => other !== id) : [...prev, id].slice(-2)))
+  }
+
+  if (!generations.length && !error) return null
+
+  return (
+    <details className="aiHistory">
+      <summary className="aiSectionTitle">History ({generations.length})</summary>
+
+      {error ? (
+        <div className="error" role="alert">
+          {error}
+        </div>
+      ) : null}
+
+      <ul className="aiHistoryList">
+        {generations.map((g) => (
+          <li key={g.id} className={`aiHistoryItem${g.id === currentId ? ' active' : ''}`}>
+            <label className="checkbox" title="Tick two runs to compare them">
+              <input type="checkbox" checked={compareIds.includes(g.id)} onChange={() => toggleCompare(g.id)} />
+              <span>{timeFormat.format(new Date(g.createdAt))}</span>
+            </label>
+            <div className="muted">
+              {g.model} · {g.ingredientNames.join(', ') || 'no ingredients'}
+              {g.notes ? ` · “${g.notes}”` : ''}
+            </div>
+            <div>
+              {g.recipeTitles.join(' · ') || 'No recipes'}
+              {g.savedRecipeCount ? <span className="badge">{g.savedRecipeCount} saved</span> : null}
+            </div>
+            <div className="aiButtonRow">
+              <button type="button" className="aiExplore" onClick={() => withGeneration(g.id, onOpen)}>
+                Open
+              </button>
+              <button
+                type="button"
+                className="aiExplore"
+                onClick={() => withGeneration(g.id, onRegenerate)}
+                disabled={disabled}
+              >
+                Regenerate
+              </button>
+              <button type="button" className="secondaryButton" onClick={() => onDelete(g.id)}>
+                Delete
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      {compared.length === 2 ? (
+        <div className="aiCompare">
+          {compared.map((g) => (
+            <div key={g.id} className="aiCompareColumn">
+              <div className="aiSectionTitle">{timeFormat.format(new Date(g.createdAt))}</div>
+              <div className="muted">
+                {g.provider} · {g.model}
+              </div>
+              <div className="muted">{g.ingredientNames.join(', ')}</div>
+              {g.notes ? <div className="muted">“{g.notes}”</div> : null}
+              {generationRecipes(g).map((r, i) => (
+                <div key={i} className="aiCompareRecipe">
+                  <strong>{r.title}</strong>
+                  <div className="muted">
+                    {[
+                      r.totalMinutes ? `${r.totalMinutes} min` : '',
+                      r.servings ? `Serves ${r.servings}` : '',
+                      `${r.ingredients.length} ingredients`,
+                    ]
+                      .filter(Boolean)
+                      .join(' · ')}
+                  </div>
+                  <div>{r.ingredients.join(', ')}</div>
+                </div>
+              ))}
+              <button type="button" className="aiExplore" onClick={() => onOpen(g)}>
+                Open
+              </button>
+            </div>
+          ))}
+        </div>
+      ) : null}
+    </details>
+  )
+}
@@ -0,0 +1,76 @@
+import { useEffect, useState } from 'react'
+import { apiGet } from './api.js'
+
+// Provider and model selects for the Ask AI card, filled from /api/ai/models. A provider whose model
+// list couldn't be fetched still offers its default model, with the error as a hint.
+export default function AiModelPicker({ choice, onChange }) {
+  const [providers, setProviders] = useState([])
+
+  useEffect(() => {
+    const controller = new AbortController()
+    apiGet('/api/ai/models', { signal: controller.signal })
+      .then(setProviders)
+      .catch(() => {
+        // Without the list the server default is used, which is what an empty choice means anyway.
+      })
+    return () => controller.abort()
+  }, [])
+
+  // A saved choice can name a provider this server doesn't have configured.
+  useEffect(() => {
+    if (!providers.length || !choice.provider) return
+    if (!providers.some((p) => p.id === choice.provider)) onChange({ provider: '', model: '' })
+  }, [providers, choice.provider, onChange])
+
+  if (!providers.length) return null
+
+  const provider = providers.find((p) => p.id === choice.provider) ?? providers.find((p) => p.isDefault)
+  const providerSelect = (
+    <select
+      value={provider?.id ?? ''}
+      onChange={(e) => onChange({ provider: e.target.value, model: '' })}
+      aria-label="AI provider"
+    >
+      {/* Without AI_PROVIDER or an Ollama Cloud key the server has no default, so one has to be picked. */}
+      {provider ? null : (
+        <option value="" disabled>
+          Choose an AI provider
+        </option>
+      )}
+      {providers.map((p) => (
+        <option key={p.id} value={p.id}>
+          {p.label}
+          {p.error ? ' (unavailable)' : ''}
+        </option>
+      ))}
+    </select>
+  )
+
+  if (!provider) return <div className="aiModelPicker">{providerSelect}</div>
+
+  const models = provider.models.includes(provider.defaultModel)
+    ? provider.models
+    : [provider.defaultModel, ...provider.models]
+  const model = choice.model || provider.defaultModel
+
+  return (
+    <div className="aiModelPicker">
+      {providerSelect}
+      <select
+        value={model}
+        onChange={(e) =>
+          onChange({ provider: provider.id, model: e.target.value === provider.defaultModel ? '' : e.target.value })
+        }
+        aria-label="AI model"
+        title={provider.error ?? undefined}
+      >
+        {models.includes(model) ? null : <option value={model}>{model}</option>}
+        {models.map((m) => (
+          <option key={m} value={m}>
+            {m}
+          </option>
+        ))}
+      </select>
+    </div>
+  )
+}
@@ -1,192 +1,100 @@
-import { useEffect, useMemo, useState } from 'react'
-import { apiDelete, apiGet, apiPost } from './api.js'
+import { useEffect, useMemo, useRef, useState } from 'react'
+import AiHistory from './AiHistory.jsx'
+import AiModelPicker from './AiModelPicker.jsx'
+import { aiChoiceParams, loadAiChoice, saveAiChoice } from './aiProviders.js'
+import { ApiError, apiDelete, apiGet, apiPost, apiStream } from './api.js'
+import DietaryProfilePicker from './DietaryProfilePicker.jsx'
+import IngredientItem from './IngredientItem.jsx'
+import IngredientMappingDialog from './IngredientMappingDialog.jsx'
+import IngredientPhotoPanel from './IngredientPhotoPanel.jsx'
+import MealPlanner from './MealPlanner.jsx'
+import { apiGetCached, apiSendOrQueue, onOutboxChange, pendingWrites, syncPendingWrites, useOnline } from './offline.js'
+import RecipeCollections from './RecipeCollections.jsx'
+import RecipeDetails from './RecipeDetails.jsx'
+import RecipeFilters from './RecipeFilters.jsx'
+import RecipeGallery, { recipeImageUrl } from './RecipeGallery.jsx'
+import RecipeExplorer from './RecipeExplorer.jsx'
+import RecipeIngredientEditor from './RecipeIngredientEditor.jsx'
+import RecipeMatches from './RecipeMatches.jsx'
+import RecipeImportDialog from './RecipeImportDialog.jsx'
+import RecipePage from './RecipePage.jsx'
+import RecipeBookBackup from './RecipeBookBackup.jsx'
+import RecipeTagEditor from './RecipeTagEditor.jsx'
+import ShoppingLists from './ShoppingLists.jsx'
+import UndoToast from './UndoToast.jsx'
+import SyncStatus from './SyncStatus.jsx'
+import { confidentMatch, recipeItems } from './ingredientMatching.js'
+import { compareByExpiry, isExpiring } from './inventory.js'
+import { fromStructuredRecipe, generationRecipes, parseAiRecipes } from './recipeParsing.js'
+import {
+  filtersFromQuery,
+  filtersToQuery,
+  hasActiveFilters,
+  searchPath,
+  searchRecipesLocally,
+} from './recipeSearch.js'
+import { Link, matchRoute, navigate, setQuery, useLocationPath } from './router.jsx'
+import { unitSystems } from './units.js'
 
-const sentenceSplitRegex = /(?<=[.!?])\s+(?=[A-Z0-9])/
-
-function splitSentences(text) {
-  if (!text?.trim()) return []
-  return text
-    .split(sentenceSplitRegex)
-    .map((s) => s.trim())
-    .filter(Boolean)
-}
-
-function titleCaseWords(value) {
-  return value
-    .trim()
-    .split(/\s+/)
-    .map((word) =>
-      word
-        .split('-')
-        .map((part) => {
-          const lower = part.toLowerCase()
-          return lower ? lower[0].toUpperCase() + lower.slice(1) : lower
-        })
-        .join('-'),
-    )
-    .join(' ')
-}
+const storageLocations = ['Fridge', 'Pantry', 'Freezer']
+const ingredientViews = [...storageLocations, 'Manual Entry']
 
-function normalizeIngredientDisplay(value) {
-  const trimmed = value.trim().replace(/\.+$/, '')
-  if (!trimmed) return ''
-  return titleCaseWords(trimmed)
+function describeDeleted({ ingredients: deleted }) {
+  const recipeCount = new Set(deleted.flatMap((i) => i.recipeLinks.map((l) => l.recipeId))).size
+  const what = deleted.length === 1 ? deleted[0].name : `${deleted.length} ingredients`
+  if (recipeCount === 0) return `Deleted ${what}.`
+  const pronoun = deleted.length === 1 ? 'it' : 'them'
+  return `Deleted ${what} and removed ${pronoun} from ${recipeCount} recipe${recipeCount === 1 ? '' : 's'}.`
 }
 
-function parseProcedure(text) {
-  if (!text?.trim()) return []
-  const lines = text
-    .split(/\r?\n/)
-    .map((line) => line.trim())
-    .filter(Boolean)
-
-  const numbered = lines
-    .map((line) => line.match(/^\d+\.\s*(.+)$/))
-    .filter(Boolean)
-    .map((match) => match[1].trim())
-
-  if (numbered.length) return numbered
-
-  const joined = lines.join(' ')
-  return splitSentences(joined)
+function applyRecipeFilters(filters) {
+  setQuery(filtersToQuery(filters))
 }
 
-function parseAiRecipes(text) {
-  if (!text?.trim()) return []
-
-  const lines = text.split(/\r?\n/)
-  const blocks = []
-  let current = []
-
-  for (const line of lines) {
-    const trimmed = line.trim()
-    if (!trimmed) continue
-
-    if (/^recipe\b/i.test(trimmed) && current.length) {
-      blocks.push(current)
-      current = [trimmed]
-      continue
-    }
-
-    current.push(trimmed)
-  }
-
-  if (current.length) blocks.push(current)
-
-  const recipes = (blocks.length ? blocks : [lines])
-    .map((block) => block.filter((line) => line.trim().length > 0))
-    .map((block, idx) => {
-      const lines = [...block]
-      let titleLine = lines.shift() || `Recipe ${idx + 1}`
-      const titleMatch = titleLine.match(/^(?:recipe|name)\s*\d*[:.\-]?\s*(.+)$/i)
-      const title = titleMatch?.[1]?.trim() || titleLine
-
-      let ingredients = []
-      let steps = []
-      const rest = []
-      let section = null
-
-      const pushIngredient = (value) => {
-        const normalized = normalizeIngredientDisplay(value)
-        if (normalized) ingredients.push(normalized)
-      }
-
-      for (const line of lines) {
-        const inlineIngredients = line.match(/^ingredients?\s*:\s*(.+)$/i)
-        if (inlineIngredients?.[1]) {
-          ingredients = inlineIngredients[1]
-            .split(/[,;]\s*/)
-            .map((item) => item.trim())
-            .filter(Boolean)
-            .map(normalizeIngredientDisplay)
-          section = 'ingredients'
-          continue
-        }
-
-        const inlineProcedure = line.match(/^(procedure|steps?|method)\s*:\s*(.+)$/i)
-        if (inlineProcedure?.[2]) {
-          steps = splitSentences(inlineProcedure[2])
-          section = 'steps'
-          continue
-        }
-
-        if (/^ingredients?\b/i.test(line)) {
-          section = 'ingredients'
-          continue
-        }
-
-        if (/^(procedure|steps?|method)\b/i.test(line)) {
-          section = 'steps'
-          continue
-        }
-
-        if (section === 'ingredients') {
-          const cleaned = line.replace(/^[-*]\s*/, '').trim()
-          if (!cleaned) continue
-          if (cleaned.includes(',') && !/^[-*]/.test(line)) {
-            cleaned
-              .split(/[,;]\s*/)
-              .map((item) => item.trim())
-              .filter(Boolean)
-              .forEach(pushIngredient)
-          } else {
-            pushIngredient(cleaned)
-          }
-          continue
-        }
-
-        if (section === 'steps') {
-          const numbered = line.match(/^\d+\.\s*(.+)$/)
-          if (numbered?.[1]) {
-            steps.push(numbered[1].trim())
-            continue
-          }
-
-          const bullet = line.replace(/^[-*]\s*/, '').trim()
-          if (bullet) {
-            steps.push(bullet)
-            continue
-          }
-        }
-
-        rest.push(line)
-      }
-
-      if (steps.length === 0 && rest.length) {
-        steps = splitSentences(rest.join(' '))
-      }
-
-      return {
-        title: title || `Recipe ${idx + 1}`,
-        ingredients,
-        steps,
-        fallback: rest.join('\n'),
-      }
-    })
-
-  return recipes.length ? recipes : [{ title: 'Recipe', ingredients: [], steps: [], fallback: text.trim() }]
+// URL segment for each ingredient tab: /ingredients/fridge, ..., /ingredients/all.
+function ingredientViewSlug(view) {
+  return view === 'Manual Entry' ? 'all' : view.toLowerCase()
 }
 
-const storageLocations = ['Fridge', 'Pantry', 'Freezer']
-const ingredientViews = [...storageLocations, 'Manual Entry']
-
 export default function App() {
   const [ingredients, setIngredients] = useState([])
   const [recipes, setRecipes] = useState([])
+  const [tags, setTags] = useState([])
+  const [collections, setCollections] = useState([])
   const [aiModel, setAiModel] = useState('')
   const [aiContent, setAiContent] = useState('')
+  const [aiStructured, setAiStructured] = useState([])
+  const [aiRetryMessage, setAiRetryMessage] = useState('')
   const [aiNotes, setAiNotes] = useState('')
+  // The notes the shown recipes were generated with, which can differ from what's in the box by now.
+  const [aiSourceNotes, setAiSourceNotes] = useState('')
   const [aiLoading, setAiLoading] = useState(false)
+  const [aiComplete, setAiComplete] = useState(false)
+  const [aiGenerationId, setAiGenerationId] = useState(null)
+  const [aiHistoryVersion, setAiHistoryVersion] = useState(0)
+  const aiAbortRef = useRef(null)
+  const scrolledRouteRef = useRef(null)
+  const [exploreRecipe, setExploreRecipe] = useState(null)
+  const [importOpen, setImportOpen] = useState(false)
+  const [mappingRecipe, setMappingRecipe] = useState(null)
 
   const [ingredientName, setIngredientName] = useState('')
   const [recipeName, setRecipeName] = useState('')
   const [recipeInstructions, setRecipeInstructions] = useState('')
-  const [recipeIngredientId, setRecipeIngredientId] = useState('')
-  const [recipeIngredientQty, setRecipeIngredientQty] = useState('')
-  const [recipeIngredientUnit, setRecipeIngredientUnit] = useState('')
+  const [recipeServings, setRecipeServings] = useState('')
   const [recipeIngredients, setRecipeIngredients] = useState([])
+  const [recipeDraft, setRecipeDraft] = useState(null)
+  const [recipeSaving, setRecipeSaving] = useState(false)
+  const [recipeDeleteTarget, setRecipeDeleteTarget] = useState(null)
+  const [recipeResults, setRecipeResults] = useState(null)
+  const [ingredientFilter, setIngredientFilter] = useState('')
+  const [recipeDeleteLoading, setRecipeDeleteLoading] = useState(false)
+  const [unitSystem, setUnitSystem] = useState(() => localStorage.getItem('unitSystem') ?? 'original')
+  const [dietaryProfiles, setDietaryProfiles] = useState(
+    () => localStorage.getItem('dietaryProfiles')?.split(',').filter(Boolean) ?? [],
+  )
+  const [aiChoice, setAiChoice] = useState(loadAiChoice)
 
-  const [activeView, setActiveView] = useState('Manual Entry')
   const [manualLocation, setManualLocation] = useState('Pantry')
 
   const [pantry, setPantry] = useState(() => new Set())
@@ -194,18 +102,88 @@ export default function App() {
   const [deleteDialogOpen, setDeleteDialogOpen] = useState(false)
   const [deleteLoading, setDeleteLoading] = useState(false)
   const [deleteTargets, setDeleteTargets] = useState([])
+  const [ingredientDropTarget, setIngredientDropTarget] = useState('')
+  const [undoDelete, setUndoDelete] = useState(null)
+  const [shoppingListsVersion, setShoppingListsVersion] = useState(0)
+  const [dataSavedAt, setDataSavedAt] = useState(null)
+  const [pendingSync, setPendingSync] = useState([])
+  const [syncConflicts, setSyncConflicts] = useState([])
+  const [syncing, setSyncing] = useState(false)
+  const online = useOnline()
 
+  useEffect(() => {
+    const loadPending = () => pendingWrites().then(setPendingSync)
+    loadPending()
+    return onOutboxChange(loadPending)
+  }, [])
+
+  // Runs on load and whenever connectivity changes: back online, replay queued writes and reload so the
+  // saved offline copy is replaced by fresh data; offline, switch to that copy.
   useEffect(() => {
     ;(async () => {
       try {
-        const [i, r] = await Promise.all([apiGet('/api/ingredients'), apiGet('/api/recipes')])
-        setIngredients(i)
-        setRecipes(r)
+        if (online) await syncNow()
+        await refresh()
       } catch (e) {
         setError(e?.message ?? String(e))
       }
     })()
-  }, [])
+  }, [online])
+
+  useEffect(() => () => aiAbortRef.current?.abort(), [])
+
+  useEffect(() => {
+    localStorage.setItem('unitSystem', unitSystem)
+  }, [unitSystem])
+
+  useEffect(() => {
+    localStorage.setItem('dietaryProfiles', dietaryProfiles.join(','))
+  }, [dietaryProfiles])
+
+  useEffect(() => {
+    saveAiChoice(aiChoice)
+  }, [aiChoice])
+
+  const route = matchRoute(useLocationPath())
+  const routedView = route.name === 'ingredients' ? route.params.location : null
+  const activeView = ingredientViews.find((view) => ingredientViewSlug(view) === routedView) ?? 'Manual Entry'
+  const recipeQuery = route.name === 'home' ? route.query.toString() : ''
+  const recipeFilters = useMemo(() => filtersFromQuery(new URLSearchParams(recipeQuery)), [recipeQuery])
+
+  // Bring the routed section into view on a deep link or when moving between routes. Switching tabs
+  // within /ingredients/* keeps the same route key, so the page doesn't jump on every tab click.
+  const routeScrollKey = route.name === 'home' ? `home#${route.hash}` : `${route.name}:${route.params.id ?? ''}`
+  useEffect(() => {
+    if (scrolledRouteRef.current === routeScrollKey) return
+    scrolledRouteRef.current = routeScrollKey
+
+    const sectionIds = { home: route.hash, ingredients: 'ingredients', ai: 'ai' }
+    const target = sectionIds[route.name] ? document.getElementById(sectionIds[route.name]) : null
+    if (target) target.scrollIntoView({ block: 'start' })
+    else window.scrollTo(0, 0)
+  }, [routeScrollKey])
+
+  // Saved Recipes shows one page of search results, reloaded when the filters or the saved data change.
+  // Offline, the cached recipe list is searched in the browser instead.
+  useEffect(() => {
+    if (!online) {
+      setRecipeResults(searchRecipesLocally(recipes, ingredients, recipeFilters, collections))
+      return
+    }
+
+    const controller = new AbortController()
+    apiGet(searchPath(recipeFilters), { signal: controller.signal })
+      .then(setRecipeResults)
+      .catch((e) => {
+        if (e?.name === 'AbortError') return
+        if (e instanceof ApiError && e.status === 0) {
+          setRecipeResults(searchRecipesLocally(recipes, ingredients, recipeFilters, collections))
+        } else {
+          setError(e?.message ?? String(e))
+        }
+      })
+    return () => controller.abort()
+  }, [online, recipes, ingredients, collections, recipeFilters])
 
   const pantryIds = useMemo(() => Array.from(pantry.values()).sort((a, b) => a - b), [pantry])
   const ingredientsByLocation = useMemo(() => {
@@ -215,67 +193,241 @@ export default function App() {
       grouped[location].push(item)
     }
     for (const location of storageLocations) {
-      grouped[location].sort((a, b) => a.name.localeCompare(b.name))
+      grouped[location].sort(compareByExpiry)
     }
     return grouped
   }, [ingredients])
+  // The quick filter only narrows what the columns show; counts and the selection still cover everything.
+  const shownByLocation = useMemo(() => {
+    const needle = ingredientFilter.trim().toLowerCase()
+    if (!needle) return ingredientsByLocation
+    return Object.fromEntries(
+      storageLocations.map((location) => [
+        location,
+        ingredientsByLocation[location].filter((i) => i.name.toLowerCase().includes(needle)),
+      ]),
+    )
+  }, [ingredientsByLocation, ingredientFilter])
+  const recipePageCount = recipeResults ? Math.max(1, Math.ceil(recipeResults.total / recipeResults.pageSize)) : 1
+  const expiringIds = useMemo(() => ingredients.filter((i) => isExpiring(i)).map((i) => i.id), [ingredients])
   const locationCounts = useMemo(
     () => storageLocations.map((location) => `${location} ${ingredientsByLocation[location].length}`).join(' · '),
     [ingredientsByLocation],
   )
 
   async function refresh() {
-    const [i, r] = await Promise.all([apiGet('/api/ingredients'), apiGet('/api/recipes')])
-    setIngredients(i)
-    setRecipes(r)
+    const [i, r, t, c] = await Promise.all([
+      apiGetCached('/api/ingredients'),
+      apiGetCached('/api/recipes'),
+      apiGetCached('/api/tags'),
+      apiGetCached('/api/collections'),
+    ])
+    setIngredients(i.data)
+    setRecipes(r.data)
+    setTags(t.data)
+    setCollections(c.data)
+    setDataSavedAt(i.savedAt ?? r.savedAt)
+  }
+
+  async function syncNow() {
+    setSyncing(true)
+    try {
+      const { synced, conflicts } = await syncPendingWrites()
+      if (conflicts.length) setSyncConflicts((prev) => [...prev, ...conflicts])
+      return synced + conflicts.length
+    } finally {
+      setSyncing(false)
+    }
+  }
+
+  async function onSyncNow() {
+    setError('')
+    try {
+      if (await syncNow()) await refresh()
+    } catch (e) {
+      setError(e?.message ?? String(e))
+    }
+  }
+
+  // A replace import gives every ingredient a new id, so the on-hand selection no longer points anywhere.
+  async function onBackupImported(result) {
+    if (result.mode === 'replace') setPantry(new Set())
+    setShoppingListsVersion((v) => v + 1)
+    await refresh()
   }
 
   async function onAddIngredient(e) {
     e.preventDefault()
     setError('')
     try {
-      await apiPost('/api/ingredients', { name: ingredientName, location: manualLocation })
+      const { queued } = await apiSendOrQueue(
+        'POST',
+        '/api/ingredients',
+        { name: ingredientName, location: manualLocation },
+        `Add ${ingredientName.trim()} to ${manualLocation}`,
+      )
       setIngredientName('')
-      await refresh()
+      if (!queued) await refresh()
     } catch (e) {
       setError(e?.message ?? String(e))
     }
   }
 
-  function addRecipeIngredient() {
+  async function onSaveIngredient(ingredient, { name, inventory }) {
     setError('')
-    const id = Number(recipeIngredientId)
-    if (!id) return
-    if (recipeIngredients.some((x) => x.ingredientId === id)) return
+    try {
+      const path = `/api/ingredients/${ingredient.id}`
+      const renamed =
+        name === ingredient.name
+          ? null
+          : await apiSendOrQueue('PATCH', path, { name }, `Rename ${ingredient.name} to ${name}`)
+      const updated = await apiSendOrQueue('PUT', `${path}/inventory`, inventory, `Update amount and dates for ${name}`)
+      if (!renamed?.queued && !updated.queued) await refresh()
+      return true
+    } catch (e) {
+      setError(e?.message ?? String(e))
+      return false
+    }
+  }
 
-    const quantity = recipeIngredientQty.trim() === '' ? null : Number(recipeIngredientQty)
-    const unit = recipeIngredientUnit.trim() === '' ? null : recipeIngredientUnit.trim()
+  async function onMoveIngredient(ingredient, location) {
+    if (ingredient.location === location) return
+    setError('')
+    // Move it right away; the refresh (or, offline, the queued write) settles the real state.
+    setIngredients((prev) => prev.map((i) => (i.id === ingredient.id ? { ...i, location } : i)))
+    try {
+      const { queued } = await apiSendOrQueue(
+        'PATCH',
+        `/api/ingredients/${ingredient.id}`,
+        { location },
+        `Move ${ingredient.name} to ${location}`,
+      )
+      if (!queued) await refresh()
+    } catch (e) {
+      setError(e?.message ?? String(e))
+      await refresh().catch(() => {})
+    }
+  }
 
-    setRecipeIngredients((prev) => [...prev, { ingredientId: id, quantity, unit }])
-    setRecipeIngredientId('')
-    setRecipeIngredientQty('')
-    setRecipeIngredientUnit('')
+  function onDropIngredient(e, location) {
+    e.preventDefault()
+    setIngredientDropTarget('')
+    let payload
+    try {
+      payload = JSON.parse(e.dataTransfer.getData('application/json'))
+    } catch {
+      return
+    }
+    const ingredient = ingredients.find((i) => i.id === payload.ingredientId)
+    if (ingredient) onMoveIngredient(ingredient, location)
   }
 
-  function removeRecipeIngredient(id) {
-    setRecipeIngredients((prev) => prev.filter((x) => x.ingredientId !== id))
+  async function onAddDetectedIngredients(names) {
+    setError('')
+    const failed = []
+    for (const name of names) {
+      try {
+        await apiPost('/api/ingredients', { name, location: activeView })
+      } catch (e) {
+        failed.push(e?.status === 409 ? `${name} (already saved)` : `${name} (${e?.message ?? String(e)})`)
+      }
+    }
+
+    try {
+      await refresh()
+    } catch (e) {
+      setError(e?.message ?? String(e))
+      return
+    }
+
+    if (failed.length) {
+      setError(`Could not add ${failed.join(', ')}.`)
+    }
   }
 
   async function onCreateRecipe(e) {
     e.preventDefault()
     setError('')
     try {
-      await apiPost('/api/recipes', {
-        name: recipeName,
-        instructions: recipeInstructions,
-        ingredients: recipeIngredients,
-      })
+      const { queued } = await apiSendOrQueue(
+        'POST',
+        '/api/recipes',
+        {
+          name: recipeName,
+          instructions: recipeInstructions,
+          servings: recipeServings ? Number(recipeServings) : null,
+          ingredients: recipeIngredients,
+        },
+        `Save recipe “${recipeName.trim()}”`,
+      )
       setRecipeName('')
       setRecipeInstructions('')
+      setRecipeServings('')
       setRecipeIngredients([])
+      if (!queued) await refresh()
+    } catch (e) {
+      setError(e?.message ?? String(e))
+    }
+  }
+
+  function startEditRecipe(recipe) {
+    setError('')
+    setRecipeDraft({
+      id: recipe.id,
+      name: recipe.name,
+      instructions: recipe.instructions ?? '',
+      servings: recipe.servings ?? '',
+      ingredients: recipe.ingredients.map((i) => ({
+        ingredientId: i.ingredientId,
+        name: i.name,
+        quantity: i.quantity,
+        unit: i.unit,
+      })),
+    })
+  }
+
+  async function onUpdateRecipe(e) {
+    e.preventDefault()
+    if (!recipeDraft) return
+    setError('')
+    setRecipeSaving(true)
+    try {
+      const { queued } = await apiSendOrQueue(
+        'PUT',
+        `/api/recipes/${recipeDraft.id}`,
+        {
+          name: recipeDraft.name,
+          instructions: recipeDraft.instructions,
+          servings: recipeDraft.servings ? Number(recipeDraft.servings) : null,
+          ingredients: recipeDraft.ingredients.map(({ ingredientId, quantity, unit }) => ({ ingredientId, quantity, unit })),
+        },
+        `Update recipe “${recipeDraft.name.trim()}”`,
+      )
+      setRecipeDraft(null)
+      if (!queued) await refresh()
+    } catch (e) {
+      setError(e?.message ?? String(e))
+    } finally {
+      setRecipeSaving(false)
+    }
+  }
+
+  async function confirmDeleteRecipe() {
+    if (!recipeDeleteTarget) return
+    setError('')
+    setRecipeDeleteLoading(true)
+    try {
+      await apiDelete(`/api/recipes/${recipeDeleteTarget.id}`)
+      if (recipeDraft?.id === recipeDeleteTarget.id) setRecipeDraft(null)
+      setRecipeDeleteTarget(null)
+      if (route.name === 'recipe' && Number(route.params.id) === recipeDeleteTarget.id) {
+        navigate('/#saved', { replace: true })
+      }
       await refresh()
     } catch (e) {
       setError(e?.message ?? String(e))
+    } finally {
+      setRecipeDeleteLoading(false)
     }
   }
 
@@ -288,24 +440,25 @@ export default function App() {
     })
   }
 
-  async function deleteIngredientById(id) {
-    await apiDelete(`/api/ingredients/${id}`)
-    setPantry((prev) => {
-      const next = new Set(prev)
-      next.delete(id)
-      return next
-    })
-  }
-
-  function openDeleteDialog() {
+  async function openDeleteDialog() {
+    // `recipes` stays null until the usage lookup answers.
     const selected = pantryIds
       .map((id) => ingredients.find((i) => i.id === id))
       .filter(Boolean)
-      .map((i) => ({ id: i.id, name: i.name }))
+      .map((i) => ({ id: i.id, name: i.name, recipes: null }))
 
     if (selected.length === 0) return
     setDeleteTargets(selected)
     setDeleteDialogOpen(true)
+
+    try {
+      const query = new URLSearchParams(selected.map((t) => ['ids', t.id]))
+      const usage = await apiGet(`/api/ingredients/usage?${query}`)
+      const recipesById = new Map(usage.map((u) => [u.ingredientId, u.recipes]))
+      setDeleteTargets((prev) => prev.map((t) => ({ ...t, recipes: recipesById.get(t.id) ?? [] })))
+    } catch (e) {
+      setError(e?.message ?? String(e))
+    }
   }
 
   async function confirmDeleteSelected() {
@@ -313,11 +466,16 @@ export default function App() {
     setError('')
     setDeleteLoading(true)
     try {
-      for (const target of deleteTargets) {
-        await deleteIngredientById(target.id)
-      }
+      const query = new URLSearchParams(deleteTargets.map((t) => ['ids', t.id]))
+      const deleted = await apiDelete(`/api/ingredients?${query}`)
+      setPantry((prev) => {
+        const next = new Set(prev)
+        for (const ingredient of deleted.ingredients) next.delete(ingredient.id)
+        return next
+      })
       setDeleteDialogOpen(false)
       setDeleteTargets([])
+      setUndoDelete(deleted)
       await refresh()
     } catch (e) {
       setError(e?.message ?? String(e))
@@ -326,27 +484,159 @@ export default function App() {
     }
   }
 
-  async function onGenerateAiRecipes() {
+  async function onUndoDelete() {
+    const deleted = undoDelete
+    setUndoDelete(null)
     setError('')
-    setAiLoading(true)
     try {
-      const result = await apiPost('/api/ai/recipes', {
-        ingredientIds: pantryIds,
-        maxRecipes: 5,
-        notes: aiNotes,
-      })
-      setAiModel(result.model ?? '')
-      setAiContent(result.content ?? '')
+      await apiPost('/api/ingredients/restore', { undoToken: deleted.undoToken })
+      setPantry((prev) => new Set([...prev, ...deleted.ingredients.map((i) => i.id)]))
+      await refresh()
     } catch (e) {
       setError(e?.message ?? String(e))
+    }
+  }
+
+  // `priorityIngredientIds` asks the model to build the recipes around those ingredients. Notes and
+  // profiles default to the card's current inputs; regenerating passes a past run's instead.
+  async function onGenerateAiRecipes({
+    ingredientIds = pantryIds,
+    priorityIngredientIds = [],
+    notes = aiNotes,
+    profiles = dietaryProfiles,
+  } = {}) {
+    setError('')
+    setAiLoading(true)
+    setAiModel('')
+    setAiContent('')
+    setAiStructured([])
+    setAiRetryMessage('')
+    setAiComplete(false)
+    setAiGenerationId(null)
+    setAiSourceNotes(notes)
+
+    const controller = new AbortController()
+    aiAbortRef.current = controller
+    try {
+      await apiStream(
+        '/api/ai/recipes/stream',
+        {
+          ingredientIds,
+          priorityIngredientIds,
+          maxRecipes: 5,
+          notes,
+          dietaryProfiles: profiles,
+          format: 'json',
+          ...aiChoiceParams(aiChoice),
+        },
+        {
+          signal: controller.signal,
+          onEvent: (event) => {
+            if (event.type === 'recipe') {
+              setAiStructured((prev) => [...prev, fromStructuredRecipe(event.recipe)])
+            } else if (event.type === 'delta') {
+              setAiContent((prev) => prev + event.content)
+            } else if (event.type === 'retry') {
+              setAiRetryMessage('The model returned malformed recipes, asking again…')
+            } else if (event.type === 'done') {
+              setAiModel(event.model ?? '')
+              setAiComplete(true)
+              setAiGenerationId(event.generationId ?? null)
+              setAiHistoryVersion((prev) => prev + 1)
+            } else if (event.type === 'error') {
+              throw new Error(event.message)
+            }
+          },
+        },
+      )
+    } catch (e) {
+      if (e?.name !== 'AbortError') {
+        controller.abort()
+        setError(e?.message ?? String(e))
+      }
     } finally {
+      aiAbortRef.current = null
       setAiLoading(false)
     }
   }
 
-  const aiRecipes = useMemo(() => parseAiRecipes(aiContent), [aiContent])
+  // Adds everything close to its best-before date to the selection and asks for recipes that use it first.
+  function onUseItUp() {
+    const selected = new Set([...pantry, ...expiringIds])
+    setPantry(selected)
+    onGenerateAiRecipes({
+      ingredientIds: Array.from(selected).sort((a, b) => a - b),
+      priorityIngredientIds: expiringIds,
+    })
+  }
+
+  // Shows a stored run in the Ask AI menu again, where its recipes can be explored or saved.
+  function onOpenGeneration(generation) {
+    const structured = Boolean(generation.recipes)
+    setAiModel(generation.model)
+    setAiStructured(structured ? generationRecipes(generation) : [])
+    setAiContent(structured ? '' : generation.content)
+    setAiRetryMessage('')
+    setAiComplete(true)
+    setAiGenerationId(generation.id)
+    setAiSourceNotes(generation.notes ?? '')
+    document.getElementById('ai')?.scrollIntoView({ block: 'start' })
+  }
+
+  // Runs a stored generation's inputs again with the current provider and model. Ingredients deleted
+  // since then are left out.
+  function onRegenerateGeneration(generation) {
+    const known = new Set(ingredients.map((i) => i.id))
+    const ingredientIds = generation.ingredientIds.filter((id) => known.has(id))
+    if (ingredientIds.length === 0) {
+      setError('None of the ingredients from that run are saved any more.')
+      return
+    }
+
+    setPantry(new Set(ingredientIds))
+    setAiNotes(generation.notes ?? '')
+    setDietaryProfiles(generation.dietaryProfiles)
+    onGenerateAiRecipes({
+      ingredientIds,
+      priorityIngredientIds: generation.priorityIngredientIds.filter((id) => known.has(id)),
+      notes: generation.notes ?? '',
+      profiles: generation.dietaryProfiles,
+    })
+  }
+
+  // /ai?generation=12 (linked from a recipe saved out of that run) reopens it.
+  const openGenerationId = route.name === 'ai' ? route.query.get('generation') : null
+  useEffect(() => {
+    if (!openGenerationId) return
+    const controller = new AbortController()
+    apiGet(`/api/ai/generations/${openGenerationId}`, { signal: controller.signal })
+      .then(onOpenGeneration)
+      .catch((e) => {
+        if (e?.name !== 'AbortError') setError(e?.message ?? String(e))
+      })
+    return () => controller.abort()
+  }, [openGenerationId])
+
+  function onStopAiRecipes() {
+    aiAbortRef.current?.abort()
+  }
+
+  const aiRecipes = useMemo(() => {
+    // Structured recipes arrive already complete; plain text is only parsed as a fallback.
+    if (aiStructured.length) return aiStructured
+    const parsed = parseAiRecipes(aiContent)
+    // Until the stream reports done, the last block may still be half-written.
+    return aiComplete ? parsed : parsed.slice(0, -1)
+  }, [aiStructured, aiContent, aiComplete])
+
+  let aiHint = pantryIds.length === 0 ? 'Select ingredients first.' : `${pantryIds.length} selected`
+  if (aiLoading) {
+    aiHint = aiRetryMessage || `${aiRecipes.length} ready, writing ${aiRecipes.length ? 'the next' : 'the first'} recipe…`
+  }
 
-  async function ensureIngredientIds(names) {
+  // Resolves each name to an ingredient id, creating missing ingredients; ids line up with `names`.
+  // With `fuzzy`, a name also finds a stored ingredient by plural or synonym ("Tomatoes" -> "Tomato").
+  async function ensureIngredientIds(names, { fuzzy = false } = {}) {
     const cleaned = names.map((name) => name.trim()).filter(Boolean)
     const unique = Array.from(new Set(cleaned))
 
@@ -355,8 +645,9 @@ export default function App() {
     let current = ingredients
     const toMap = (list) => new Map(list.map((item) => [item.name.toLowerCase(), item]))
     let map = toMap(current)
+    const find = (name) => map.get(name.toLowerCase()) ?? (fuzzy ? confidentMatch(name, current) : null)
 
-    const missing = unique.filter((name) => !map.has(name.toLowerCase()))
+    const missing = unique.filter((name) => !find(name))
     let needsRefresh = false
 
     for (const name of missing) {
@@ -364,7 +655,9 @@ export default function App() {
         const created = await apiPost('/api/ingredients', { name })
         current = [...current, created]
         map.set(created.name.toLowerCase(), created)
-      } catch {
+      } catch (e) {
+        // 409 means it was created meanwhile (or differs only by case); anything else is a real failure.
+        if (e?.status !== 409) throw e
         needsRefresh = true
       }
     }
@@ -376,55 +669,126 @@ export default function App() {
 
     setIngredients(current)
 
-    const ids = unique
-      .map((name) => map.get(name.toLowerCase())?.id)
-      .filter((id) => Number.isInteger(id))
+    const ids = cleaned.map((name) => find(name)?.id)
 
-    if (ids.length !== unique.length) {
+    if (!ids.every((id) => Number.isInteger(id))) {
       throw new Error('Could not match all ingredients for saving.')
     }
 
     return ids
   }
 
-  async function onSaveAiRecipe(recipe) {
+  // Saves an AI or imported recipe (creating any missing ingredients) and returns the stored recipe.
+  // Amounts are split out of the ingredient lines first; a `reviewed` recipe comes from the mapping
+  // dialog, whose items are final and may already carry an `ingredientId`.
+  async function saveAiRecipe(recipe) {
+    const items = recipe.reviewed ? recipe.items : recipeItems(recipe)
+    if (items.length === 0) {
+      throw new Error('The recipe needs at least one ingredient.')
+    }
+
+    const unresolved = items.filter((item) => item.ingredientId == null)
+    const createdIds = await ensureIngredientIds(unresolved.map((item) => item.name), { fuzzy: !recipe.reviewed })
+    const resolvedIds = new Map(unresolved.map((item, i) => [item, createdIds[i]]))
+    const seen = new Set()
+    const recipeIngredients = items
+      .map((item) => ({
+        ingredientId: item.ingredientId ?? resolvedIds.get(item),
+        quantity: item.quantity,
+        unit: item.unit,
+      }))
+      .filter((ri) => !seen.has(ri.ingredientId) && seen.add(ri.ingredientId))
+    const instructions =
+      recipe.steps?.length && recipe.steps.length > 0
+        ? recipe.steps.map((s, i) => `${i + 1}. ${s}`).join('\n')
+        : recipe.fallback?.trim() ?? ''
+
+    const created = await apiPost('/api/recipes', {
+      name: recipe.title?.trim() || 'Recipe',
+      instructions: instructions.length ? instructions : null,
+      servings: recipe.servings ?? null,
+      ingredients: recipeIngredients,
+      aiGenerationId: recipe.generationId ?? null,
+      tags: recipe.tags ?? [],
+    })
+
+    await refresh()
+    if (recipe.generationId) setAiHistoryVersion((prev) => prev + 1)
+    return created
+  }
+
+  async function onSaveImportedRecipe(recipe) {
+    const created = await saveAiRecipe(recipe)
+    setImportOpen(false)
+    navigate(`/recipes/${created.id}`)
+  }
+
+  // Saving from the Ask AI menu, the explorer or the planner's AI fill goes through the ingredient review
+  // first. Resolves to the stored recipe once the dialog is confirmed, or null if it is cancelled.
+  function onSaveAiRecipe(recipe) {
     setError('')
-    try {
-      const ingredientNames = recipe.ingredients?.map((name) => name.trim()).filter(Boolean) ?? []
-      if (ingredientNames.length === 0) {
-        throw new Error('AI recipe is missing an ingredient list.')
-      }
+    return new Promise((resolve) => setMappingRecipe({ recipe, resolve }))
+  }
 
-      const ingredientIds = await ensureIngredientIds(ingredientNames)
-      const instructions =
-        recipe.steps?.length && recipe.steps.length > 0
-          ? recipe.steps.map((s, i) => `${i + 1}. ${s}`).join('\n')
-          : recipe.fallback?.trim() ?? ''
-
-      await apiPost('/api/recipes', {
-        name: recipe.title?.trim() || 'Recipe',
-        instructions: instructions.length ? instructions : null,
-        ingredients: ingredientIds.map((id) => ({
-          ingredientId: id,
-          quantity: null,
-          unit: null,
-        })),
-      })
+  async function onConfirmMapping(items, tags) {
+    const created = await saveAiRecipe({ ...mappingRecipe.recipe, items, tags, reviewed: true })
+    mappingRecipe.resolve(created)
+    setMappingRecipe(null)
+  }
 
-      await refresh()
-    } catch (e) {
-      setError(e?.message ?? String(e))
-    }
+  function onCancelMapping() {
+    mappingRecipe.resolve(null)
+    setMappingRecipe(null)
   }
 
+  const recipeEditForm = recipeDraft ? (
+    <form onSubmit={onUpdateRecipe} className="stack recipeEditForm">
+      <input
+        value={recipeDraft.name}
+        onChange={(e) => setRecipeDraft((prev) => ({ ...prev, name: e.target.value }))}
+        placeholder="Recipe name"
+      />
+      <textarea
+        value={recipeDraft.instructions}
+        onChange={(e) => setRecipeDraft((prev) => ({ ...prev, instructions: e.target.value }))}
+        placeholder="Instructions (optional)"
+        rows={6}
+      />
+      <input
+        type="number"
+        min="1"
+        max="100"
+        value={recipeDraft.servings}
+        onChange={(e) => setRecipeDraft((prev) => ({ ...prev, servings: e.target.value }))}
+        placeholder="Servings (optional)"
+      />
+      <RecipeIngredientEditor
+        ingredients={ingredients}
+        value={recipeDraft.ingredients}
+        onChange={(next) => setRecipeDraft((prev) => ({ ...prev, ingredients: next }))}
+      />
+      <div className="modalActions">
+        <button type="button" className="secondaryButton" disabled={recipeSaving} onClick={() => setRecipeDraft(null)}>
+          Cancel
+        </button>
+        <button type="submit" disabled={recipeSaving || !recipeDraft.name.trim() || recipeDraft.ingredients.length === 0}>
+          {recipeSaving ? 'Saving…' : 'Save changes'}
+        </button>
+      </div>
+    </form>
+  ) : null
+
   return (
     <div className="page">
       <header className="siteHeader">
         <div className="topStrip">
           <div className="topStripInner">
-            <a href="#ingredients">INGREDIENTS</a>
-            <a href="#ai">ASK AI</a>
-            <a href="#saved">SAVED RECIPES</a>
+            <Link to={`/ingredients/${ingredientViewSlug(activeView)}`}>INGREDIENTS</Link>
+            <Link to="/ai">ASK AI</Link>
+            <Link to="/#saved">SAVED RECIPES</Link>
+            <Link to="/#planner">PLANNER</Link>
+            <Link to="/#shopping">SHOPPING</Link>
+            <Link to="/#backup">BACKUP</Link>
           </div>
         </div>
 
@@ -443,6 +807,16 @@ export default function App() {
           </div>
         ) : null}
 
+        <SyncStatus
+          online={online}
+          savedAt={dataSavedAt}
+          pending={pendingSync}
+          conflicts={syncConflicts}
+          syncing={syncing}
+          onSync={onSyncNow}
+          onDismissConflicts={() => setSyncConflicts([])}
+        />
+
         {deleteDialogOpen ? (
           <div className="modalOverlay" role="dialog" aria-modal="true" aria-label="Confirm delete ingredients">
             <div className="modalCard">
@@ -450,10 +824,22 @@ export default function App() {
               <div className="modalBody">
                 <div className="muted">
                   This will remove {deleteTargets.length} item{deleteTargets.length === 1 ? '' : 's'} from your database.
+                  {deleteTargets.some((t) => t.recipes?.length)
+                    ? ' They are also taken out of the saved recipes listed below.'
+                    : ''}
                 </div>
                 <ul className="ul">
                   {deleteTargets.map((t) => (
-                    <li key={t.id}>{t.name}</li>
+                    <li key={t.id}>
+                      {t.name}
+                      <div className={t.recipes?.length ? 'deleteUsage' : 'muted'}>
+                        {t.recipes === null
+                          ? 'Checking saved recipes…'
+                          : t.recipes.length
+                            ? `Used in ${t.recipes.map((r) => r.name).join(', ')}`
+                            : 'Not used in any saved recipe'}
+                      </div>
+                    </li>
                   ))}
                 </ul>
               </div>
@@ -478,299 +864,513 @@ export default function App() {
           </div>
         ) : null}
 
-        <div className="grid">
-          <section id="ingredients" className="card">
-            <div className="cardTitle">
-              <h2>Ingredients</h2>
-              <span className="muted">
-                {activeView === 'Manual Entry' ? locationCounts : `${activeView} Photo`}
-              </span>
-            </div>
-
-            {activeView === 'Manual Entry' ? (
-              <>
-                <form onSubmit={onAddIngredient} className="ingredientAddRow">
-                  <input
-                    value={ingredientName}
-                    onChange={(e) => setIngredientName(e.target.value)}
-                    placeholder="Add ingredient (e.g., Onion)"
-                  />
-                  <select value={manualLocation} onChange={(e) => setManualLocation(e.target.value)}>
-                    {storageLocations.map((location) => (
-                      <option key={location} value={location}>
-                        {location}
-                      </option>
-                    ))}
-                  </select>
-                  <div className="ingredientAddActions">
-                    <button type="submit">Add</button>
-                    <button
-                      type="button"
-                      className="dangerButton"
-                      onClick={openDeleteDialog}
-                      disabled={pantryIds.length === 0 || deleteLoading}
-                    >
-                      Delete Selected
-                    </button>
-                  </div>
-                </form>
+        {undoDelete ? (
+          <UndoToast
+            key={undoDelete.undoToken}
+            message={describeDeleted(undoDelete)}
+            onUndo={onUndoDelete}
+            onDismiss={() => setUndoDelete(null)}
+          />
+        ) : null}
 
-                <div className="ingredientColumns">
-                  {storageLocations.map((location) => (
-                    <div key={location} className="ingredientColumn">
-                      <div className="ingredientColumnHeader">{location}</div>
-                      <div className="ingredientList">
-                        {ingredientsByLocation[location].length === 0 ? (
-                          <div className="muted ingredientEmpty">No items</div>
-                        ) : (
-                          ingredientsByLocation[location].map((i) => (
-                            <label key={i.id} className="checkbox">
-                              <input type="checkbox" checked={pantry.has(i.id)} onChange={() => togglePantry(i.id)} />
-                              <span>{i.name}</span>
-                            </label>
-                          ))
-                        )}
-                      </div>
-                    </div>
-                  ))}
-                </div>
-              </>
-            ) : (
-              <div className="uploadPanel">
-                <div className="uploadCard">
-                  <svg className="uploadIcon" viewBox="0 0 120 80" role="img" aria-label="Upload">
-                    <path
-                      d="M84 60H35c-10 0-18-8-18-18 0-9 6-16 14-18 3-11 14-18 26-18 13 0 24 8 27 20 10 1 18 9 18 20 0 9-8 16-18 16z"
-                      fill="none"
-                      stroke="currentColor"
-                      strokeWidth="4"
-                      strokeLinejoin="round"
-                    />
-                    <path d="M60 24v28M60 24l-10 10M60 24l10 10" fill="none" stroke="currentColor" strokeWidth="4" />
-                  </svg>
-                  <div className="uploadTitle">Drag files to upload</div>
-                  <div className="uploadSubtitle">or</div>
-                  <label className="uploadButton">
-                    Select files to upload
-                    <input type="file" accept="image/*" />
-                  </label>
+        {recipeDeleteTarget ? (
+          <div className="modalOverlay" role="dialog" aria-modal="true" aria-label="Confirm delete recipe">
+            <div className="modalCard">
+              <div className="modalTitle">Delete this recipe?</div>
+              <div className="modalBody">
+                <div className="muted">
+                  “{recipeDeleteTarget.name}” will be removed from your saved recipes. Its ingredients stay in your
+                  inventory.
                 </div>
               </div>
-            )}
-
-            <div className="ingredientTabs">
-              {ingredientViews.map((view) => (
+              <div className="modalActions">
                 <button
-                  key={view}
                   type="button"
-                  className={`ingredientTab${view === activeView ? ' active' : ''}`}
-                  onClick={() => setActiveView(view)}
-                  aria-pressed={view === activeView}
+                  className="secondaryButton"
+                  disabled={recipeDeleteLoading}
+                  onClick={() => setRecipeDeleteTarget(null)}
                 >
-                  {view}
+                  Cancel
                 </button>
-              ))}
-            </div>
-          </section>
-
-          <section id="ai" className="card">
-            <div className="cardTitle">
-              <h2>Ask AI</h2>
-              <span className="muted">{aiModel ? `Model: ${aiModel}` : 'Ollama Cloud'}</span>
+                <button type="button" className="dangerButton" disabled={recipeDeleteLoading} onClick={confirmDeleteRecipe}>
+                  {recipeDeleteLoading ? 'Deleting…' : 'Delete'}
+                </button>
+              </div>
             </div>
+          </div>
+        ) : null}
 
-            <p className="muted">Select ingredients, add notes, then generate recipes.</p>
+        {importOpen ? (
+          <RecipeImportDialog onSave={onSaveImportedRecipe} onClose={() => setImportOpen(false)} />
+        ) : null}
 
-            <div className="aiCenter">
-              <textarea
-                className="aiTextarea"
-                value={aiNotes}
-                onChange={(e) => setAiNotes(e.target.value)}
-                placeholder="Optional notes (diet, cuisine, constraints)…"
-                rows={3}
-              />
+        {exploreRecipe ? (
+          <RecipeExplorer
+            recipe={exploreRecipe}
+            onSave={(recipe) =>
+              onSaveAiRecipe({
+                ...recipe,
+                generationId: exploreRecipe.generationId,
+                sourceNotes: exploreRecipe.sourceNotes,
+              })
+            }
+            onClose={() => setExploreRecipe(null)}
+          />
+        ) : null}
 
-              <button className="aiButton" type="button" onClick={onGenerateAiRecipes} disabled={aiLoading || pantryIds.length === 0}>
-                {aiLoading ? 'Generating…' : 'Generate'}
-              </button>
+        {mappingRecipe ? (
+          <IngredientMappingDialog
+            recipe={mappingRecipe.recipe}
+            ingredients={ingredients}
+            onSave={onConfirmMapping}
+            onClose={onCancelMapping}
+          />
+        ) : null}
 
-              <div className="muted aiHint">{pantryIds.length === 0 ? 'Select ingredients first.' : `${pantryIds.length} selected`}</div>
+        {route.name === 'recipe' ? (
+          <RecipePage
+            key={route.params.id}
+            id={Number(route.params.id)}
+            recipes={recipes}
+            tags={tags}
+            collections={collections}
+            unitSystem={unitSystem}
+            editForm={recipeDraft?.id === Number(route.params.id) ? recipeEditForm : null}
+            onEdit={startEditRecipe}
+            onDelete={(recipe) => setRecipeDeleteTarget({ id: recipe.id, name: recipe.name })}
+            onChanged={refresh}
+          />
+        ) : route.name === 'notFound' ? (
+          <section className="card">
+            <div className="cardTitle">
+              <h2>Page not found</h2>
             </div>
+            <div className="muted">
+              Nothing lives at this address. <Link to="/">Back to RecipeStack</Link>
+            </div>
+          </section>
+        ) : (
+          <>
+            <div className="grid">
+              <section id="ingredients" className="card">
+                <div className="cardTitle">
+                  <h2>Ingredients</h2>
+                  <span className="muted">
+                    {activeView === 'Manual Entry' ? locationCounts : `${activeView} Photo`}
+                  </span>
+                </div>
 
-            {aiRecipes.length ? (
-              <div className="aiMenu">
-                {aiRecipes.map((r, idx) => (
-                  <details key={`${r.title}-${idx}`} className="aiRecipeItem">
-                    <summary className="aiRecipeSummary">{r.title}</summary>
-                    <div className="aiRecipeBody">
-                      {r.ingredients?.length ? (
-                        <div className="aiSection">
-                          <div className="aiSectionTitle">Ingredients</div>
-                          <ul className="aiList">
-                            {r.ingredients.map((ing, i) => (
-                              <li key={i}>{ing}</li>
-                            ))}
-                          </ul>
-                        </div>
-                      ) : null}
-
-                      {r.steps?.length ? (
-                        <div className="aiSection">
-                          <div className="aiSectionTitle">Procedure</div>
-                          <ol className="aiList">
-                            {r.steps.map((step, i) => (
-                              <li key={i}>{step}</li>
-                            ))}
-                          </ol>
-                        </div>
-                      ) : null}
-
-                      {!r.ingredients?.length && !r.steps?.length && r.fallback ? (
-                        r.fallback.split('\n').map((line, i) => <p key={i}>{line}</p>)
-                      ) : null}
-
-                      <div className="aiButtonRow">
-                        <button
-                          type="button"
-                          className="aiExplore"
-                          onClick={() => console.log(`explore pressed: ${r.title}`)}
-                        >
-                          Explore this recipe
-                        </button>
+                {activeView === 'Manual Entry' ? (
+                  <>
+                    <form onSubmit={onAddIngredient} className="ingredientAddRow">
+                      <input
+                        value={ingredientName}
+                        onChange={(e) => setIngredientName(e.target.value)}
+                        placeholder="Add ingredient (e.g., Onion)"
+                      />
+                      <select value={manualLocation} onChange={(e) => setManualLocation(e.target.value)}>
+                        {storageLocations.map((location) => (
+                          <option key={location} value={location}>
+                            {location}
+                          </option>
+                        ))}
+                      </select>
+                      <div className="ingredientAddActions">
+                        <button type="submit">Add</button>
                         <button
                           type="button"
-                          className="aiExplore"
-                          onClick={() => onSaveAiRecipe(r)}
+                          className="dangerButton"
+                          onClick={openDeleteDialog}
+                          disabled={pantryIds.length === 0 || deleteLoading}
                         >
-                          Save this recipe
+                          Delete Selected
                         </button>
                       </div>
-                    </div>
-                  </details>
-                ))}
-              </div>
-            ) : (
-              <div className="muted aiEmpty">No AI output yet.</div>
-            )}
-          </section>
-        </div>
+                    </form>
+
+                    <input
+                      type="search"
+                      className="ingredientFilter"
+                      value={ingredientFilter}
+                      onChange={(e) => setIngredientFilter(e.target.value)}
+                      placeholder="Filter ingredients"
+                      aria-label="Filter ingredients"
+                    />
 
-        <section id="saved" className="card">
-          <details className="details" open>
-            <summary className="summary">
-              <span>Saved Recipes</span>
-              <span className="badge">{recipes.length}</span>
-            </summary>
-
-            {recipes.length === 0 ? (
-              <div className="muted">No recipes saved yet.</div>
-            ) : (
-              <div className="recipes">
-                {recipes.map((r) => {
-                  const procedure = parseProcedure(r.instructions)
-                  return (
-                    <details key={r.id} className="recipeItem">
-                      <summary className="recipeSummary">{r.name}</summary>
-                      <div className="recipeBody">
-                        <div className="aiSection">
-                          <div className="aiSectionTitle">Ingredients</div>
-                          {r.ingredients.length ? (
-                            <ul className="aiList">
-                              {r.ingredients.map((i) => (
-                                <li key={i.ingredientId}>
-                                  {i.name}
-                                  {i.quantity == null ? '' : ` · ${i.quantity}`}
-                                  {i.unit ? ` ${i.unit}` : ''}
-                                </li>
-                              ))}
-                            </ul>
-                          ) : (
-                            <div className="muted">No ingredients listed.</div>
-                          )}
+                    <div className="ingredientColumns">
+                      {storageLocations.map((location) => (
+                        <div
+                          key={location}
+                          className={`ingredientColumn${ingredientDropTarget === location ? ' dragActive' : ''}`}
+                          onDragOver={(e) => {
+                            e.preventDefault()
+                            setIngredientDropTarget(location)
+                          }}
+                          onDragLeave={(e) => {
+                            if (!e.currentTarget.contains(e.relatedTarget)) setIngredientDropTarget('')
+                          }}
+                          onDrop={(e) => onDropIngredient(e, location)}
+                        >
+                          <div className="ingredientColumnHeader">{location}</div>
+                          <div className="ingredientList">
+                            {shownByLocation[location].length === 0 ? (
+                              <div className="muted ingredientEmpty">{ingredientFilter.trim() ? 'No matches' : 'No items'}</div>
+                            ) : (
+                              shownByLocation[location].map((i) => (
+                                <IngredientItem
+                                  key={i.id}
+                                  ingredient={i}
+                                  locations={storageLocations}
+                                  checked={pantry.has(i.id)}
+                                  onToggle={() => togglePantry(i.id)}
+                                  onSave={onSaveIngredient}
+                                  onMove={onMoveIngredient}
+                                />
+                              ))
+                            )}
+                          </div>
                         </div>
+                      ))}
+                    </div>
+                  </>
+                ) : (
+                  <IngredientPhotoPanel
+                    key={activeView}
+                    location={activeView}
+                    onConfirm={onAddDetectedIngredients}
+                    onError={setError}
+                  />
+                )}
 
-                        <div className="aiSection">
-                          <div className="aiSectionTitle">Procedure</div>
-                          {procedure.length ? (
-                            <ol className="aiList">
-                              {procedure.map((step, i) => (
-                                <li key={i}>{step}</li>
-                              ))}
-                            </ol>
-                          ) : (
-                            <div className="muted">No procedure yet.</div>
-                          )}
-                        </div>
-                      </div>
-                    </details>
-                  )
-                })}
-              </div>
-            )}
-          </details>
-
-          <details className="details">
-            <summary className="summary">Save a Recipe</summary>
-
-            <form onSubmit={onCreateRecipe} className="stack">
-              <input value={recipeName} onChange={(e) => setRecipeName(e.target.value)} placeholder="Recipe name" />
-              <textarea
-                value={recipeInstructions}
-                onChange={(e) => setRecipeInstructions(e.target.value)}
-                placeholder="Instructions (optional)"
-                rows={4}
-              />
-
-              <div className="rowFields">
-                <select value={recipeIngredientId} onChange={(e) => setRecipeIngredientId(e.target.value)}>
-                  <option value="">Select ingredient…</option>
-                  {ingredients.map((i) => (
-                    <option key={i.id} value={i.id}>
-                      {i.name}
-                    </option>
+                <div className="ingredientTabs">
+                  {ingredientViews.map((view) => (
+                    <button
+                      key={view}
+                      type="button"
+                      className={`ingredientTab${view === activeView ? ' active' : ''}`}
+                      onClick={() => navigate(`/ingredients/${ingredientViewSlug(view)}`)}
+                      aria-pressed={view === activeView}
+                    >
+                      {view}
+                    </button>
                   ))}
-                </select>
-                <input
-                  value={recipeIngredientQty}
-                  onChange={(e) => setRecipeIngredientQty(e.target.value)}
-                  placeholder="Qty"
-                  inputMode="decimal"
+                </div>
+              </section>
+
+              <section id="ai" className="card">
+                <div className="cardTitle">
+                  <h2>Ask AI</h2>
+                  <AiModelPicker choice={aiChoice} onChange={setAiChoice} />
+                </div>
+
+                <p className="muted">
+                  Select ingredients, add notes, then generate recipes.{aiModel ? ` Last answer from ${aiModel}.` : ''}
+                </p>
+
+                <div className="aiCenter">
+                  <DietaryProfilePicker selected={dietaryProfiles} onChange={setDietaryProfiles} />
+
+                  <textarea
+                    className="aiTextarea"
+                    value={aiNotes}
+                    onChange={(e) => setAiNotes(e.target.value)}
+                    placeholder="Optional notes (diet, cuisine, constraints)…"
+                    rows={3}
+                  />
+
+                  <div className="aiButtonRow">
+                    <button className="aiButton" type="button" onClick={() => onGenerateAiRecipes()} disabled={aiLoading || pantryIds.length === 0}>
+                      {aiLoading ? 'Generating…' : 'Generate'}
+                    </button>
+                    <button
+                      className="secondaryButton"
+                      type="button"
+                      onClick={onUseItUp}
+                      disabled={aiLoading || expiringIds.length === 0}
+                      title="Select ingredients close to their best-before date and cook with them first"
+                    >
+                      Use it up{expiringIds.length ? ` (${expiringIds.length})` : ''}
+                    </button>
+                    {aiLoading ? (
+                      <button className="secondaryButton" type="button" onClick={onStopAiRecipes}>
+                        Stop
+                      </button>
+                    ) : null}
+                  </div>
+
+                  <div className="muted aiHint">{aiHint}</div>
+                </div>
+
+                {aiRecipes.length ? (
+                  <div className="aiMenu">
+                    {aiRecipes.map((r, idx) => (
+                      <details key={`${r.title}-${idx}`} className="aiRecipeItem">
+                        <summary className="aiRecipeSummary">
+                          {r.title}
+                          {r.warnings?.length ? <span className="dietWarningBadge">Breaks your diet</span> : null}
+                        </summary>
+                        <div className="aiRecipeBody">
+                          {r.warnings?.length ? (
+                            <div className="dietWarning" role="alert">
+                              Uses {r.warnings.join(', ')}. Swap these out before cooking.
+                            </div>
+                          ) : null}
+                          {r.totalMinutes || r.servings ? (
+                            <div className="muted aiRecipeMeta">
+                              {[r.totalMinutes ? `${r.totalMinutes} min` : '', r.servings ? `Serves ${r.servings}` : '']
+                                .filter(Boolean)
+                                .join(' · ')}
+                            </div>
+                          ) : null}
+
+                          {r.ingredients?.length ? (
+                            <div className="aiSection">
+                              <div className="aiSectionTitle">Ingredients</div>
+                              <ul className="aiList">
+                                {r.ingredients.map((ing, i) => (
+                                  <li key={i}>{ing}</li>
+                                ))}
+                              </ul>
+                            </div>
+                          ) : null}
+
+                          {r.steps?.length ? (
+                            <div className="aiSection">
+                              <div className="aiSectionTitle">Procedure</div>
+                              <ol className="aiList">
+                                {r.steps.map((step, i) => (
+                                  <li key={i}>{step}</li>
+                                ))}
+                              </ol>
+                            </div>
+                          ) : null}
+
+                          {!r.ingredients?.length && !r.steps?.length && r.fallback ? (
+                            r.fallback.split('\n').map((line, i) => <p key={i}>{line}</p>)
+                          ) : null}
+
+                          <div className="aiButtonRow">
+                            <button
+                              type="button"
+                              className="aiExplore"
+                              onClick={() =>
+                                setExploreRecipe({ ...r, generationId: aiGenerationId, sourceNotes: aiSourceNotes })
+                              }
+                            >
+                              Explore this recipe
+                            </button>
+                            <button
+                              type="button"
+                              className="aiExplore"
+                              onClick={() =>
+                                onSaveAiRecipe({ ...r, generationId: aiGenerationId, sourceNotes: aiSourceNotes })
+                              }
+                            >
+                              Save this recipe
+                            </button>
+                          </div>
+                        </div>
+                      </details>
+                    ))}
+                  </div>
+                ) : (
+                  <div className="muted aiEmpty">{aiLoading ? 'Waiting for the first recipe…' : 'No AI output yet.'}</div>
+                )}
+
+                {!aiLoading && !aiComplete && (aiContent || aiStructured.length) ? (
+                  <div className="muted aiEmpty">Stopped early. Only finished recipes are shown.</div>
+                ) : null}
+
+                <AiHistory
+                  version={aiHistoryVersion}
+                  currentId={aiGenerationId}
+                  disabled={aiLoading}
+                  onOpen={onOpenGeneration}
+                  onRegenerate={onRegenerateGeneration}
                 />
-                <input value={recipeIngredientUnit} onChange={(e) => setRecipeIngredientUnit(e.target.value)} placeholder="Unit" />
-                <button type="button" onClick={addRecipeIngredient}>
-                  Add
-                </button>
-              </div>
+              </section>
+            </div>
 
-              {recipeIngredients.length ? (
-                <div className="pillList">
-                  {recipeIngredients.map((ri) => {
-                    const name = ingredients.find((x) => x.id === ri.ingredientId)?.name ?? `#${ri.ingredientId}`
-                    const qty = ri.quantity == null ? '' : `${ri.quantity}`
-                    const unit = ri.unit == null ? '' : ` ${ri.unit}`
-                    return (
-                      <div key={ri.ingredientId} className="pill">
-                        <span>
-                          {name}
-                          {qty ? ` · ${qty}${unit}` : ''}
-                        </span>
-                        <button type="button" onClick={() => removeRecipeIngredient(ri.ingredientId)} aria-label={`Remove ${name}`}>
-                          ×
-                        </button>
-                      </div>
-                    )
-                  })}
+            <section id="saved" className="card">
+              <details className="details" open>
+                <summary className="summary">
+                  <span>Saved Recipes</span>
+                  <span className="badge">{recipes.length}</span>
+                </summary>
+
+                {recipes.length ? (
+                  <div className="matchControls">
+                    <label className="matchFilter">
+                      <span className="muted">Units</span>
+                      <select value={unitSystem} onChange={(e) => setUnitSystem(e.target.value)}>
+                        {unitSystems.map((system) => (
+                          <option key={system.value} value={system.value}>
+                            {system.label}
+                          </option>
+                        ))}
+                      </select>
+                    </label>
+                  </div>
+                ) : null}
+
+                {recipes.length ? (
+                  <RecipeCollections
+                    collections={collections}
+                    activeId={recipeFilters.collectionId}
+                    onSelect={(collectionId) => applyRecipeFilters({ ...recipeFilters, collectionId, page: 1 })}
+                    onChanged={refresh}
+                    onError={setError}
+                  />
+                ) : null}
+
+                {recipes.length ? (
+                  <RecipeFilters
+                    filters={recipeFilters}
+                    ingredients={ingredients}
+                    tags={tags}
+                    locations={storageLocations}
+                    onChange={applyRecipeFilters}
+                  />
+                ) : null}
+
+                {recipes.length === 0 ? (
+                  <div className="muted">No recipes saved yet.</div>
+                ) : recipeResults === null ? (
+                  <div className="muted">Loading recipes…</div>
+                ) : recipeResults.total === 0 ? (
+                  <div className="muted">No saved recipes match these filters.</div>
+                ) : (
+                  <div className="recipes">
+                    {recipeResults.items.map((r) => (
+                      <details key={r.id} className="recipeItem">
+                        <summary className="recipeSummary">
+                          {r.coverImageId ? (
+                            <img
+                              className="recipeCover"
+                              src={recipeImageUrl(r.id, r.coverImageId)}
+                              alt=""
+                              loading="lazy"
+                            />
+                          ) : null}
+                          {r.name}
+                          {r.tags?.map((tag) => (
+                            <span key={tag} className="tagChip">
+                              #{tag}
+                            </span>
+                          ))}
+                        </summary>
+                        {recipeDraft?.id === r.id ? (
+                          recipeEditForm
+                        ) : (
+                          <RecipeDetails key={`${r.id}:${r.servings}`} recipe={r} unitSystem={unitSystem}>
+                            <RecipeGallery recipe={r} onChanged={refresh} onError={setError} />
+                            <RecipeTagEditor
+                              recipe={r}
+                              tags={tags}
+                              collections={collections}
+                              onChanged={refresh}
+                              onError={setError}
+                            />
+                            <div className="aiButtonRow">
+                              <Link to={`/recipes/${r.id}`} className="aiExplore">
+                                Open page
+                              </Link>
+                              <button type="button" className="aiExplore" onClick={() => startEditRecipe(r)}>
+                                Edit
+                              </button>
+                              <button
+                                type="button"
+                                className="aiExplore"
+                                onClick={() => setRecipeDeleteTarget({ id: r.id, name: r.name })}
+                              >
+                                Delete
+                              </button>
+                            </div>
+                          </RecipeDetails>
+                        )}
+                      </details>
+                    ))}
+                  </div>
+                )}
+
+                {recipeResults?.total && (hasActiveFilters(recipeFilters) || recipePageCount > 1 || recipeFilters.page > 1) ? (
+                  <div className="recipePager">
+                    <button
+                      type="button"
+                      className="secondaryButton"
+                      disabled={recipeFilters.page <= 1}
+                      onClick={() => applyRecipeFilters({ ...recipeFilters, page: recipeFilters.page - 1 })}
+                    >
+                      Previous
+                    </button>
+                    <span className="muted">
+                      {hasActiveFilters(recipeFilters)
+                        ? `${recipeResults.total} of ${recipes.length} match`
+                        : `${recipeResults.total} recipes`}
+                      {` · page ${recipeFilters.page} of ${recipePageCount}`}
+                    </span>
+                    <button
+                      type="button"
+                      className="secondaryButton"
+                      disabled={recipeFilters.page >= recipePageCount}
+                      onClick={() => applyRecipeFilters({ ...recipeFilters, page: recipeFilters.page + 1 })}
+                    >
+                      Next
+                    </button>
+                  </div>
+                ) : null}
+              </details>
+
+              <RecipeMatches pantryIds={pantryIds} recipes={recipes} />
+
+              <details className="details">
+                <summary className="summary">Save a Recipe</summary>
+
+                <div className="aiButtonRow importRow">
+                  <button type="button" className="aiExplore" onClick={() => setImportOpen(true)}>
+                    Import from text or file
+                  </button>
                 </div>
-              ) : (
-                <div className="muted">Add at least one ingredient.</div>
-              )}
-
-              <button type="submit" disabled={!recipeName.trim() || recipeIngredients.length === 0}>
-                Save Recipe
-              </button>
-            </form>
-          </details>
-        </section>
+
+                <form onSubmit={onCreateRecipe} className="stack">
+                  <input value={recipeName} onChange={(e) => setRecipeName(e.target.value)} placeholder="Recipe name" />
+                  <textarea
+                    value={recipeInstructions}
+                    onChange={(e) => setRecipeInstructions(e.target.value)}
+                    placeholder="Instructions (optional)"
+                    rows={4}
+                  />
+                  <input
+                    type="number"
+                    min="1"
+                    max="100"
+                    value={recipeServings}
+                    onChange={(e) => setRecipeServings(e.target.value)}
+                    placeholder="Servings (optional)"
+                  />
+
+                  <RecipeIngredientEditor ingredients={ingredients} value={recipeIngredients} onChange={setRecipeIngredients} />
+
+                  <button type="submit" disabled={!recipeName.trim() || recipeIngredients.length === 0}>
+                    Save Recipe
+                  </button>
+                </form>
+              </details>
+            </section>
+
+            <MealPlanner
+              recipes={recipes}
+              ingredients={ingredients}
+              onSaveRecipe={onSaveAiRecipe}
+              onShoppingListCreated={() => setShoppingListsVersion((v) => v + 1)}
+              onError={setError}
+            />
+
+            <ShoppingLists recipes={recipes} pantryIds={pantryIds} version={shoppingListsVersion} onError={setError} />
+
+            <RecipeBookBackup recipes={recipes} onImported={onBackupImported} onError={setError} />
+          </>
+        )}
       </main>
     </div>
   )
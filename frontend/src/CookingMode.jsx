@@ -0,0 +1,207 @@
+import { useEffect, useRef, useState } from 'react'
+import { findDurations, formatClock } from './cookingTimers.js'
+
+const wakeLockLabels = {
+  active: 'Screen stays on',
+  pending: 'Keeping the screen on…',
+  unsupported: 'This browser may let the screen sleep',
+  released: 'Screen may sleep',
+}
+
+// Holds a screen wake lock while mounted. Browsers drop the lock whenever the tab is hidden, so it is
+// taken again when the page becomes visible.
+function useWakeLock() {
+  const [state, setState] = useState(() => ('wakeLock' in navigator ? 'pending' : 'unsupported'))
+
+  useEffect(() => {
+    if (!('wakeLock' in navigator)) return
+    let sentinel = null
+    let cancelled = false
+
+    async function acquire() {
+      try {
+        sentinel = await navigator.wakeLock.request('screen')
+        if (cancelled) {
+          sentinel.release()
+          return
+        }
+        setState('active')
+        sentinel.addEventListener('release', () => {
+          if (!cancelled) setState('released')
+        })
+      } catch {
+        if (!cancelled) setState('released')
+      }
+    }
+
+    function onVisibilityChange() {
+      if (document.visibilityState === 'visible') acquire()
+    }
+
+    acquire()
+    document.addEventListener('visibilitychange', onVisibilityChange)
+    return () => {
+      cancelled = true
+      document.removeEventListener('visibilitychange', onVisibilityChange)
+      sentinel?.release()
+    }
+  }, [])
+
+  return state
+}
+
+// Through the service worker when there is one, so the alert also shows while the tab is in the
+// background on mobile.
+async function notify(title, body) {
+  if (!('Notification' in window) || Notification.permission !== 'granted') return
+  try {
+    const registration = await navigator.serviceWorker?.getRegistration()
+    if (registration) await registration.showNotification(title, { body, tag: body })
+    else new Notification(title, { body })
+  } catch {
+    // The on-screen timer already shows "Done"; a missing notification is not worth an error.
+  }
+}
+
+// Full-screen, one-step-at-a-time view for cooking from a saved recipe: large type, arrow keys or
+// buttons to move, timers for the durations found in each step and an ingredient checklist.
+export default function CookingMode({ title, steps, ingredients, onClose }) {
+  const [index, setIndex] = useState(0)
+  const [checked, setChecked] = useState(() => new Set())
+  const [timers, setTimers] = useState([])
+  const [now, setNow] = useState(() => Date.now())
+  const nextTimerId = useRef(1)
+  const wakeLock = useWakeLock()
+
+  const step = steps[index]
+  const durations = findDurations(step)
+  const last = index === steps.length - 1
+
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (e.key === 'Escape') onClose()
+      else if (e.key === 'ArrowRight' || e.key === 'ArrowDown') setIndex((i) => Math.min(i + 1, steps.length - 1))
+      else if (e.key === 'ArrowLeft' || e.key === 'ArrowUp') setIndex((i) => Math.max(i - 1, 0))
+      else return
+      e.preventDefault()
+    }
+    window.addEventListener('keydown', onKeyDown)
+    return () => window.removeEventListener('keydown', onKeyDown)
+  }, [steps.length, onClose])
+
+  const running = timers.some((t) => !t.done)
+  useEffect(() => {
+    if (!running) return
+    const interval = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(interval)
+  }, [running])
+
+  useEffect(() => {
+    const finished = timers.filter((t) => !t.done && t.endsAt <= now)
+    if (!finished.length) return
+    for (const timer of finished) notify(`${timer.text} timer done`, `${title}: step ${timer.step}`)
+    setTimers((prev) => prev.map((t) => (finished.includes(t) ? { ...t, done: true } : t)))
+  }, [timers, now, title])
+
+  function startTimer(duration) {
+    if ('Notification' in window && Notification.permission === 'default') Notification.requestPermission()
+    const startedAt = Date.now()
+    setNow(startedAt)
+    setTimers((prev) => [
+      ...prev,
+      { id: nextTimerId.current++, text: duration.text, step: index + 1, endsAt: startedAt + duration.seconds * 1000 },
+    ])
+  }
+
+  function toggleIngredient(id) {
+    setChecked((prev) => {
+      const next = new Set(prev)
+      if (next.has(id)) next.delete(id)
+      else next.add(id)
+      return next
+    })
+  }
+
+  return (
+    <div className="cookingMode" role="dialog" aria-modal="true" aria-label={`Cooking ${title}`}>
+      <div className="cookingHeader">
+        <div>
+          <div className="cookingTitle">{title}</div>
+          <div className="muted">{wakeLockLabels[wakeLock]}</div>
+        </div>
+        <button type="button" className="secondaryButton" onClick={onClose}>
+          Exit
+        </button>
+      </div>
+
+      <div className="cookingBody">
+        <aside className="cookingIngredients">
+          <div className="aiSectionTitle">Ingredients</div>
+          {ingredients.map((i) => (
+            <label key={i.id} className={`checkbox${checked.has(i.id) ? ' shoppingChecked' : ''}`}>
+              <input type="checkbox" checked={checked.has(i.id)} onChange={() => toggleIngredient(i.id)} />
+              <span>
+                {i.name}
+                {i.amount ? ` · ${i.amount}` : ''}
+              </span>
+            </label>
+          ))}
+        </aside>
+
+        <div className="cookingStep">
+          <div className="muted">
+            Step {index + 1} of {steps.length}
+          </div>
+          <p className="cookingStepText" aria-live="polite">
+            {step}
+          </p>
+
+          {durations.length ? (
+            <div className="aiButtonRow">
+              {durations.map((d, i) => (
+                <button key={i} type="button" className="aiExplore" onClick={() => startTimer(d)}>
+                  Start {d.text} timer
+                </button>
+              ))}
+            </div>
+          ) : null}
+
+          <div className="cookingNav">
+            <button
+              type="button"
+              className="secondaryButton"
+              onClick={() => setIndex(index - 1)}
+              disabled={index === 0}
+            >
+              Previous
+            </button>
+            <button type="button" onClick={last ? onClose : () => setIndex(index + 1)}>
+              {last ? 'Finish' : 'Next'}
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {timers.length ? (
+        <div className="cookingTimers" role="status">
+          {timers.map((t) => (
+            <div key={t.id} className={`cookingTimer${t.done ? ' done' : ''}`}>
+              <span className="muted">
+                Step {t.step} · {t.text}
+              </span>
+              <span className="cookingClock">{t.done ? 'Done' : formatClock((t.endsAt - now) / 1000)}</span>
+              <button
+                type="button"
+                className="secondaryButton"
+                onClick={() => setTimers((prev) => prev.filter((other) => other.id !== t.id))}
+                aria-label={t.done ? `Dismiss ${t.text} timer` : `Cancel ${t.text} timer`}
+              >
+                {t.done ? 'Dismiss' : 'Cancel'}
+              </button>
+            </div>
+          ))}
+        </div>
+      ) : null}
+    </div>
+  )
+}
@@ -0,0 +1,42 @@
+import { useEffect, useState } from 'react'
+import { apiGet } from './api.js'
+
+// The diets and allergies the AI has to respect. The list comes from the API, which also checks the
+// generated ingredients against it; the selection itself is kept by the caller.
+export default function DietaryProfilePicker({ selected, onChange }) {
+  const [profiles, setProfiles] = useState([])
+
+  useEffect(() => {
+    const controller = new AbortController()
+    apiGet('/api/ai/dietary-profiles', { signal: controller.signal })
+      .then(setProfiles)
+      .catch(() => {
+        // Without the list there is nothing to pick; generation still works without profiles.
+      })
+    return () => controller.abort()
+  }, [])
+
+  // A saved selection can name a profile the server no longer offers.
+  useEffect(() => {
+    if (!profiles.length) return
+    const known = selected.filter((id) => profiles.some((p) => p.id === id))
+    if (known.length !== selected.length) onChange(known)
+  }, [profiles, selected, onChange])
+
+  if (!profiles.length) return null
+
+  function toggle(id) {
+    onChange(selected.includes(id) ? selected.filter((other) => other !== id) : [...selected, id])
+  }
+
+  return (
+    <div className="dietaryProfiles" role="group" aria-label="Dietary profiles">
+      {profiles.map((p) => (
+        <label key={p.id} className={`dietaryProfile${selected.includes(p.id) ? ' active' : ''}`} title={p.constraint}>
+          <input type="checkbox" checked={selected.includes(p.id)} onChange={() => toggle(p.id)} />
+          <span>{p.label}</span>
+        </label>
+      ))}
+    </div>
+  )
+}
@@ -0,0 +1,113 @@
+import { useState } from 'react'
+import { describeExpiry, expiryState } from './inventory.js'
+import { formatAmount } from './units.js'
+
+function toDraft(ingredient) {
+  return {
+    name: ingredient.name,
+    quantity: ingredient.quantity ?? '',
+    unit: ingredient.unit ?? '',
+    purchasedOn: ingredient.purchasedOn ?? '',
+    bestBefore: ingredient.bestBefore ?? '',
+  }
+}
+
+// One row in a Fridge/Pantry/Freezer column: the selection checkbox plus on-hand amount and
+// best-before date, which open an inline editor. Rows drag to another column to move; the editor's
+// "Move to" buttons do the same from the keyboard.
+export default function IngredientItem({ ingredient, locations, checked, onToggle, onSave, onMove }) {
+  const [draft, setDraft] = useState(null)
+  const [saving, setSaving] = useState(false)
+
+  const state = expiryState(ingredient)
+  const details = [
+    ingredient.quantity != null ? formatAmount(ingredient.quantity, ingredient.unit) : '',
+    describeExpiry(ingredient),
+  ].filter(Boolean)
+
+  async function onSubmit(e) {
+    e.preventDefault()
+    setSaving(true)
+    const saved = await onSave(ingredient, {
+      name: draft.name.trim(),
+      inventory: {
+        quantity: draft.quantity === '' ? null : Number(draft.quantity),
+        unit: draft.unit.trim() || null,
+        purchasedOn: draft.purchasedOn || null,
+        bestBefore: draft.bestBefore || null,
+      },
+    })
+    setSaving(false)
+    if (saved) setDraft(null)
+  }
+
+  function update(field) {
+    return (e) => setDraft((prev) => ({ ...prev, [field]: e.target.value }))
+  }
+
+  return (
+    <div
+      className={`ingredientItem${state ? ` ${state}` : ''}`}
+      draggable
+      onDragStart={(e) => e.dataTransfer.setData('application/json', JSON.stringify({ ingredientId: ingredient.id }))}
+    >
+      <div className="checkbox">
+        <input type="checkbox" checked={checked} onChange={onToggle} aria-label={`Select ${ingredient.name}`} />
+        <div className="ingredientItemText">
+          <span>{ingredient.name}</span>
+          {details.length ? <span className="muted">{details.join(' · ')}</span> : null}
+        </div>
+        <button
+          type="button"
+          className="ingredientEditToggle"
+          onClick={() => setDraft(draft ? null : toDraft(ingredient))}
+          aria-expanded={Boolean(draft)}
+          aria-label={`Edit amount and dates for ${ingredient.name}`}
+        >
+          {draft ? 'Close' : 'Edit'}
+        </button>
+      </div>
+
+      {draft ? (
+        <form onSubmit={onSubmit} className="ingredientInventoryForm">
+          <input className="ingredientNameInput" value={draft.name} onChange={update('name')} aria-label="Name" />
+          <input
+            type="number"
+            min="0"
+            step="any"
+            value={draft.quantity}
+            onChange={update('quantity')}
+            placeholder="Qty"
+          />
+          <input value={draft.unit} onChange={update('unit')} placeholder="Unit" />
+          <label>
+            <span className="muted">Bought</span>
+            <input type="date" value={draft.purchasedOn} onChange={update('purchasedOn')} />
+          </label>
+          <label>
+            <span className="muted">Best before</span>
+            <input type="date" value={draft.bestBefore} onChange={update('bestBefore')} />
+          </label>
+          <button type="submit" disabled={saving || !draft.name.trim()}>
+            {saving ? 'Saving…' : 'Save'}
+          </button>
+          <div className="ingredientMoveRow">
+            <span className="muted">Move to</span>
+            {locations
+              .filter((location) => location !== ingredient.location)
+              .map((location) => (
+                <button
+                  key={location}
+                  type="button"
+                  className="secondaryButton"
+                  onClick={() => onMove(ingredient, location)}
+                >
+                  {location}
+                </button>
+              ))}
+          </div>
+        </form>
+      ) : null}
+    </div>
+  )
+}
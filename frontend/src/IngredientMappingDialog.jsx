@@ -0,0 +1,165 @@
+import { useEffect, useMemo, useState } from 'react'
+import { confidentMatchKinds, matchIngredient, recipeItems } from './ingredientMatching.js'
+import { normalizeTag } from './recipeSearch.js'
+import { suggestTags } from './recipeTags.js'
+
+const matchLabels = {
+  exact: 'Same name',
+  plural: 'Singular/plural',
+  synonym: 'Same ingredient',
+  typo: 'Check spelling',
+  partial: 'Check match',
+}
+
+// Review before an AI recipe is saved: each ingredient line split into amount and name, and matched to
+// a stored ingredient (or marked as new). Uncertain matches are flagged; `onSave` gets the confirmed
+// items, each with an `ingredientId` or a name to create, and the tags to save the recipe with, which
+// start out as suggestions from the recipe and the notes of the run it came from (`recipe.sourceNotes`).
+export default function IngredientMappingDialog({ recipe, ingredients, onSave, onClose }) {
+  const [rows, setRows] = useState(() =>
+    recipeItems(recipe).map((item) => {
+      const match = matchIngredient(item.name, ingredients)
+      return { ...item, ingredientId: match?.ingredient.id ?? null, kind: match?.kind ?? null }
+    }),
+  )
+  const [tagText, setTagText] = useState(() => suggestTags(recipe, recipe.sourceNotes).join(', '))
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+
+  const sortedIngredients = useMemo(() => [...ingredients].sort((a, b) => a.name.localeCompare(b.name)), [ingredients])
+  const namesById = useMemo(() => new Map(ingredients.map((i) => [i.id, i.name])), [ingredients])
+
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (e.key === 'Escape' && !saving) onClose()
+    }
+    window.addEventListener('keydown', onKeyDown)
+    return () => window.removeEventListener('keydown', onKeyDown)
+  }, [onClose, saving])
+
+  function updateRow(index, changes) {
+    setRows((prev) => prev.map((row, i) => (i === index ? { ...row, ...changes } : row)))
+  }
+
+  // Picking by hand confirms the mapping, so the row is no longer flagged.
+  function onPick(index, value) {
+    updateRow(index, { ingredientId: value ? Number(value) : null, kind: value ? 'exact' : null })
+  }
+
+  async function onSubmit(e) {
+    e.preventDefault()
+    setError('')
+    setSaving(true)
+    try {
+      await onSave(
+        rows
+          .map((row) => ({
+            name: row.ingredientId != null ? namesById.get(row.ingredientId) : row.name.trim(),
+            ingredientId: row.ingredientId ?? undefined,
+            quantity: row.quantity,
+            unit: row.unit?.trim() || null,
+          }))
+          .filter((item) => item.name),
+        Array.from(new Set(tagText.split(',').map(normalizeTag).filter(Boolean))),
+      )
+    } catch (e) {
+      setError(e?.message ?? String(e))
+      setSaving(false)
+    }
+  }
+
+  const uncertain = rows.filter((row) => row.kind && !confidentMatchKinds.includes(row.kind)).length
+
+  return (
+    <div className="modalOverlay" role="dialog" aria-modal="true" aria-label="Check ingredients">
+      <form className="modalCard explorerCard importCard" onSubmit={onSubmit}>
+        <div className="explorerHeader">
+          <div className="modalTitle">Check ingredients · {recipe.title}</div>
+          <button type="button" className="secondaryButton" onClick={onClose} disabled={saving}>
+            Cancel
+          </button>
+        </div>
+
+        <p className="muted">
+          Each line is matched to an ingredient you already have, or saved as a new one.
+          {uncertain ? ` ${uncertain} ${uncertain === 1 ? 'match needs' : 'matches need'} a look.` : ''}
+        </p>
+
+        {error ? (
+          <div className="error" role="alert">
+            {error}
+          </div>
+        ) : null}
+
+        {rows.map((row, i) => (
+          <div key={i} className="mappingRow">
+            <div className="muted mappingLine" title={row.line}>
+              {row.line}
+              {row.note ? <span className="mappingNote"> · {row.note}</span> : null}
+            </div>
+            <div className="importItem">
+              <input
+                type="number"
+                min="0"
+                step="any"
+                value={row.quantity ?? ''}
+                onChange={(e) => updateRow(i, { quantity: e.target.value === '' ? null : Number(e.target.value) })}
+                placeholder="Qty"
+                aria-label="Quantity"
+              />
+              <input
+                value={row.unit ?? ''}
+                onChange={(e) => updateRow(i, { unit: e.target.value })}
+                placeholder="Unit"
+                aria-label="Unit"
+              />
+              <select
+                value={row.ingredientId ?? ''}
+                onChange={(e) => onPick(i, e.target.value)}
+                aria-label={`Ingredient for ${row.line}`}
+              >
+                <option value="">New ingredient…</option>
+                {sortedIngredients.map((ingredient) => (
+                  <option key={ingredient.id} value={ingredient.id}>
+                    {ingredient.name}
+                  </option>
+                ))}
+              </select>
+              {row.ingredientId == null ? (
+                <input
+                  value={row.name}
+                  onChange={(e) => updateRow(i, { name: e.target.value })}
+                  placeholder="New ingredient name"
+                  aria-label="New ingredient name"
+                />
+              ) : (
+                <span className={`mappingKind${confidentMatchKinds.includes(row.kind) ? '' : ' uncertain'}`}>
+                  {matchLabels[row.kind]}
+                </span>
+              )}
+            </div>
+          </div>
+        ))}
+
+        <label className="mappingTags">
+          <span className="muted">Tags</span>
+          <input
+            value={tagText}
+            onChange={(e) => setTagText(e.target.value)}
+            placeholder="quick, vegetarian, weeknight"
+            aria-label="Tags, comma separated"
+          />
+        </label>
+
+        <div className="modalActions">
+          <button type="button" className="secondaryButton" disabled={saving} onClick={onClose}>
+            Cancel
+          </button>
+          <button type="submit" disabled={saving || !rows.some((row) => row.ingredientId != null || row.name.trim())}>
+            {saving ? 'Saving…' : 'Save recipe'}
+          </button>
+        </div>
+      </form>
+    </div>
+  )
+}
@@ -0,0 +1,212 @@
+import { useState } from 'react'
+import { aiChoiceParams } from './aiProviders.js'
+import { apiPost } from './api.js'
+import { downscaleImage, imageFilesFrom } from './images.js'
+
+const maxPhotos = 6
+
+let nextKey = 1
+const newKey = () => nextKey++
+
+export default function IngredientPhotoPanel({ location, onConfirm, onError }) {
+  const [photos, setPhotos] = useState([])
+  const [dragActive, setDragActive] = useState(false)
+  const [detecting, setDetecting] = useState(false)
+  const [saving, setSaving] = useState(false)
+  const [review, setReview] = useState(null)
+
+  async function addFiles(fileList) {
+    const files = imageFilesFrom(fileList).slice(0, Math.max(0, maxPhotos - photos.length))
+    if (files.length === 0) return
+
+    onError('')
+    try {
+      const added = await Promise.all(
+        files.map(async (file) => ({ key: newKey(), name: file.name, dataUrl: await downscaleImage(file) })),
+      )
+      setPhotos((prev) => [...prev, ...added].slice(0, maxPhotos))
+      setReview(null)
+    } catch (e) {
+      onError(e?.message ?? String(e))
+    }
+  }
+
+  function removePhoto(key) {
+    setPhotos((prev) => prev.filter((p) => p.key !== key))
+  }
+
+  function onDragOver(e) {
+    e.preventDefault()
+    e.dataTransfer.dropEffect = 'copy'
+    setDragActive(true)
+  }
+
+  function onDrop(e) {
+    e.preventDefault()
+    setDragActive(false)
+    addFiles(e.dataTransfer.files)
+  }
+
+  async function onDetect() {
+    onError('')
+    setDetecting(true)
+    try {
+      const result = await apiPost('/api/ai/ingredients/detect', {
+        images: photos.map((p) => p.dataUrl),
+        location,
+        ...aiChoiceParams(),
+      })
+      setReview(
+        result.ingredients.map((item) => ({
+          key: newKey(),
+          name: item.name,
+          include: item.existingIngredientId == null,
+          existingLocation: item.existingLocation,
+        })),
+      )
+    } catch (e) {
+      onError(e?.message ?? String(e))
+    } finally {
+      setDetecting(false)
+    }
+  }
+
+  function updateReview(key, patch) {
+    setReview((prev) => prev.map((item) => (item.key === key ? { ...item, ...patch } : item)))
+  }
+
+  async function onConfirmReview() {
+    const names = review.filter((item) => item.include && item.name.trim()).map((item) => item.name.trim())
+    if (names.length === 0) return
+
+    setSaving(true)
+    try {
+      await onConfirm(names)
+      setPhotos([])
+      setReview(null)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const selectedCount = review?.filter((item) => item.include && item.name.trim()).length ?? 0
+
+  if (review) {
+    return (
+      <div className="photoReview">
+        <div className="muted">
+          {review.length === 0
+            ? 'No ingredients recognized. Add them by hand or try clearer photos.'
+            : 'Check the detected ingredients, fix names, and untick anything wrong.'}
+        </div>
+
+        <div className="photoReviewList">
+          {review.map((item) => (
+            <div key={item.key} className="photoReviewRow">
+              <input
+                type="checkbox"
+                checked={item.include}
+                onChange={(e) => updateReview(item.key, { include: e.target.checked })}
+                aria-label={`Include ${item.name || 'ingredient'}`}
+              />
+              <input
+                value={item.name}
+                onChange={(e) => updateReview(item.key, { name: e.target.value, existingLocation: null })}
+                placeholder="Ingredient name"
+              />
+              {item.existingLocation ? <span className="muted">In {item.existingLocation}</span> : <span />}
+              <button
+                type="button"
+                className="secondaryButton"
+                onClick={() => setReview((prev) => prev.filter((x) => x.key !== item.key))}
+                aria-label={`Remove ${item.name || 'ingredient'}`}
+              >
+                ×
+              </button>
+            </div>
+          ))}
+        </div>
+
+        <div className="photoActions">
+          <button
+            type="button"
+            className="secondaryButton"
+            onClick={() =>
+              setReview((prev) => [...prev, { key: newKey(), name: '', include: true, existingLocation: null }])
+            }
+          >
+            Add item
+          </button>
+          <button type="button" className="secondaryButton" disabled={saving} onClick={() => setReview(null)}>
+            Back
+          </button>
+          <button type="button" disabled={saving || selectedCount === 0} onClick={onConfirmReview}>
+            {saving ? 'Adding…' : `Add ${selectedCount} to ${location}`}
+          </button>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div
+      className={`uploadPanel${dragActive ? ' dragActive' : ''}`}
+      onDragOver={onDragOver}
+      onDragEnter={onDragOver}
+      onDragLeave={() => setDragActive(false)}
+      onDrop={onDrop}
+    >
+      <div className="uploadCard">
+        {photos.length ? (
+          <div className="photoGrid">
+            {photos.map((p) => (
+              <div key={p.key} className="photoThumb">
+                <img src={p.dataUrl} alt={p.name} />
+                <button type="button" onClick={() => removePhoto(p.key)} aria-label={`Remove ${p.name}`}>
+                  ×
+                </button>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <svg className="uploadIcon" viewBox="0 0 120 80" role="img" aria-label="Upload">
+            <path
+              d="M84 60H35c-10 0-18-8-18-18 0-9 6-16 14-18 3-11 14-18 26-18 13 0 24 8 27 20 10 1 18 9 18 20 0 9-8 16-18 16z"
+              fill="none"
+              stroke="currentColor"
+              strokeWidth="4"
+              strokeLinejoin="round"
+            />
+            <path d="M60 24v28M60 24l-10 10M60 24l10 10" fill="none" stroke="currentColor" strokeWidth="4" />
+          </svg>
+        )}
+        <div className="uploadTitle">
+          {photos.length
+            ? `${photos.length} of ${maxPhotos} photos`
+            : `Drag photos of your ${location.toLowerCase()} here`}
+        </div>
+        <div className="uploadSubtitle">or</div>
+        <div className="photoActions">
+          <label className={`uploadButton${photos.length >= maxPhotos ? ' disabled' : ''}`}>
+            Select files to upload
+            <input
+              type="file"
+              accept="image/*"
+              multiple
+              disabled={photos.length >= maxPhotos}
+              onChange={(e) => {
+                addFiles(e.target.files)
+                e.target.value = ''
+              }}
+            />
+          </label>
+          {photos.length ? (
+            <button type="button" onClick={onDetect} disabled={detecting}>
+              {detecting ? 'Detecting…' : 'Detect ingredients'}
+            </button>
+          ) : null}
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,297 @@
+import { useEffect, useState } from 'react'
+import { aiChoiceParams } from './aiProviders.js'
+import { apiDelete, apiGet, apiPost, apiPut } from './api.js'
+import { fromStructuredRecipe } from './recipeParsing.js'
+
+const meals = ['Breakfast', 'Lunch', 'Dinner']
+
+// Dates travel as local YYYY-MM-DD strings; going through toISOString() would shift days across time zones.
+function toIsoDate(date) {
+  return [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0'),
+  ].join('-')
+}
+
+function fromIsoDate(iso) {
+  const [y, m, d] = iso.split('-').map(Number)
+  return new Date(y, m - 1, d)
+}
+
+function addDays(iso, days) {
+  const date = fromIsoDate(iso)
+  date.setDate(date.getDate() + days)
+  return toIsoDate(date)
+}
+
+function mondayOf(date) {
+  const monday = new Date(date.getFullYear(), date.getMonth(), date.getDate())
+  monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7))
+  return toIsoDate(monday)
+}
+
+const dayFormat = new Intl.DateTimeFormat(undefined, { weekday: 'short', month: 'short', day: 'numeric' })
+
+export default function MealPlanner({ recipes, ingredients, onSaveRecipe, onShoppingListCreated, onError }) {
+  const [weekStart, setWeekStart] = useState(() => mondayOf(new Date()))
+  const [plan, setPlan] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [busy, setBusy] = useState('')
+  const [pickedRecipeId, setPickedRecipeId] = useState(null)
+  const [dropTarget, setDropTarget] = useState('')
+
+  useEffect(() => {
+    const controller = new AbortController()
+    setLoading(true)
+    apiGet(`/api/meal-plans?weekStart=${weekStart}`, { signal: controller.signal })
+      .then((plans) => {
+        setPlan(plans[0] ?? null)
+        setLoading(false)
+      })
+      .catch((e) => {
+        if (e?.name === 'AbortError') return
+        onError(e?.message ?? String(e))
+        setLoading(false)
+      })
+    return () => controller.abort()
+  }, [weekStart, onError])
+
+  const days = Array.from({ length: 7 }, (_, i) => addDays(weekStart, i))
+  const recipesById = new Map(recipes.map((r) => [r.id, r]))
+  // Deleting a recipe also deletes its planned meals on the server; hide them here without a reload.
+  const entryAt = (date, meal) =>
+    plan?.entries.find((e) => e.date === date && e.meal === meal && recipesById.has(e.recipeId))
+  const emptyDinners = days.filter((date) => !entryAt(date, 'Dinner'))
+
+  async function ensurePlan() {
+    if (plan) return plan
+    try {
+      const created = await apiPost('/api/meal-plans', { weekStart })
+      setPlan(created)
+      return created
+    } catch (e) {
+      // Another tab may have created this week's plan in the meantime.
+      const [existing] = await apiGet(`/api/meal-plans?weekStart=${weekStart}`)
+      if (!existing) throw e
+      setPlan(existing)
+      return existing
+    }
+  }
+
+  async function putEntry(date, meal, recipeId, target) {
+    target ??= await ensurePlan()
+    const updated = await apiPut(`/api/meal-plans/${target.id}/entries`, { date, meal, recipeId })
+    setPlan(updated)
+    return updated
+  }
+
+  async function run(label, action) {
+    onError('')
+    setBusy(label)
+    try {
+      await action()
+    } catch (e) {
+      onError(e?.message ?? String(e))
+    } finally {
+      setBusy('')
+    }
+  }
+
+  function assign(date, meal, recipeId) {
+    run('Saving…', () => putEntry(date, meal, recipeId))
+  }
+
+  function move(entry, date, meal) {
+    if (entry.date === date && entry.meal === meal) return
+    run('Saving…', async () => {
+      const updated = await putEntry(date, meal, entry.recipeId)
+      await apiDelete(`/api/meal-plans/${updated.id}/entries/${entry.id}`)
+      setPlan((prev) => (prev ? { ...prev, entries: prev.entries.filter((e) => e.id !== entry.id) } : prev))
+    })
+  }
+
+  function remove(entry) {
+    run('Saving…', async () => {
+      await apiDelete(`/api/meal-plans/${plan.id}/entries/${entry.id}`)
+      setPlan((prev) => (prev ? { ...prev, entries: prev.entries.filter((e) => e.id !== entry.id) } : prev))
+    })
+  }
+
+  function onDrop(e, date, meal) {
+    e.preventDefault()
+    setDropTarget('')
+    let payload
+    try {
+      payload = JSON.parse(e.dataTransfer.getData('application/json'))
+    } catch {
+      return
+    }
+    if (payload.entryId) {
+      const entry = plan?.entries.find((x) => x.id === payload.entryId)
+      if (entry) move(entry, date, meal)
+    } else if (payload.recipeId) {
+      assign(date, meal, payload.recipeId)
+    }
+  }
+
+  function onSlotClick(date, meal) {
+    if (pickedRecipeId == null) return
+    assign(date, meal, pickedRecipeId)
+    setPickedRecipeId(null)
+  }
+
+  function onBuildShoppingList() {
+    run('Building shopping list…', async () => {
+      await apiPost(`/api/meal-plans/${plan.id}/shopping-list`, {})
+      onShoppingListCreated()
+    })
+  }
+
+  function onAiFill() {
+    run('Asking AI for dinners…', async () => {
+      const result = await apiPost('/api/ai/recipes', {
+        ingredientIds: ingredients.map((i) => i.id),
+        maxRecipes: emptyDinners.length,
+        notes: 'These are dinners for one week: vary the main ingredient and cuisine, and do not repeat a dish.',
+        format: 'json',
+        ...aiChoiceParams(),
+      })
+      const suggestions = (result.recipes ?? []).slice(0, emptyDinners.length)
+      if (suggestions.length === 0) throw new Error('The AI did not return any recipes.')
+
+      const target = await ensurePlan()
+      for (const [i, suggestion] of suggestions.entries()) {
+        setBusy(`Adding dinner ${i + 1} of ${suggestions.length}…`)
+        const existing = recipes.find((r) => r.name.toLowerCase() === suggestion.title.trim().toLowerCase())
+        // New dinners go through the ingredient review; one dismissed there leaves its slot empty.
+        const recipe = existing ?? (await onSaveRecipe(fromStructuredRecipe(suggestion)))
+        if (!recipe) continue
+        await putEntry(emptyDinners[i], 'Dinner', recipe.id, target)
+      }
+    })
+  }
+
+  const weekLabel = `Week of ${dayFormat.format(fromIsoDate(weekStart))}`
+  let hint = 'Drag a recipe into a slot, or pick one and click a slot.'
+  if (pickedRecipeId != null) hint = `Click a slot to place ${recipesById.get(pickedRecipeId)?.name}.`
+  if (loading) hint = 'Loading…'
+  if (busy) hint = busy
+
+  return (
+    <section id="planner" className="card plannerCard">
+      <div className="cardTitle">
+        <h2>Meal Planner</h2>
+        <div className="aiButtonRow">
+          <button type="button" className="secondaryButton" onClick={() => setWeekStart(addDays(weekStart, -7))}>
+            ‹ Prev
+          </button>
+          <button type="button" className="secondaryButton" onClick={() => setWeekStart(mondayOf(new Date()))}>
+            {weekLabel}
+          </button>
+          <button type="button" className="secondaryButton" onClick={() => setWeekStart(addDays(weekStart, 7))}>
+            Next ›
+          </button>
+        </div>
+      </div>
+
+      {recipes.length === 0 ? (
+        <div className="muted">Save a recipe to start planning.</div>
+      ) : (
+        <div className="pillList plannerRecipes">
+          {recipes.map((r) => (
+            <button
+              key={r.id}
+              type="button"
+              draggable
+              className={`plannerChip${pickedRecipeId === r.id ? ' active' : ''}`}
+              onDragStart={(e) => e.dataTransfer.setData('application/json', JSON.stringify({ recipeId: r.id }))}
+              onClick={() => setPickedRecipeId((prev) => (prev === r.id ? null : r.id))}
+              aria-pressed={pickedRecipeId === r.id}
+            >
+              {r.name}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div className="muted plannerHint">{hint}</div>
+
+      <div className="plannerScroll">
+        <div className="plannerGrid">
+          <div />
+          {days.map((date) => (
+            <div key={date} className="plannerDay">
+              {dayFormat.format(fromIsoDate(date))}
+            </div>
+          ))}
+
+          {meals.map((meal) => (
+            <div key={meal} className="plannerRow">
+              <div className="plannerMeal">{meal}</div>
+              {days.map((date) => {
+                const entry = entryAt(date, meal)
+                const slotKey = `${date}-${meal}`
+                return (
+                  <div
+                    key={slotKey}
+                    className={`plannerSlot${dropTarget === slotKey ? ' dragActive' : ''}${
+                      pickedRecipeId != null ? ' pickable' : ''
+                    }`}
+                    onDragOver={(e) => {
+                      e.preventDefault()
+                      setDropTarget(slotKey)
+                    }}
+                    onDragLeave={() => setDropTarget('')}
+                    onDrop={(e) => onDrop(e, date, meal)}
+                    onClick={() => onSlotClick(date, meal)}
+                  >
+                    {entry ? (
+                      <div
+                        className="pill plannerEntry"
+                        draggable
+                        onDragStart={(e) =>
+                          e.dataTransfer.setData('application/json', JSON.stringify({ entryId: entry.id }))
+                        }
+                      >
+                        <span>{recipesById.get(entry.recipeId).name}</span>
+                        <button
+                          type="button"
+                          onClick={(e) => {
+                            e.stopPropagation()
+                            remove(entry)
+                          }}
+                          aria-label={`Remove ${entry.recipeName} from ${meal}`}
+                        >
+                          ×
+                        </button>
+                      </div>
+                    ) : null}
+                  </div>
+                )
+              })}
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="aiButtonRow plannerActions">
+        <button
+          type="button"
+          onClick={onAiFill}
+          disabled={Boolean(busy) || ingredients.length === 0 || emptyDinners.length === 0}
+        >
+          AI fill the week
+        </button>
+        <button
+          type="button"
+          className="secondaryButton"
+          onClick={onBuildShoppingList}
+          disabled={Boolean(busy) || !plan?.entries.length}
+        >
+          Shopping list for this week
+        </button>
+      </div>
+    </section>
+  )
+}
@@ -0,0 +1,216 @@
+import { useEffect, useState } from 'react'
+import { apiGet, apiGetText, apiPost } from './api.js'
+import { downloadText } from './download.js'
+
+// Version 1 backups have no tags or collections; the API still imports them.
+const backupVersion = 2
+
+function today() {
+  return new Date().toISOString().slice(0, 10)
+}
+
+function plural(count, noun) {
+  return `${count} ${noun}${count === 1 ? '' : 's'}`
+}
+
+function describeImport(result) {
+  const counts = [
+    plural(result.ingredientsAdded, 'ingredient'),
+    plural(result.recipesAdded, 'recipe'),
+    plural(result.tagsAdded, 'tag'),
+  ]
+  const added = `Added ${counts.join(', ')} and ${plural(result.collectionsAdded, 'collection')}.`
+  const deleted = result.photosDeleted ? ` Deleted ${plural(result.photosDeleted, 'photo')}.` : ''
+  const skipped = [
+    ...result.duplicateRecipes,
+    ...result.duplicateIngredients,
+    ...result.duplicateTags,
+    ...result.duplicateCollections,
+  ]
+  const report = skipped.length
+    ? `${added} Skipped ${plural(skipped.length, 'duplicate')}: ${skipped.join(', ')}.`
+    : added
+  return report + deleted
+}
+
+// Backup and sharing: the book without its photos as versioned JSON (restored by merging or replacing), and
+// selected recipes as Markdown that the recipe import can read back.
+export default function RecipeBookBackup({ recipes, onImported, onError }) {
+  const [downloading, setDownloading] = useState(false)
+  const [pending, setPending] = useState(null)
+  const [mode, setMode] = useState('merge')
+  const [importing, setImporting] = useState(false)
+  const [deletePhotos, setDeletePhotos] = useState(false)
+  const [report, setReport] = useState('')
+  const [selectedRecipeIds, setSelectedRecipeIds] = useState(() => new Set())
+
+  useEffect(() => {
+    setSelectedRecipeIds((prev) => {
+      const ids = new Set(recipes.map((r) => r.id))
+      const next = new Set([...prev].filter((id) => ids.has(id)))
+      return next.size === prev.size ? prev : next
+    })
+  }, [recipes])
+
+  // The API refuses a replace that would delete photos until the checkbox below is ticked.
+  const photoCount = recipes.reduce((sum, r) => sum + (r.imageIds?.length ?? 0), 0)
+  const needsPhotoConfirm = mode === 'replace' && photoCount > 0
+
+  async function onDownloadBackup() {
+    onError('')
+    setDownloading(true)
+    try {
+      const book = await apiGet('/api/export')
+      downloadText(JSON.stringify(book, null, 2), `recipestack-backup-${today()}.json`, 'application/json')
+    } catch (e) {
+      onError(e?.message ?? String(e))
+    } finally {
+      setDownloading(false)
+    }
+  }
+
+  async function onBackupFile(e) {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+    onError('')
+    setReport('')
+    try {
+      const book = JSON.parse(await file.text())
+      const supported = book?.version >= 1 && book.version <= backupVersion
+      if (!supported || !Array.isArray(book.recipes) || !Array.isArray(book.ingredients)) {
+        throw new Error(`${file.name} isn't a RecipeStack backup (version ${backupVersion} or older).`)
+      }
+      setPending({ fileName: file.name, book })
+      setDeletePhotos(false)
+    } catch (e) {
+      onError(e instanceof SyntaxError ? `${file.name} isn't valid JSON.` : (e?.message ?? String(e)))
+    }
+  }
+
+  async function onRestore() {
+    onError('')
+    setImporting(true)
+    try {
+      const query = mode === 'replace' && deletePhotos ? `mode=${mode}&deletePhotos=true` : `mode=${mode}`
+      const result = await apiPost(`/api/import?${query}`, pending.book)
+      setPending(null)
+      setReport(describeImport(result))
+      await onImported(result)
+    } catch (e) {
+      onError(e?.message ?? String(e))
+    } finally {
+      setImporting(false)
+    }
+  }
+
+  async function onExportMarkdown() {
+    onError('')
+    try {
+      const query = [...selectedRecipeIds].map((id) => `recipeIds=${id}`).join('&')
+      const text = await apiGetText(`/api/export/markdown?${query}`)
+      downloadText(text, selectedRecipeIds.size === 1 ? 'recipe.md' : 'recipes.md', 'text/markdown')
+    } catch (e) {
+      onError(e?.message ?? String(e))
+    }
+  }
+
+  function toggleRecipe(id) {
+    setSelectedRecipeIds((prev) => {
+      const next = new Set(prev)
+      if (next.has(id)) next.delete(id)
+      else next.add(id)
+      return next
+    })
+  }
+
+  return (
+    <section id="backup" className="card backupCard">
+      <div className="cardTitle">
+        <h2>Backup &amp; Export</h2>
+        <span className="muted">Your recipes, ingredients, tags and collections as files</span>
+      </div>
+
+      <div className="stack">
+        <div className="importActions">
+          <button type="button" onClick={onDownloadBackup} disabled={downloading}>
+            {downloading ? 'Preparing…' : 'Download backup (JSON)'}
+          </button>
+          <label className="importFile">
+            <span className="muted">Restore from a backup file</span>
+            <input type="file" accept=".json,application/json" onChange={onBackupFile} />
+          </label>
+        </div>
+
+        {pending ? (
+          <div className="backupRestore">
+            <div>
+              {pending.fileName}: {plural(pending.book.recipes.length, 'recipe')},{' '}
+              {plural(pending.book.ingredients.length, 'ingredient')}, {plural(pending.book.tags?.length ?? 0, 'tag')}{' '}
+              and {plural(pending.book.collections?.length ?? 0, 'collection')}
+              {pending.book.exportedAt ? `, saved ${new Date(pending.book.exportedAt).toLocaleDateString()}` : ''}.
+            </div>
+            <label className="matchFilter">
+              <input type="radio" name="backupMode" checked={mode === 'merge'} onChange={() => setMode('merge')} />
+              <span>Merge: add what's new and skip names that are already saved</span>
+            </label>
+            <label className="matchFilter">
+              <input type="radio" name="backupMode" checked={mode === 'replace'} onChange={() => setMode('replace')} />
+              <span>Replace: delete every saved recipe, ingredient, tag and collection first</span>
+            </label>
+            {needsPhotoConfirm ? (
+              <label className="matchFilter">
+                <input type="checkbox" checked={deletePhotos} onChange={(e) => setDeletePhotos(e.target.checked)} />
+                <span className="muted">
+                  Also delete the {plural(photoCount, 'saved photo')}. Backups don't include photos, so they can't be
+                  restored.
+                </span>
+              </label>
+            ) : null}
+            <div className="aiButtonRow">
+              <button type="button" className="secondaryButton" onClick={() => setPending(null)} disabled={importing}>
+                Cancel
+              </button>
+              <button
+                type="button"
+                className={mode === 'replace' ? 'dangerButton' : undefined}
+                onClick={onRestore}
+                disabled={importing || (needsPhotoConfirm && !deletePhotos)}
+              >
+                {importing ? 'Importing…' : mode === 'replace' ? 'Replace everything' : 'Merge backup'}
+              </button>
+            </div>
+          </div>
+        ) : null}
+
+        {report ? (
+          <div className="muted" role="status">
+            {report}
+          </div>
+        ) : null}
+      </div>
+
+      <details className="details">
+        <summary className="summary">Markdown Export</summary>
+
+        {recipes.length === 0 ? (
+          <div className="muted">Save a recipe first.</div>
+        ) : (
+          <div className="stack">
+            <div className="shoppingRecipes">
+              {recipes.map((r) => (
+                <label key={r.id} className="checkbox">
+                  <input type="checkbox" checked={selectedRecipeIds.has(r.id)} onChange={() => toggleRecipe(r.id)} />
+                  <span>{r.name}</span>
+                </label>
+              ))}
+            </div>
+            <button type="button" onClick={onExportMarkdown} disabled={selectedRecipeIds.size === 0}>
+              Export {plural(selectedRecipeIds.size, 'recipe')} as Markdown
+            </button>
+          </div>
+        )}
+      </details>
+    </section>
+  )
+}
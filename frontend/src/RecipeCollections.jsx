@@ -0,0 +1,109 @@
+import { useState } from 'react'
+import { apiDelete, apiPost, apiPut } from './api.js'
+
+// Tabs over Saved Recipes: "All" plus one per collection. The picked collection lives in the URL like the
+// other filters; creating, renaming and deleting call `onChanged` so App reloads the collection list.
+export default function RecipeCollections({ collections, activeId, onSelect, onChanged, onError }) {
+  const [editing, setEditing] = useState(null)
+  const [name, setName] = useState('')
+  const [saving, setSaving] = useState(false)
+
+  const active = collections.find((c) => c.id === activeId) ?? null
+
+  function startEditing(mode) {
+    setEditing(mode)
+    setName(mode === 'rename' ? active.name : '')
+  }
+
+  async function onSubmit(e) {
+    e.preventDefault()
+    onError('')
+    setSaving(true)
+    try {
+      if (editing === 'rename') {
+        await apiPut(`/api/collections/${active.id}`, { name })
+      } else {
+        const created = await apiPost('/api/collections', { name })
+        onSelect(created.id)
+      }
+      setEditing(null)
+      await onChanged()
+    } catch (e) {
+      onError(e?.message ?? String(e))
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  // Only the collection goes; its recipes stay saved.
+  async function onDelete() {
+    onError('')
+    try {
+      await apiDelete(`/api/collections/${active.id}`)
+      onSelect(null)
+      await onChanged()
+    } catch (e) {
+      onError(e?.message ?? String(e))
+    }
+  }
+
+  return (
+    <div className="collectionTabs">
+      <div className="recipeFilterRow" role="tablist" aria-label="Collections">
+        <button
+          type="button"
+          role="tab"
+          aria-selected={activeId == null}
+          className={`plannerChip${activeId == null ? ' active' : ''}`}
+          onClick={() => onSelect(null)}
+        >
+          All recipes
+        </button>
+        {collections.map((c) => (
+          <button
+            key={c.id}
+            type="button"
+            role="tab"
+            aria-selected={c.id === activeId}
+            className={`plannerChip${c.id === activeId ? ' active' : ''}`}
+            onClick={() => onSelect(c.id)}
+          >
+            {c.name} <span className="muted">{c.recipeIds.length}</span>
+          </button>
+        ))}
+        <button type="button" className="secondaryButton" onClick={() => startEditing('create')}>
+          New collection
+        </button>
+        {active ? (
+          <>
+            <button type="button" className="secondaryButton" onClick={() => startEditing('rename')}>
+              Rename
+            </button>
+            <button type="button" className="dangerButton" onClick={onDelete}>
+              Delete collection
+            </button>
+          </>
+        ) : null}
+      </div>
+
+      {editing ? (
+        <form className="recipeFilterRow" onSubmit={onSubmit}>
+          <input
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Collection name"
+            aria-label="Collection name"
+            maxLength={200}
+            autoFocus
+          />
+          <button type="submit" disabled={saving || !name.trim()}>
+            {editing === 'rename' ? 'Rename' : 'Create'}
+          </button>
+          <button type="button" className="secondaryButton" onClick={() => setEditing(null)} disabled={saving}>
+            Cancel
+          </button>
+        </form>
+      ) : null}
+    </div>
+  )
+}
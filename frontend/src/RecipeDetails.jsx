@@ -0,0 +1,95 @@
+import { useState } from 'react'
+import CookingMode from './CookingMode.jsx'
+import { parseProcedure } from './recipeParsing.js'
+import { formatScaledAmount } from './units.js'
+
+// Servings stepper, scaled ingredient list and procedure for a saved recipe, with a "Start cooking"
+// view of the same steps and amounts. `children` renders below as the recipe's actions.
+export default function RecipeDetails({ recipe, unitSystem, children }) {
+  const [servings, setServings] = useState(recipe.servings)
+  const [cooking, setCooking] = useState(false)
+  const procedure = parseProcedure(recipe.instructions)
+  const scale = recipe.servings && servings ? servings / recipe.servings : 1
+  const scaledIngredients = recipe.ingredients.map((i) => ({
+    id: i.ingredientId,
+    name: i.name,
+    amount: formatScaledAmount(i.quantity, i.unit, scale, unitSystem),
+  }))
+
+  return (
+    <div className="recipeBody">
+      {recipe.servings ? (
+        <div className="servingsRow">
+          <span className="muted">Serves</span>
+          <button
+            type="button"
+            className="secondaryButton"
+            onClick={() => setServings(servings - 1)}
+            disabled={servings <= 1}
+            aria-label="Fewer servings"
+          >
+            −
+          </button>
+          <span className="servingsCount">{servings}</span>
+          <button
+            type="button"
+            className="secondaryButton"
+            onClick={() => setServings(servings + 1)}
+            disabled={servings >= 100}
+            aria-label="More servings"
+          >
+            +
+          </button>
+          {servings !== recipe.servings ? <span className="muted">Scaled from {recipe.servings}</span> : null}
+        </div>
+      ) : (
+        <div className="muted">Add servings to this recipe to scale it.</div>
+      )}
+
+      <div className="aiSection">
+        <div className="aiSectionTitle">Ingredients</div>
+        {scaledIngredients.length ? (
+          <ul className="aiList">
+            {scaledIngredients.map((i) => (
+              <li key={i.id}>
+                {i.name}
+                {i.amount ? ` · ${i.amount}` : ''}
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <div className="muted">No ingredients listed.</div>
+        )}
+      </div>
+
+      <div className="aiSection">
+        <div className="aiSectionTitle">Procedure</div>
+        {procedure.length ? (
+          <ol className="aiList">
+            {procedure.map((step, i) => (
+              <li key={i}>{step}</li>
+            ))}
+          </ol>
+        ) : (
+          <div className="muted">No procedure yet.</div>
+        )}
+        {procedure.length ? (
+          <button type="button" className="aiExplore cookingStart" onClick={() => setCooking(true)}>
+            Start cooking
+          </button>
+        ) : null}
+      </div>
+
+      {cooking ? (
+        <CookingMode
+          title={recipe.name}
+          steps={procedure}
+          ingredients={scaledIngredients}
+          onClose={() => setCooking(false)}
+        />
+      ) : null}
+
+      {children}
+    </div>
+  )
+}
@@ -0,0 +1,192 @@
+import { useEffect, useRef, useState } from 'react'
+import { aiChoiceParams } from './aiProviders.js'
+import { apiPost } from './api.js'
+import { fromStructuredRecipe, toStructuredRecipe } from './recipeParsing.js'
+
+const quickPrompts = [
+  'Suggest substitutions for anything I might not have.',
+  'Scale this recipe to 4 servings.',
+  'Explain the key technique in this recipe.',
+  'Give me a variation with a different flavor profile.',
+]
+
+export default function RecipeExplorer({ recipe: initialRecipe, onSave, onClose }) {
+  const [recipe, setRecipe] = useState(initialRecipe)
+  const [revision, setRevision] = useState(0)
+  const [messages, setMessages] = useState([])
+  const [draft, setDraft] = useState('')
+  const [sending, setSending] = useState(false)
+  const [saving, setSaving] = useState(false)
+  const [saved, setSaved] = useState(false)
+  const [error, setError] = useState('')
+  const threadRef = useRef(null)
+
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (e.key === 'Escape' && !sending && !saving) onClose()
+    }
+    window.addEventListener('keydown', onKeyDown)
+    return () => window.removeEventListener('keydown', onKeyDown)
+  }, [onClose, sending, saving])
+
+  useEffect(() => {
+    threadRef.current?.scrollTo({ top: threadRef.current.scrollHeight })
+  }, [messages])
+
+  async function send(text) {
+    const content = text.trim()
+    if (!content || sending) return
+
+    const next = [...messages, { role: 'user', content }]
+    setMessages(next)
+    setDraft('')
+    setError('')
+    setSending(true)
+    try {
+      const result = await apiPost('/api/ai/recipes/chat', {
+        recipe: toStructuredRecipe(recipe),
+        messages: next.map(({ role, content }) => ({ role, content })),
+        ...aiChoiceParams(),
+      })
+      setMessages([...next, { role: 'assistant', content: result.reply, updatedRecipe: Boolean(result.recipe) }])
+      if (result.recipe) {
+        setRecipe(fromStructuredRecipe(result.recipe))
+        setRevision((prev) => prev + 1)
+        setSaved(false)
+      }
+    } catch (e) {
+      setMessages(messages)
+      setDraft(content)
+      setError(e?.message ?? String(e))
+    } finally {
+      setSending(false)
+    }
+  }
+
+  async function onSaveRecipe() {
+    setSaving(true)
+    try {
+      setSaved((await onSave(recipe)) != null)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div className="modalOverlay" role="dialog" aria-modal="true" aria-label={`Explore ${recipe.title}`}>
+      <div className="modalCard explorerCard">
+        <div className="explorerHeader">
+          <div>
+            <div className="modalTitle">Explore this recipe</div>
+            <div className="recipeSummary">{recipe.title}</div>
+          </div>
+          <button type="button" className="secondaryButton" onClick={onClose} disabled={sending || saving}>
+            Close
+          </button>
+        </div>
+
+        <div className="explorerGrid">
+          <div className="recipeBody explorerRecipe">
+            {revision > 0 ? <div className="muted aiRecipeMeta">Refined · revision {revision}</div> : null}
+            {recipe.totalMinutes || recipe.servings ? (
+              <div className="muted aiRecipeMeta">
+                {[
+                  recipe.totalMinutes ? `${recipe.totalMinutes} min` : '',
+                  recipe.servings ? `Serves ${recipe.servings}` : '',
+                ]
+                  .filter(Boolean)
+                  .join(' · ')}
+              </div>
+            ) : null}
+
+            <div className="aiSection">
+              <div className="aiSectionTitle">Ingredients</div>
+              {recipe.ingredients?.length ? (
+                <ul className="aiList">
+                  {recipe.ingredients.map((ing, i) => (
+                    <li key={i}>{ing}</li>
+                  ))}
+                </ul>
+              ) : (
+                <div className="muted">No ingredients listed.</div>
+              )}
+            </div>
+
+            <div className="aiSection">
+              <div className="aiSectionTitle">Procedure</div>
+              {recipe.steps?.length ? (
+                <ol className="aiList">
+                  {recipe.steps.map((step, i) => (
+                    <li key={i}>{step}</li>
+                  ))}
+                </ol>
+              ) : recipe.fallback ? (
+                recipe.fallback.split('\n').map((line, i) => <p key={i}>{line}</p>)
+              ) : (
+                <div className="muted">No procedure yet.</div>
+              )}
+            </div>
+
+            <button type="button" className="aiExplore" onClick={onSaveRecipe} disabled={saving || saved}>
+              {saved ? 'Saved' : saving ? 'Saving…' : 'Save this recipe'}
+            </button>
+          </div>
+
+          <div className="explorerChat">
+            <div className="explorerThread" ref={threadRef}>
+              {messages.length === 0 ? (
+                <div className="muted">Ask about substitutions, scaling, techniques, or a variation.</div>
+              ) : (
+                messages.map((m, i) => (
+                  <div key={i} className={`chatMessage ${m.role}`}>
+                    <div>{m.content}</div>
+                    {m.updatedRecipe ? <div className="muted">Recipe updated.</div> : null}
+                  </div>
+                ))
+              )}
+              {sending ? <div className="muted">Thinking…</div> : null}
+            </div>
+
+            {error ? (
+              <div className="error" role="alert">
+                {error}
+              </div>
+            ) : null}
+
+            <div className="pillList">
+              {quickPrompts.map((prompt) => (
+                <button
+                  key={prompt}
+                  type="button"
+                  className="chatPrompt"
+                  disabled={sending}
+                  onClick={() => send(prompt)}
+                >
+                  {prompt}
+                </button>
+              ))}
+            </div>
+
+            <form
+              className="row"
+              onSubmit={(e) => {
+                e.preventDefault()
+                send(draft)
+              }}
+            >
+              <input
+                value={draft}
+                onChange={(e) => setDraft(e.target.value)}
+                placeholder="Ask a follow-up…"
+                disabled={sending}
+              />
+              <button type="submit" disabled={sending || !draft.trim()}>
+                Send
+              </button>
+            </form>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,141 @@
+import { useEffect, useMemo, useState } from 'react'
+import { hasActiveFilters, recipeSorts } from './recipeSearch.js'
+
+// Search box and filters for the saved recipes. Every change goes back to page 1; typing is debounced
+// so the URL (and the search request) doesn't change on every key.
+// `tags` is the list of tags in use, for the "Tagged" picker.
+export default function RecipeFilters({ filters, ingredients, tags, locations, onChange }) {
+  const [text, setText] = useState(filters.q)
+
+  // Back/forward or a cleared filter set changes the URL underneath the box.
+  useEffect(() => {
+    setText(filters.q)
+  }, [filters.q])
+
+  useEffect(() => {
+    if (text === filters.q) return
+    const timer = setTimeout(() => onChange({ ...filters, q: text, page: 1 }), 300)
+    return () => clearTimeout(timer)
+  }, [text, filters, onChange])
+
+  const sortedIngredients = useMemo(() => [...ingredients].sort((a, b) => a.name.localeCompare(b.name)), [ingredients])
+  const namesById = useMemo(() => new Map(ingredients.map((i) => [i.id, i.name])), [ingredients])
+
+  function update(changes) {
+    onChange({ ...filters, ...changes, page: 1 })
+  }
+
+  return (
+    <div className="recipeFilters">
+      <input
+        type="search"
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        placeholder="Search names, instructions and ingredients"
+        aria-label="Search saved recipes"
+      />
+
+      <div className="recipeFilterRow">
+        <select
+          value=""
+          onChange={(e) => update({ ingredientIds: [...filters.ingredientIds, Number(e.target.value)] })}
+          aria-label="Contains ingredient"
+        >
+          <option value="">Contains ingredient…</option>
+          {sortedIngredients
+            .filter((i) => !filters.ingredientIds.includes(i.id))
+            .map((i) => (
+              <option key={i.id} value={i.id}>
+                {i.name}
+              </option>
+            ))}
+        </select>
+        {tags.length ? (
+          <select value="" onChange={(e) => update({ tags: [...filters.tags, e.target.value] })} aria-label="Tagged">
+            <option value="">Tagged…</option>
+            {tags
+              .filter((tag) => !filters.tags.includes(tag.name))
+              .map((tag) => (
+                <option key={tag.name} value={tag.name}>
+                  {tag.name} ({tag.recipeCount})
+                </option>
+              ))}
+          </select>
+        ) : null}
+        <select
+          value={filters.onlyLocation}
+          onChange={(e) => update({ onlyLocation: e.target.value })}
+          aria-label="Storage"
+        >
+          <option value="">Any storage</option>
+          {locations.map((location) => (
+            <option key={location} value={location}>
+              Only {location} items
+            </option>
+          ))}
+        </select>
+        <input
+          type="number"
+          min="2"
+          value={filters.fewerIngredientsThan ?? ''}
+          onChange={(e) =>
+            update({ fewerIngredientsThan: Number(e.target.value) >= 2 ? Number(e.target.value) : null })
+          }
+          placeholder="Fewer ingredients than"
+          aria-label="Only recipes with fewer ingredients than"
+        />
+        <select value={filters.sort} onChange={(e) => update({ sort: e.target.value })} aria-label="Sort">
+          {recipeSorts.map((sort) => (
+            <option key={sort.value} value={sort.value}>
+              {sort.label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {hasActiveFilters(filters) ? (
+        <div className="recipeFilterRow">
+          {filters.ingredientIds.map((id) => (
+            <button
+              key={id}
+              type="button"
+              className="plannerChip"
+              onClick={() => update({ ingredientIds: filters.ingredientIds.filter((other) => other !== id) })}
+              aria-label={`Remove ${namesById.get(id) ?? 'ingredient'} filter`}
+            >
+              {namesById.get(id) ?? `#${id}`} ×
+            </button>
+          ))}
+          {filters.tags.map((tag) => (
+            <button
+              key={tag}
+              type="button"
+              className="plannerChip tagChip"
+              onClick={() => update({ tags: filters.tags.filter((other) => other !== tag) })}
+              aria-label={`Remove ${tag} tag filter`}
+            >
+              #{tag} ×
+            </button>
+          ))}
+          <button
+            type="button"
+            className="secondaryButton"
+            onClick={() =>
+              onChange({
+                ...filters,
+                q: '',
+                ingredientIds: [],
+                tags: [],
+                onlyLocation: '',
+                fewerIngredientsThan: null,
+                page: 1,
+              })
+            }
+          >
+            Clear filters
+          </button>
+        </div>
+      ) : null}
+    </div>
+  )
+}
@@ -0,0 +1,159 @@
+import { useEffect, useState } from 'react'
+import { apiDelete, apiPost, apiPut, apiUrl } from './api.js'
+import { downscaleImage, imageFilesFrom } from './images.js'
+
+// Matches RecipeImageStore.MaxImagesPerRecipe on the server.
+const maxPhotos = 12
+
+export function recipeImageUrl(recipeId, imageId) {
+  return apiUrl(`/api/recipes/${recipeId}/images/${imageId}`)
+}
+
+// Photos of a saved recipe: thumbnails that open full size, upload (resized in the browser first), delete and
+// the cover shown on the Saved Recipes row. The first photo of a recipe becomes its cover.
+export default function RecipeGallery({ recipe, onChanged, onError }) {
+  const imageIds = recipe.imageIds ?? []
+  const [viewing, setViewing] = useState(null)
+  const [uploading, setUploading] = useState(false)
+  const [busy, setBusy] = useState(false)
+
+  useEffect(() => {
+    if (viewing == null) return
+    const onKeyDown = (e) => {
+      if (e.key === 'Escape') setViewing(null)
+      else if (e.key === 'ArrowRight') setViewing((i) => (i + 1) % imageIds.length)
+      else if (e.key === 'ArrowLeft') setViewing((i) => (i - 1 + imageIds.length) % imageIds.length)
+    }
+    window.addEventListener('keydown', onKeyDown)
+    return () => window.removeEventListener('keydown', onKeyDown)
+  }, [viewing, imageIds.length])
+
+  async function onUpload(fileList) {
+    const files = imageFilesFrom(fileList).slice(0, Math.max(0, maxPhotos - imageIds.length))
+    if (files.length === 0) return
+
+    onError('')
+    setUploading(true)
+    try {
+      for (const [i, file] of files.entries()) {
+        await apiPost(`/api/recipes/${recipe.id}/images`, {
+          image: await downscaleImage(file, { maxSize: 1600 }),
+          isCover: imageIds.length === 0 && i === 0,
+        })
+      }
+    } catch (e) {
+      onError(e?.message ?? String(e))
+    } finally {
+      setUploading(false)
+      await onChanged()
+    }
+  }
+
+  async function withBusy(action) {
+    onError('')
+    setBusy(true)
+    try {
+      await action()
+      await onChanged()
+    } catch (e) {
+      onError(e?.message ?? String(e))
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  function onSetCover(imageId) {
+    return withBusy(() => apiPut(`/api/recipes/${recipe.id}/images/cover`, { imageId }))
+  }
+
+  function onDelete(imageId) {
+    setViewing(null)
+    return withBusy(() => apiDelete(`/api/recipes/${recipe.id}/images/${imageId}`))
+  }
+
+  const viewedId = viewing == null ? null : imageIds[viewing]
+
+  return (
+    <div className="aiSection recipeGallery">
+      <div className="aiSectionTitle">Photos</div>
+      {imageIds.length ? (
+        <div className="galleryGrid">
+          {imageIds.map((imageId, i) => (
+            <button
+              key={imageId}
+              type="button"
+              className={`galleryThumb${imageId === recipe.coverImageId ? ' cover' : ''}`}
+              onClick={() => setViewing(i)}
+              aria-label={`Open photo ${i + 1} of ${recipe.name}`}
+            >
+              <img src={recipeImageUrl(recipe.id, imageId)} alt="" loading="lazy" />
+            </button>
+          ))}
+        </div>
+      ) : null}
+
+      {imageIds.length < maxPhotos ? (
+        <label className={`uploadButton${uploading ? ' disabled' : ''}`}>
+          {uploading ? 'Uploading…' : 'Add photos'}
+          <input
+            type="file"
+            accept="image/*"
+            multiple
+            disabled={uploading}
+            onChange={(e) => {
+              onUpload(e.target.files)
+              e.target.value = ''
+            }}
+          />
+        </label>
+      ) : null}
+
+      {viewedId != null ? (
+        <div
+          className="modalOverlay"
+          role="dialog"
+          aria-modal="true"
+          aria-label={`Photo ${viewing + 1} of ${imageIds.length}`}
+        >
+          <div className="modalCard galleryViewer">
+            <img src={recipeImageUrl(recipe.id, viewedId)} alt={`${recipe.name}, photo ${viewing + 1}`} />
+            <div className="modalActions">
+              {imageIds.length > 1 ? (
+                <>
+                  <button
+                    type="button"
+                    className="secondaryButton"
+                    onClick={() => setViewing((viewing - 1 + imageIds.length) % imageIds.length)}
+                  >
+                    Previous
+                  </button>
+                  <button
+                    type="button"
+                    className="secondaryButton"
+                    onClick={() => setViewing((viewing + 1) % imageIds.length)}
+                  >
+                    Next
+                  </button>
+                </>
+              ) : null}
+              <button
+                type="button"
+                className="secondaryButton"
+                disabled={busy}
+                onClick={() => onSetCover(viewedId === recipe.coverImageId ? null : viewedId)}
+              >
+                {viewedId === recipe.coverImageId ? 'Remove as cover' : 'Use as cover'}
+              </button>
+              <button type="button" className="dangerButton" disabled={busy} onClick={() => onDelete(viewedId)}>
+                Delete photo
+              </button>
+              <button type="button" onClick={() => setViewing(null)}>
+                Close
+              </button>
+            </div>
+          </div>
+        </div>
+      ) : null}
+    </div>
+  )
+}
@@ -0,0 +1,199 @@
+import { useEffect, useState } from 'react'
+import { importFromPaste, importRecipeFile } from './recipeImport.js'
+
+const emptyItem = { name: '', quantity: null, unit: null }
+
+// Two steps: read a recipe from pasted text or a file, then review and edit the parsed result before
+// `onSave` stores it (creating any ingredients that don't exist yet).
+export default function RecipeImportDialog({ onSave, onClose }) {
+  const [source, setSource] = useState('')
+  const [draft, setDraft] = useState(null)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (e.key === 'Escape' && !saving) onClose()
+    }
+    window.addEventListener('keydown', onKeyDown)
+    return () => window.removeEventListener('keydown', onKeyDown)
+  }, [onClose, saving])
+
+  function showPreview(recipe) {
+    setError('')
+    setDraft({
+      title: recipe.title,
+      servings: recipe.servings ?? '',
+      items: recipe.items.length ? recipe.items : [emptyItem],
+      steps: recipe.steps.join('\n'),
+    })
+  }
+
+  function onParseText() {
+    try {
+      showPreview(importFromPaste(source))
+    } catch (e) {
+      setError(e?.message ?? String(e))
+    }
+  }
+
+  async function onFile(e) {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+    try {
+      showPreview(await importRecipeFile(file))
+    } catch (e) {
+      setError(e?.message ?? String(e))
+    }
+  }
+
+  function updateItem(index, changes) {
+    setDraft((prev) => ({
+      ...prev,
+      items: prev.items.map((item, i) => (i === index ? { ...item, ...changes } : item)),
+    }))
+  }
+
+  async function onSubmit(e) {
+    e.preventDefault()
+    setError('')
+    setSaving(true)
+    try {
+      await onSave({
+        title: draft.title.trim(),
+        servings: draft.servings ? Number(draft.servings) : null,
+        items: draft.items
+          .map((item) => ({ ...item, name: item.name.trim(), unit: item.unit?.trim() || null }))
+          .filter((item) => item.name),
+        steps: draft.steps
+          .split(/\r?\n/)
+          .map((step) => step.trim())
+          .filter(Boolean),
+      })
+    } catch (e) {
+      setError(e?.message ?? String(e))
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div className="modalOverlay" role="dialog" aria-modal="true" aria-label="Import a recipe">
+      <div className="modalCard explorerCard importCard">
+        <div className="explorerHeader">
+          <div className="modalTitle">Import a recipe</div>
+          <button type="button" className="secondaryButton" onClick={onClose} disabled={saving}>
+            Close
+          </button>
+        </div>
+
+        {error ? (
+          <div className="error" role="alert">
+            {error}
+          </div>
+        ) : null}
+
+        {draft === null ? (
+          <div className="stack">
+            <textarea
+              value={source}
+              onChange={(e) => setSource(e.target.value)}
+              placeholder={'Paste a recipe: a title, an "Ingredients" list and the steps.'}
+              rows={10}
+            />
+            <div className="importActions">
+              <button type="button" onClick={onParseText} disabled={!source.trim()}>
+                Read recipe
+              </button>
+              <label className="importFile">
+                <span className="muted">…or open an HTML page (schema.org Recipe) or Markdown file</span>
+                <input
+                  type="file"
+                  accept=".html,.htm,.md,.markdown,.txt,text/html,text/markdown,text/plain"
+                  onChange={onFile}
+                />
+              </label>
+            </div>
+          </div>
+        ) : (
+          <form onSubmit={onSubmit} className="stack">
+            <input
+              value={draft.title}
+              onChange={(e) => setDraft((prev) => ({ ...prev, title: e.target.value }))}
+              placeholder="Recipe name"
+            />
+            <input
+              type="number"
+              min="1"
+              max="100"
+              value={draft.servings}
+              onChange={(e) => setDraft((prev) => ({ ...prev, servings: e.target.value }))}
+              placeholder="Servings (optional)"
+            />
+
+            <div className="aiSectionTitle">Ingredients</div>
+            {draft.items.map((item, i) => (
+              <div key={i} className="importItem">
+                <input
+                  type="number"
+                  min="0"
+                  step="any"
+                  value={item.quantity ?? ''}
+                  onChange={(e) => updateItem(i, { quantity: e.target.value === '' ? null : Number(e.target.value) })}
+                  placeholder="Qty"
+                  aria-label="Quantity"
+                />
+                <input
+                  value={item.unit ?? ''}
+                  onChange={(e) => updateItem(i, { unit: e.target.value })}
+                  placeholder="Unit"
+                  aria-label="Unit"
+                />
+                <input
+                  value={item.name}
+                  onChange={(e) => updateItem(i, { name: e.target.value })}
+                  placeholder="Ingredient"
+                  aria-label="Ingredient"
+                />
+                <button
+                  type="button"
+                  className="secondaryButton"
+                  onClick={() => setDraft((prev) => ({ ...prev, items: prev.items.filter((_, j) => j !== i) }))}
+                  aria-label={`Remove ${item.name || 'ingredient'}`}
+                >
+                  ×
+                </button>
+              </div>
+            ))}
+            <button
+              type="button"
+              className="aiExplore importAdd"
+              onClick={() => setDraft((prev) => ({ ...prev, items: [...prev.items, emptyItem] }))}
+            >
+              Add ingredient
+            </button>
+
+            <div className="aiSectionTitle">Steps (one per line)</div>
+            <textarea
+              value={draft.steps}
+              onChange={(e) => setDraft((prev) => ({ ...prev, steps: e.target.value }))}
+              rows={8}
+            />
+
+            <div className="modalActions">
+              <button type="button" className="secondaryButton" disabled={saving} onClick={() => setDraft(null)}>
+                Back
+              </button>
+              <button
+                type="submit"
+                disabled={saving || !draft.title.trim() || !draft.items.some((item) => item.name.trim())}
+              >
+                {saving ? 'Saving…' : 'Save recipe'}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,83 @@
+import { useState } from 'react'
+
+// Ingredient picker with quantity/unit plus the removable pill list. `value` is the list of
+// { ingredientId, quantity, unit } sent to the recipes API.
+export default function RecipeIngredientEditor({ ingredients, value, onChange }) {
+  const [ingredientId, setIngredientId] = useState('')
+  const [quantity, setQuantity] = useState('')
+  const [unit, setUnit] = useState('')
+
+  function add() {
+    const id = Number(ingredientId)
+    if (!id) return
+
+    const entry = {
+      ingredientId: id,
+      quantity: quantity.trim() === '' ? null : Number(quantity),
+      unit: unit.trim() === '' ? null : unit.trim(),
+    }
+
+    // Adding an ingredient that is already listed updates its amount instead of duplicating it.
+    onChange(
+      value.some((x) => x.ingredientId === id)
+        ? value.map((x) => (x.ingredientId === id ? entry : x))
+        : [...value, entry],
+    )
+    setIngredientId('')
+    setQuantity('')
+    setUnit('')
+  }
+
+  function edit(entry) {
+    setIngredientId(String(entry.ingredientId))
+    setQuantity(entry.quantity == null ? '' : String(entry.quantity))
+    setUnit(entry.unit ?? '')
+  }
+
+  function remove(id) {
+    onChange(value.filter((x) => x.ingredientId !== id))
+  }
+
+  return (
+    <>
+      <div className="rowFields">
+        <select value={ingredientId} onChange={(e) => setIngredientId(e.target.value)}>
+          <option value="">Select ingredient…</option>
+          {ingredients.map((i) => (
+            <option key={i.id} value={i.id}>
+              {i.name}
+            </option>
+          ))}
+        </select>
+        <input value={quantity} onChange={(e) => setQuantity(e.target.value)} placeholder="Qty" inputMode="decimal" />
+        <input value={unit} onChange={(e) => setUnit(e.target.value)} placeholder="Unit" />
+        <button type="button" onClick={add}>
+          {value.some((x) => x.ingredientId === Number(ingredientId)) ? 'Update' : 'Add'}
+        </button>
+      </div>
+
+      {value.length ? (
+        <div className="pillList">
+          {value.map((ri) => {
+            const name = ingredients.find((x) => x.id === ri.ingredientId)?.name ?? ri.name ?? `#${ri.ingredientId}`
+            const qty = ri.quantity == null ? '' : `${ri.quantity}`
+            const unitLabel = ri.unit == null ? '' : ` ${ri.unit}`
+            return (
+              <div key={ri.ingredientId} className="pill">
+                <button type="button" className="pillLabel" onClick={() => edit(ri)} title="Edit amount">
+                  {name}
+                  {qty ? ` · ${qty}${unitLabel}` : ''}
+                </button>
+                <button type="button" onClick={() => remove(ri.ingredientId)} aria-label={`Remove ${name}`}>
+                  ×
+                </button>
+              </div>
+            )
+          })}
+        </div>
+      ) : (
+        <div className="muted">Add at least one ingredient.</div>
+      )}
+    </>
+  )
+}
@@ -0,0 +1,102 @@
+import { useEffect, useState } from 'react'
+import { apiGet } from './api.js'
+
+const missingOptions = [0, 1, 2, 3, 5]
+
+export default function RecipeMatches({ pantryIds, recipes }) {
+  const [maxMissing, setMaxMissing] = useState(1)
+  const [matches, setMatches] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    if (recipes.length === 0) {
+      setMatches([])
+      return
+    }
+
+    // Checkbox toggles can outrun the request; each change cancels the one before it.
+    const controller = new AbortController()
+    const query = new URLSearchParams(pantryIds.map((id) => ['ingredientIds', id]))
+    query.set('maxMissing', maxMissing)
+
+    setLoading(true)
+    apiGet(`/api/recipes/can-make?${query}`, { signal: controller.signal })
+      .then((result) => {
+        setMatches(result)
+        setError('')
+        setLoading(false)
+      })
+      .catch((e) => {
+        if (e?.name === 'AbortError') return
+        setError(e?.message ?? String(e))
+        setLoading(false)
+      })
+
+    return () => controller.abort()
+  }, [pantryIds, recipes, maxMissing])
+
+  let hint = pantryIds.length === 0 ? 'Select ingredients to rank your saved recipes.' : `${pantryIds.length} selected`
+  if (loading) hint = 'Updating…'
+
+  return (
+    <details className="details" open>
+      <summary className="summary">
+        <span>What Can I Make?</span>
+        <span className="badge">{matches.length}</span>
+      </summary>
+
+      <div className="matchControls">
+        <label className="matchFilter">
+          <span className="muted">Missing at most</span>
+          <select value={maxMissing} onChange={(e) => setMaxMissing(Number(e.target.value))}>
+            {missingOptions.map((n) => (
+              <option key={n} value={n}>
+                {n === 0 ? 'nothing' : `${n} ingredient${n === 1 ? '' : 's'}`}
+              </option>
+            ))}
+          </select>
+        </label>
+        <span className="muted">{hint}</span>
+      </div>
+
+      {error ? (
+        <div className="error" role="alert">
+          {error}
+        </div>
+      ) : null}
+
+      {matches.length === 0 ? (
+        <div className="muted">
+          {recipes.length === 0 ? 'No recipes saved yet.' : 'No saved recipes within reach. Try allowing more missing.'}
+        </div>
+      ) : (
+        <div className="recipes">
+          {matches.map((m) => (
+            <div key={m.id} className="matchItem">
+              <div className="matchHeader">
+                <span className="recipeSummary">{m.name}</span>
+                <span className="muted">
+                  {m.requiredCount === 0
+                    ? 'Staples only'
+                    : `${m.matchedCount} of ${m.requiredCount} · ${Math.round(m.coverage * 100)}%`}
+                </span>
+              </div>
+              <div className="matchBar" aria-hidden="true">
+                <div style={{ width: `${Math.round(m.coverage * 100)}%` }} />
+              </div>
+              {m.missing.length ? (
+                <div>Missing: {m.missing.map((i) => i.name).join(', ')}</div>
+              ) : (
+                <div>You have everything.</div>
+              )}
+              {m.missingStaples.length ? (
+                <div className="muted">Assumed on hand: {m.missingStaples.map((i) => i.name).join(', ')}</div>
+              ) : null}
+            </div>
+          ))}
+        </div>
+      )}
+    </details>
+  )
+}
@@ -0,0 +1,144 @@
+import { useEffect, useState } from 'react'
+import { apiGet } from './api.js'
+import RecipeDetails from './RecipeDetails.jsx'
+import RecipeGallery from './RecipeGallery.jsx'
+import RecipeTagEditor from './RecipeTagEditor.jsx'
+import { Link } from './router.jsx'
+
+// Shareable page for one saved recipe. `recipes` only signals that something changed (an edit or a
+// delete elsewhere), so the page refetches rather than trusting the list, which may still be loading.
+// `editForm` is App's recipe edit form, shown in place of the details while this recipe is being edited.
+// `tags` and `collections` feed the tag editor; `onChanged` reloads them (and `recipes`) after a tag,
+// collection or photo change.
+export default function RecipePage({
+  id,
+  recipes,
+  tags,
+  collections,
+  unitSystem,
+  editForm,
+  onEdit,
+  onDelete,
+  onChanged,
+}) {
+  const [recipe, setRecipe] = useState(null)
+  const [status, setStatus] = useState('loading')
+  const [error, setError] = useState('')
+  const [copied, setCopied] = useState(false)
+
+  useEffect(() => {
+    // Offline, fall back to App's list, which holds the copy saved in IndexedDB.
+    const saved = recipes.find((r) => r.id === id)
+    if (!navigator.onLine && saved) {
+      setRecipe(saved)
+      setStatus('ready')
+      return
+    }
+
+    const controller = new AbortController()
+    apiGet(`/api/recipes/${id}`, { signal: controller.signal })
+      .then((result) => {
+        setRecipe(result)
+        setError('')
+        setStatus('ready')
+      })
+      .catch((e) => {
+        if (e?.name === 'AbortError') return
+        if (e?.status === 0 && saved) {
+          setRecipe(saved)
+          setStatus('ready')
+          return
+        }
+        if (e?.status === 404) {
+          setRecipe(null)
+          setStatus('notFound')
+          return
+        }
+        setError(e?.message ?? String(e))
+        setStatus('error')
+      })
+
+    return () => controller.abort()
+  }, [id, recipes])
+
+  useEffect(() => {
+    if (!recipe) return
+    document.title = `${recipe.name} · RecipeStack`
+    return () => {
+      document.title = 'RecipeStack'
+    }
+  }, [recipe])
+
+  async function copyLink() {
+    try {
+      await navigator.clipboard.writeText(window.location.href)
+      setCopied(true)
+      setTimeout(() => setCopied(false), 2000)
+    } catch {
+      setError('Could not copy the link. Copy it from the address bar instead.')
+    }
+  }
+
+  return (
+    <section className="card recipePage">
+      <Link to="/#saved" className="backLink">
+        ← Saved recipes
+      </Link>
+
+      {error ? (
+        <div className="error" role="alert">
+          {error}
+        </div>
+      ) : null}
+
+      {status === 'loading' && !recipe ? <div className="muted">Loading recipe…</div> : null}
+
+      {status === 'notFound' ? (
+        <div className="muted">This recipe doesn’t exist anymore. It may have been deleted.</div>
+      ) : null}
+
+      {recipe ? (
+        <>
+          <div className="cardTitle">
+            <h2>{recipe.name}</h2>
+            <div className="aiButtonRow">
+              <button type="button" className="aiExplore" onClick={() => window.print()}>
+                Print
+              </button>
+              <button type="button" className="aiExplore" onClick={copyLink}>
+                {copied ? 'Copied' : 'Copy link'}
+              </button>
+            </div>
+          </div>
+
+          {recipe.aiGenerationId ? (
+            <Link to={`/ai?generation=${recipe.aiGenerationId}`} className="muted">
+              Saved from an AI generation, open it
+            </Link>
+          ) : null}
+
+          {editForm ?? (
+            <RecipeDetails key={`${recipe.id}:${recipe.servings}`} recipe={recipe} unitSystem={unitSystem}>
+              <RecipeGallery recipe={recipe} onChanged={onChanged} onError={setError} />
+              <RecipeTagEditor
+                recipe={recipe}
+                tags={tags}
+                collections={collections}
+                onChanged={onChanged}
+                onError={setError}
+              />
+              <div className="aiButtonRow">
+                <button type="button" className="aiExplore" onClick={() => onEdit(recipe)}>
+                  Edit
+                </button>
+                <button type="button" className="aiExplore" onClick={() => onDelete(recipe)}>
+                  Delete
+                </button>
+              </div>
+            </RecipeDetails>
+          )}
+        </>
+      ) : null}
+    </section>
+  )
+}
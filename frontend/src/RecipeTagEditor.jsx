@@ -0,0 +1,95 @@
+import { useState } from 'react'
+import { apiDelete, apiPut } from './api.js'
+import { normalizeTag } from './recipeSearch.js'
+
+// Tag chips and collection checkboxes for one saved recipe. `tags` (the tags in use) feeds the
+// suggestions; every change is saved straight away and `onChanged` reloads App's lists.
+export default function RecipeTagEditor({ recipe, tags, collections, onChanged, onError }) {
+  const [text, setText] = useState('')
+  const [saving, setSaving] = useState(false)
+  const recipeTags = recipe.tags ?? []
+
+  async function save(action) {
+    onError('')
+    setSaving(true)
+    try {
+      await action()
+      await onChanged()
+    } catch (e) {
+      onError(e?.message ?? String(e))
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  function setTags(next) {
+    return save(() => apiPut(`/api/recipes/${recipe.id}/tags`, { tags: next }))
+  }
+
+  async function onAdd(e) {
+    e.preventDefault()
+    const added = text.split(',').map(normalizeTag).filter(Boolean)
+    if (!added.length) return
+    await setTags(Array.from(new Set([...recipeTags, ...added])))
+    setText('')
+  }
+
+  function toggleCollection(collection) {
+    const path = `/api/collections/${collection.id}/recipes/${recipe.id}`
+    return save(() => (collection.recipeIds.includes(recipe.id) ? apiDelete(path) : apiPut(path)))
+  }
+
+  return (
+    <div className="recipeTagEditor">
+      <form className="recipeFilterRow" onSubmit={onAdd}>
+        {recipeTags.map((tag) => (
+          <button
+            key={tag}
+            type="button"
+            className="plannerChip tagChip"
+            onClick={() => setTags(recipeTags.filter((other) => other !== tag))}
+            disabled={saving}
+            aria-label={`Remove tag ${tag}`}
+          >
+            #{tag} ×
+          </button>
+        ))}
+        <input
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          placeholder="Add tags, comma separated"
+          aria-label={`Add tags to ${recipe.name}`}
+          list={`recipe-tags-${recipe.id}`}
+          maxLength={200}
+        />
+        <datalist id={`recipe-tags-${recipe.id}`}>
+          {tags
+            .filter((tag) => !recipeTags.includes(tag.name))
+            .map((tag) => (
+              <option key={tag.name} value={tag.name} />
+            ))}
+        </datalist>
+        <button type="submit" className="secondaryButton" disabled={saving || !text.trim()}>
+          Add tag
+        </button>
+      </form>
+
+      {collections.length ? (
+        <div className="recipeFilterRow">
+          <span className="muted">Collections</span>
+          {collections.map((collection) => (
+            <label key={collection.id} className="checkbox">
+              <input
+                type="checkbox"
+                checked={collection.recipeIds.includes(recipe.id)}
+                onChange={() => toggleCollection(collection)}
+                disabled={saving}
+              />
+              <span>{collection.name}</span>
+            </label>
+          ))}
+        </div>
+      ) : null}
+    </div>
+  )
+}
@@ -0,0 +1,228 @@
+import { useEffect, useMemo, useState } from 'react'
+import { apiDelete, apiGet, apiGetText, apiPatch, apiPost } from './api.js'
+import { downloadText } from './download.js'
+
+const locationOrder = ['Fridge', 'Pantry', 'Freezer']
+
+function formatItem(item) {
+  if (item.quantity == null) return item.name
+  return `${item.name} · ${item.quantity}${item.unit ? ` ${item.unit}` : ''}`
+}
+
+export default function ShoppingLists({ recipes, pantryIds, version, onError }) {
+  const [selectedRecipeIds, setSelectedRecipeIds] = useState(() => new Set())
+  const [skipSelected, setSkipSelected] = useState(false)
+  const [lists, setLists] = useState([])
+  const [activeList, setActiveList] = useState(null)
+  const [creating, setCreating] = useState(false)
+  const [deleting, setDeleting] = useState(false)
+
+  // `version` changes when a list is created elsewhere (the meal planner); the newest list is shown.
+  useEffect(() => {
+    ;(async () => {
+      try {
+        const summaries = await apiGet('/api/shopping-lists')
+        setLists(summaries)
+        if (summaries.length) setActiveList(await apiGet(`/api/shopping-lists/${summaries[0].id}`))
+      } catch (e) {
+        onError(e?.message ?? String(e))
+      }
+    })()
+  }, [version, onError])
+
+  // Recipes can be deleted elsewhere on the page; drop them from the selection.
+  useEffect(() => {
+    setSelectedRecipeIds((prev) => {
+      const ids = new Set(recipes.map((r) => r.id))
+      const next = new Set([...prev].filter((id) => ids.has(id)))
+      return next.size === prev.size ? prev : next
+    })
+  }, [recipes])
+
+  const groupedItems = useMemo(() => {
+    if (!activeList) return []
+    return locationOrder
+      .map((location) => ({ location, items: activeList.items.filter((i) => i.location === location) }))
+      .filter((group) => group.items.length)
+  }, [activeList])
+
+  function toggleRecipe(id) {
+    setSelectedRecipeIds((prev) => {
+      const next = new Set(prev)
+      if (next.has(id)) next.delete(id)
+      else next.add(id)
+      return next
+    })
+  }
+
+  async function refreshSummaries() {
+    setLists(await apiGet('/api/shopping-lists'))
+  }
+
+  async function onCreateList() {
+    onError('')
+    setCreating(true)
+    try {
+      const created = await apiPost('/api/shopping-lists', {
+        recipeIds: Array.from(selectedRecipeIds),
+        excludeIngredientIds: skipSelected ? pantryIds : [],
+      })
+      setActiveList(created)
+      setSelectedRecipeIds(new Set())
+      await refreshSummaries()
+    } catch (e) {
+      onError(e?.message ?? String(e))
+    } finally {
+      setCreating(false)
+    }
+  }
+
+  async function onSelectList(id) {
+    onError('')
+    try {
+      setActiveList(await apiGet(`/api/shopping-lists/${id}`))
+    } catch (e) {
+      onError(e?.message ?? String(e))
+    }
+  }
+
+  async function toggleItem(item) {
+    onError('')
+    const listId = activeList.id
+    const setChecked = (checked) =>
+      setActiveList((prev) =>
+        prev?.id === listId
+          ? { ...prev, items: prev.items.map((i) => (i.id === item.id ? { ...i, checked } : i)) }
+          : prev,
+      )
+
+    setChecked(!item.checked)
+    try {
+      await apiPatch(`/api/shopping-lists/${listId}/items/${item.id}`, { checked: !item.checked })
+      await refreshSummaries()
+    } catch (e) {
+      setChecked(item.checked)
+      onError(e?.message ?? String(e))
+    }
+  }
+
+  async function onDeleteList() {
+    onError('')
+    setDeleting(true)
+    try {
+      await apiDelete(`/api/shopping-lists/${activeList.id}`)
+      const remaining = lists.filter((l) => l.id !== activeList.id)
+      setLists(remaining)
+      setActiveList(remaining.length ? await apiGet(`/api/shopping-lists/${remaining[0].id}`) : null)
+    } catch (e) {
+      onError(e?.message ?? String(e))
+    } finally {
+      setDeleting(false)
+    }
+  }
+
+  async function onExport(format) {
+    onError('')
+    try {
+      const text = await apiGetText(`/api/shopping-lists/${activeList.id}/export?format=${format}`)
+      const markdown = format === 'markdown'
+      downloadText(
+        text,
+        `shopping-list-${activeList.id}.${markdown ? 'md' : 'txt'}`,
+        markdown ? 'text/markdown' : 'text/plain',
+      )
+    } catch (e) {
+      onError(e?.message ?? String(e))
+    }
+  }
+
+  return (
+    <section id="shopping" className="card shoppingCard">
+      <div className="cardTitle">
+        <h2>Shopping List</h2>
+        <span className="muted">{lists.length ? `${lists.length} saved` : 'Built from saved recipes'}</span>
+      </div>
+
+      <details className="details" open={lists.length === 0}>
+        <summary className="summary">New List</summary>
+
+        {recipes.length === 0 ? (
+          <div className="muted">Save a recipe first.</div>
+        ) : (
+          <div className="stack">
+            <div className="shoppingRecipes">
+              {recipes.map((r) => (
+                <label key={r.id} className="checkbox">
+                  <input type="checkbox" checked={selectedRecipeIds.has(r.id)} onChange={() => toggleRecipe(r.id)} />
+                  <span>{r.name}</span>
+                </label>
+              ))}
+            </div>
+            <label className="matchFilter">
+              <input type="checkbox" checked={skipSelected} onChange={(e) => setSkipSelected(e.target.checked)} />
+              <span className="muted">
+                Also skip the {pantryIds.length} ingredient{pantryIds.length === 1 ? '' : 's'} selected as on hand,
+                whatever their recorded stock
+              </span>
+            </label>
+            <button type="button" onClick={onCreateList} disabled={creating || selectedRecipeIds.size === 0}>
+              {creating
+                ? 'Building…'
+                : `Build list from ${selectedRecipeIds.size} recipe${selectedRecipeIds.size === 1 ? '' : 's'}`}
+            </button>
+          </div>
+        )}
+      </details>
+
+      {lists.length ? (
+        <div className="shoppingToolbar">
+          <select value={activeList?.id ?? ''} onChange={(e) => onSelectList(Number(e.target.value))}>
+            {lists.map((l) => (
+              <option key={l.id} value={l.id}>
+                {l.name} ({l.checkedCount}/{l.itemCount})
+              </option>
+            ))}
+          </select>
+          <div className="aiButtonRow">
+            <button type="button" className="secondaryButton" onClick={() => onExport('text')} disabled={!activeList}>
+              Text
+            </button>
+            <button
+              type="button"
+              className="secondaryButton"
+              onClick={() => onExport('markdown')}
+              disabled={!activeList}
+            >
+              Markdown
+            </button>
+            <button type="button" className="dangerButton" onClick={onDeleteList} disabled={!activeList || deleting}>
+              {deleting ? 'Deleting…' : 'Delete'}
+            </button>
+          </div>
+        </div>
+      ) : null}
+
+      {activeList ? (
+        activeList.items.length === 0 ? (
+          <div className="muted">Nothing to buy: you already have everything for these recipes.</div>
+        ) : (
+          <div className="ingredientColumns">
+            {groupedItems.map((group) => (
+              <div key={group.location} className="ingredientColumn">
+                <div className="ingredientColumnHeader">{group.location}</div>
+                <div className="ingredientList">
+                  {group.items.map((item) => (
+                    <label key={item.id} className={`checkbox${item.checked ? ' shoppingChecked' : ''}`}>
+                      <input type="checkbox" checked={item.checked} onChange={() => toggleItem(item)} />
+                      <span>{formatItem(item)}</span>
+                    </label>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+        )
+      ) : null}
+    </section>
+  )
+}
@@ -0,0 +1,62 @@
+// Offline banner: where the data on screen came from, which writes are waiting in the outbox, and
+// which queued writes the server rejected when they were replayed.
+export default function SyncStatus({ online, savedAt, pending, conflicts, syncing, onSync, onDismissConflicts }) {
+  if (online && !savedAt && pending.length === 0 && conflicts.length === 0) return null
+
+  const savedTime = savedAt
+    ? new Date(savedAt).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })
+    : ''
+
+  return (
+    <div className="syncStatus" role="status">
+      {!online ? (
+        <div>
+          <strong>Offline.</strong>{' '}
+          {savedAt ? `Showing recipes and ingredients saved ${savedTime}.` : 'Changes will be saved on this device.'}
+        </div>
+      ) : savedAt ? (
+        <div>
+          <strong>Can’t reach the server.</strong> Showing recipes and ingredients saved {savedTime}.
+        </div>
+      ) : null}
+
+      {pending.length ? (
+        <div className="syncSection">
+          <div className="syncHeader">
+            <span>
+              {pending.length} change{pending.length === 1 ? '' : 's'} waiting to sync
+            </span>
+            <button type="button" className="aiExplore" disabled={!online || syncing} onClick={onSync}>
+              {syncing ? 'Syncing…' : 'Sync now'}
+            </button>
+          </div>
+          <ul className="ul">
+            {pending.map((write) => (
+              <li key={write.id}>{write.label}</li>
+            ))}
+          </ul>
+        </div>
+      ) : null}
+
+      {conflicts.length ? (
+        <div className="syncSection">
+          <div className="syncHeader">
+            <span>
+              {conflicts.length} offline change{conflicts.length === 1 ? ' was' : 's were'} not saved
+            </span>
+            <button type="button" className="aiExplore" onClick={onDismissConflicts}>
+              Dismiss
+            </button>
+          </div>
+          <ul className="ul">
+            {conflicts.map((conflict) => (
+              <li key={conflict.id}>
+                {conflict.label}: {conflict.message}
+              </li>
+            ))}
+          </ul>
+        </div>
+      ) : null}
+    </div>
+  )
+}
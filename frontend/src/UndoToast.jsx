@@ -0,0 +1,22 @@
+import { useEffect } from 'react'
+
+// Bottom-of-screen notice with an Undo button. It dismisses itself after `timeoutMs`; remount it
+// (change its key) to restart the countdown for a new action.
+export default function UndoToast({ message, onUndo, onDismiss, timeoutMs = 10_000 }) {
+  useEffect(() => {
+    const timer = setTimeout(onDismiss, timeoutMs)
+    return () => clearTimeout(timer)
+  }, [timeoutMs])
+
+  return (
+    <div className="toast" role="status">
+      <span>{message}</span>
+      <button type="button" className="toastAction" onClick={onUndo}>
+        Undo
+      </button>
+      <button type="button" className="toastClose" onClick={onDismiss} aria-label="Dismiss">
+        ×
+      </button>
+    </div>
+  )
+}
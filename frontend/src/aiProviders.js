@@ -0,0 +1,21 @@
+// The AI provider and model picked in the Ask AI card. Empty values mean "the server's default", so a
+// fresh browser follows whatever AI_PROVIDER the deployment chose.
+const storageKey = 'aiChoice'
+
+export function loadAiChoice() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(storageKey) ?? '{}')
+    return { provider: saved.provider ?? '', model: saved.model ?? '' }
+  } catch {
+    return { provider: '', model: '' }
+  }
+}
+
+export function saveAiChoice(choice) {
+  localStorage.setItem(storageKey, JSON.stringify(choice))
+}
+
+// Spread into an AI request body; defaults are left out so the server picks them.
+export function aiChoiceParams(choice = loadAiChoice()) {
+  return { provider: choice.provider || undefined, model: choice.model || undefined }
+}
@@ -1,32 +1,183 @@
-const API_BASE = import.meta.env.VITE_API_BASE_URL ?? ''
+// `import.meta.env` only exists in Vite builds; under `node --test` the base is empty.
+const API_BASE = import.meta.env?.VITE_API_BASE_URL ?? ''
 
-export async function apiGet(path) {
-  const res = await fetch(`${API_BASE}${path}`)
-  if (!res.ok) throw new Error(await safeMessage(res))
-  return res.json()
+// Delays before each retry of an idempotent GET; other methods are never retried.
+const retryDelaysMs = [300, 1000, 3000]
+const retryStatuses = new Set([408, 429, 502, 503, 504])
+const maxRetryAfterMs = 10_000
+
+// Thrown for every failed request. `status` is 0 when the server could not be reached; `fields` maps
+// field names to validation messages (from ProblemDetails `errors`); `data` is the parsed error body.
+export class ApiError extends Error {
+  constructor(message, { status = 0, title = '', fields = {}, data = null } = {}) {
+    super(message)
+    this.name = 'ApiError'
+    this.status = status
+    this.title = title
+    this.fields = fields
+    this.data = data
+  }
 }
 
-export async function apiPost(path, body) {
-  const res = await fetch(`${API_BASE}${path}`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(body),
-  })
-  if (!res.ok) throw new Error(await safeMessage(res))
+// Absolute URL of an API path, for places the browser fetches on its own (an <img> src).
+export function apiUrl(path) {
+  return `${API_BASE}${path}`
+}
+
+export function apiGet(path, { signal } = {}) {
+  return request('GET', path, { signal }).then((res) => res.json())
+}
+
+export function apiGetText(path, { signal } = {}) {
+  return request('GET', path, { signal }).then((res) => res.text())
+}
+
+export function apiPost(path, body, { signal } = {}) {
+  return request('POST', path, { body, signal }).then(readJson)
+}
+
+export function apiPut(path, body, { signal } = {}) {
+  return request('PUT', path, { body, signal }).then(readJson)
+}
+
+export function apiPatch(path, body, { signal } = {}) {
+  return request('PATCH', path, { body, signal }).then(readJson)
+}
+
+export function apiDelete(path, { signal } = {}) {
+  return request('DELETE', path, { signal }).then(readJson)
+}
+
+export async function apiStream(path, body, { signal, onEvent } = {}) {
+  const res = await request('POST', path, { body, signal, accept: 'application/x-ndjson' })
+
+  // The body is newline-delimited JSON; a chunk can end mid-line, so keep the tail buffered.
+  const reader = res.body.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ''
+
+  for (;;) {
+    const { value, done } = await reader.read()
+    buffer += decoder.decode(value, { stream: !done })
+
+    const lines = buffer.split('\n')
+    buffer = done ? '' : lines.pop()
+    for (const line of lines) {
+      if (line.trim()) onEvent?.(JSON.parse(line))
+    }
+
+    if (done) return
+  }
+}
+
+async function request(method, path, { body, signal, accept } = {}) {
+  const init = { method, signal, headers: {} }
+  if (body !== undefined) {
+    init.headers['Content-Type'] = 'application/json'
+    init.body = JSON.stringify(body)
+  }
+  if (accept) init.headers.Accept = accept
+
+  const attempts = method === 'GET' ? retryDelaysMs.length + 1 : 1
+  for (let attempt = 1; ; attempt++) {
+    let res
+    try {
+      res = await fetch(apiUrl(path), init)
+    } catch (e) {
+      if (e?.name === 'AbortError') throw e
+      if (attempt < attempts) {
+        await delay(retryDelaysMs[attempt - 1], signal)
+        continue
+      }
+      throw new ApiError('Could not reach the server. Check your connection and try again.')
+    }
+
+    if (res.ok) return res
+
+    if (attempt < attempts && retryStatuses.has(res.status)) {
+      await delay(retryAfterMs(res) ?? retryDelaysMs[attempt - 1], signal)
+      continue
+    }
+
+    throw await toApiError(res)
+  }
+}
+
+async function readJson(res) {
   return res.status === 204 ? null : res.json()
 }
 
-export async function apiDelete(path) {
-  const res = await fetch(`${API_BASE}${path}`, { method: 'DELETE' })
-  if (!res.ok) throw new Error(await safeMessage(res))
-  return null
+function retryAfterMs(res) {
+  const seconds = Number(res.headers.get('Retry-After'))
+  return Number.isFinite(seconds) && seconds > 0 ? Math.min(seconds * 1000, maxRetryAfterMs) : null
+}
+
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason)
+      return
+    }
+    const timer = setTimeout(resolve, ms)
+    signal?.addEventListener(
+      'abort',
+      () => {
+        clearTimeout(timer)
+        reject(signal.reason)
+      },
+      { once: true },
+    )
+  })
 }
 
-async function safeMessage(res) {
+// Understands the API's `{ message }` bodies and RFC 7807 ProblemDetails, and falls back to a
+// short status description so raw JSON or HTML never ends up in the error banner.
+async function toApiError(res) {
+  let text = ''
   try {
-    const text = await res.text()
-    return text || `${res.status} ${res.statusText}`
+    text = await res.text()
   } catch {
-    return `${res.status} ${res.statusText}`
+    // The body is optional; the status alone still makes a usable error.
+  }
+
+  let data = null
+  try {
+    data = text ? JSON.parse(text) : null
+  } catch {
+    data = null
+  }
+
+  const fields = {}
+  if (data?.errors && typeof data.errors === 'object') {
+    for (const [field, messages] of Object.entries(data.errors)) {
+      fields[field] = Array.isArray(messages) ? messages.join(' ') : String(messages)
+    }
+  }
+
+  const fieldSummary = Object.values(fields).join(' ')
+  let message = data?.message ?? data?.detail ?? (fieldSummary || data?.title)
+  if (!message && text && !data && !/^\s*</.test(text)) message = text.trim().slice(0, 300)
+  if (!message) message = statusMessage(res)
+
+  return new ApiError(message, { status: res.status, title: data?.title ?? '', fields, data })
+}
+
+function statusMessage(res) {
+  switch (res.status) {
+    case 400:
+      return 'The request was not valid.'
+    case 404:
+      return 'Not found. It may have been deleted.'
+    case 409:
+      return 'That conflicts with something already saved.'
+    case 413:
+      return 'That upload is too large.'
+    case 502:
+    case 503:
+    case 504:
+      return 'The server is unavailable right now. Try again in a moment.'
+    default:
+      if (res.status >= 500) return 'Something went wrong on the server. Try again.'
+      return `Request failed (${[res.status, res.statusText].filter(Boolean).join(' ')}).`
   }
 }
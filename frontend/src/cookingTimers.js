@@ -0,0 +1,48 @@
+// Finds cooking times in a procedure step ("simmer 10 minutes", "bake for 1 hour 15 mins", "rest
+// 5-10 min", "let stand 1h 30m") so cooking mode can offer them as timers. Ranges use their lower bound: it is easier to
+// check early than to rescue something overdone.
+
+const unitSeconds = { h: 3600, m: 60, s: 1 }
+
+const durationPattern =
+  /\b(\d+\s+\d+\/\d+|\d+\/\d+|\d+(?:[.,]\d+)?|half an?|an?|one)\s*(?:(?:-|–|to)\s*\d+(?:[.,]\d+)?\s*)?(hours?|hrs?|h|minutes?|mins?|m|seconds?|secs?|s)\b/gi
+
+function parseAmount(text) {
+  const value = text.toLowerCase()
+  if (value === 'a' || value === 'an' || value === 'one') return 1
+  if (value.startsWith('half')) return 0.5
+  return value.split(/\s+/).reduce((total, part) => {
+    const [numerator, denominator] = part.split('/')
+    return total + (denominator ? Number(numerator) / Number(denominator) : Number(part.replace(',', '.')))
+  }, 0)
+}
+
+// [{ text: '1 hour 15 mins', seconds: 4500 }, ...] in the order they appear.
+export function findDurations(step) {
+  const found = []
+  for (const match of step.matchAll(durationPattern)) {
+    const seconds = Math.round(parseAmount(match[1]) * unitSeconds[match[2][0].toLowerCase()])
+    const end = match.index + match[0].length
+
+    // "1 hour 15 minutes" and "1 hour and 15 minutes" are one timer, not two.
+    const previous = found.at(-1)
+    if (previous && /^\s*(?:and\s+)?$/i.test(step.slice(previous.end, match.index))) {
+      previous.seconds += seconds
+      previous.text = step.slice(previous.start, end)
+      previous.end = end
+      continue
+    }
+
+    found.push({ start: match.index, end, text: match[0], seconds })
+  }
+  return found.filter((d) => d.seconds > 0).map(({ text, seconds }) => ({ text, seconds }))
+}
+
+// 75 -> "1:15", 3700 -> "1:01:40".
+export function formatClock(totalSeconds) {
+  const seconds = Math.max(0, Math.ceil(totalSeconds))
+  const h = Math.floor(seconds / 3600)
+  const m = Math.floor((seconds % 3600) / 60)
+  const s = String(seconds % 60).padStart(2, '0')
+  return h ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`
+}
@@ -0,0 +1,43 @@
+import assert from 'node:assert/strict'
+import { test } from 'node:test'
+import { findDurations, formatClock } from './cookingTimers.js'
+
+test('findDurations reads spelled-out and abbreviated units', () => {
+  assert.deepEqual(findDurations('Simmer 10 minutes, then rest 30 secs.'), [
+    { text: '10 minutes', seconds: 600 },
+    { text: '30 secs', seconds: 30 },
+  ])
+  assert.deepEqual(findDurations('Bake for 2 hrs'), [{ text: '2 hrs', seconds: 7200 }])
+})
+
+test('findDurations reads compact units such as 1h, 45m and 90s', () => {
+  assert.deepEqual(findDurations('Let stand 1h'), [{ text: '1h', seconds: 3600 }])
+  assert.deepEqual(findDurations('Rest 45m, then sear 90s'), [
+    { text: '45m', seconds: 2700 },
+    { text: '90s', seconds: 90 },
+  ])
+  assert.deepEqual(findDurations('Add a small onion'), [])
+})
+
+test('findDurations reads words, fractions and the lower bound of ranges', () => {
+  assert.deepEqual(findDurations('Chill for half an hour'), [{ text: 'half an hour', seconds: 1800 }])
+  assert.deepEqual(findDurations('Roast 1 1/2 hours'), [{ text: '1 1/2 hours', seconds: 5400 }])
+  assert.deepEqual(findDurations('Rest 5-10 min'), [{ text: '5-10 min', seconds: 300 }])
+  assert.deepEqual(findDurations('Steam 1,5 minutes'), [{ text: '1,5 minutes', seconds: 90 }])
+})
+
+test('findDurations joins hours and minutes into one timer', () => {
+  assert.deepEqual(findDurations('Bake 1 hour and 15 mins'), [{ text: '1 hour and 15 mins', seconds: 4500 }])
+  assert.deepEqual(findDurations('Braise 1h 30m'), [{ text: '1h 30m', seconds: 5400 }])
+  assert.deepEqual(findDurations('Boil 5 minutes. Cool 10 minutes.'), [
+    { text: '5 minutes', seconds: 300 },
+    { text: '10 minutes', seconds: 600 },
+  ])
+})
+
+test('formatClock shows minutes and seconds, and hours when needed', () => {
+  assert.equal(formatClock(75), '1:15')
+  assert.equal(formatClock(3700), '1:01:40')
+  assert.equal(formatClock(0.2), '0:01')
+  assert.equal(formatClock(-5), '0:00')
+})
@@ -0,0 +1,9 @@
+// Saves generated text (exports, backups) as a file through a temporary object URL.
+export function downloadText(text, filename, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  link.click()
+  URL.revokeObjectURL(url)
+}
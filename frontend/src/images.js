@@ -0,0 +1,20 @@
+// Downscales an image file so its longest side fits within maxSize and re-encodes it as JPEG.
+// Returns a data URL, which is what both the previews and the API expect.
+export async function downscaleImage(file, { maxSize = 1024, quality = 0.85 } = {}) {
+  const bitmap = await createImageBitmap(file)
+  const scale = Math.min(1, maxSize / Math.max(bitmap.width, bitmap.height))
+  const width = Math.max(1, Math.round(bitmap.width * scale))
+  const height = Math.max(1, Math.round(bitmap.height * scale))
+
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, width, height)
+  bitmap.close()
+
+  return canvas.toDataURL('image/jpeg', quality)
+}
+
+export function imageFilesFrom(fileList) {
+  return Array.from(fileList ?? []).filter((file) => file.type.startsWith('image/'))
+}
@@ -0,0 +1,162 @@
+import { parseIngredientLine } from './recipeImport.js'
+
+// Matches ingredient names from AI recipes and imports to the stored ingredients, so "Tomatoes",
+// "scallions" or "Parmesn" find "Tomato", "Spring Onion" and "Parmesan" instead of creating duplicates.
+
+// Regional and alternative names, keyed and valued in singular lowercase form.
+const synonyms = {
+  scallion: 'spring onion',
+  'green onion': 'spring onion',
+  cilantro: 'coriander',
+  'garbanzo bean': 'chickpea',
+  courgette: 'zucchini',
+  aubergine: 'eggplant',
+  capsicum: 'bell pepper',
+  'sweet pepper': 'bell pepper',
+  'confectioner sugar': 'icing sugar',
+  'powdered sugar': 'icing sugar',
+  'bicarbonate of soda': 'baking soda',
+  'bicarb soda': 'baking soda',
+  prawn: 'shrimp',
+  rocket: 'arugula',
+  cornstarch: 'cornflour',
+  'corn starch': 'cornflour',
+  'all purpose flour': 'plain flour',
+  'ground beef': 'beef mince',
+  'minced beef': 'beef mince',
+  'heavy cream': 'double cream',
+  'whipping cream': 'double cream',
+  beetroot: 'beet',
+  swede: 'rutabaga',
+  mangetout: 'snow pea',
+  chile: 'chilli',
+  chili: 'chilli',
+  yoghurt: 'yogurt',
+}
+
+const irregularPlurals = {
+  leaves: 'leaf',
+  loaves: 'loaf',
+  halves: 'half',
+  knives: 'knife',
+  potatoes: 'potato',
+  tomatoes: 'tomato',
+}
+
+function singular(word) {
+  if (irregularPlurals[word]) return irregularPlurals[word]
+  if (word.length <= 3 || /(?:ss|us|is)$/.test(word)) return word
+  if (word.endsWith('ies')) return `${word.slice(0, -3)}y`
+  if (/(?:ches|shes|sses|xes|zes)$/.test(word)) return word.slice(0, -2)
+  if (word.endsWith('s')) return word.slice(0, -1)
+  return word
+}
+
+// "Cherry-Tomatoes" -> "cherry tomato"
+function baseKey(name) {
+  return name
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .replace(/[^a-z]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean)
+    .map(singular)
+    .join(' ')
+}
+
+function canonicalKey(name) {
+  const key = baseKey(name)
+  return synonyms[key] ?? key
+}
+
+// Optimal string alignment distance: edits, plus swapping two neighbouring letters, count as one.
+function editDistance(a, b) {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)])
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost)
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1)
+      }
+    }
+  }
+  return rows[a.length][b.length]
+}
+
+// Short names get no typo allowance: "pea" and "tea" are different things.
+function allowedTypos(key) {
+  if (key.length >= 9) return 2
+  if (key.length >= 5) return 1
+  return 0
+}
+
+// Kinds from most to least certain. The first three are safe to apply without asking; `typo` and
+// `partial` ("Garlic Clove" for "Garlic") are only suggestions for the review step.
+export const confidentMatchKinds = ['exact', 'plural', 'synonym']
+
+// Best stored ingredient for a name: { ingredient, kind } or null.
+export function matchIngredient(name, ingredients) {
+  const lower = name.trim().toLowerCase()
+  if (!lower) return null
+
+  const exact = ingredients.find((i) => i.name.toLowerCase() === lower)
+  if (exact) return { ingredient: exact, kind: 'exact' }
+
+  const base = baseKey(name)
+  const plural = ingredients.find((i) => baseKey(i.name) === base)
+  if (plural) return { ingredient: plural, kind: 'plural' }
+
+  const key = canonicalKey(name)
+  const synonym = ingredients.find((i) => canonicalKey(i.name) === key)
+  if (synonym) return { ingredient: synonym, kind: 'synonym' }
+
+  let best = null
+  for (const ingredient of ingredients) {
+    const other = canonicalKey(ingredient.name)
+    const distance = editDistance(key, other)
+    if (distance <= Math.min(allowedTypos(key), allowedTypos(other)) && (!best || distance < best.distance)) {
+      best = { ingredient, distance }
+    }
+  }
+  if (best) return { ingredient: best.ingredient, kind: 'typo' }
+
+  // Every word of one name appears in the other; the longest stored name wins ("Red Onion" over "Onion").
+  const words = new Set(key.split(' '))
+  const partial = ingredients
+    .filter((i) => {
+      const otherWords = canonicalKey(i.name).split(' ')
+      return otherWords.every((w) => words.has(w)) || [...words].every((w) => otherWords.includes(w))
+    })
+    .sort((a, b) => b.name.length - a.name.length)[0]
+  return partial ? { ingredient: partial, kind: 'partial' } : null
+}
+
+export function confidentMatch(name, ingredients) {
+  const match = matchIngredient(name, ingredients)
+  return match && confidentMatchKinds.includes(match.kind) ? match.ingredient : null
+}
+
+// An AI or imported recipe item with the amount split out of its name. Structured items already carry
+// quantity and unit, but models still send names like "2 Cloves Garlic, Minced"; plain-text recipes only
+// have the whole line.
+export function parseRecipeItem(item) {
+  const parsed = parseIngredientLine(item.name)
+  const hasAmount = item.quantity != null || Boolean(item.unit)
+  return {
+    ...item,
+    line: item.line ?? item.name,
+    name: parsed.name || item.name.trim(),
+    quantity: hasAmount ? item.quantity : parsed.quantity,
+    unit: hasAmount ? item.unit : parsed.unit,
+    note: [item.note, parsed.note].filter(Boolean).join(', '),
+  }
+}
+
+// The recipe's ingredient items, from structured `items` or plain-text `ingredients` lines.
+export function recipeItems(recipe) {
+  const items = recipe.items ?? recipe.ingredients?.map((line) => ({ name: line, quantity: null, unit: null })) ?? []
+  return items.filter((item) => item.name?.trim()).map(parseRecipeItem)
+}
@@ -0,0 +1,69 @@
+import assert from 'node:assert/strict'
+import { test } from 'node:test'
+import { confidentMatch, matchIngredient, parseRecipeItem, recipeItems } from './ingredientMatching.js'
+
+const stored = [
+  { id: 1, name: 'Tomato' },
+  { id: 2, name: 'Spring Onion' },
+  { id: 3, name: 'Parmesan' },
+  { id: 4, name: 'Garlic' },
+  { id: 5, name: 'Onion' },
+  { id: 6, name: 'Red Onion' },
+  { id: 7, name: 'Pea' },
+]
+
+function kindAndId(name) {
+  const match = matchIngredient(name, stored)
+  return match && { kind: match.kind, id: match.ingredient.id }
+}
+
+test('matchIngredient tries exact, plural and synonym matches first', () => {
+  assert.deepEqual(kindAndId('tomato'), { kind: 'exact', id: 1 })
+  assert.deepEqual(kindAndId('Tomatoes'), { kind: 'plural', id: 1 })
+  assert.deepEqual(kindAndId('scallions'), { kind: 'synonym', id: 2 })
+  assert.deepEqual(kindAndId('Green Onions'), { kind: 'synonym', id: 2 })
+})
+
+test('matchIngredient allows typos only in longer names', () => {
+  assert.deepEqual(kindAndId('Parmesn'), { kind: 'typo', id: 3 })
+  assert.deepEqual(kindAndId('Garilc'), { kind: 'typo', id: 4 })
+  assert.equal(kindAndId('Tea'), null)
+})
+
+test('matchIngredient falls back to the longest name sharing every word', () => {
+  assert.deepEqual(kindAndId('Garlic Clove'), { kind: 'partial', id: 4 })
+  assert.deepEqual(kindAndId('Sliced Red Onion'), { kind: 'partial', id: 6 })
+  assert.equal(kindAndId('  '), null)
+})
+
+test('confidentMatch ignores typo and partial matches', () => {
+  assert.equal(confidentMatch('Peas', stored)?.id, 7)
+  assert.equal(confidentMatch('Parmesn', stored), null)
+  assert.equal(confidentMatch('Garlic Clove', stored), null)
+})
+
+test('parseRecipeItem splits the amount out of the name unless the item has one', () => {
+  assert.deepEqual(parseRecipeItem({ name: '2 Cloves Garlic, Minced', quantity: null, unit: null }), {
+    line: '2 Cloves Garlic, Minced',
+    name: 'Garlic',
+    quantity: 2,
+    unit: 'clove',
+    note: 'minced',
+  })
+  assert.deepEqual(parseRecipeItem({ name: '3 Tomatoes', quantity: 400, unit: 'g' }), {
+    line: '3 Tomatoes',
+    name: 'Tomatoes',
+    quantity: 400,
+    unit: 'g',
+    note: '',
+  })
+})
+
+test('recipeItems reads structured items or plain ingredient lines', () => {
+  assert.deepEqual(
+    recipeItems({ ingredients: ['1 cup rice', ' '] }).map(({ name, quantity, unit }) => ({ name, quantity, unit })),
+    [{ name: 'Rice', quantity: 1, unit: 'cup' }],
+  )
+  assert.equal(recipeItems({ items: [{ name: 'Salt', quantity: null, unit: null }] })[0].name, 'Salt')
+  assert.deepEqual(recipeItems({}), [])
+})
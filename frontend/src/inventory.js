@@ -0,0 +1,47 @@
+// Best-before helpers for the ingredient columns. Dates are the API's "YYYY-MM-DD" strings and are
+// compared as local calendar days, so "today" flips at the user's midnight, not UTC's.
+
+// Items this many days or fewer from their best-before date count as expiring.
+export const expiringSoonDays = 3
+
+function parseLocalDate(iso) {
+  const [year, month, day] = iso.split('-').map(Number)
+  return new Date(year, month - 1, day)
+}
+
+export function daysUntil(iso, today = new Date()) {
+  const start = new Date(today.getFullYear(), today.getMonth(), today.getDate())
+  return Math.round((parseLocalDate(iso) - start) / 86_400_000)
+}
+
+// 'expired', 'soon' or null (no date, or not close yet).
+export function expiryState(ingredient, today) {
+  if (!ingredient.bestBefore) return null
+  const days = daysUntil(ingredient.bestBefore, today)
+  if (days < 0) return 'expired'
+  return days <= expiringSoonDays ? 'soon' : null
+}
+
+export function describeExpiry(ingredient, today) {
+  if (!ingredient.bestBefore) return ''
+  const days = daysUntil(ingredient.bestBefore, today)
+  if (days < -1) return `Expired ${-days} days ago`
+  if (days === -1) return 'Expired yesterday'
+  if (days === 0) return 'Use today'
+  if (days === 1) return 'Use by tomorrow'
+  if (days <= expiringSoonDays) return `Use within ${days} days`
+  return `Best before ${parseLocalDate(ingredient.bestBefore).toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}`
+}
+
+export function isExpiring(ingredient, today) {
+  return expiryState(ingredient, today) !== null
+}
+
+// Expiring items first (soonest date first), then everything else by name.
+export function compareByExpiry(a, b) {
+  const aExpiring = isExpiring(a)
+  const bExpiring = isExpiring(b)
+  if (aExpiring !== bExpiring) return aExpiring ? -1 : 1
+  if (aExpiring && a.bestBefore !== b.bestBefore) return a.bestBefore < b.bestBefore ? -1 : 1
+  return a.name.localeCompare(b.name)
+}
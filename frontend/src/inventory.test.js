@@ -0,0 +1,72 @@
+import assert from 'node:assert/strict'
+import { test } from 'node:test'
+import { compareByExpiry, daysUntil, describeExpiry, expiringSoonDays, expiryState } from './inventory.js'
+
+// A zone with daylight saving, so the day math is checked across a 23- and a 25-hour day.
+process.env.TZ = 'America/New_York'
+
+function isoDate(date) {
+  return [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0'),
+  ].join('-')
+}
+
+function isoInDays(days, from = new Date()) {
+  return isoDate(new Date(from.getFullYear(), from.getMonth(), from.getDate() + days))
+}
+
+test('daysUntil counts local calendar days, whatever the time of day', () => {
+  const lateEvening = new Date(2026, 4, 12, 23, 30)
+
+  assert.equal(daysUntil('2026-05-12', lateEvening), 0)
+  assert.equal(daysUntil('2026-05-13', lateEvening), 1)
+  assert.equal(daysUntil('2026-05-11', new Date(2026, 4, 12, 0, 5)), -1)
+})
+
+test('daysUntil is not thrown off by daylight saving changes', () => {
+  assert.equal(daysUntil('2026-03-09', new Date(2026, 2, 8, 0, 0)), 1)
+  assert.equal(daysUntil('2026-03-15', new Date(2026, 2, 7, 12, 0)), 8)
+  assert.equal(daysUntil('2026-11-02', new Date(2026, 10, 1, 23, 0)), 1)
+})
+
+test('expiryState is expired from yesterday and soon up to exactly expiringSoonDays', () => {
+  const today = new Date(2026, 4, 12, 9, 0)
+  const state = (days) => expiryState({ bestBefore: isoInDays(days, today) }, today)
+
+  assert.equal(state(-1), 'expired')
+  assert.equal(state(0), 'soon')
+  assert.equal(state(expiringSoonDays), 'soon')
+  assert.equal(state(expiringSoonDays + 1), null)
+  assert.equal(expiryState({ bestBefore: null }, today), null)
+})
+
+test('describeExpiry words the nearby days', () => {
+  const today = new Date(2026, 4, 12, 9, 0)
+  const describe = (days) => describeExpiry({ bestBefore: isoInDays(days, today) }, today)
+
+  assert.equal(describe(-2), 'Expired 2 days ago')
+  assert.equal(describe(-1), 'Expired yesterday')
+  assert.equal(describe(0), 'Use today')
+  assert.equal(describe(1), 'Use by tomorrow')
+  assert.equal(describe(expiringSoonDays), `Use within ${expiringSoonDays} days`)
+  assert.match(describe(expiringSoonDays + 1), /^Best before /)
+  assert.equal(describeExpiry({ bestBefore: null }, today), '')
+})
+
+test('compareByExpiry puts expiring items first, soonest first, then the rest by name', () => {
+  const items = [
+    { name: 'Apple', bestBefore: isoInDays(10) },
+    { name: 'Milk', bestBefore: isoInDays(2) },
+    { name: 'Bread', bestBefore: null },
+    { name: 'Cheese', bestBefore: isoInDays(expiringSoonDays) },
+    { name: 'Yogurt', bestBefore: isoInDays(-1) },
+    { name: 'Butter', bestBefore: isoInDays(0) },
+  ]
+
+  assert.deepEqual(
+    items.sort(compareByExpiry).map((i) => i.name),
+    ['Yogurt', 'Butter', 'Milk', 'Cheese', 'Apple', 'Bread'],
+  )
+})
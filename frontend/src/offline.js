@@ -0,0 +1,156 @@
+import { useSyncExternalStore } from 'react'
+import { ApiError, apiGet, apiPatch, apiPost, apiPut } from './api.js'
+
+// Offline support: the last successful copy of key GET responses lives in IndexedDB, and writes made
+// without a connection go into an outbox that is replayed, in order, once the browser is back online.
+
+const dbName = 'recipestack'
+const dbVersion = 1
+const outboxEvent = 'recipestack:outbox'
+
+const senders = {
+  POST: apiPost,
+  PUT: apiPut,
+  PATCH: apiPatch,
+}
+
+let dbPromise = null
+let syncPromise = null
+
+function openDb() {
+  dbPromise ??= new Promise((resolve, reject) => {
+    const req = indexedDB.open(dbName, dbVersion)
+    req.onupgradeneeded = () => {
+      req.result.createObjectStore('responses')
+      req.result.createObjectStore('outbox', { keyPath: 'id', autoIncrement: true })
+    }
+    req.onsuccess = () => resolve(req.result)
+    req.onerror = () => reject(req.error)
+  })
+  return dbPromise
+}
+
+async function withStore(name, mode, action) {
+  const db = await openDb()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(name, mode)
+    const req = action(tx.objectStore(name))
+    tx.oncomplete = () => resolve(req.result)
+    tx.onerror = () => reject(tx.error)
+    tx.onabort = () => reject(tx.error)
+  })
+}
+
+function isNetworkError(e) {
+  return e instanceof ApiError && e.status === 0
+}
+
+// Errors worth trying again later: no connection, the server failing or restarting (5xx, which nginx
+// also returns while the API is down), a timeout or rate limiting. Anything else is the server saying no.
+function isRetryable(e) {
+  return e instanceof ApiError && (e.status === 0 || e.status >= 500 || e.status === 408 || e.status === 429)
+}
+
+function notifyOutboxChanged() {
+  window.dispatchEvent(new Event(outboxEvent))
+}
+
+function subscribeOnline(callback) {
+  window.addEventListener('online', callback)
+  window.addEventListener('offline', callback)
+  return () => {
+    window.removeEventListener('online', callback)
+    window.removeEventListener('offline', callback)
+  }
+}
+
+export function useOnline() {
+  return useSyncExternalStore(subscribeOnline, () => navigator.onLine)
+}
+
+export function onOutboxChange(callback) {
+  window.addEventListener(outboxEvent, callback)
+  return () => window.removeEventListener(outboxEvent, callback)
+}
+
+// Like apiGet, but remembers the response. When the server can't be reached the saved copy is
+// returned instead, with `savedAt` set to when it was fetched; other errors are thrown as usual.
+export async function apiGetCached(path, { signal } = {}) {
+  try {
+    // Skip straight to the saved copy rather than sitting through apiGet's retries.
+    if (!navigator.onLine) throw new ApiError('You are offline.')
+    const data = await apiGet(path, { signal })
+    withStore('responses', 'readwrite', (store) => store.put({ data, savedAt: Date.now() }, path)).catch(() => {
+      // Private browsing can refuse IndexedDB; the app still works online without the copy.
+    })
+    return { data, savedAt: null }
+  } catch (e) {
+    if (!isNetworkError(e)) throw e
+
+    const saved = await withStore('responses', 'readonly', (store) => store.get(path)).catch(() => undefined)
+    if (!saved) throw e
+    return { data: saved.data, savedAt: saved.savedAt }
+  }
+}
+
+// Sends a write now, or queues it when offline. `label` describes the change to the user ("Add
+// ingredient Onion") in the pending list and in conflict reports. Resolves to `{ queued, result }`.
+export async function apiSendOrQueue(method, path, body, label) {
+  if (navigator.onLine) {
+    try {
+      return { queued: false, result: await senders[method](path, body) }
+    } catch (e) {
+      if (!isNetworkError(e)) throw e
+    }
+  }
+
+  await withStore('outbox', 'readwrite', (store) => store.add({ method, path, body, label, queuedAt: Date.now() }))
+  notifyOutboxChanged()
+  return { queued: true, result: null }
+}
+
+export async function pendingWrites() {
+  try {
+    return await withStore('outbox', 'readonly', (store) => store.getAll())
+  } catch {
+    return []
+  }
+}
+
+// Replays queued writes oldest first through `send`, calling `remove` for each one that is done with. A
+// write the server rejects (a 409 because the ingredient was added from another device meanwhile, a 404
+// because the recipe was deleted, a 400) is dropped and reported as a conflict; losing the connection
+// again or a retryable error stops the replay and keeps that write and the rest queued.
+export async function replayWrites(writes, send, remove) {
+  const conflicts = []
+  let synced = 0
+  for (const write of writes) {
+    try {
+      await send(write)
+      synced++
+    } catch (e) {
+      if (isRetryable(e)) break
+      conflicts.push({ id: write.id, label: write.label, message: e?.message ?? String(e) })
+    }
+    await remove(write)
+  }
+  return { synced, conflicts }
+}
+
+export function syncPendingWrites() {
+  syncPromise ??= (async () => {
+    try {
+      return await replayWrites(
+        await pendingWrites(),
+        (write) => senders[write.method](write.path, write.body),
+        async (write) => {
+          await withStore('outbox', 'readwrite', (store) => store.delete(write.id))
+          notifyOutboxChanged()
+        },
+      )
+    } finally {
+      syncPromise = null
+    }
+  })()
+  return syncPromise
+}
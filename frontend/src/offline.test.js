@@ -0,0 +1,66 @@
+import assert from 'node:assert/strict'
+import { test } from 'node:test'
+import { ApiError } from './api.js'
+import { replayWrites } from './offline.js'
+
+const writes = [
+  { id: 1, label: 'Add ingredient Onion' },
+  { id: 2, label: 'Save recipe Soup' },
+  { id: 3, label: 'Rename ingredient Leek' },
+]
+
+// Replays `writes`, failing the ones listed in `errors` (by id), and returns what was sent and removed.
+async function replay(errors = {}) {
+  const sent = []
+  const removed = []
+  const result = await replayWrites(
+    writes,
+    async (write) => {
+      sent.push(write.id)
+      if (errors[write.id]) throw errors[write.id]
+    },
+    async (write) => {
+      removed.push(write.id)
+    },
+  )
+  return { ...result, sent, removed }
+}
+
+test('replayWrites sends every write in order and removes each one', async () => {
+  assert.deepEqual(await replay(), { synced: 3, conflicts: [], sent: [1, 2, 3], removed: [1, 2, 3] })
+})
+
+test('replayWrites drops and reports writes the server rejects, then carries on', async () => {
+  const result = await replay({
+    1: new ApiError('An ingredient named Onion already exists.', { status: 409 }),
+    2: new ApiError('Not found.', { status: 404 }),
+  })
+
+  assert.equal(result.synced, 1)
+  assert.deepEqual(result.conflicts, [
+    { id: 1, label: 'Add ingredient Onion', message: 'An ingredient named Onion already exists.' },
+    { id: 2, label: 'Save recipe Soup', message: 'Not found.' },
+  ])
+  assert.deepEqual(result.removed, [1, 2, 3])
+})
+
+test('replayWrites stops at a network error and keeps that write and the rest queued', async () => {
+  const result = await replay({ 2: new ApiError('Could not reach the server.') })
+
+  assert.deepEqual(result, { synced: 1, conflicts: [], sent: [1, 2], removed: [1] })
+})
+
+test('replayWrites keeps the outbox when the server fails, times out or is rate limiting', async () => {
+  for (const status of [500, 502, 503, 504, 408, 429]) {
+    const result = await replay({ 2: new ApiError('Try again later.', { status }) })
+
+    assert.deepEqual(result, { synced: 1, conflicts: [], sent: [1, 2], removed: [1] }, `status ${status}`)
+  }
+})
+
+test('replayWrites treats a 400 as a rejection, not a reason to stop', async () => {
+  const result = await replay({ 1: new ApiError('Name is required.', { status: 400 }) })
+
+  assert.deepEqual(result.conflicts, [{ id: 1, label: 'Add ingredient Onion', message: 'Name is required.' }])
+  assert.deepEqual(result.removed, [1, 2, 3])
+})
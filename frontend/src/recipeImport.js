@@ -0,0 +1,309 @@
+import { normalizeIngredientDisplay } from './recipeParsing.js'
+
+// Recipe import: pasted text, Markdown files and HTML pages carrying schema.org Recipe JSON-LD all end
+// up in the same shape the AI recipes use ({ title, items, steps, servings }), so saving goes through
+// the same path that creates missing ingredients.
+
+const unicodeFractions = {
+  '¼': 1 / 4,
+  '½': 1 / 2,
+  '¾': 3 / 4,
+  '⅓': 1 / 3,
+  '⅔': 2 / 3,
+  '⅛': 1 / 8,
+  '⅜': 3 / 8,
+  '⅝': 5 / 8,
+  '⅞': 7 / 8,
+}
+
+// Spelled-out units and their short forms; anything not listed stays part of the ingredient name.
+const unitNames = {
+  cup: 'cup',
+  cups: 'cup',
+  c: 'cup',
+  tablespoon: 'tbsp',
+  tablespoons: 'tbsp',
+  tbsp: 'tbsp',
+  tbsps: 'tbsp',
+  tbs: 'tbsp',
+  teaspoon: 'tsp',
+  teaspoons: 'tsp',
+  tsp: 'tsp',
+  tsps: 'tsp',
+  gram: 'g',
+  grams: 'g',
+  g: 'g',
+  kilogram: 'kg',
+  kilograms: 'kg',
+  kg: 'kg',
+  milliliter: 'ml',
+  milliliters: 'ml',
+  millilitre: 'ml',
+  millilitres: 'ml',
+  ml: 'ml',
+  liter: 'l',
+  liters: 'l',
+  litre: 'l',
+  litres: 'l',
+  l: 'l',
+  ounce: 'oz',
+  ounces: 'oz',
+  oz: 'oz',
+  pound: 'lb',
+  pounds: 'lb',
+  lb: 'lb',
+  lbs: 'lb',
+  clove: 'clove',
+  cloves: 'clove',
+  pinch: 'pinch',
+  pinches: 'pinch',
+  can: 'can',
+  cans: 'can',
+  slice: 'slice',
+  slices: 'slice',
+  stick: 'stick',
+  sticks: 'stick',
+  bunch: 'bunch',
+  bunches: 'bunch',
+  handful: 'handful',
+  handfuls: 'handful',
+}
+
+const fractionChars = Object.keys(unicodeFractions).join('')
+const quantityPattern = new RegExp(
+  `^(\\d+\\s+\\d+/\\d+|\\d+/\\d+|\\d+(?:[.,]\\d+)?\\s*[${fractionChars}]?|[${fractionChars}])` +
+    `(?:\\s*(?:-|–|to)\\s*(?:\\d+(?:[.,]\\d+)?|[${fractionChars}]))?\\s*`,
+)
+
+function parseQuantity(text) {
+  let total = 0
+  for (const part of text.trim().split(/\s+/)) {
+    const fraction = part.match(/^(\d+)\/(\d+)$/)
+    if (fraction) {
+      total += Number(fraction[1]) / Number(fraction[2])
+      continue
+    }
+    const mixed = part.match(new RegExp(`^(\\d+(?:[.,]\\d+)?)?([${fractionChars}])?$`))
+    if (!mixed) return null
+    if (mixed[1]) total += Number(mixed[1].replace(',', '.'))
+    if (mixed[2]) total += unicodeFractions[mixed[2]]
+  }
+  return total > 0 ? Math.round(total * 100) / 100 : null
+}
+
+// Size, freshness and preparation words in front of the name ("2 large eggs", "1 finely chopped onion");
+// they go to the note so the name can match the stored ingredient.
+const leadingDescriptors = new Set([
+  'fresh',
+  'freshly',
+  'large',
+  'small',
+  'medium',
+  'extra',
+  'ripe',
+  'finely',
+  'roughly',
+  'coarsely',
+  'thinly',
+  'chopped',
+  'minced',
+  'diced',
+  'sliced',
+  'grated',
+  'crushed',
+  'peeled',
+  'shredded',
+  'softened',
+  'melted',
+  'beaten',
+  'boneless',
+  'skinless',
+])
+
+const trailingNote = /\s+(to taste|as needed|for (?:serving|garnish|frying|greasing)|optional)$/i
+
+// "1 1/2 cups plain flour, sifted" -> { name: 'Plain Flour', quantity: 1.5, unit: 'cup', note: 'sifted' }.
+// Ranges keep their lower bound; text in parentheses, after a comma, a trailing "to taste" and leading
+// preparation words ("finely chopped") become the note.
+export function parseIngredientLine(line) {
+  let rest = line
+    .replace(/^\s*(?:[-*•]|\d+[.)])\s+/, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+  let quantity = null
+  let unit = null
+  const notes = []
+
+  const quantityMatch = rest.match(quantityPattern)
+  if (quantityMatch) {
+    quantity = parseQuantity(quantityMatch[1])
+    rest = rest.slice(quantityMatch[0].length)
+  }
+
+  const unitMatch = rest.match(/^([a-z]+)\.?(?:\s+|$)(?:of\s+)?/i)
+  if (unitMatch && unitNames[unitMatch[1].toLowerCase()] && (quantity != null || unitMatch[1].length > 2)) {
+    unit = unitNames[unitMatch[1].toLowerCase()]
+    rest = rest.slice(unitMatch[0].length)
+  }
+
+  rest = rest.replace(/\(([^)]*)\)/g, (_, inner) => {
+    if (inner.trim()) notes.push(inner.trim())
+    return ' '
+  })
+
+  const leading = []
+  let word
+  while ((word = rest.match(/^\s*([a-z]+)\s*,?\s+/i)) && leadingDescriptors.has(word[1].toLowerCase())) {
+    leading.push(word[1].toLowerCase())
+    rest = rest.slice(word[0].length)
+  }
+  if (leading.length) notes.unshift(leading.join(' '))
+
+  const [namePart, ...afterComma] = rest.split(',')
+  let name = namePart.trim()
+  const trailing = name.match(trailingNote)
+  if (trailing) {
+    name = name.slice(0, trailing.index)
+    notes.push(trailing[1].toLowerCase())
+  }
+  notes.push(...afterComma.map((part) => part.trim()).filter(Boolean))
+
+  return { name: normalizeIngredientDisplay(name), quantity, unit, note: notes.join(', ').toLowerCase() }
+}
+
+const ingredientHeading = /^(?:ingredients?)\s*:?\s*$/i
+const stepsHeading = /^(?:instructions?|directions?|method|steps?|procedure|preparation)\s*:?\s*$/i
+const servingsLine = /^(?:serves|servings|yield|makes)\s*:?\s*(\d+)/i
+
+// Plain text and Markdown share one reader: a title line, then "Ingredients" and "Instructions" style
+// headings. Without headings, bulleted lines are ingredients and numbered lines are steps.
+export function importFromText(text) {
+  const lines = text
+    .split(/\r?\n/)
+    .map((line) =>
+      line
+        .replace(/^\s*#{1,6}\s*/, '')
+        .replace(/\*\*|__/g, '')
+        .trim(),
+    )
+    .filter(Boolean)
+
+  let title = ''
+  let servings = null
+  let section = null
+  const items = []
+  const steps = []
+
+  for (const line of lines) {
+    if (ingredientHeading.test(line)) {
+      section = 'ingredients'
+      continue
+    }
+    if (stepsHeading.test(line)) {
+      section = 'steps'
+      continue
+    }
+
+    const servingsMatch = line.match(servingsLine)
+    if (servingsMatch) {
+      servings = Number(servingsMatch[1])
+      continue
+    }
+
+    if (!title && section === null && !/^\s*(?:[-*•]|\d+[.)])\s/.test(line)) {
+      title = line.replace(/^(?:recipe|name)\s*:\s*/i, '')
+      continue
+    }
+
+    const bulleted = /^[-*•]\s/.test(line)
+    const numbered = line.match(/^\d+[.)]\s+(.+)$/)
+    if (section === 'ingredients' || (section === null && bulleted)) {
+      const item = parseIngredientLine(line)
+      if (item.name) items.push(item)
+    } else if (section === 'steps' || numbered) {
+      steps.push(numbered ? numbered[1].trim() : line.replace(/^[-*•]\s+/, ''))
+    }
+  }
+
+  return { title: title || 'Imported recipe', items, steps, servings }
+}
+
+function decodeEntities(value) {
+  return new DOMParser().parseFromString(value, 'text/html').documentElement.textContent.trim()
+}
+
+function isRecipeNode(node) {
+  const type = node?.['@type']
+  return Array.isArray(type) ? type.includes('Recipe') : type === 'Recipe'
+}
+
+function findRecipeNode(node) {
+  if (!node || typeof node !== 'object') return null
+  if (Array.isArray(node)) {
+    for (const child of node) {
+      const found = findRecipeNode(child)
+      if (found) return found
+    }
+    return null
+  }
+  if (isRecipeNode(node)) return node
+  return findRecipeNode(node['@graph'])
+}
+
+// recipeInstructions can be one string, a list of strings, HowToStep objects, or HowToSections of steps.
+function instructionSteps(value) {
+  if (!value) return []
+  if (typeof value === 'string') {
+    return decodeEntities(value)
+      .split(/\r?\n/)
+      .map((line) => line.replace(/^\d+[.)]\s*/, '').trim())
+      .filter(Boolean)
+  }
+  if (Array.isArray(value)) return value.flatMap(instructionSteps)
+  if (value.itemListElement) return instructionSteps(value.itemListElement)
+  return instructionSteps(value.text ?? value.name ?? '')
+}
+
+function parseServings(recipeYield) {
+  const value = Array.isArray(recipeYield) ? recipeYield[0] : recipeYield
+  const match = String(value ?? '').match(/\d+/)
+  const servings = match ? Number(match[0]) : null
+  return servings >= 1 && servings <= 100 ? servings : null
+}
+
+// Reads the first schema.org Recipe found in the page's JSON-LD blocks.
+export function importFromHtml(html) {
+  const doc = new DOMParser().parseFromString(html, 'text/html')
+  for (const script of doc.querySelectorAll('script[type="application/ld+json"]')) {
+    let data
+    try {
+      data = JSON.parse(script.textContent)
+    } catch {
+      continue
+    }
+
+    const recipe = findRecipeNode(data)
+    if (!recipe) continue
+
+    const ingredientLines = [].concat(recipe.recipeIngredient ?? recipe.ingredients ?? [])
+    return {
+      title: decodeEntities(String(recipe.name ?? '')) || 'Imported recipe',
+      items: ingredientLines.map((line) => parseIngredientLine(decodeEntities(String(line)))).filter((i) => i.name),
+      steps: instructionSteps(recipe.recipeInstructions),
+      servings: parseServings(recipe.recipeYield),
+    }
+  }
+
+  throw new Error('No schema.org Recipe data found in that page. Try pasting the recipe text instead.')
+}
+
+// Pasted page source is read for JSON-LD; anything else is treated as recipe text.
+export function importFromPaste(text) {
+  return /application\/ld\+json/i.test(text) ? importFromHtml(text) : importFromText(text)
+}
+
+export async function importRecipeFile(file) {
+  const text = await file.text()
+  if (/\.html?$/i.test(file.name) || file.type === 'text/html') return importFromHtml(text)
+  return importFromText(text)
+}
@@ -0,0 +1,88 @@
+import assert from 'node:assert/strict'
+import { test } from 'node:test'
+import { importFromPaste, importFromText, parseIngredientLine } from './recipeImport.js'
+
+// importFromHtml needs the browser's DOMParser, so only the text readers are covered here.
+
+function amountAndName(line) {
+  const { name, quantity, unit } = parseIngredientLine(line)
+  return { name, quantity, unit }
+}
+
+test('parseIngredientLine reads whole, mixed, decimal and unicode quantities', () => {
+  assert.deepEqual(amountAndName('2 eggs'), { name: 'Eggs', quantity: 2, unit: null })
+  assert.deepEqual(amountAndName('1 1/2 cups plain flour'), { name: 'Plain Flour', quantity: 1.5, unit: 'cup' })
+  assert.deepEqual(amountAndName('0,5 l milk'), { name: 'Milk', quantity: 0.5, unit: 'l' })
+  assert.deepEqual(amountAndName('1½ tbsp. olive oil'), { name: 'Olive Oil', quantity: 1.5, unit: 'tbsp' })
+  assert.deepEqual(amountAndName('¼ tsp salt'), { name: 'Salt', quantity: 0.25, unit: 'tsp' })
+})
+
+test('parseIngredientLine keeps the lower bound of a range and strips list markers', () => {
+  assert.deepEqual(amountAndName('- 2-3 cloves of garlic'), { name: 'Garlic', quantity: 2, unit: 'clove' })
+  assert.deepEqual(amountAndName('3. 100 to 150 g butter'), { name: 'Butter', quantity: 100, unit: 'g' })
+})
+
+test('parseIngredientLine only reads a short unit after a quantity', () => {
+  assert.deepEqual(amountAndName('G Fuel'), { name: 'G Fuel', quantity: null, unit: null })
+  assert.deepEqual(amountAndName('pinch of nutmeg'), { name: 'Nutmeg', quantity: null, unit: 'pinch' })
+})
+
+test('parseIngredientLine moves preparation words, parentheses and trailing phrases to the note', () => {
+  assert.deepEqual(parseIngredientLine('1 1/2 cups plain flour, sifted'), {
+    name: 'Plain Flour',
+    quantity: 1.5,
+    unit: 'cup',
+    note: 'sifted',
+  })
+  assert.deepEqual(parseIngredientLine('1 large finely chopped onion (about 200 g)'), {
+    name: 'Onion',
+    quantity: 1,
+    unit: null,
+    note: 'large finely chopped, about 200 g',
+  })
+  assert.deepEqual(parseIngredientLine('Black pepper to taste'), {
+    name: 'Black Pepper',
+    quantity: null,
+    unit: null,
+    note: 'to taste',
+  })
+})
+
+test('importFromText reads headings, servings and the title', () => {
+  const recipe = importFromText(
+    [
+      '# Pancakes',
+      'Serves 4',
+      '## Ingredients',
+      '- 1 cup flour',
+      '- 2 eggs',
+      '**Instructions**',
+      '1. Whisk everything.',
+      '2. Fry in a hot pan.',
+    ].join('\n'),
+  )
+
+  assert.equal(recipe.title, 'Pancakes')
+  assert.equal(recipe.servings, 4)
+  assert.deepEqual(
+    recipe.items.map((item) => item.name),
+    ['Flour', 'Eggs'],
+  )
+  assert.deepEqual(recipe.steps, ['Whisk everything.', 'Fry in a hot pan.'])
+})
+
+test('importFromText falls back to bullets and numbers without headings', () => {
+  const recipe = importFromText('Toast\n* 2 slices bread\n1. Toast the bread')
+
+  assert.equal(recipe.title, 'Toast')
+  assert.deepEqual(
+    recipe.items.map(({ name, quantity, unit }) => ({ name, quantity, unit })),
+    [{ name: 'Bread', quantity: 2, unit: 'slice' }],
+  )
+  assert.deepEqual(recipe.steps, ['Toast the bread'])
+  assert.equal(importFromText('').title, 'Imported recipe')
+})
+
+test('importFromPaste treats text without JSON-LD as recipe text', () => {
+  assert.equal(importFromPaste('Soup\n- 1 onion').items[0].name, 'Onion')
+})
@@ -0,0 +1,212 @@
+const sentenceSplitRegex = /(?<=[.!?])\s+(?=[A-Z0-9])/
+
+export function splitSentences(text) {
+  if (!text?.trim()) return []
+  return text
+    .split(sentenceSplitRegex)
+    .map((s) => s.trim())
+    .filter(Boolean)
+}
+
+function titleCaseWords(value) {
+  return value
+    .trim()
+    .split(/\s+/)
+    .map((word) =>
+      word
+        .split('-')
+        .map((part) => {
+          const lower = part.toLowerCase()
+          return lower ? lower[0].toUpperCase() + lower.slice(1) : lower
+        })
+        .join('-'),
+    )
+    .join(' ')
+}
+
+export function normalizeIngredientDisplay(value) {
+  const trimmed = value.trim().replace(/\.+$/, '')
+  if (!trimmed) return ''
+  return titleCaseWords(trimmed)
+}
+
+export function parseProcedure(text) {
+  if (!text?.trim()) return []
+  const lines = text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean)
+
+  const numbered = lines
+    .map((line) => line.match(/^\d+\.\s*(.+)$/))
+    .filter(Boolean)
+    .map((match) => match[1].trim())
+
+  if (numbered.length) return numbered
+
+  const joined = lines.join(' ')
+  return splitSentences(joined)
+}
+
+export function parseAiRecipes(text) {
+  if (!text?.trim()) return []
+
+  const lines = text.split(/\r?\n/)
+  const blocks = []
+  let current = []
+
+  for (const line of lines) {
+    const trimmed = line.trim()
+    if (!trimmed) continue
+
+    if (/^recipe\b/i.test(trimmed) && current.length) {
+      blocks.push(current)
+      current = [trimmed]
+      continue
+    }
+
+    current.push(trimmed)
+  }
+
+  if (current.length) blocks.push(current)
+
+  const recipes = (blocks.length ? blocks : [lines])
+    .map((block) => block.filter((line) => line.trim().length > 0))
+    .map((block, idx) => {
+      const lines = [...block]
+      let titleLine = lines.shift() || `Recipe ${idx + 1}`
+      const titleMatch = titleLine.match(/^(?:recipe|name)\s*\d*[:.\-]?\s*(.+)$/i)
+      const title = titleMatch?.[1]?.trim() || titleLine
+
+      let ingredients = []
+      let steps = []
+      const rest = []
+      let section = null
+
+      const pushIngredient = (value) => {
+        const normalized = normalizeIngredientDisplay(value)
+        if (normalized) ingredients.push(normalized)
+      }
+
+      for (const line of lines) {
+        const inlineIngredients = line.match(/^ingredients?\s*:\s*(.+)$/i)
+        if (inlineIngredients?.[1]) {
+          ingredients = inlineIngredients[1]
+            .split(/[,;]\s*/)
+            .map((item) => item.trim())
+            .filter(Boolean)
+            .map(normalizeIngredientDisplay)
+          section = 'ingredients'
+          continue
+        }
+
+        const inlineProcedure = line.match(/^(procedure|steps?|method)\s*:\s*(.+)$/i)
+        if (inlineProcedure?.[2]) {
+          steps = splitSentences(inlineProcedure[2])
+          section = 'steps'
+          continue
+        }
+
+        if (/^ingredients?\b/i.test(line)) {
+          section = 'ingredients'
+          continue
+        }
+
+        if (/^(procedure|steps?|method)\b/i.test(line)) {
+          section = 'steps'
+          continue
+        }
+
+        if (section === 'ingredients') {
+          const cleaned = line.replace(/^[-*]\s*/, '').trim()
+          if (!cleaned) continue
+          if (cleaned.includes(',') && !/^[-*]/.test(line)) {
+            cleaned
+              .split(/[,;]\s*/)
+              .map((item) => item.trim())
+              .filter(Boolean)
+              .forEach(pushIngredient)
+          } else {
+            pushIngredient(cleaned)
+          }
+          continue
+        }
+
+        if (section === 'steps') {
+          const numbered = line.match(/^\d+\.\s*(.+)$/)
+          if (numbered?.[1]) {
+            steps.push(numbered[1].trim())
+            continue
+          }
+
+          const bullet = line.replace(/^[-*]\s*/, '').trim()
+          if (bullet) {
+            steps.push(bullet)
+            continue
+          }
+        }
+
+        rest.push(line)
+      }
+
+      if (steps.length === 0 && rest.length) {
+        steps = splitSentences(rest.join(' '))
+      }
+
+      return {
+        title: title || `Recipe ${idx + 1}`,
+        ingredients,
+        steps,
+        fallback: rest.join('\n'),
+      }
+    })
+
+  return recipes.length ? recipes : [{ title: 'Recipe', ingredients: [], steps: [], fallback: text.trim() }]
+}
+
+export function formatIngredientAmount(item) {
+  const qty = item.quantity == null ? '' : `${item.quantity}`
+  const unit = item.unit ? ` ${item.unit}` : ''
+  return qty || unit ? `${qty}${unit}`.trim() : ''
+}
+
+export function fromStructuredRecipe(recipe) {
+  const items = recipe.ingredients.map((item) => ({
+    name: normalizeIngredientDisplay(item.name),
+    quantity: item.quantity ?? null,
+    unit: item.unit ?? null,
+  }))
+
+  return {
+    title: recipe.title,
+    ingredients: items.map((item) => {
+      const amount = formatIngredientAmount(item)
+      return amount ? `${item.name} · ${amount}` : item.name
+    }),
+    items,
+    steps: recipe.steps,
+    totalMinutes: recipe.totalMinutes ?? null,
+    servings: recipe.servings ?? null,
+    warnings: recipe.warnings ?? [],
+    fallback: '',
+  }
+}
+
+// Shape the structured chat endpoint expects; plain-text recipes only carry names.
+export function toStructuredRecipe(recipe) {
+  const items = recipe.items ?? recipe.ingredients?.map((name) => ({ name, quantity: null, unit: null })) ?? []
+  const steps = recipe.steps?.length ? recipe.steps : splitSentences(recipe.fallback ?? '')
+
+  return {
+    title: recipe.title?.trim() || 'Recipe',
+    ingredients: items,
+    steps,
+    totalMinutes: recipe.totalMinutes ?? null,
+    servings: recipe.servings ?? null,
+  }
+}
+
+// The recipes of a stored AI generation, in the same shape as a live run's.
+export function generationRecipes(generation) {
+  return generation.recipes ? generation.recipes.map(fromStructuredRecipe) : parseAiRecipes(generation.content)
+}
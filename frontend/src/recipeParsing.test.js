@@ -0,0 +1,105 @@
+import assert from 'node:assert/strict'
+import { test } from 'node:test'
+import {
+  formatIngredientAmount,
+  fromStructuredRecipe,
+  normalizeIngredientDisplay,
+  parseAiRecipes,
+  parseProcedure,
+  splitSentences,
+  toStructuredRecipe,
+} from './recipeParsing.js'
+
+test('splitSentences splits on sentence ends followed by a capital or digit', () => {
+  assert.deepEqual(splitSentences('Boil water. Add pasta! 2 minutes later, drain.'), [
+    'Boil water.',
+    'Add pasta!',
+    '2 minutes later, drain.',
+  ])
+  assert.deepEqual(splitSentences('Cook approx. ten minutes.'), ['Cook approx. ten minutes.'])
+  assert.deepEqual(splitSentences('   '), [])
+})
+
+test('normalizeIngredientDisplay title-cases words and hyphenated parts', () => {
+  assert.equal(normalizeIngredientDisplay('  sun-dried TOMATOES.'), 'Sun-Dried Tomatoes')
+  assert.equal(normalizeIngredientDisplay('...'), '')
+})
+
+test('parseProcedure prefers numbered lines and falls back to sentences', () => {
+  assert.deepEqual(parseProcedure('1. Chop onions\n2. Fry them\nServe hot'), ['Chop onions', 'Fry them'])
+  assert.deepEqual(parseProcedure('Chop onions.\nFry them. Serve hot.'), ['Chop onions.', 'Fry them.', 'Serve hot.'])
+  assert.deepEqual(parseProcedure(null), [])
+})
+
+test('parseAiRecipes splits blocks on "Recipe" lines and reads their sections', () => {
+  const recipes = parseAiRecipes(
+    [
+      'Recipe 1: Tomato Pasta',
+      'Ingredients:',
+      '- pasta',
+      '- tomato sauce',
+      'Steps:',
+      '1. Boil the pasta.',
+      '2. Stir in the sauce.',
+      'Recipe 2: Omelette',
+      'Ingredients: eggs, butter; chives',
+      'Procedure: Whisk the eggs. Cook in butter.',
+    ].join('\n'),
+  )
+
+  assert.deepEqual(recipes, [
+    {
+      title: 'Tomato Pasta',
+      ingredients: ['Pasta', 'Tomato Sauce'],
+      steps: ['Boil the pasta.', 'Stir in the sauce.'],
+      fallback: '',
+    },
+    {
+      title: 'Omelette',
+      ingredients: ['Eggs', 'Butter', 'Chives'],
+      steps: ['Whisk the eggs.', 'Cook in butter.'],
+      fallback: '',
+    },
+  ])
+})
+
+test('parseAiRecipes keeps free text as the fallback and its sentences as steps', () => {
+  assert.deepEqual(parseAiRecipes('Quick Toast\nToast the bread. Butter it.'), [
+    {
+      title: 'Quick Toast',
+      ingredients: [],
+      steps: ['Toast the bread.', 'Butter it.'],
+      fallback: 'Toast the bread. Butter it.',
+    },
+  ])
+  assert.deepEqual(parseAiRecipes(''), [])
+})
+
+test('formatIngredientAmount joins quantity and unit when present', () => {
+  assert.equal(formatIngredientAmount({ quantity: 2, unit: 'cup' }), '2 cup')
+  assert.equal(formatIngredientAmount({ quantity: null, unit: 'pinch' }), 'pinch')
+  assert.equal(formatIngredientAmount({ quantity: null, unit: null }), '')
+})
+
+test('fromStructuredRecipe and toStructuredRecipe round-trip the structured fields', () => {
+  const structured = {
+    title: 'Rice Bowl',
+    ingredients: [
+      { name: 'white rice', quantity: 1, unit: 'cup' },
+      { name: 'soy sauce', quantity: null, unit: null },
+    ],
+    steps: ['Cook the rice.'],
+    totalMinutes: 20,
+    servings: 2,
+  }
+  const recipe = fromStructuredRecipe(structured)
+
+  assert.deepEqual(recipe.ingredients, ['White Rice · 1 cup', 'Soy Sauce'])
+  assert.deepEqual(toStructuredRecipe(recipe), {
+    ...structured,
+    ingredients: [
+      { name: 'White Rice', quantity: 1, unit: 'cup' },
+      { name: 'Soy Sauce', quantity: null, unit: null },
+    ],
+  })
+})
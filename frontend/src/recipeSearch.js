@@ -0,0 +1,108 @@
+// Saved-recipe search. Filters live in the page URL
+// (?q=soup&ingredient=4&tag=quick&collection=2&only=Fridge&fewer=6&sort=newest&page=2)
+// and are sent to GET /api/recipes/search; without a connection the cached recipe list is filtered the
+// same way in the browser.
+
+export const recipePageSize = 20
+
+export const recipeSorts = [
+  { value: 'name', label: 'Name A–Z' },
+  { value: '-name', label: 'Name Z–A' },
+  { value: 'newest', label: 'Newest first' },
+  { value: 'ingredients', label: 'Fewest ingredients' },
+]
+
+export function filtersFromQuery(query) {
+  const fewer = Number(query.get('fewer'))
+  return {
+    q: query.get('q') ?? '',
+    ingredientIds: query
+      .getAll('ingredient')
+      .map(Number)
+      .filter((id) => id > 0),
+    tags: Array.from(new Set(query.getAll('tag').map(normalizeTag).filter(Boolean))),
+    collectionId: Number(query.get('collection')) > 0 ? Number(query.get('collection')) : null,
+    onlyLocation: query.get('only') ?? '',
+    fewerIngredientsThan: fewer >= 2 ? fewer : null,
+    sort: recipeSorts.some((s) => s.value === query.get('sort')) ? query.get('sort') : 'name',
+    page: Math.max(1, Math.floor(Number(query.get('page'))) || 1),
+  }
+}
+
+// Matches the server's normalizing, so "Weeknight " and "weeknight" are one tag.
+export function normalizeTag(value) {
+  return value.trim().toLowerCase().replace(/\s+/g, ' ')
+}
+
+// Defaults are left out so a plain "/" stays a plain "/".
+export function filtersToQuery(filters) {
+  return {
+    q: filters.q.trim(),
+    ingredient: filters.ingredientIds,
+    tag: filters.tags,
+    collection: filters.collectionId ?? '',
+    only: filters.onlyLocation,
+    fewer: filters.fewerIngredientsThan ?? '',
+    sort: filters.sort === 'name' ? '' : filters.sort,
+    page: filters.page > 1 ? filters.page : '',
+  }
+}
+
+// The collection isn't counted: it is picked with the tabs above the filters, not cleared with them.
+export function hasActiveFilters(filters) {
+  return Boolean(
+    filters.q.trim() ||
+    filters.ingredientIds.length ||
+    filters.tags.length ||
+    filters.onlyLocation ||
+    filters.fewerIngredientsThan,
+  )
+}
+
+export function searchPath(filters) {
+  const params = new URLSearchParams({ sort: filters.sort, page: filters.page, pageSize: recipePageSize })
+  if (filters.q.trim()) params.set('q', filters.q.trim())
+  for (const id of filters.ingredientIds) params.append('ingredientIds', id)
+  for (const tag of filters.tags) params.append('tags', tag)
+  if (filters.collectionId) params.set('collectionId', filters.collectionId)
+  if (filters.onlyLocation) params.set('onlyLocation', filters.onlyLocation)
+  if (filters.fewerIngredientsThan) params.set('fewerIngredientsThan', filters.fewerIngredientsThan)
+  return `/api/recipes/search?${params}`
+}
+
+const sorters = {
+  name: (a, b) => a.name.localeCompare(b.name),
+  '-name': (a, b) => b.name.localeCompare(a.name),
+  newest: (a, b) => b.id - a.id,
+  ingredients: (a, b) => a.ingredients.length - b.ingredients.length || a.name.localeCompare(b.name),
+}
+
+// Mirrors the server: every word must appear in the name, the instructions or an ingredient name.
+// `collections` is the saved collection list, used to look up the picked collection's recipes.
+export function searchRecipesLocally(recipes, ingredients, filters, collections = []) {
+  const terms = filters.q.toLowerCase().split(/\s+/).filter(Boolean)
+  const locations = new Map(ingredients.map((i) => [i.id, i.location]))
+  const collection = filters.collectionId ? collections.find((c) => c.id === filters.collectionId) : null
+
+  const matches = recipes
+    .filter((r) => {
+      const text = [r.name, r.instructions ?? '', ...r.ingredients.map((i) => i.name)].join('\n').toLowerCase()
+      if (!terms.every((term) => text.includes(term))) return false
+      if (!filters.ingredientIds.every((id) => r.ingredients.some((i) => i.ingredientId === id))) return false
+      if (!filters.tags.every((tag) => r.tags?.includes(tag))) return false
+      if (filters.collectionId && !collection?.recipeIds.includes(r.id)) return false
+      if (filters.onlyLocation && !r.ingredients.every((i) => locations.get(i.ingredientId) === filters.onlyLocation)) {
+        return false
+      }
+      return !filters.fewerIngredientsThan || r.ingredients.length < filters.fewerIngredientsThan
+    })
+    .sort(sorters[filters.sort])
+
+  const start = (filters.page - 1) * recipePageSize
+  return {
+    items: matches.slice(start, start + recipePageSize),
+    total: matches.length,
+    page: filters.page,
+    pageSize: recipePageSize,
+  }
+}
@@ -0,0 +1,118 @@
+import assert from 'node:assert/strict'
+import { test } from 'node:test'
+import { filtersFromQuery, filtersToQuery, hasActiveFilters, searchPath, searchRecipesLocally } from './recipeSearch.js'
+
+const ingredients = [
+  { id: 1, name: 'Milk', location: 'Fridge' },
+  { id: 2, name: 'Flour', location: 'Pantry' },
+  { id: 3, name: 'Eggs', location: 'Fridge' },
+]
+
+const recipes = [
+  {
+    id: 1,
+    name: 'Pancakes',
+    instructions: 'Whisk and fry.',
+    tags: ['breakfast'],
+    ingredients: [
+      { ingredientId: 1, name: 'Milk' },
+      { ingredientId: 2, name: 'Flour' },
+      { ingredientId: 3, name: 'Eggs' },
+    ],
+  },
+  {
+    id: 2,
+    name: 'Omelette',
+    instructions: null,
+    tags: ['breakfast', 'quick'],
+    ingredients: [
+      { ingredientId: 1, name: 'Milk' },
+      { ingredientId: 3, name: 'Eggs' },
+    ],
+  },
+  {
+    id: 3,
+    name: 'Boiled Egg',
+    instructions: 'Boil for 7 minutes.',
+    tags: [],
+    ingredients: [{ ingredientId: 3, name: 'Eggs' }],
+  },
+]
+
+// The app keeps the filters in the URL: these read them from a query string and write them back to one.
+function fromQuery(text) {
+  return filtersFromQuery(new URLSearchParams(text))
+}
+
+function toSearchParams(query) {
+  const params = new URLSearchParams()
+  for (const [key, value] of Object.entries(query)) {
+    for (const item of [].concat(value)) if (item !== '') params.append(key, item)
+  }
+  return params
+}
+
+function names(filters, collections) {
+  return searchRecipesLocally(recipes, ingredients, { ...fromQuery(''), ...filters }, collections).items.map(
+    (r) => r.name,
+  )
+}
+
+test('filtersFromQuery reads the URL and drops invalid values', () => {
+  assert.deepEqual(fromQuery('q=soup&ingredient=4&ingredient=x&tag=Quick%20&tag=quick&fewer=1&sort=bogus&page=-2'), {
+    q: 'soup',
+    ingredientIds: [4],
+    tags: ['quick'],
+    collectionId: null,
+    onlyLocation: '',
+    fewerIngredientsThan: null,
+    sort: 'name',
+    page: 1,
+  })
+})
+
+test('filtersToQuery leaves defaults out and round-trips through filtersFromQuery', () => {
+  const filters = fromQuery('ingredient=3&tag=quick&tag=weeknight&collection=2&only=Fridge&fewer=6&sort=newest&page=2')
+
+  assert.equal(toSearchParams(filtersToQuery(fromQuery(''))).toString(), '')
+  assert.deepEqual(filtersFromQuery(toSearchParams(filtersToQuery(filters))), filters)
+  assert.equal(hasActiveFilters(filters), true)
+  assert.equal(hasActiveFilters({ ...fromQuery(''), collectionId: 2, sort: 'newest', page: 2 }), false)
+})
+
+test('searchPath sends the filters as API parameters', () => {
+  assert.equal(
+    searchPath(fromQuery('q=egg&ingredient=3&tag=quick&collection=2&fewer=4')),
+    '/api/recipes/search?sort=name&page=1&pageSize=20&q=egg&ingredientIds=3&tags=quick&collectionId=2&fewerIngredientsThan=4',
+  )
+})
+
+test('searchRecipesLocally matches every word against names, instructions and ingredients', () => {
+  assert.deepEqual(names({ q: 'egg' }), ['Boiled Egg', 'Omelette', 'Pancakes'])
+  assert.deepEqual(names({ q: 'milk whisk' }), ['Pancakes'])
+})
+
+test('searchRecipesLocally applies ingredient, tag, collection and location filters', () => {
+  assert.deepEqual(names({ ingredientIds: [1, 3] }), ['Omelette', 'Pancakes'])
+  assert.deepEqual(names({ tags: ['breakfast', 'quick'] }), ['Omelette'])
+  assert.deepEqual(names({ collectionId: 7 }, [{ id: 7, recipeIds: [3] }]), ['Boiled Egg'])
+  assert.deepEqual(names({ collectionId: 8 }, [{ id: 7, recipeIds: [3] }]), [])
+  assert.deepEqual(names({ onlyLocation: 'Fridge' }), ['Boiled Egg', 'Omelette'])
+})
+
+test('searchRecipesLocally keeps recipes with fewer ingredients than the limit', () => {
+  assert.deepEqual(names({ fewerIngredientsThan: 3 }), ['Boiled Egg', 'Omelette'])
+  assert.deepEqual(names({ fewerIngredientsThan: 2 }), ['Boiled Egg'])
+})
+
+test('searchRecipesLocally sorts and pages', () => {
+  assert.deepEqual(names({ sort: 'ingredients' }), ['Boiled Egg', 'Omelette', 'Pancakes'])
+  assert.deepEqual(names({ sort: 'newest' }), ['Boiled Egg', 'Omelette', 'Pancakes'])
+  assert.deepEqual(names({ sort: '-name' }), ['Pancakes', 'Omelette', 'Boiled Egg'])
+  assert.deepEqual(searchRecipesLocally(recipes, ingredients, { ...fromQuery(''), page: 2 }), {
+    items: [],
+    total: 3,
+    page: 2,
+    pageSize: 20,
+  })
+})
@@ -0,0 +1,67 @@
+// Tag suggestions for a recipe about to be saved from Ask AI, read from its title, ingredients and steps
+// and from the notes the run was asked with ("quick dinner the kids will eat"). Only suggestions: the
+// mapping dialog shows them for editing before anything is stored.
+
+const cuisineKeywords = {
+  italian: ['pasta', 'spaghetti', 'penne', 'risotto', 'lasagna', 'gnocchi', 'pesto', 'parmesan', 'mozzarella', 'basil'],
+  mexican: ['taco', 'tortilla', 'burrito', 'enchilada', 'quesadilla', 'salsa', 'jalapeño', 'jalapeno', 'chipotle'],
+  indian: ['curry', 'masala', 'garam masala', 'tikka', 'dal', 'dhal', 'paneer', 'naan', 'turmeric', 'cumin'],
+  chinese: ['stir-fry', 'stir fry', 'wok', 'hoisin', 'dumpling', 'bok choy', 'five spice', 'fried rice'],
+  japanese: ['miso', 'teriyaki', 'ramen', 'sushi', 'udon', 'mirin', 'furikake'],
+  thai: ['thai', 'lemongrass', 'fish sauce', 'coconut milk', 'pad thai', 'galangal'],
+  greek: ['feta', 'tzatziki', 'gyro', 'oregano', 'moussaka'],
+  french: ['gratin', 'ratatouille', 'béchamel', 'bechamel', 'quiche', 'crêpe', 'crepe', 'dijon'],
+}
+
+const courseKeywords = {
+  breakfast: ['breakfast', 'pancake', 'omelette', 'omelet', 'porridge', 'oats', 'granola', 'scrambled'],
+  soup: ['soup', 'broth', 'chowder', 'stew'],
+  salad: ['salad'],
+  dessert: ['dessert', 'cake', 'cookie', 'brownie', 'pudding', 'pie', 'muffin', 'crumble'],
+}
+
+// Words in the run's notes that map straight to a tag.
+const noteKeywords = {
+  quick: ['quick', 'fast'],
+  'kid-friendly': ['kid', 'kids', 'child', 'children', 'toddler', 'family'],
+  weeknight: ['weeknight', 'after work', 'busy'],
+  budget: ['budget', 'cheap', 'inexpensive'],
+  'meal prep': ['meal prep', 'batch', 'leftovers', 'lunchbox'],
+  spicy: ['spicy', 'chilli', 'chili'],
+  healthy: ['healthy', 'light', 'low calorie'],
+  vegan: ['vegan', 'plant-based', 'plant based'],
+  'gluten-free': ['gluten-free', 'gluten free', 'coeliac', 'celiac'],
+}
+
+const meatWords = (
+  'beef pork chicken turkey lamb bacon ham sausage mince steak duck veal chorizo salami prosciutto pepperoni ' +
+  'fish salmon tuna cod shrimp prawn prawns anchovy anchovies crab lobster mussels clams gelatin'
+).split(' ')
+
+// Whole words only, so "ham" doesn't match "graham crackers" and "pie" doesn't match "piece".
+function mentions(text, words) {
+  return words.some((word) => new RegExp(`(^|[^\\p{L}])${word}s?($|[^\\p{L}])`, 'u').test(text))
+}
+
+export function suggestTags(recipe, notes = '') {
+  const ingredientText = (recipe.items?.map((item) => item.name) ?? recipe.ingredients ?? []).join('\n').toLowerCase()
+  const text = [recipe.title ?? '', ingredientText, ...(recipe.steps ?? []), recipe.fallback ?? '']
+    .join('\n')
+    .toLowerCase()
+  const noteText = (notes ?? '').toLowerCase()
+  const tags = []
+
+  if (recipe.totalMinutes && recipe.totalMinutes <= 30) tags.push('quick')
+  for (const [tag, words] of Object.entries(cuisineKeywords)) {
+    if (mentions(text, words) || mentions(noteText, [tag])) tags.push(tag)
+  }
+  for (const [tag, words] of Object.entries(courseKeywords)) {
+    if (mentions(text, words)) tags.push(tag)
+  }
+  for (const [tag, words] of Object.entries(noteKeywords)) {
+    if (mentions(noteText, words)) tags.push(tag)
+  }
+  if (ingredientText && !mentions(ingredientText, meatWords)) tags.push('vegetarian')
+
+  return Array.from(new Set(tags))
+}
@@ -0,0 +1,47 @@
+import assert from 'node:assert/strict'
+import { test } from 'node:test'
+import { suggestTags } from './recipeTags.js'
+
+function recipe(title, ingredients, extra = {}) {
+  return { title, items: ingredients.map((name) => ({ name })), steps: [], ...extra }
+}
+
+test('suggestTags matches whole words only', () => {
+  assert.deepEqual(suggestTags(recipe('Shallot Butter', ['Shallot', 'Butter'])), ['vegetarian'])
+  assert.deepEqual(suggestTags(recipe('Cheesecake Base', ['Graham Crackers', 'Butter'])), ['vegetarian'])
+  assert.deepEqual(suggestTags(recipe('Toast', ['Bread'], { steps: ['Cut into one piece per person.'] })), [
+    'vegetarian',
+  ])
+})
+
+test('suggestTags allows a plural of a keyword', () => {
+  assert.ok(suggestTags(recipe('Mini Pies', ['Flour'])).includes('dessert'))
+  assert.deepEqual(suggestTags(recipe('Fish Tacos', ['Cod', 'Tortillas'])), ['mexican'])
+})
+
+test('suggestTags calls a recipe vegetarian only when it has ingredients and none of them is meat or fish', () => {
+  assert.ok(!suggestTags(recipe('Pasta', ['Spaghetti', 'Bacon'])).includes('vegetarian'))
+  assert.ok(!suggestTags(recipe('Salad', ['Lettuce', 'Anchovies'])).includes('vegetarian'))
+  assert.ok(!suggestTags(recipe('Soup', [])).includes('vegetarian'))
+  assert.ok(suggestTags({ title: 'Dal', ingredients: ['Red Lentils', 'Cumin'] }).includes('vegetarian'))
+})
+
+test('suggestTags reads cooking time, cuisine and course from the recipe', () => {
+  assert.deepEqual(suggestTags(recipe('Pesto Pasta', ['Penne', 'Basil'], { totalMinutes: 30 })), [
+    'quick',
+    'italian',
+    'vegetarian',
+  ])
+  assert.ok(!suggestTags(recipe('Stew', ['Carrot'], { totalMinutes: 31 })).includes('quick'))
+  assert.deepEqual(suggestTags(recipe('Tomato Soup', ['Tomato'])), ['soup', 'vegetarian'])
+})
+
+test('suggestTags reads the notes the run was asked with', () => {
+  assert.deepEqual(suggestTags(recipe('Rice Bowl', ['Rice']), 'Something quick the kids will eat, Thai please'), [
+    'thai',
+    'quick',
+    'kid-friendly',
+    'vegetarian',
+  ])
+  assert.deepEqual(suggestTags(recipe('Rice Bowl', ['Rice']), 'no kidding'), ['vegetarian'])
+})
@@ -0,0 +1,78 @@
+import { useSyncExternalStore } from 'react'
+
+// A deliberately small History API router: the app has a handful of routes and no nesting, so a
+// routing dependency would add more than it saves. nginx (and Vite in dev) serve index.html for
+// unknown paths, which makes every route below deep-linkable.
+
+const navigateEvent = 'recipestack:navigate'
+
+const routes = [
+  { name: 'home', pattern: /^\/$/ },
+  { name: 'ai', pattern: /^\/ai\/?$/ },
+  { name: 'ingredients', pattern: /^\/ingredients\/([a-z-]+)\/?$/i, params: ['location'] },
+  { name: 'recipe', pattern: /^\/recipes\/(\d+)\/?$/, params: ['id'] },
+]
+
+function subscribe(callback) {
+  window.addEventListener('popstate', callback)
+  window.addEventListener(navigateEvent, callback)
+  return () => {
+    window.removeEventListener('popstate', callback)
+    window.removeEventListener(navigateEvent, callback)
+  }
+}
+
+function currentLocation() {
+  return window.location.pathname + window.location.search + window.location.hash
+}
+
+// Current path, query and hash, e.g. "/recipes/4" or "/?q=soup#saved"; re-renders on navigate() and
+// back/forward.
+export function useLocationPath() {
+  return useSyncExternalStore(subscribe, currentLocation)
+}
+
+export function matchRoute(location) {
+  const [pathAndQuery, hash = ''] = location.split('#')
+  const [pathname, search = ''] = pathAndQuery.split('?')
+  const query = new URLSearchParams(search)
+  for (const route of routes) {
+    const match = pathname.match(route.pattern)
+    if (match) {
+      const params = Object.fromEntries((route.params ?? []).map((key, i) => [key, decodeURIComponent(match[i + 1])]))
+      return { name: route.name, params, query, hash }
+    }
+  }
+  return { name: 'notFound', params: {}, query, hash }
+}
+
+export function navigate(to, { replace = false } = {}) {
+  if (to === currentLocation()) return
+  window.history[replace ? 'replaceState' : 'pushState'](null, '', to)
+  window.dispatchEvent(new Event(navigateEvent))
+}
+
+// Rewrites the query string of the current page in place (no new history entry), e.g. for filters
+// that should survive a reload or a shared link. Empty values are dropped.
+export function setQuery(values) {
+  const query = new URLSearchParams()
+  for (const [key, value] of Object.entries(values)) {
+    for (const item of [].concat(value ?? [])) {
+      if (item !== '' && item != null) query.append(key, item)
+    }
+  }
+  const search = query.toString()
+  navigate(`${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`, { replace: true })
+}
+
+// Plain <a> so links can be opened in a new tab or copied; ordinary clicks stay in the app.
+export function Link({ to, replace, onClick, ...props }) {
+  function handleClick(e) {
+    onClick?.(e)
+    if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return
+    e.preventDefault()
+    navigate(to, { replace })
+  }
+
+  return <a href={to} onClick={handleClick} {...props} />
+}
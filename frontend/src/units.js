@@ -0,0 +1,141 @@
+// Unit conversion and amount formatting for scaled recipes. Quantities are converted through a base
+// unit per kind (grams for mass, millilitres for volume); unknown units ("clove", "pinch") pass through.
+
+const units = {
+  g: { kind: 'mass', base: 1 },
+  kg: { kind: 'mass', base: 1000 },
+  oz: { kind: 'mass', base: 28.3495 },
+  lb: { kind: 'mass', base: 453.592 },
+  ml: { kind: 'volume', base: 1 },
+  l: { kind: 'volume', base: 1000 },
+  tsp: { kind: 'volume', base: 4.92892 },
+  tbsp: { kind: 'volume', base: 14.7868 },
+  'fl oz': { kind: 'volume', base: 29.5735 },
+  cup: { kind: 'volume', base: 236.588 },
+}
+
+const aliases = {
+  gram: 'g',
+  grams: 'g',
+  kilogram: 'kg',
+  kilograms: 'kg',
+  ounce: 'oz',
+  ounces: 'oz',
+  pound: 'lb',
+  pounds: 'lb',
+  lbs: 'lb',
+  milliliter: 'ml',
+  milliliters: 'ml',
+  millilitre: 'ml',
+  millilitres: 'ml',
+  liter: 'l',
+  liters: 'l',
+  litre: 'l',
+  litres: 'l',
+  teaspoon: 'tsp',
+  teaspoons: 'tsp',
+  tablespoon: 'tbsp',
+  tablespoons: 'tbsp',
+  'fluid ounce': 'fl oz',
+  'fluid ounces': 'fl oz',
+  cups: 'cup',
+}
+
+// Smallest amount (in base units) at which each unit is preferred, largest first. Thresholds sit just
+// under the exact values so 3 tsp becomes 1 tbsp despite floating-point error.
+const preferred = {
+  'metric-mass': [
+    ['kg', 1000],
+    ['g', 0],
+  ],
+  'metric-volume': [
+    ['l', 1000],
+    ['ml', 0],
+  ],
+  'us-mass': [
+    ['lb', 453],
+    ['oz', 0],
+  ],
+  'us-volume': [
+    ['cup', 59],
+    ['tbsp', 14.7],
+    ['tsp', 0],
+  ],
+}
+
+const fractions = [
+  [0, ''],
+  [1 / 8, '⅛'],
+  [1 / 4, '¼'],
+  [1 / 3, '⅓'],
+  [3 / 8, '⅜'],
+  [1 / 2, '½'],
+  [5 / 8, '⅝'],
+  [2 / 3, '⅔'],
+  [3 / 4, '¾'],
+  [7 / 8, '⅞'],
+  [1, ''],
+]
+
+export const unitSystems = [
+  { value: 'original', label: 'As written' },
+  { value: 'metric', label: 'Metric' },
+  { value: 'us', label: 'US' },
+]
+
+function canonicalUnit(unit) {
+  const key = unit?.trim().toLowerCase().replace(/\.$/, '')
+  if (!key) return null
+  return units[key] ? key : (aliases[key] ?? null)
+}
+
+// Converts to `system` ('metric' or 'us'); 'original' or an unknown unit leaves the amount as it was.
+export function convertAmount(quantity, unit, system) {
+  const canonical = canonicalUnit(unit)
+  if (quantity == null || !canonical || system === 'original') return { quantity, unit }
+
+  const info = units[canonical]
+  const baseQuantity = quantity * info.base
+  const [target] = preferred[`${system}-${info.kind}`].find(([, min]) => baseQuantity >= min)
+  return { quantity: baseQuantity / units[target].base, unit: target }
+}
+
+function formatFraction(value) {
+  const [fraction, glyph] = fractions.reduce((best, candidate) =>
+    Math.abs((value % 1) - candidate[0]) < Math.abs((value % 1) - best[0]) ? candidate : best,
+  )
+  const whole = Math.floor(value) + (fraction === 1 ? 1 : 0)
+  // Never round a real amount down to nothing.
+  if (whole === 0) return glyph || '⅛'
+  return glyph ? `${whole} ${glyph}` : `${whole}`
+}
+
+function formatDecimal(value) {
+  if (value >= 100) return `${Math.round(value / 5) * 5}`
+  if (value >= 10) return `${Math.round(value)}`
+  return `${Math.round(value * 10) / 10}`
+}
+
+// Cups, spoons and counts read best as kitchen fractions; grams and millilitres as rounded numbers.
+export function formatAmount(quantity, unit) {
+  if (quantity == null) return unit ?? ''
+
+  const canonical = canonicalUnit(unit)
+  let text
+  if (canonical === 'kg' || canonical === 'l') {
+    text = `${Math.round(quantity * 100) / 100}`
+  } else if (canonical === 'g' || canonical === 'ml') {
+    text = formatDecimal(quantity)
+  } else if (quantity >= 10) {
+    text = `${Math.round(quantity)}`
+  } else {
+    text = formatFraction(quantity)
+  }
+
+  return unit ? `${text} ${canonical ?? unit}` : text
+}
+
+export function formatScaledAmount(quantity, unit, factor, system) {
+  const converted = convertAmount(quantity == null ? null : quantity * factor, unit, system)
+  return formatAmount(converted.quantity, converted.unit)
+}
@@ -0,0 +1,37 @@
+import assert from 'node:assert/strict'
+import { test } from 'node:test'
+import { convertAmount, formatAmount, formatScaledAmount } from './units.js'
+
+test('convertAmount picks the preferred unit of the target system', () => {
+  assert.deepEqual(convertAmount(1500, 'g', 'metric'), { quantity: 1.5, unit: 'kg' })
+  assert.deepEqual(convertAmount(2, 'Pounds', 'metric'), { quantity: 907.184, unit: 'g' })
+  assert.equal(convertAmount(3, 'tsp', 'us').unit, 'tbsp')
+  assert.equal(convertAmount(250, 'ml', 'us').unit, 'cup')
+})
+
+test('convertAmount leaves original amounts and unknown units alone', () => {
+  assert.deepEqual(convertAmount(2, 'clove', 'metric'), { quantity: 2, unit: 'clove' })
+  assert.deepEqual(convertAmount(2, 'cups', 'original'), { quantity: 2, unit: 'cups' })
+  assert.deepEqual(convertAmount(null, 'g', 'us'), { quantity: null, unit: 'g' })
+})
+
+test('formatAmount uses kitchen fractions for spoons, cups and counts', () => {
+  assert.equal(formatAmount(1.5, 'cup'), '1 ½ cup')
+  assert.equal(formatAmount(0.33, 'tsp'), '⅓ tsp')
+  assert.equal(formatAmount(0.01, 'tsp'), '⅛ tsp')
+  assert.equal(formatAmount(2.97, null), '3')
+  assert.equal(formatAmount(12.4, 'tbsp'), '12 tbsp')
+})
+
+test('formatAmount rounds metric amounts and normalizes unit spellings', () => {
+  assert.equal(formatAmount(237.2, 'grams'), '235 g')
+  assert.equal(formatAmount(12.6, 'ml'), '13 ml')
+  assert.equal(formatAmount(1.234, 'kg'), '1.23 kg')
+  assert.equal(formatAmount(null, 'pinch'), 'pinch')
+})
+
+test('formatScaledAmount scales before converting', () => {
+  assert.equal(formatScaledAmount(1, 'tsp', 3, 'us'), '1 tbsp')
+  assert.equal(formatScaledAmount(500, 'g', 2, 'metric'), '1 kg')
+  assert.equal(formatScaledAmount(null, 'to taste', 2, 'metric'), 'to taste')
+})